@@ -0,0 +1,631 @@
+#!/usr/bin/env node
+
+/**
+ * EPD Command-Line Tool
+ *
+ * Runs the same scoring and ranking code as the desktop app against a cache directory
+ * and percentile JSON, without launching Electron. Intended for scripted / nightly runs:
+ * output is deterministic (stable ordering, rounded scores, no timestamps) so results
+ * can be diffed between runs.
+ *
+ * Usage:
+ *   node bin/epd-cli.js score --cache-dir ./epd-cache [--sex cow|bull] [--category "My Herd"]
+ *   node bin/epd-cli.js rank-matings --cache-dir ./epd-cache --cow-category "My Herd" --sire-category "Recommended Sires"
+ *   node bin/epd-cli.js export --cache-dir ./epd-cache --category "My Herd" --output my-herd-v1.0.0.json
+ *   node bin/epd-cli.js import-bulk ./bulk-files/recommended-sires-v1.0.0.json --cache-dir ./epd-cache
+ *   node bin/epd-cli.js import-html ./saved-pages --cache-dir ./epd-cache --category "My Herd"
+ *
+ * --cache-dir is normally the epd-cache folder in the app's user data folder; the rest of the
+ * app's data (categories, scoring profiles, sire inventory, bulk import records, percentile
+ * snapshots) is read from the folder containing it, or from --state-dir.
+ *
+ * Percentile data defaults to the bull and cow percentile breakdowns saved in the cache;
+ * use --percentile-date to score against a dated percentile snapshot, or --percentiles and
+ * --cow-percentiles to point at other files.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const USAGE = `Usage: node bin/epd-cli.js <command> [options]
+
+Commands:
+  score          Score cached animals
+  rank-matings   Rank all cow × sire matings (or build a one-sire-per-cow plan with --optimize)
+  export         Export cached animals to a bulk file
+  import-bulk    Import a bulk file into the cache
+  import-html    Import a folder of saved EPD detail pages (.html) into the cache
+
+Common options:
+  --cache-dir <dir>          Cache directory (epd-cache in the app's user data folder) (required)
+  --state-dir <dir>          App data directory with categories, scoring profiles, sire inventory
+                             and bulk import records (default: the folder containing --cache-dir)
+  --percentiles <file>       Bull / calf percentile breakdown JSON
+  --cow-percentiles <file>   Cow percentile breakdown JSON (cows in score, heifer calves in rank-matings)
+  --percentile-date <date>   Use the percentile snapshot for this evaluation (YYYY-MM-DD)
+  --snapshot-dir <dir>       Percentile snapshot directory (default: percentile-snapshots in --state-dir)
+  --color-criteria <file>    Color criteria JSON (default: config/color-criteria.json)
+  --profile <id>             Scoring profile ID (default: default)
+  --profile-file <file>      Scoring profile JSON file (overrides --profile)
+  --gate-traits <list>       Comma-separated gate traits, e.g. WW,YW,CLAW
+  --accuracy                 Accuracy-aware scoring
+  --possible-change-multiplier <n>  Possible-change discount (default: 1)
+  --format <json|csv>        Output format (default: json)
+  --output, -o <file>        Write output to a file instead of stdout
+  --verbose                  Show module log output on stderr
+
+score:
+  --sex <cow|bull>           Only score cows or bulls
+  --category <name>          Only score animals in a category
+  --reg <list>               Only score these comma-separated registration numbers
+
+rank-matings:
+  --cow-category <name>      Cow category (default: all)
+  --sire-category <name>     Sire category (default: all)
+  --top <n>                  Top sires per cow (default: 5, the app's Show Top default)
+  --rank-by-calf <bull|heifer>  Calf projection that drives the rank (default: bull)
+  --inbreeding-mode <off|penalize|exclude>   (default: off)
+  --max-inbreeding <pct>     (default: 6.25)
+  --inbreeding-penalty <n>   (default: 1)
+  --genetic-condition-mode <flag|exclude>    (default: flag)
+  --max-genetic-risk <pct>   (default: 25)
+  --include-trait-conditions  Count red coat color (RD) toward the genetic risk limit
+  --optimize                 Assign one sire per cow within the sire inventory
+  --inventory <file>         Sire inventory JSON ({ "sires": { "<reg>": { ... } } })
+  --straws-per-cow <n>       AI straws per cow in optimize mode (default: 1)
+
+export:
+  --output, -o <file>        Bulk file to write (required; .json.gz or .json.br to compress)
+  --category <name>          Only export animals in a category
+  --reg <list>               Only export these registration numbers
+  --type <type>              Bulk file type (default: bulk-file)
+  --version <x.y.z>          Bulk file version (default: 1.0.0)
+  --description <text>       Bulk file description
+  --strip-page-data          Leave out the page text and raw tables (much smaller files)
+
+import-bulk <file>:
+  --category <name>          Assign this category instead of the file's category
+  --update-strategy <merge|update-if-newer|skip-existing|add-categories-only>  (default: merge)
+  --force                    Re-import even if this version was already processed
+  --create-categories        Add missing categories to the category list
+  --dry-run                  Report new animals, EPD and category changes and skipped animals without importing
+
+import-html <folder>:
+  --category <name>          Category for imported animals (default: My Herd)
+`;
+
+// Options that take no value
+const FLAG_OPTIONS = new Set(['accuracy', 'optimize', 'include-trait-conditions', 'force', 'create-categories', 'dry-run', 'strip-page-data', 'verbose', 'help']);
+
+/**
+ * Parse command-line arguments into a command, positional arguments and options
+ * @param {Array} argv - Arguments after the script name
+ * @returns {{command: string|null, positional: Array, options: Object}} Parsed arguments
+ */
+function parseArgs(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith('--') || arg === '-o') {
+      const key = arg === '-o' ? 'output' : arg.replace(/^--/, '');
+      if (FLAG_OPTIONS.has(key)) {
+        options[key] = true;
+      } else {
+        options[key] = argv[i + 1];
+        i++;
+      }
+    } else {
+      positional.push(arg);
+    }
+  }
+
+  return { command: positional.shift() || null, positional, options };
+}
+
+/**
+ * Read a JSON file
+ * @param {string} filePath - File path
+ * @returns {Object} Parsed JSON
+ */
+function readJson(filePath) {
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Load percentile breakdown data from a file (raw data or a cache file wrapper)
+ * @param {string} filePath - Percentile JSON file
+ * @returns {Object|null} Percentile data, or null if the file does not exist
+ */
+function loadPercentileFile(filePath) {
+  if (!filePath || !fs.existsSync(filePath)) return null;
+  const parsed = readJson(filePath);
+  // Cache files written by the app wrap the data: { key, cachedAt, data }
+  return parsed && parsed.data && parsed.cachedAt ? parsed.data : parsed;
+}
+
+/**
+ * Round a number for stable, diffable output
+ * @param {number|null} value - Value
+ * @param {number} decimals - Decimal places
+ * @returns {number|null} Rounded value
+ */
+function round(value, decimals = 4) {
+  if (value === null || value === undefined || isNaN(value)) return null;
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Split a comma-separated option into a list
+ * @param {string} value - Option value
+ * @returns {Array} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  if (!value || value === true) return [];
+  return String(value).split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Format rows as CSV
+ * @param {Array} headers - Column names
+ * @param {Array} rows - Array of value arrays
+ * @returns {string} CSV text
+ */
+function toCsv(headers, rows) {
+  const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [headers, ...rows].map(row => row.map(csvValue).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Write command output to a file or stdout
+ * @param {string} text - Output text
+ * @param {string|undefined} outputPath - Output file (stdout if not set)
+ */
+function writeOutput(text, outputPath) {
+  if (outputPath) {
+    fs.writeFileSync(outputPath, text, 'utf8');
+    console.error(`Wrote ${outputPath}`);
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+/**
+ * Check whether an animal is a cow (same rules as the app)
+ * @param {Object} animal - Animal data
+ * @returns {boolean} True for cows / heifers
+ */
+function isCow(animal) {
+  const sex = (animal.sex || '').toUpperCase();
+  return sex === 'COW' || sex === 'FEMALE' || sex === 'HEIFER' || sex.includes('COW') || sex.includes('FEMALE');
+}
+
+/**
+ * Check whether an animal belongs to a category
+ * @param {Object} animal - Animal data (with categories)
+ * @param {string|undefined} category - Category (undefined = any)
+ * @returns {boolean} True if the animal is in the category
+ */
+function inCategory(animal, category) {
+  if (!category) return true;
+  const animalCategories = animal.categories || (animal.category ? [animal.category] : ['My Herd']);
+  return animalCategories.includes(category);
+}
+
+/**
+ * Load modules that read the cache, after the cache directory is set
+ * @param {Object} options - Parsed options
+ * @returns {Object} Loaded modules and shared inputs
+ */
+function loadContext(options) {
+  if (!options['cache-dir']) {
+    throw new Error('--cache-dir is required');
+  }
+
+  // Everything the app keeps in its user data folder, so nothing is read from or written to the install folder
+  const stateDir = path.resolve(options['state-dir'] || path.dirname(path.resolve(options['cache-dir'])));
+
+  const cacheUtil = require('../main/cache-util');
+  cacheUtil.setCacheDir(options['cache-dir']);
+  cacheUtil.setCategoriesPath(path.join(stateDir, 'categories.json'));
+
+  const percentileSnapshots = require('../main/percentile-snapshots');
+  percentileSnapshots.setSnapshotDir(options['snapshot-dir'] || path.join(stateDir, 'percentile-snapshots'));
+
+  const scoringProfiles = require('../main/scoring-profiles');
+  scoringProfiles.setScoringProfilesPath(path.join(stateDir, 'scoring-profiles.json'));
+  require('../main/sire-inventory').setSireInventoryPath(path.join(stateDir, 'sire-inventory.json'));
+  require('../main/bulk-file-processor').setProcessedFilesPath(path.join(stateDir, 'bulk-files-processed.json'));
+  require('../main/bulk-import-journal').setJournalDir(path.join(stateDir, 'bulk-import-journals'));
+
+  const matingRanker = require('../main/mating-ranker');
+
+  const colorCriteriaPath = options['color-criteria'] || path.join(__dirname, '../config/color-criteria.json');
+  const colorCriteria = readJson(colorCriteriaPath);
+
+  const profile = options['profile-file']
+    ? { ...scoringProfiles.getScoringProfile(null), ...readJson(options['profile-file']) }
+    : scoringProfiles.getScoringProfile(options.profile || scoringProfiles.DEFAULT_PROFILE_ID);
+
+  return { cacheUtil, matingRanker, colorCriteria, profile };
+}
+
+/**
+ * Load percentile data from --percentiles / --cow-percentiles, the --percentile-date snapshot,
+ * or the cache (saved by the app; cached percentile data is used even when older than the
+ * refresh interval, and the newest snapshot when nothing is cached)
+ * @param {string|undefined} filePath - Percentile file option
+ * @param {Object} cacheUtil - Cache utility module
+ * @param {string} cacheKey - Cache key of the percentile data
+ * @param {string|undefined} percentileDate - Evaluation date option
+ * @returns {Object|null} Percentile data
+ */
+function loadPercentiles(filePath, cacheUtil, cacheKey, percentileDate) {
+  if (filePath) return loadPercentileFile(filePath);
+
+  const percentileSnapshots = require('../main/percentile-snapshots');
+  const type = cacheKey === 'percentile-breakdowns-cows' ? 'cow' : 'bull';
+  if (percentileDate) {
+    const snapshot = percentileSnapshots.getSnapshotForDate(type, percentileDate);
+    return snapshot ? snapshot.data : null;
+  }
+
+  const cached = cacheUtil.loadCache(cacheKey, true);
+  if (cached) return cached.data;
+  const latest = percentileSnapshots.getLatestSnapshot(type);
+  return latest ? latest.data : null;
+}
+
+/**
+ * Load bull (calf) percentile data, required for scoring and ranking
+ * @param {Object} options - Parsed options
+ * @param {Object} cacheUtil - Cache utility module
+ * @returns {Object} Percentile data
+ */
+function loadBullPercentiles(options, cacheUtil) {
+  const percentileData = loadPercentiles(options.percentiles, cacheUtil, 'percentile-breakdowns', options['percentile-date']);
+  if (!percentileData) {
+    if (!options.percentiles && options['percentile-date']) {
+      throw new Error(`No percentile snapshot on or before ${options['percentile-date']}`);
+    }
+    throw new Error(`Percentile data not found${options.percentiles ? `: ${options.percentiles}` : ' in the cache'} (use --percentiles)`);
+  }
+  return percentileData;
+}
+
+/**
+ * Load a --inventory file, normalized like the app's saved inventory
+ * @param {string} filePath - Sire inventory JSON
+ * @returns {Object} Inventory keyed by sire registration number
+ */
+function loadInventoryFile(filePath) {
+  const sireInventory = require('../main/sire-inventory');
+  const { inventory, invalid } = sireInventory.readSireInventoryFile(filePath);
+  if (invalid.length > 0) {
+    throw new Error(`Invalid sire inventory entries in ${filePath} for ${invalid.join(', ')} (use "serviceType": "ai" with "straws", or "natural" with "capacity")`);
+  }
+  return inventory;
+}
+
+/**
+ * score: score cached animals with the shared scoring function
+ * @param {Object} options - Parsed options
+ */
+function runScore(options) {
+  const { cacheUtil, matingRanker, colorCriteria, profile } = loadContext(options);
+  const bullPercentiles = loadBullPercentiles(options, cacheUtil);
+  const cowPercentiles = loadPercentiles(options['cow-percentiles'], cacheUtil, 'percentile-breakdowns-cows', options['percentile-date']) || bullPercentiles;
+  const gateTraits = parseList(options['gate-traits']);
+  const registrationNumbers = parseList(options.reg);
+
+  const animals = cacheUtil.getCachedAnimalsWithData().filter(animal => {
+    if (registrationNumbers.length > 0 && !registrationNumbers.includes(animal.registrationNumber)) return false;
+    if (options.sex === 'cow' && !isCow(animal)) return false;
+    if (options.sex === 'bull' && isCow(animal)) return false;
+    return inCategory(animal, options.category);
+  });
+
+  const results = animals.map(animal => {
+    // Same EPD parsing as the renderer: strip the "I" (inferred) prefix
+    const epdValues = {};
+    const accuracyByTrait = {};
+    Object.keys(animal.epdValues || {}).forEach(trait => {
+      const traitData = animal.epdValues[trait];
+      if (!traitData || !traitData.epd) return;
+      const epdValue = parseFloat(String(traitData.epd).replace(/^I\s*/i, '').trim());
+      if (isNaN(epdValue)) return;
+      epdValues[trait] = epdValue;
+      if (traitData.acc) accuracyByTrait[trait] = traitData.acc;
+    });
+
+    const accuracyOptions = options.accuracy
+      ? { accuracyByTrait, possibleChangeMultiplier: parseFloat(options['possible-change-multiplier']) || 1 }
+      : null;
+    const percentileData = isCow(animal) ? cowPercentiles : bullPercentiles;
+    const score = matingRanker.scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits, profile, accuracyOptions);
+
+    return {
+      registrationNumber: animal.registrationNumber,
+      animalName: animal.animalName || null,
+      sex: animal.sex || null,
+      categories: animal.categories,
+      score: round(score)
+    };
+  });
+
+  results.sort((a, b) => (b.score - a.score) || a.registrationNumber.localeCompare(b.registrationNumber));
+
+  if (options.format === 'csv') {
+    writeOutput(toCsv(
+      ['Registration Number', 'Name', 'Sex', 'Categories', 'Score'],
+      results.map(r => [r.registrationNumber, r.animalName, r.sex, r.categories.join('; '), r.score])
+    ), options.output);
+  } else {
+    writeOutput(JSON.stringify({ profileId: profile.id, animals: results }, null, 2) + '\n', options.output);
+  }
+  console.error(`Scored ${results.length} animals`);
+}
+
+/**
+ * rank-matings: rank all matings, or build an optimized plan
+ * @param {Object} options - Parsed options
+ */
+function runRankMatings(options) {
+  const { cacheUtil, matingRanker, colorCriteria, profile } = loadContext(options);
+  const percentileData = loadBullPercentiles(options, cacheUtil);
+  const heiferPercentileData = loadPercentiles(options['cow-percentiles'], cacheUtil, 'percentile-breakdowns-cows', options['percentile-date']);
+  const pedigree = require('../main/pedigree');
+
+  const allAnimals = cacheUtil.getCachedAnimalsWithData();
+  const { cows, sires } = matingRanker.selectCowsAndSires(
+    allAnimals,
+    options['cow-category'] || null,
+    options['sire-category'] || null
+  );
+  if (cows.length === 0) throw new Error('No cows found in cache for the selected category');
+  if (sires.length === 0) throw new Error('No sires found in cache for the selected category');
+  const rankByCalf = options['rank-by-calf'] || 'bull';
+  if (rankByCalf !== 'bull' && rankByCalf !== 'heifer') throw new Error('--rank-by-calf must be bull or heifer');
+  if (rankByCalf === 'heifer' && !heiferPercentileData) {
+    throw new Error('Cow percentile data not found (use --cow-percentiles) - needed to rank by heifer calf');
+  }
+
+  const numberOption = (name, fallback) => {
+    const value = parseFloat(options[name]);
+    return isNaN(value) ? fallback : value;
+  };
+  const config = {
+    topN: parseInt(options.top, 10) || 5,
+    gateTraits: parseList(options['gate-traits']),
+    profile: profile,
+    heiferPercentileData: heiferPercentileData,
+    rankByCalf: rankByCalf,
+    inbreedingMode: options['inbreeding-mode'] || 'off',
+    maxInbreeding: numberOption('max-inbreeding', 6.25),
+    inbreedingPenalty: numberOption('inbreeding-penalty', 1),
+    geneticConditionMode: options['genetic-condition-mode'] || 'flag',
+    maxGeneticRisk: numberOption('max-genetic-risk', 25),
+    includeTraitConditions: options['include-trait-conditions'] === true,
+    accuracyMode: options.accuracy === true,
+    possibleChangeMultiplier: numberOption('possible-change-multiplier', 1),
+    strawsPerCow: numberOption('straws-per-cow', 1),
+    // Pedigree from all cached animals so ancestors outside the selected categories still count
+    pedigreeGraph: pedigree.buildPedigreeGraph(allAnimals)
+  };
+
+  let matings;
+  let plan = null;
+  if (options.optimize) {
+    const matingOptimizer = require('../main/mating-optimizer');
+    const inventory = options.inventory ? loadInventoryFile(options.inventory) : require('../main/sire-inventory').loadSireInventory();
+    plan = matingOptimizer.optimizeMatingPlan(cows, sires, percentileData, colorCriteria, config, inventory);
+    matings = plan.assignments;
+  } else {
+    matings = matingRanker.rankAllMatings(cows, sires, percentileData, colorCriteria, config);
+  }
+
+  // Rank of each sire within its cow (results are already sorted per cow)
+  const rankWithinCow = {};
+  const rows = matings.map(mating => {
+    rankWithinCow[mating.cowId] = (rankWithinCow[mating.cowId] || 0) + 1;
+    const traits = {};
+    Object.keys(mating.traitResults || {}).sort().forEach(trait => {
+      const result = mating.traitResults[trait];
+      traits[trait] = { calfEpd: round(result.calfEpd), calfPercentile: result.calfPercentile, band: result.band };
+    });
+    return {
+      cowId: mating.cowId,
+      cowName: mating.cowName,
+      sireRank: rankWithinCow[mating.cowId],
+      sireId: mating.sireId,
+      sireName: mating.sireName,
+      score: round(mating.score),
+      bullCalfScore: round(mating.bullCalf.score),
+      heiferCalfScore: mating.heiferCalf ? round(mating.heiferCalf.score) : null,
+      passedGate: mating.passedGate,
+      failedGateTraits: mating.failedGateTraits,
+      inbreedingPercent: mating.inbreedingCoefficient !== null ? round(mating.inbreedingCoefficient * 100, 2) : null,
+      geneticRiskPercent: round(mating.geneticRisk * 100, 2),
+      geneticConditions: (mating.geneticConditionRisks || []).map(r => r.condition),
+      numBelowLightGreenAllTraits: mating.numBelowLightGreenAllTraits,
+      improvedEmphasisTraitsCount: mating.improvedEmphasisTraitsCount,
+      improvedTraitsCount: mating.improvedTraitsCount,
+      worsenedTraitsCount: mating.worsenedTraitsCount,
+      traits: traits
+    };
+  });
+
+  if (options.format === 'csv') {
+    writeOutput(toCsv(
+      ['Cow', 'Cow Registration', 'Sire Rank', 'Sire', 'Sire Registration', 'Score', 'Bull Calf Score', 'Heifer Calf Score', 'Gate', 'Inbreeding %', 'Genetic Risk %', 'Improved', 'Worsened'],
+      rows.map(r => [r.cowName, r.cowId, r.sireRank, r.sireName, r.sireId, r.score, r.bullCalfScore, r.heiferCalfScore, r.passedGate ? 'Pass' : 'Fail',
+        r.inbreedingPercent, r.geneticRiskPercent, r.improvedTraitsCount, r.worsenedTraitsCount])
+    ), options.output);
+  } else {
+    const output = {
+      profileId: profile.id,
+      rankByCalf: rankByCalf,
+      totalCows: cows.length,
+      totalSires: sires.length,
+      matings: rows
+    };
+    if (plan) {
+      output.totalScore = round(plan.totalScore);
+      output.unassignedCows = plan.unassignedCows;
+      output.sireUsage = plan.sireUsage;
+    }
+    writeOutput(JSON.stringify(output, null, 2) + '\n', options.output);
+  }
+  console.error(`Ranked ${rows.length} matings for ${cows.length} cows and ${sires.length} sires`);
+}
+
+/**
+ * export: write cached animals to a bulk file
+ * @param {Object} options - Parsed options
+ */
+async function runExport(options) {
+  if (!options.output) throw new Error('--output is required');
+  const { cacheUtil } = loadContext(options);
+  const bulkFileProcessor = require('../main/bulk-file-processor');
+  const bulkFileCompression = require('../main/bulk-file-compression');
+  const registrationNumbers = parseList(options.reg);
+
+  const animals = cacheUtil.getCachedAnimals()
+    .filter(animal => registrationNumbers.length === 0 || registrationNumbers.includes(animal.registrationNumber))
+    .filter(animal => inCategory(animal, options.category))
+    .map(animal => {
+      const cached = cacheUtil.loadCache(`epd_${animal.registrationNumber}`);
+      if (!cached || !cached.data) return null;
+      const categories = cacheUtil.getCategoriesFromCached(cached);
+      return {
+        registrationNumber: animal.registrationNumber,
+        data: cached.data,
+        cachedAt: cached.cachedAt,
+        categories,
+        category: categories[0] || 'My Herd'
+      };
+    })
+    .filter(Boolean);
+
+  if (animals.length === 0) throw new Error('No cached animals matched');
+
+  const bulkFile = bulkFileProcessor.createBulkFileFromAnimals(animals, {
+    version: options.version || '1.0.0',
+    type: options.type || 'bulk-file',
+    category: options.category || null,
+    description: options.description || null,
+    stripPageData: options['strip-page-data'] === true
+  });
+  const written = await bulkFileCompression.writeBulkFile(options.output, bulkFile);
+  console.error(`Exported ${animals.length} animals to ${options.output} (${written.size} bytes${written.compression ? `, ${written.uncompressedSize} uncompressed` : ''})`);
+}
+
+/**
+ * import-bulk: import a bulk file into the cache
+ * @param {string} filePath - Bulk file path
+ * @param {Object} options - Parsed options
+ */
+async function runImportBulk(filePath, options) {
+  if (!filePath) throw new Error('Bulk file path is required');
+  loadContext(options);
+  const bulkFileProcessor = require('../main/bulk-file-processor');
+
+  const result = await bulkFileProcessor.processBulkFile(filePath, {
+    categoryMode: options.category ? 'user-selected' : 'use-file-category',
+    userSelectedCategories: options.category ? [options.category] : null,
+    createCategoryIfMissing: options['create-categories'] === true,
+    updateStrategy: options['update-strategy'] || 'merge',
+    forceReprocess: options.force === true || options['dry-run'] === true,
+    dryRun: options['dry-run'] === true
+  });
+
+  if (!result.success) throw new Error(result.error);
+  if (result.dryRun) {
+    writeOutput(JSON.stringify({
+      bulkFileId: result.bulkFileId || null,
+      version: result.version || null,
+      dryRun: true,
+      report: result.report
+    }, null, 2) + '\n', options.output);
+    return;
+  }
+  writeOutput(JSON.stringify({
+    bulkFileId: result.bulkFileId || null,
+    version: result.version || null,
+    alreadyProcessed: result.alreadyProcessed === true,
+    importedCount: result.importedCount,
+    updatedCount: result.updatedCount,
+    skippedCount: result.skippedCount,
+    removedCount: result.removedCount || 0
+  }, null, 2) + '\n', options.output);
+}
+
+/**
+ * import-html: parse a folder of saved EPD detail pages into the cache
+ * @param {string} folderPath - Folder containing .html/.htm files
+ * @param {Object} options - Parsed options
+ */
+function runImportHtml(folderPath, options) {
+  if (!folderPath) throw new Error('Folder path is required');
+  loadContext(options);
+  const htmlImport = require('../main/html-import');
+
+  const result = htmlImport.importSavedHtmlPages(folderPath, options.category || 'My Herd');
+  if (result.importedCount === undefined) throw new Error(result.error);
+  writeOutput(JSON.stringify({
+    importedCount: result.importedCount,
+    totalFiles: result.totalFiles,
+    imported: result.imported,
+    failed: result.failed
+  }, null, 2) + '\n', options.output);
+  if (!result.success) process.exitCode = 1;
+}
+
+async function main() {
+  const { command, positional, options } = parseArgs(process.argv.slice(2));
+
+  if (!command || options.help) {
+    console.error(USAGE);
+    process.exit(options.help ? 0 : 1);
+  }
+
+  // Module logging goes to stderr (or nowhere) so stdout stays clean for piping
+  const originalLog = console.log;
+  console.log = options.verbose ? console.error : () => {};
+
+  try {
+    switch (command) {
+      case 'score':
+        runScore(options);
+        break;
+      case 'rank-matings':
+        runRankMatings(options);
+        break;
+      case 'export':
+        await runExport(options);
+        break;
+      case 'import-bulk':
+        await runImportBulk(positional[0] || options.file, options);
+        break;
+      case 'import-html':
+        runImportHtml(positional[0] || options.folder, options);
+        break;
+      default:
+        console.error(`Unknown command: ${command}\n`);
+        console.error(USAGE);
+        process.exit(1);
+    }
+  } catch (error) {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+main();
@@ -0,0 +1,144 @@
+/**
+ * Compressed bulk files
+ *
+ * Bulk files can be published gzip-compressed (.json.gz) or brotli-compressed (.json.br). The
+ * JSON compresses very well (the same field names and page text repeat for every animal), so
+ * downloads over slow connections are several times smaller. The app keeps the compressed file
+ * as downloaded (its SHA-256 is what the manifest lists) and decompresses it while reading.
+ *
+ * The manifest lists both sizes: size (download) and uncompressedSize.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const COMPRESSION_EXTENSIONS = {
+  '.gz': 'gzip',
+  '.br': 'brotli'
+};
+
+const GZIP_MAGIC = [0x1f, 0x8b];
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+
+/**
+ * Get the compression of a bulk file from its name
+ * @param {string} filePath - File path, name or URL path
+ * @returns {string|null} 'gzip', 'brotli' or null (plain JSON)
+ */
+function getCompression(filePath) {
+  const match = String(filePath || '').toLowerCase().match(/(\.gz|\.br)$/);
+  return match ? COMPRESSION_EXTENSIONS[match[1]] : null;
+}
+
+/**
+ * Get the compression of a local bulk file, from its name or (for gzip) its first bytes
+ * @param {string} filePath - File path
+ * @returns {string|null} 'gzip', 'brotli' or null (plain JSON)
+ */
+function detectCompression(filePath) {
+  const fromName = getCompression(filePath);
+  if (fromName) return fromName;
+
+  const header = Buffer.alloc(GZIP_MAGIC.length);
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const bytesRead = fs.readSync(fd, header, 0, header.length, 0);
+    return bytesRead === header.length && header[0] === GZIP_MAGIC[0] && header[1] === GZIP_MAGIC[1] ? 'gzip' : null;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Remove the .json / .json.gz / .json.br extension from a bulk file name
+ * @param {string} filename - File name
+ * @returns {string} Name without extension
+ */
+function stripBulkFileExtension(filename) {
+  return String(filename).replace(/\.json(\.gz|\.br)?$/i, '');
+}
+
+/**
+ * Create a stream that decompresses a bulk file
+ * @param {string} compression - 'gzip' or 'brotli'
+ * @returns {stream.Transform} Decompression stream
+ */
+function createDecompressStream(compression) {
+  switch (compression) {
+    case 'gzip':
+      return zlib.createGunzip();
+    case 'brotli':
+      return zlib.createBrotliDecompress();
+    default:
+      throw new Error(`Unknown bulk file compression: ${compression}`);
+  }
+}
+
+/**
+ * Decompress bulk file content
+ * @param {Buffer} buffer - File content
+ * @param {string|null} compression - 'gzip', 'brotli' or null (returned unchanged)
+ * @returns {Buffer} JSON bytes
+ */
+function decompressBuffer(buffer, compression) {
+  switch (compression) {
+    case 'gzip':
+      return zlib.gunzipSync(buffer);
+    case 'brotli':
+      return zlib.brotliDecompressSync(buffer);
+    default:
+      return buffer;
+  }
+}
+
+/**
+ * Read and parse a whole bulk file, compressed or not (publishing scripts; the app streams
+ * bulk files with bulkFileReader instead)
+ * @param {string} filePath - Bulk file path
+ * @returns {Object} Parsed bulk file
+ */
+function readBulkFileJson(filePath) {
+  const buffer = decompressBuffer(fs.readFileSync(filePath), detectCompression(filePath));
+  return JSON.parse(buffer.toString('utf8'));
+}
+
+/**
+ * Write a bulk file, compressed when the file name ends in .gz or .br
+ * Compressed files are written without indentation (it only costs compression time).
+ * @param {string} filePath - Output path
+ * @param {Object} bulkFile - Bulk file object
+ * @returns {Promise<Object>} { compression, size, uncompressedSize }
+ */
+async function writeBulkFile(filePath, bulkFile) {
+  const compression = getCompression(filePath);
+  const json = Buffer.from(compression ? JSON.stringify(bulkFile) : JSON.stringify(bulkFile, null, 2), 'utf8');
+
+  let content = json;
+  if (compression === 'gzip') {
+    content = await gzip(json, { level: zlib.constants.Z_BEST_COMPRESSION });
+  } else if (compression === 'brotli') {
+    content = await brotliCompress(json, {
+      params: {
+        [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+        [zlib.constants.BROTLI_PARAM_SIZE_HINT]: json.length
+      }
+    });
+  }
+
+  await fs.promises.writeFile(filePath, content);
+  return { compression, size: content.length, uncompressedSize: json.length };
+}
+
+module.exports = {
+  COMPRESSION_EXTENSIONS,
+  getCompression,
+  detectCompression,
+  stripBulkFileExtension,
+  createDecompressStream,
+  decompressBuffer,
+  readBulkFileJson,
+  writeBulkFile
+};
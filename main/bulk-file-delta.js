@@ -0,0 +1,155 @@
+/**
+ * Delta bulk files
+ *
+ * A delta bulk file holds only the animals added, changed or removed since a base version
+ * of the same bulk file, so clients that already imported the base don't download and
+ * re-process the whole list (scripts/create-bulk-file.js --base).
+ *
+ * Delta file: a bulk file with a delta field and the removed animals listed separately:
+ *   { version, metadata, delta: { baseVersion, addedCount, changedCount, removedCount },
+ *     animals: [added and changed animals], removedAnimals: [{ registrationNumber, category }] }
+ *
+ * The manifest entry for a bulk file lists its deltas, which chain from older versions up to
+ * the current one:
+ *   { id, version: '1.2.0', url, ..., deltas: [{ baseVersion: '1.0.0', version: '1.1.0', url, sha256, size }, ...] }
+ * A client on 1.0.0 applies 1.0.0 -> 1.1.0 -> 1.2.0 in order. A client with no chain from its
+ * version (or no import yet) downloads the full file.
+ */
+
+const { canonicalJson } = require('./bulk-file-signature');
+
+// Fields in animal data that change on every scrape without the animal changing
+const VOLATILE_DATA_FIELDS = ['extractedAt'];
+
+// Longest delta chain followed before falling back to the full file
+const MAX_CHAIN_LENGTH = 50;
+
+/**
+ * Check whether bulk file data is a delta
+ * @param {Object} data - Parsed bulk file
+ * @returns {boolean} True if the file is a delta against a base version
+ */
+function isDeltaBulkFile(data) {
+  return !!(data && data.delta && data.delta.baseVersion);
+}
+
+/**
+ * Compare two semantic versions
+ * @param {string} a - Version (e.g. "1.2.0")
+ * @param {string} b - Version
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+function compareVersions(a, b) {
+  const partsA = String(a || '0').split('.').map(part => parseInt(part, 10) || 0);
+  const partsB = String(b || '0').split('.').map(part => parseInt(part, 10) || 0);
+  for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+    const diff = (partsA[i] || 0) - (partsB[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * Get the file name for a delta bulk file
+ * @param {string} type - Bulk file type (e.g. "part-2")
+ * @param {string} version - New version
+ * @param {string} baseVersion - Base version the delta applies to
+ * @param {string} extension - File extension (default: ".json"; ".json.gz" or ".json.br" for compressed deltas)
+ * @returns {string} File name (e.g. "part-2-v1.1.0-delta-from-v1.0.0.json")
+ */
+function getDeltaFileName(type, version, baseVersion, extension = '.json') {
+  return `${type}-v${version}-delta-from-v${baseVersion}${extension}`;
+}
+
+/**
+ * Get the comparable part of an animal (data without volatile fields, plus its category)
+ * @param {Object} animal - Bulk file animal
+ * @returns {string} Canonical JSON
+ */
+function getAnimalFingerprint(animal) {
+  const data = { ...(animal.data || {}) };
+  VOLATILE_DATA_FIELDS.forEach(field => delete data[field]);
+  return canonicalJson({ data, category: animal.category || null });
+}
+
+/**
+ * Create a delta bulk file from a base version and a new full version
+ * @param {Object} baseData - Base bulk file (full file)
+ * @param {Object} newData - New bulk file (full file)
+ * @returns {Object} Delta bulk file
+ */
+function createDelta(baseData, newData) {
+  if (isDeltaBulkFile(baseData) || isDeltaBulkFile(newData)) {
+    throw new Error('Deltas are created from two full bulk files, not from a delta');
+  }
+  if (compareVersions(newData.version, baseData.version) <= 0) {
+    throw new Error(`New version ${newData.version} must be newer than base version ${baseData.version}`);
+  }
+
+  const baseAnimals = new Map(baseData.animals.map(animal => [animal.registrationNumber, animal]));
+  const newRegistrationNumbers = new Set(newData.animals.map(animal => animal.registrationNumber));
+
+  const added = [];
+  const changed = [];
+  newData.animals.forEach(animal => {
+    const baseAnimal = baseAnimals.get(animal.registrationNumber);
+    if (!baseAnimal) {
+      added.push(animal);
+    } else if (getAnimalFingerprint(baseAnimal) !== getAnimalFingerprint(animal)) {
+      changed.push(animal);
+    }
+  });
+
+  const removedAnimals = baseData.animals
+    .filter(animal => !newRegistrationNumbers.has(animal.registrationNumber))
+    .map(animal => ({ registrationNumber: animal.registrationNumber, category: animal.category || null }));
+
+  return {
+    version: newData.version,
+    lastUpdated: newData.lastUpdated || new Date().toISOString(),
+    source: newData.source,
+    metadata: { ...newData.metadata },
+    delta: {
+      baseVersion: baseData.version,
+      addedCount: added.length,
+      changedCount: changed.length,
+      removedCount: removedAnimals.length
+    },
+    animals: added.concat(changed),
+    removedAnimals
+  };
+}
+
+/**
+ * Find the deltas that take a bulk file from a local version to the manifest version
+ * At each step the delta reaching furthest (without passing the manifest version) is used.
+ * @param {Object} manifestEntry - Manifest entry ({ version, deltas })
+ * @param {string} fromVersion - Version imported locally
+ * @returns {Array|null} Deltas to apply in order, or null if there is no chain from that version
+ */
+function findDeltaChain(manifestEntry, fromVersion) {
+  const deltas = (manifestEntry && manifestEntry.deltas) || [];
+  if (!fromVersion || deltas.length === 0 || compareVersions(fromVersion, manifestEntry.version) >= 0) {
+    return null;
+  }
+
+  const chain = [];
+  let current = fromVersion;
+  while (compareVersions(current, manifestEntry.version) !== 0) {
+    const next = deltas
+      .filter(delta => delta.baseVersion === current && compareVersions(delta.version, manifestEntry.version) <= 0)
+      .sort((a, b) => compareVersions(b.version, a.version))[0];
+    if (!next || chain.length >= MAX_CHAIN_LENGTH) return null;
+    chain.push(next);
+    current = next.version;
+  }
+  return chain;
+}
+
+module.exports = {
+  isDeltaBulkFile,
+  compareVersions,
+  getDeltaFileName,
+  createDelta,
+  findDeltaChain
+};
@@ -4,6 +4,11 @@ const https = require('https');
 const http = require('http');
 const { app } = require('electron');
 const bulkFileProcessor = require('./bulk-file-processor');
+const bulkFileSignature = require('./bulk-file-signature');
+const bulkFileDelta = require('./bulk-file-delta');
+const bulkImportJournal = require('./bulk-import-journal');
+const bulkFileReader = require('./bulk-file-reader');
+const bulkFileCompression = require('./bulk-file-compression');
 
 // Default manifest URL (uses same server as license server)
 // Can be overridden via environment variable BULK_FILE_MANIFEST_URL
@@ -47,26 +52,32 @@ function getIgnoredUpdatesPath() {
 
 /**
  * Download a file from URL
+ * Plain JSON files are requested with gzip/brotli transfer compression (Content-Encoding) and
+ * decompressed as they are saved. Compressed bulk files (.json.gz, .json.br) are saved as-is,
+ * since the manifest's SHA-256 is for the compressed file; they are decompressed on import.
  * @param {string} url - URL to download from
  * @param {string} targetPath - Path to save file to
- * @returns {Promise<Object>} { success: boolean, error?: string }
+ * @returns {Promise<Object>} { success: boolean, size?: number, transferredBytes?: number, error?: string }
  */
 function downloadBulkFile(url, targetPath) {
   return new Promise((resolve) => {
     try {
       const urlObj = new URL(url);
       const client = urlObj.protocol === 'https:' ? https : http;
+      const isCompressedFile = !!bulkFileCompression.getCompression(urlObj.pathname);
 
       const options = {
         hostname: urlObj.hostname,
         port: urlObj.port || (urlObj.protocol === 'https:' ? 443 : 80),
         path: urlObj.pathname + (urlObj.search || ''),
         method: 'GET',
+        headers: isCompressedFile ? {} : { 'Accept-Encoding': 'gzip, br' },
         timeout: 30000 // 30 second timeout
       };
 
       const file = fs.createWriteStream(targetPath);
       let downloadedBytes = 0;
+      let writtenBytes = 0;
 
       const req = client.request(options, (res) => {
         if (res.statusCode !== 200) {
@@ -78,36 +89,56 @@ function downloadBulkFile(url, targetPath) {
 
         const totalSize = parseInt(res.headers['content-length'] || '0', 10);
 
+        // Undo transfer compression (some servers also label .gz files as gzip-encoded; those are kept as-is)
+        const contentEncoding = (res.headers['content-encoding'] || '').toLowerCase();
+        const compression = contentEncoding === 'gzip' ? 'gzip' : contentEncoding === 'br' ? 'brotli' : null;
+        const body = compression && !isCompressedFile ? res.pipe(bulkFileCompression.createDecompressStream(compression)) : res;
+        if (body !== res) {
+          console.log(`[BULK-MANAGER] Server sent ${contentEncoding}-encoded data, decompressing`);
+          body.on('error', (error) => {
+            file.destroy();
+            if (fs.existsSync(targetPath)) {
+              fs.unlinkSync(targetPath);
+            }
+            console.error('[BULK-MANAGER] Decompression error:', error);
+            resolve({ success: false, error: `Download could not be decompressed: ${error.message}` });
+          });
+        }
+
         res.on('data', (chunk) => {
           downloadedBytes += chunk.length;
+        });
+
+        body.on('data', (chunk) => {
+          writtenBytes += chunk.length;
           const written = file.write(chunk);
           // Handle backpressure - if write buffer is full, wait for drain
           if (!written) {
-            res.pause();
+            body.pause();
             file.once('drain', () => {
-              res.resume();
+              body.resume();
             });
           }
         });
 
-        res.on('end', () => {
+        body.on('end', () => {
           file.end();
         });
 
         // Wait for file stream to finish writing all data
         file.on('finish', () => {
-          console.log(`[BULK-MANAGER] Downloaded ${downloadedBytes} bytes to ${targetPath}`);
+          console.log(`[BULK-MANAGER] Downloaded ${downloadedBytes} bytes${body !== res ? ` (${writtenBytes} decompressed)` : ''} to ${targetPath}`);
           // Verify file was written correctly
           try {
             const stats = fs.statSync(targetPath);
-            if (stats.size !== downloadedBytes) {
-              console.error(`[BULK-MANAGER] WARNING: File size mismatch! Expected ${downloadedBytes} bytes, got ${stats.size} bytes`);
+            if (stats.size !== writtenBytes) {
+              console.error(`[BULK-MANAGER] WARNING: File size mismatch! Expected ${writtenBytes} bytes, got ${stats.size} bytes`);
               // Still resolve success, but log the warning
             }
           } catch (statError) {
             console.error(`[BULK-MANAGER] Error checking file stats:`, statError);
           }
-          resolve({ success: true, size: downloadedBytes });
+          resolve({ success: true, size: writtenBytes, transferredBytes: downloadedBytes });
         });
 
         file.on('error', (error) => {
@@ -147,9 +178,10 @@ function downloadBulkFile(url, targetPath) {
 }
 
 /**
- * Download and parse manifest file
+ * Download, parse and verify the manifest file
+ * The manifest signature is checked against the trusted publisher keys (see bulk-file-signature.js).
  * @param {string} manifestUrl - URL to manifest file (optional, uses default if not provided)
- * @returns {Promise<Object>} { success: boolean, manifest?: Object, error?: string }
+ * @returns {Promise<Object>} { success: boolean, manifest?: Object, verification?: { signed, required }, error?: string }
  */
 async function getManifest(manifestUrl = DEFAULT_MANIFEST_URL) {
   try {
@@ -171,7 +203,17 @@ async function getManifest(manifestUrl = DEFAULT_MANIFEST_URL) {
       return { success: false, error: 'Invalid manifest structure: missing bulkFiles array' };
     }
 
-    return { success: true, manifest };
+    // Verify the publisher's signature
+    const verification = bulkFileSignature.verifyManifest(manifest);
+    if (!verification.valid) {
+      console.error('[BULK-MANAGER] Manifest verification failed:', verification.error);
+      return { success: false, error: `Bulk file manifest failed verification: ${verification.error}` };
+    }
+    if (!verification.signed) {
+      console.warn('[BULK-MANAGER] Manifest is not signed; accepting it until a publisher key is configured (npm run generate-publisher-key)');
+    }
+
+    return { success: true, manifest, verification: { signed: verification.signed, required: verification.required } };
   } catch (error) {
     console.error('[BULK-MANAGER] Error getting manifest:', error);
     return { success: false, error: error.message };
@@ -300,6 +342,9 @@ async function getBulkFileStatus() {
         }
       }
 
+      // Updates that can be applied as deltas only download the changes
+      const deltaChain = statusType === 'update-available' ? bulkFileDelta.findDeltaChain(bulkFile, processed.version) : null;
+
       status.bulkFiles.push({
         id: bulkFile.id,
         name: bulkFile.name,
@@ -310,6 +355,9 @@ async function getBulkFileStatus() {
         lastProcessed: processed?.processedAt || null,
         animalCount: bulkFile.animalCount || 0,
         url: bulkFile.url || null, // Include URL for importing
+        size: bulkFile.size || null,
+        uncompressedSize: bulkFile.uncompressedSize || null,
+        deltaUpdate: deltaChain ? { count: deltaChain.length, size: deltaChain.reduce((sum, delta) => sum + (delta.size || 0), 0) } : null,
         ignored: ignored ? { version: ignored.version, permanent: ignored.permanent } : null
       });
     });
@@ -370,8 +418,145 @@ async function checkForUpdates() {
   return await getPendingUpdates();
 }
 
+/**
+ * Download a bulk file and check it against its manifest entry before it is processed
+ * Tampered, truncated or unparseable files are rejected (verification failures are deleted).
+ * @param {string} url - URL to bulk file
+ * @param {string} targetPath - Path to save file to
+ * @param {Object|null} manifestEntry - Manifest entry (or delta entry) with sha256 and size
+ * @param {boolean} verificationRequired - Whether a signed manifest is in use
+ * @returns {Promise<Object>} { success: boolean, size?: number, error?: string }
+ */
+async function downloadVerifiedBulkFile(url, targetPath, manifestEntry, verificationRequired) {
+  const filename = path.basename(targetPath);
+
+  const downloadResult = await downloadBulkFile(url, targetPath);
+  if (!downloadResult.success) {
+    return { success: false, error: `Download failed: ${downloadResult.error}` };
+  }
+
+  // Reject tampered or truncated files before anything is imported
+  const fileCheck = bulkFileSignature.verifyBulkFile(targetPath, manifestEntry, verificationRequired);
+  if (!fileCheck.valid) {
+    console.error(`[BULK-MANAGER] ${filename} failed verification: ${fileCheck.error}`);
+    fs.unlinkSync(targetPath);
+    return { success: false, error: `Bulk file failed verification: ${fileCheck.error}` };
+  }
+  if (fileCheck.checked) {
+    console.log(`[BULK-MANAGER] SHA-256 verified for ${filename}`);
+  } else {
+    console.warn(`[BULK-MANAGER] No SHA-256 in manifest for ${filename}, skipping checksum verification`);
+  }
+
+  // Check the downloaded file is complete JSON before processing (streamed, so large files fit in memory)
+  try {
+    const fileInfo = await bulkFileReader.readBulkFileHeader(targetPath);
+    console.log(`[BULK-MANAGER] Downloaded file validated as JSON (${downloadResult.size} bytes${fileInfo.compression ? `, ${fileInfo.uncompressedBytes} bytes uncompressed` : ''})`);
+    
+    // Basic validation - check it has expected structure
+    if (!fileInfo.hasAnimals) {
+      return { 
+        success: false, 
+        error: 'Downloaded file has invalid structure (missing animals array). File may be corrupted.' 
+      };
+    }
+    console.log(`[BULK-MANAGER] File contains ${fileInfo.animalCount} animals`);
+  } catch (validateError) {
+    console.error(`[BULK-MANAGER] Downloaded file is not valid JSON: ${validateError.message}`);
+    // Try to get file size for debugging
+    const stats = fs.statSync(targetPath);
+    return { 
+      success: false, 
+      error: `Downloaded file is corrupted: ${validateError.message}. File size: ${stats.size} bytes. Please re-upload the file to the server or contact support.` 
+    };
+  }
+
+  return { success: true, size: downloadResult.size };
+}
+
+/**
+ * Bring an imported bulk file up to date by applying its delta files in order
+ * @param {string} bulkFileId - Bulk file ID
+ * @param {Array} deltaChain - Delta entries from bulkFileDelta.findDeltaChain()
+ * @param {boolean} verificationRequired - Whether a signed manifest is in use
+ * @param {Object} options - Import options
+ * @param {Function} progressCallback - Progress callback
+ * @returns {Promise<Object>} Combined import result, or { success: false, error } to fall back to the full file
+ */
+async function applyDeltaChain(bulkFileId, deltaChain, verificationRequired, options, progressCallback = null) {
+  const bulkFilesDir = getBulkFilesDir();
+  const combined = {
+    success: true,
+    bulkFileId,
+    version: null,
+    importId: null,
+    deltasApplied: [],
+    total: 0,
+    importedCount: 0,
+    updatedCount: 0,
+    skippedCount: 0,
+    removedCount: 0,
+    deletedCount: 0,
+    categoriesCreated: [],
+    categoriesUsed: []
+  };
+  const dryRunReports = [];
+
+  for (let i = 0; i < deltaChain.length; i++) {
+    const delta = deltaChain[i];
+    const stepStart = Math.floor((i / deltaChain.length) * 100);
+    const stepSize = 100 / deltaChain.length;
+
+    if (progressCallback) {
+      progressCallback(stepStart, 100, `Downloading update ${i + 1} of ${deltaChain.length} (v${delta.baseVersion} to v${delta.version})...`);
+    }
+
+    const filename = path.basename(new URL(delta.url).pathname);
+    const targetPath = path.join(bulkFilesDir, filename);
+    const downloadResult = await downloadVerifiedBulkFile(delta.url, targetPath, delta, verificationRequired);
+    if (!downloadResult.success) {
+      return { success: false, error: downloadResult.error };
+    }
+
+    // A dry run doesn't change the imported version, so each delta is checked against the previous one
+    const processOptions = { ...options, bulkFileId, previewBaseVersion: options.dryRun ? delta.baseVersion : undefined };
+    const processResult = await bulkFileProcessor.processBulkFile(targetPath, processOptions, (bytesRead, totalBytes, processed, total) => {
+      if (progressCallback) {
+        const progress = stepStart + Math.floor((bytesRead / totalBytes) * stepSize);
+        progressCallback(progress, 100, `${options.dryRun ? 'Checking' : 'Applying'} update ${i + 1} of ${deltaChain.length}: animal ${processed} of ${total}...`);
+      }
+    });
+    if (!processResult.success) {
+      return { success: false, error: processResult.error };
+    }
+    if (processResult.report) {
+      dryRunReports.push(processResult.report);
+    }
+
+    combined.version = processResult.version;
+    combined.importId = processResult.importId || combined.importId;
+    combined.deltasApplied.push(processResult.version);
+    ['total', 'importedCount', 'updatedCount', 'skippedCount', 'removedCount', 'deletedCount'].forEach(field => {
+      combined[field] += processResult[field] || 0;
+    });
+    combined.categoriesCreated = [...new Set([...combined.categoriesCreated, ...(processResult.categoriesCreated || [])])];
+    combined.categoriesUsed = [...new Set([...combined.categoriesUsed, ...(processResult.categoriesUsed || [])])];
+  }
+
+  if (options.dryRun) {
+    combined.dryRun = true;
+    combined.report = bulkFileProcessor.mergeDryRunReports(dryRunReports);
+  }
+
+  return combined;
+}
+
 /**
  * Import a bulk file (download and process)
+ * If an older version was imported and the manifest lists deltas from it, only the deltas are
+ * downloaded and applied; otherwise (or if a delta can't be applied) the full file is imported.
+ * With options.dryRun, the file is downloaded and checked but nothing is imported; the result
+ * has a report of what would change.
  * @param {string} bulkFileId - Bulk file ID
  * @param {string} url - URL to bulk file
  * @param {Object} options - Import options
@@ -380,9 +565,38 @@ async function checkForUpdates() {
  */
 async function importBulkFile(bulkFileId, url, options = {}, progressCallback = null) {
   // Always force re-processing when explicitly importing (user wants to import with current options)
-  options = { ...options, forceReprocess: true };
+  // All files processed for this import share one import ID, so they are reverted together
+  options = { ...options, forceReprocess: true, importId: bulkImportJournal.createImportId() };
   try {
     const bulkFilesDir = getBulkFilesDir();
+
+    // Look the file up in the verified manifest so the download can be checked against its SHA-256
+    const manifestResult = await getManifest();
+    if (!manifestResult.success) {
+      return { success: false, error: manifestResult.error };
+    }
+    const manifestFiles = manifestResult.manifest.bulkFiles;
+    const manifestEntry = manifestFiles.find(bf => bf.id === bulkFileId && bf.url === url) ||
+      manifestFiles.find(bf => bf.url === url) ||
+      null;
+    const verificationRequired = manifestResult.verification.required;
+    if (!manifestEntry && verificationRequired) {
+      return { success: false, error: 'Bulk file failed verification: it is not listed in the signed manifest.' };
+    }
+
+    // Apply deltas from the imported version when the manifest has a chain from it
+    const processedFile = bulkFileProcessor.getProcessedBulkFiles().processedFiles[bulkFileId];
+    const deltaChain = processedFile ? bulkFileDelta.findDeltaChain(manifestEntry, processedFile.version) : null;
+    if (deltaChain) {
+      console.log(`[BULK-MANAGER] Updating ${bulkFileId} from v${processedFile.version} with ${deltaChain.length} delta file(s)`);
+      const deltaResult = await applyDeltaChain(bulkFileId, deltaChain, verificationRequired, options, progressCallback);
+      if (deltaResult.success) {
+        return deltaResult;
+      }
+      console.warn(`[BULK-MANAGER] Could not apply deltas for ${bulkFileId}, downloading the full file: ${deltaResult.error}`);
+    } else if (processedFile && manifestEntry && manifestEntry.deltas && manifestEntry.deltas.length > 0) {
+      console.log(`[BULK-MANAGER] No delta chain from v${processedFile.version} to v${manifestEntry.version}, downloading the full file`);
+    }
     
     // Extract filename from URL or use bulk file ID
     const urlObj = new URL(url);
@@ -395,33 +609,9 @@ async function importBulkFile(bulkFileId, url, options = {}, progressCallback =
       progressCallback(0, 100, 'Downloading bulk file...');
     }
 
-    const downloadResult = await downloadBulkFile(url, targetPath);
+    const downloadResult = await downloadVerifiedBulkFile(url, targetPath, manifestEntry, verificationRequired);
     if (!downloadResult.success) {
-      return { success: false, error: `Download failed: ${downloadResult.error}` };
-    }
-
-    // Validate downloaded file is valid JSON before processing
-    try {
-      const downloadedContent = fs.readFileSync(targetPath, 'utf8');
-      const downloadedData = JSON.parse(downloadedContent);
-      console.log(`[BULK-MANAGER] Downloaded file validated as JSON (${downloadResult.size} bytes)`);
-      
-      // Basic validation - check it has expected structure
-      if (!downloadedData.animals || !Array.isArray(downloadedData.animals)) {
-        return { 
-          success: false, 
-          error: 'Downloaded file has invalid structure (missing animals array). File may be corrupted.' 
-        };
-      }
-      console.log(`[BULK-MANAGER] File contains ${downloadedData.animals.length} animals`);
-    } catch (validateError) {
-      console.error(`[BULK-MANAGER] Downloaded file is not valid JSON: ${validateError.message}`);
-      // Try to get file size for debugging
-      const stats = fs.statSync(targetPath);
-      return { 
-        success: false, 
-        error: `Downloaded file is corrupted (invalid JSON at position ${validateError.message.match(/position (\d+)/)?.[1] || 'unknown'}): ${validateError.message}. File size: ${stats.size} bytes. Please re-upload the file to the server or contact support.` 
-      };
+      return downloadResult;
     }
 
     // Process bulk file
@@ -431,9 +621,9 @@ async function importBulkFile(bulkFileId, url, options = {}, progressCallback =
 
     // Pass bulkFileId in options so processor uses the correct ID (from manifest, not filename)
     const processOptions = { ...options, bulkFileId };
-    const processResult = bulkFileProcessor.processBulkFile(targetPath, processOptions, (processed, total, current) => {
+    const processResult = await bulkFileProcessor.processBulkFile(targetPath, processOptions, (bytesRead, totalBytes, processed, total) => {
       if (progressCallback) {
-        const progress = 50 + Math.floor((processed / total) * 50); // 50-100%
+        const progress = 50 + Math.floor((bytesRead / totalBytes) * 50); // 50-100%, by bytes read
         progressCallback(progress, 100, `Processing animal ${processed} of ${total}...`);
       }
     });
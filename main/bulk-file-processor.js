@@ -1,50 +1,101 @@
 const fs = require('fs');
 const path = require('path');
 const cacheUtil = require('./cache-util');
+const bulkFileDelta = require('./bulk-file-delta');
+const bulkImportJournal = require('./bulk-import-journal');
+const bulkFileReader = require('./bulk-file-reader');
+const bulkFileCompression = require('./bulk-file-compression');
+const epdPageParser = require('./epd-page-parser');
 
 /**
- * Validate bulk file structure
- * @param {Object} data - Parsed bulk file data
+ * Validate the top-level fields of a bulk file (everything except the animals)
+ * @param {Object} header - Bulk file fields (bulkFileReader.readBulkFileHeader())
+ * @param {boolean} hasAnimals - Whether the file has an animals array
  * @returns {Object} { valid: boolean, error: string }
  */
-function validateBulkFile(data) {
-  if (!data || typeof data !== 'object') {
+function validateBulkFileHeader(header, hasAnimals) {
+  if (!header || typeof header !== 'object') {
     return { valid: false, error: 'Bulk file is not a valid object' };
   }
 
-  if (!data.version || typeof data.version !== 'string') {
+  if (!header.version || typeof header.version !== 'string') {
     return { valid: false, error: 'Bulk file missing version field' };
   }
 
-  if (!data.metadata || typeof data.metadata !== 'object') {
+  if (!header.metadata || typeof header.metadata !== 'object') {
     return { valid: false, error: 'Bulk file missing metadata field' };
   }
 
-  if (!Array.isArray(data.animals)) {
+  if (!hasAnimals) {
     return { valid: false, error: 'Bulk file animals field must be an array' };
   }
 
+  if (bulkFileDelta.isDeltaBulkFile(header)) {
+    const removedAnimals = header.removedAnimals || [];
+    if (!Array.isArray(removedAnimals)) {
+      return { valid: false, error: 'Delta bulk file removedAnimals field must be an array' };
+    }
+    for (let i = 0; i < removedAnimals.length; i++) {
+      if (!removedAnimals[i].registrationNumber || typeof removedAnimals[i].registrationNumber !== 'string') {
+        return { valid: false, error: `Removed animal at index ${i} missing registrationNumber` };
+      }
+    }
+  }
+
+  return { valid: true };
+}
+
+/**
+ * Validate one animal from a bulk file
+ * @param {Object} animal - Bulk file animal
+ * @param {number} index - Index in the animals array
+ * @returns {Object} { valid: boolean, error: string }
+ */
+function validateBulkAnimal(animal, index) {
+  if (!animal || typeof animal !== 'object') {
+    return { valid: false, error: `Animal at index ${index} is not an object` };
+  }
+  if (!animal.registrationNumber || typeof animal.registrationNumber !== 'string') {
+    return { valid: false, error: `Animal at index ${index} missing registrationNumber` };
+  }
+  if (!animal.data || typeof animal.data !== 'object') {
+    return { valid: false, error: `Animal at index ${index} missing data field` };
+  }
+  return { valid: true };
+}
+
+/**
+ * Validate bulk file structure
+ * @param {Object} data - Parsed bulk file data
+ * @returns {Object} { valid: boolean, error: string }
+ */
+function validateBulkFile(data) {
+  const headerValidation = validateBulkFileHeader(data, Array.isArray(data && data.animals));
+  if (!headerValidation.valid) {
+    return headerValidation;
+  }
+
   // Validate each animal has required fields
   for (let i = 0; i < data.animals.length; i++) {
-    const animal = data.animals[i];
-    if (!animal.registrationNumber || typeof animal.registrationNumber !== 'string') {
-      return { valid: false, error: `Animal at index ${i} missing registrationNumber` };
-    }
-    if (!animal.data || typeof animal.data !== 'object') {
-      return { valid: false, error: `Animal at index ${i} missing data field` };
+    const animalValidation = validateBulkAnimal(data.animals[i], i);
+    if (!animalValidation.valid) {
+      return animalValidation;
     }
   }
 
   return { valid: true };
 }
 
+let processedFilesPathOverride = null;
+
 /**
  * Get path to processed bulk files tracking file
  * @returns {string} Path to tracking file
  */
 function getProcessedFilesPath() {
-  const { app } = require('electron');
+  if (processedFilesPathOverride) return processedFilesPathOverride;
   try {
+    const { app } = require('electron');
     const userDataPath = app.getPath('userData');
     return path.join(userDataPath, 'bulk-files-processed.json');
   } catch (error) {
@@ -53,6 +104,14 @@ function getProcessedFilesPath() {
   }
 }
 
+/**
+ * Use a different processed bulk files tracking file (command-line tool)
+ * @param {string|null} filePath - File path, or null for the default
+ */
+function setProcessedFilesPath(filePath) {
+  processedFilesPathOverride = filePath ? path.resolve(filePath) : null;
+}
+
 /**
  * Get processed bulk files tracking data
  * @returns {Object} Processed files data
@@ -174,63 +233,190 @@ function determineCategories(animal, bulkFileMetadata, options) {
 }
 
 /**
- * Import bulk animals into individual cache files
- * @param {Array} animals - Array of animal objects from bulk file
+ * Get an EPD value from an epdValues entry ({ epd, percentRank } or a plain value)
+ * @param {*} value - epdValues entry
+ * @returns {string|null} EPD value
+ */
+function getEpdValue(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'object') return value.epd !== undefined && value.epd !== null ? String(value.epd) : null;
+  return String(value);
+}
+
+/**
+ * List the EPDs that differ between cached data and bulk file data
+ * @param {Object} beforeData - Cached animal data
+ * @param {Object} afterData - Animal data from the bulk file
+ * @returns {Array} [{ trait, before, after }]
+ */
+function diffEpdValues(beforeData, afterData) {
+  const before = (beforeData && beforeData.epdValues) || {};
+  const after = (afterData && afterData.epdValues) || {};
+  const traits = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  const changes = [];
+  traits.forEach(trait => {
+    const beforeValue = getEpdValue(before[trait]);
+    const afterValue = getEpdValue(after[trait]);
+    if (beforeValue === afterValue) return;
+    // "+12" and "12" are the same EPD
+    const beforeNumber = parseFloat(beforeValue);
+    const afterNumber = parseFloat(afterValue);
+    if (!isNaN(beforeNumber) && !isNaN(afterNumber) && beforeNumber === afterNumber) return;
+    changes.push({ trait, before: beforeValue, after: afterValue });
+  });
+  return changes;
+}
+
+/**
+ * Create an empty dry-run report
+ * @returns {Object} Report with one list per kind of change
+ */
+function createDryRunReport() {
+  return {
+    newAnimals: [],       // { registrationNumber, animalName, categories }
+    epdChanges: [],       // { registrationNumber, animalName, changes: [{ trait, before, after }] }
+    categoryChanges: [],  // { registrationNumber, animalName, before, after }
+    skipped: [],          // { registrationNumber, animalName, reason }
+    removed: [],          // { registrationNumber, animalName, action: 'delete'|'remove-category', categories }
+    unchanged: [],        // registration numbers of existing animals that would be rewritten unchanged
+    categoriesToCreate: []
+  };
+}
+
+/**
+ * Explain why shouldUpdateAnimal() skipped an animal
+ * @param {string} updateStrategy - Update strategy
+ * @returns {string} Reason shown in the dry-run report
+ */
+function getSkipReason(updateStrategy) {
+  switch (updateStrategy) {
+    case 'skip-existing':
+      return 'Already in the cache (Skip existing animals)';
+    case 'update-if-newer':
+      return 'Cached data is newer than the bulk file (Update if newer)';
+    case 'add-categories-only':
+      return 'No new categories to add (Add categories only)';
+    default:
+      return `Skipped by update strategy: ${updateStrategy}`;
+  }
+}
+
+/**
+ * Combine the dry-run reports of delta files applied in order
+ * Later deltas replace earlier entries for the same animal.
+ * @param {Array} reports - Dry-run reports, oldest delta first
+ * @returns {Object} Combined report
+ */
+function mergeDryRunReports(reports) {
+  const sections = ['newAnimals', 'epdChanges', 'categoryChanges', 'skipped', 'removed'];
+  const merged = {};
+  sections.forEach(section => { merged[section] = new Map(); });
+  const unchanged = new Set();
+  const categoriesToCreate = new Set();
+
+  reports.forEach(report => {
+    const touched = new Set();
+    sections.forEach(section => report[section].forEach(entry => touched.add(entry.registrationNumber)));
+    report.unchanged.forEach(registrationNumber => touched.add(registrationNumber));
+
+    touched.forEach(registrationNumber => {
+      sections.forEach(section => merged[section].delete(registrationNumber));
+      unchanged.delete(registrationNumber);
+    });
+    sections.forEach(section => report[section].forEach(entry => merged[section].set(entry.registrationNumber, entry)));
+    report.unchanged.forEach(registrationNumber => unchanged.add(registrationNumber));
+    report.categoriesToCreate.forEach(cat => categoriesToCreate.add(cat));
+  });
+
+  const result = {};
+  sections.forEach(section => { result[section] = Array.from(merged[section].values()); });
+  result.unchanged = Array.from(unchanged);
+  result.categoriesToCreate = Array.from(categoriesToCreate);
+  return result;
+}
+
+/**
+ * Create an importer that adds bulk file animals to the animal cache one at a time
+ * Used for streamed bulk files, where the animals are never all in memory; categories are
+ * created as animals that need them come up.
  * @param {Object} bulkFileMetadata - Bulk file metadata
  * @param {Object} options - Import options
- * @param {Function} progressCallback - Optional progress callback (processed, total, currentAnimal)
- * @returns {Object} Import result with statistics
+ * @param {Object} journal - Import journal to record each animal's prior state in (optional)
+ * @returns {Object} { importAnimal(animal, index), getResult() }
  */
-function importBulkAnimals(animals, bulkFileMetadata, options, progressCallback = null) {
+function createAnimalImporter(bulkFileMetadata, options, journal = null) {
   const {
     categoryMode = 'use-file-category',
     userSelectedCategories = null,
     createCategoryIfMissing = true,
     updateStrategy = 'merge', // Default to 'merge' for bulk files (they're authoritative)
-    source = 'bulk-file'
+    dryRun = false // Report what would change without writing to the cache or creating categories
   } = options;
 
+  const report = dryRun ? createDryRunReport() : null;
+  // Categories are created by ensureCategories() below, not per animal
+  const categoryOptions = { ...options, createCategoryIfMissing: false };
+
+  let total = 0;
   let importedCount = 0;
   let skippedCount = 0;
   let updatedCount = 0;
   const categoriesCreated = [];
   const categoriesUsed = new Set();
 
-  const availableCategories = cacheUtil.loadCategories();
+  const availableCategories = new Set(cacheUtil.loadCategories());
 
-  // Pre-create categories if needed
-  const allCategoriesToUse = new Set();
-  animals.forEach(animal => {
-    const fileCategory = bulkFileMetadata?.category || animal.category;
-    const cats = cacheUtil.normalizeCategories(fileCategory);
-    cats.forEach(cat => allCategoriesToUse.add(cat));
-  });
+  /**
+   * Create the categories that don't exist yet (only reported in a dry run)
+   * @param {Array} categories - Category names
+   */
+  function ensureCategories(categories) {
+    if (!createCategoryIfMissing) return;
+    categories.forEach(cat => {
+      if (availableCategories.has(cat)) return;
+      availableCategories.add(cat);
+      if (dryRun) {
+        report.categoriesToCreate.push(cat);
+        return;
+      }
+      console.log(`[BULK-PROCESSOR] Creating category: ${cat}`);
+      const result = cacheUtil.addCategory(cat);
+      if (result.success) {
+        categoriesCreated.push(cat);
+      }
+    });
+  }
 
   if (categoryMode === 'user-selected' && userSelectedCategories) {
-    const userCats = cacheUtil.normalizeCategories(userSelectedCategories);
-    userCats.forEach(cat => allCategoriesToUse.add(cat));
+    ensureCategories(cacheUtil.normalizeCategories(userSelectedCategories));
   }
 
-  if (createCategoryIfMissing) {
-    allCategoriesToUse.forEach(cat => {
-      if (!availableCategories.includes(cat)) {
-        console.log(`[BULK-PROCESSOR] Creating category: ${cat}`);
-        const result = cacheUtil.addCategory(cat);
-        if (result.success) {
-          categoriesCreated.push(cat);
-        }
+  /**
+   * Import one animal
+   * @param {Object} animal - Animal from the bulk file
+   * @param {number} index - Index in the animals array
+   */
+  function importAnimal(animal, index) {
+    total++;
+
+    const validation = validateBulkAnimal(animal, index);
+    if (!validation.valid) {
+      console.error(`[BULK-PROCESSOR] Skipping invalid animal: ${validation.error}`);
+      skippedCount++;
+      if (dryRun) {
+        report.skipped.push({ registrationNumber: animal?.registrationNumber || `#${index + 1}`, animalName: null, reason: `Invalid: ${validation.error}` });
       }
-    });
-  }
+      return;
+    }
 
-  // Process each animal
-  for (let i = 0; i < animals.length; i++) {
-    const animal = animals[i];
     const registrationNumber = animal.registrationNumber;
 
     try {
+      ensureCategories(cacheUtil.normalizeCategories(bulkFileMetadata?.category || animal.category));
+
       // Determine categories to assign
-      let categoriesToAssign = determineCategories(animal, bulkFileMetadata, options);
+      let categoriesToAssign = determineCategories(animal, bulkFileMetadata, categoryOptions);
       console.log(`[BULK-PROCESSOR] Initial categoriesToAssign for ${registrationNumber}: ${categoriesToAssign.join(', ')}`);
 
       // Check if animal already exists
@@ -274,101 +460,199 @@ function importBulkAnimals(animals, bulkFileMetadata, options, progressCallback
         };
         if (!shouldUpdateAnimal(existingCache, animalForComparison, updateStrategy)) {
           skippedCount++;
-          console.log(`[BULK-PROCESSOR] Skipping animal ${registrationNumber} due to update strategy: ${updateStrategy} (existing: ${existingCache.cachedAt || 'none'}, bulk: ${animal.cachedAt || 'none'})`);
-          if (progressCallback) {
-            progressCallback(i + 1, animals.length, registrationNumber);
+          if (dryRun) {
+            report.skipped.push({ registrationNumber, animalName: animal.data.animalName || null, reason: getSkipReason(updateStrategy) });
           }
-          continue;
+          console.log(`[BULK-PROCESSOR] Skipping animal ${registrationNumber} due to update strategy: ${updateStrategy} (existing: ${existingCache.cachedAt || 'none'}, bulk: ${animal.cachedAt || 'none'})`);
+          return;
         }
         console.log(`[BULK-PROCESSOR] Will UPDATE animal ${registrationNumber} (strategy: ${updateStrategy}, categories: ${categoriesToAssign.join(', ')})`);
         updatedCount++;
+
+        if (dryRun) {
+          const animalName = animal.data.animalName || existingCache.data?.animalName || null;
+          const epdChanges = diffEpdValues(existingCache.data, animal.data);
+          const categoriesChanged = existingCategories.length !== categoriesToAssign.length ||
+            existingCategories.some(cat => !categoriesToAssign.includes(cat));
+          if (epdChanges.length > 0) {
+            report.epdChanges.push({ registrationNumber, animalName, changes: epdChanges });
+          }
+          if (categoriesChanged) {
+            report.categoryChanges.push({ registrationNumber, animalName, before: existingCategories, after: categoriesToAssign });
+          }
+          if (epdChanges.length === 0 && !categoriesChanged) {
+            report.unchanged.push(registrationNumber);
+          }
+        }
       } else {
         console.log(`[BULK-PROCESSOR] Will IMPORT new animal ${registrationNumber} (categories: ${categoriesToAssign.join(', ')})`);
         importedCount++;
+        if (dryRun) {
+          report.newAnimals.push({ registrationNumber, animalName: animal.data.animalName || null, categories: categoriesToAssign });
+        }
       }
 
       // Track categories used
       categoriesToAssign.forEach(cat => categoriesUsed.add(cat));
 
+      if (dryRun) {
+        return;
+      }
+
+      // Keep the prior record so the import can be reverted (expired records count as existing)
+      if (journal) {
+        const previousRecord = existingCache || cacheUtil.loadCache(cacheKey, true);
+        bulkImportJournal.recordAnimal(journal, registrationNumber, previousRecord ? 'updated' : 'created', previousRecord);
+      }
+
       // Save animal to cache using existing saveCache function
       // Convert animal structure to match cache format
       console.log(`[BULK-PROCESSOR] Saving ${registrationNumber} with categories: ${categoriesToAssign.join(', ')}`);
       cacheUtil.saveCache(cacheKey, animal.data, categoriesToAssign);
-
-      if (progressCallback) {
-        progressCallback(i + 1, animals.length, registrationNumber);
-      }
     } catch (error) {
       console.error(`[BULK-PROCESSOR] Error processing animal ${registrationNumber}:`, error);
       skippedCount++;
-      if (progressCallback) {
-        progressCallback(i + 1, animals.length, registrationNumber);
+      if (dryRun) {
+        report.skipped.push({ registrationNumber, animalName: animal.data?.animalName || null, reason: `Error: ${error.message}` });
       }
     }
   }
 
-  return {
-    total: animals.length,
-    importedCount,
-    updatedCount,
-    skippedCount,
-    categoriesCreated: Array.from(new Set(categoriesCreated)),
-    categoriesUsed: Array.from(categoriesUsed)
-  };
+  /**
+   * Get the import statistics so far
+   * @returns {Object} Import result (with a report of the changes when options.dryRun is set)
+   */
+  function getResult() {
+    return {
+      total,
+      importedCount,
+      updatedCount,
+      skippedCount,
+      categoriesCreated: Array.from(new Set(categoriesCreated)),
+      categoriesUsed: Array.from(categoriesUsed),
+      ...(dryRun ? { report } : {})
+    };
+  }
+
+  return { importAnimal, getResult };
+}
+
+/**
+ * Import bulk animals into the animal cache
+ * @param {Array} animals - Array of animal objects from bulk file
+ * @param {Object} bulkFileMetadata - Bulk file metadata
+ * @param {Object} options - Import options
+ * @param {Function} progressCallback - Optional progress callback (processed, total, currentAnimal)
+ * @param {Object} journal - Import journal to record each animal's prior state in (optional)
+ * @returns {Object} Import result with statistics (and a report of the changes when options.dryRun is set)
+ */
+function importBulkAnimals(animals, bulkFileMetadata, options, progressCallback = null, journal = null) {
+  const importer = createAnimalImporter(bulkFileMetadata, options, journal);
+  animals.forEach((animal, i) => {
+    importer.importAnimal(animal, i);
+    if (progressCallback) {
+      progressCallback(i + 1, animals.length, animal?.registrationNumber);
+    }
+  });
+  return importer.getResult();
+}
+
+/**
+ * Remove animals dropped from a bulk file (delta bulk files)
+ * The bulk file's categories are taken off each animal; animals left with no other
+ * category are deleted from the cache.
+ * @param {Array} removedAnimals - [{ registrationNumber, category }] from the delta file
+ * @param {Object} bulkFileMetadata - Bulk file metadata
+ * @param {Object} options - Import options (same as the import, so the same categories are removed)
+ * @param {Object} report - Dry-run report to add the removals to instead of applying them (optional)
+ * @param {Object} journal - Import journal to record each animal's prior state in (optional)
+ * @returns {Object} { removedCount, deletedCount }
+ */
+function removeBulkAnimals(removedAnimals, bulkFileMetadata, options, report = null, journal = null) {
+  let removedCount = 0;
+  let deletedCount = 0;
+
+  removedAnimals.forEach(animal => {
+    const registrationNumber = animal.registrationNumber;
+    try {
+      const existingCache = cacheUtil.loadCache(`epd_${registrationNumber}`, true);
+      if (!existingCache) {
+        return;
+      }
+
+      const fileCategories = determineCategories(animal, bulkFileMetadata, { ...options, createCategoryIfMissing: false });
+      const existingCategories = cacheUtil.getCategoriesFromCached(existingCache);
+      const remainingCategories = existingCategories.filter(cat => !fileCategories.includes(cat));
+
+      if (report) {
+        // Categories that would be taken off the animal (all of them when it is deleted)
+        report.removed.push({
+          registrationNumber,
+          animalName: existingCache.data?.animalName || null,
+          action: remainingCategories.length === 0 ? 'delete' : 'remove-category',
+          categories: existingCategories.filter(cat => !remainingCategories.includes(cat))
+        });
+        if (remainingCategories.length === 0) deletedCount++;
+        removedCount++;
+        return;
+      }
+
+      bulkImportJournal.recordAnimal(journal, registrationNumber, 'removed', existingCache);
+      if (remainingCategories.length === 0) {
+        console.log(`[BULK-PROCESSOR] Deleting animal ${registrationNumber} (removed from bulk file)`);
+        if (cacheUtil.deleteCachedAnimal(registrationNumber).success) {
+          deletedCount++;
+        }
+      } else {
+        console.log(`[BULK-PROCESSOR] Removing ${fileCategories.join(', ')} from ${registrationNumber} (removed from bulk file)`);
+        cacheUtil.updateAnimalCategories(registrationNumber, remainingCategories, 'replace');
+      }
+      removedCount++;
+    } catch (error) {
+      console.error(`[BULK-PROCESSOR] Error removing animal ${registrationNumber}:`, error);
+    }
+  });
+
+  return { removedCount, deletedCount };
 }
 
 /**
  * Process a bulk file and import animals into cache
+ * The file is streamed (bulkFileReader), so its size isn't limited by memory: a first pass checks
+ * the file is complete and reads its top-level fields, a second imports the animals one at a time.
+ * Compressed files (.json.gz, .json.br) are decompressed as they are read.
+ * Animals with missing fields are skipped; the rest of the file is still imported.
+ * With options.dryRun, nothing is written: the result has a report of the new animals, EPD and
+ * category changes, skipped and removed animals (see createDryRunReport()).
  * @param {string} filePath - Path to bulk file
- * @param {Object} options - Import options
+ * @param {Object} options - Import options (dryRun; previewBaseVersion: version a delta is checked
+ *   against in a dry run of a delta chain, instead of the imported version)
  * @param {Function} progressCallback - Optional progress callback
- * @returns {Object} Processing result
+ *   (bytesRead, totalBytes, animalsProcessed, animalCount, currentAnimal)
+ * @returns {Promise<Object>} Processing result
  */
-function processBulkFile(filePath, options = {}, progressCallback = null) {
+async function processBulkFile(filePath, options = {}, progressCallback = null) {
+  let journal = null;
   try {
     console.log(`[BULK-PROCESSOR] Processing bulk file: ${filePath}`);
 
-    // Read and parse bulk file
     if (!fs.existsSync(filePath)) {
       return { success: false, error: 'Bulk file not found' };
     }
 
-    const fileContent = fs.readFileSync(filePath, 'utf8');
-    
-    // Get file stats for debugging
-    const stats = fs.statSync(filePath);
-    
-    let bulkData;
+    // Read the top-level fields and count the animals (also catches truncated files)
+    let fileInfo;
     try {
-      bulkData = JSON.parse(fileContent);
-    } catch (parseError) {
-      console.error(`[BULK-PROCESSOR] JSON parse error at position ${parseError.message.match(/position (\d+)/)?.[1] || 'unknown'}`);
-      console.error(`[BULK-PROCESSOR] File size: ${stats.size} bytes`);
-      // Try to find the approximate line number
-      if (parseError.message.includes('position')) {
-        const posMatch = parseError.message.match(/position (\d+)/);
-        if (posMatch) {
-          const position = parseInt(posMatch[1], 10);
-          const lines = fileContent.substring(0, position).split('\n');
-          const lineNumber = lines.length;
-          const column = lines[lines.length - 1].length + 1;
-          console.error(`[BULK-PROCESSOR] Approximate location: line ${lineNumber}, column ${column}`);
-          // Show context around the error
-          const contextStart = Math.max(0, lineNumber - 5);
-          const contextEnd = Math.min(lines.length, lineNumber + 5);
-          console.error(`[BULK-PROCESSOR] Context (lines ${contextStart + 1}-${contextEnd}):`);
-          lines.slice(contextStart, contextEnd).forEach((line, idx) => {
-            const actualLineNum = contextStart + idx + 1;
-            const marker = actualLineNum === lineNumber ? '>>>' : '   ';
-            console.error(`${marker} ${actualLineNum}: ${line.substring(0, 100)}`);
-          });
-        }
-      }
-      throw parseError;
+      fileInfo = await bulkFileReader.readBulkFileHeader(filePath);
+    } catch (readError) {
+      console.error(`[BULK-PROCESSOR] ${readError.message}`);
+      console.error(`[BULK-PROCESSOR] File size: ${fs.statSync(filePath).size} bytes`);
+      throw readError;
     }
+    const bulkData = fileInfo.header;
 
     // Validate bulk file structure
-    const validation = validateBulkFile(bulkData);
+    const validation = validateBulkFileHeader(bulkData, fileInfo.hasAnimals);
     if (!validation.valid) {
       return { success: false, error: validation.error };
     }
@@ -378,9 +662,9 @@ function processBulkFile(filePath, options = {}, progressCallback = null) {
     const versionMatch = filename.match(/v(\d+\.\d+\.\d+)/);
     const fileVersion = versionMatch ? versionMatch[1] : bulkData.version || '1.0.0';
 
-    // Extract bulk file ID from filename (e.g., recommended-sires-v1.0.0.json -> recommended-sires)
+    // Extract bulk file ID from filename (e.g., recommended-sires-v1.0.0.json.gz -> recommended-sires)
     // But prefer the ID from options if provided (from manifest)
-    const bulkFileId = options.bulkFileId || filename.replace(/[-_]v\d+\.\d+\.\d+.*$/, '').replace(/\.json$/, '');
+    const bulkFileId = options.bulkFileId || bulkFileCompression.stripBulkFileExtension(filename.replace(/[-_]v\d+\.\d+\.\d+.*$/, ''));
 
     // Check if this version was already processed (unless forceReprocess is true)
     const forceReprocess = options.forceReprocess === true;
@@ -401,20 +685,75 @@ function processBulkFile(filePath, options = {}, progressCallback = null) {
       console.log(`[BULK-PROCESSOR] Force re-processing bulk file ${bulkFileId} version ${fileVersion}`);
     }
 
-    // Process animals
-    const animals = Array.isArray(bulkData.animals) ? bulkData.animals : Object.values(bulkData.animals || {});
-    const importResult = importBulkAnimals(animals, bulkData.metadata, options, progressCallback);
+    // A delta only applies on top of its base version
+    const dryRun = options.dryRun === true;
+    const isDelta = bulkFileDelta.isDeltaBulkFile(bulkData);
+    const baseVersion = dryRun && options.previewBaseVersion ? options.previewBaseVersion : processedFile?.version;
+    if (isDelta && baseVersion !== bulkData.delta.baseVersion) {
+      const localVersion = baseVersion ? `version ${baseVersion} is imported` : 'it has not been imported';
+      return {
+        success: false,
+        baseMissing: true,
+        error: `This update only contains changes since version ${bulkData.delta.baseVersion} of ${bulkFileId}, but ${localVersion}. Import the full bulk file instead.`
+      };
+    }
+
+    // Journal of the animals' prior state, so the import can be reverted
+    journal = dryRun ? null : bulkImportJournal.createJournal({
+      importId: options.importId,
+      bulkFileId,
+      version: fileVersion,
+      filename,
+      previousProcessed: processedFile || null
+    });
+
+    // Process animals as they are read
+    const importer = createAnimalImporter(bulkData.metadata, options, journal);
+    await bulkFileReader.readBulkFile(filePath, {
+      onAnimal: (animal, index, bytesRead) => {
+        importer.importAnimal(animal, index);
+        if (progressCallback) {
+          progressCallback(bytesRead, fileInfo.totalBytes, index + 1, fileInfo.animalCount, animal?.registrationNumber);
+        }
+      }
+    });
+    const importResult = importer.getResult();
+
+    let removeResult = { removedCount: 0, deletedCount: 0 };
+    let animalCount = fileInfo.animalCount;
+    if (isDelta) {
+      removeResult = removeBulkAnimals(bulkData.removedAnimals || [], bulkData.metadata, options, importResult.report || null, journal);
+      animalCount = bulkData.metadata.animalCount || (processedFile.animalCount || 0) + bulkData.delta.addedCount - bulkData.delta.removedCount;
+      console.log(`[BULK-PROCESSOR] Applied delta ${bulkData.delta.baseVersion} -> ${fileVersion}: ${bulkData.delta.addedCount} added, ${bulkData.delta.changedCount} changed, ${removeResult.removedCount} removed`);
+    }
+
+    if (dryRun) {
+      console.log(`[BULK-PROCESSOR] Dry run complete: ${importResult.importedCount} new, ${importResult.updatedCount} updated, ${importResult.skippedCount} skipped`);
+      return {
+        success: true,
+        dryRun: true,
+        bulkFileId,
+        version: fileVersion,
+        isDelta,
+        ...importResult,
+        ...removeResult
+      };
+    }
+
+    bulkImportJournal.saveJournal(journal);
 
     // Update tracking
     processedFiles.processedFiles[bulkFileId] = {
       version: fileVersion,
       filename: filename,
       processedAt: new Date().toISOString(),
-      animalCount: animals.length,
+      animalCount: animalCount,
+      deltaFrom: isDelta ? bulkData.delta.baseVersion : null,
       importedCount: importResult.importedCount,
       updatedCount: importResult.updatedCount,
       skippedCount: importResult.skippedCount,
       categoriesCreated: importResult.categoriesCreated,
+      removedCount: removeResult.removedCount,
       categoriesUsed: importResult.categoriesUsed
     };
     saveProcessedBulkFiles(processedFiles);
@@ -425,7 +764,10 @@ function processBulkFile(filePath, options = {}, progressCallback = null) {
       success: true,
       bulkFileId,
       version: fileVersion,
-      ...importResult
+      isDelta,
+      importId: journal.importId,
+      ...importResult,
+      ...removeResult
     };
   } catch (error) {
     console.error('[BULK-PROCESSOR] Error processing bulk file:', error);
@@ -436,15 +778,84 @@ function processBulkFile(filePath, options = {}, progressCallback = null) {
     if (error.message && error.message.includes('JSON')) {
       errorMessage = `JSON parsing error: ${error.message}. This may indicate a corrupted file or download issue.`;
     }
+
+    // Animals saved before the error can still be reverted
+    if (journal && journal.entryCount > 0 && bulkImportJournal.saveJournal(journal)) {
+      errorMessage += ` ${journal.entryCount} animals were imported before the error; use Revert Import in the Bulk Files tab to undo them.`;
+    }
     
     return { success: false, error: errorMessage };
   }
 }
 
+/**
+ * Revert a bulk file import: restore the prior record of every animal it changed, delete the
+ * animals it created and restore the bulk file's previously imported version
+ * Changes made to those animals after the import (e.g. a later scrape) are lost.
+ * @param {string} importId - Import ID (from bulkImportJournal.listImports())
+ * @returns {Object} { success, bulkFileId, restoredCount, deletedCount, version (now imported, or null), error }
+ */
+function revertBulkImport(importId) {
+  try {
+    const imported = bulkImportJournal.listImports().find(entry => entry.importId === importId);
+    if (!imported) {
+      return { success: false, error: 'Import not found. Its journal may have been removed.' };
+    }
+    if (imported.reverted) {
+      return { success: false, error: 'This import has already been reverted.' };
+    }
+    if (!imported.revertible) {
+      return { success: false, error: `A newer import of ${imported.bulkFileId} has to be reverted first.` };
+    }
+
+    console.log(`[BULK-PROCESSOR] Reverting import ${importId} of ${imported.bulkFileId} v${imported.version}`);
+
+    let restoredCount = 0;
+    let deletedCount = 0;
+    const journals = bulkImportJournal.getImportJournals(importId); // newest first
+    journals.forEach(journal => {
+      // Each animal has one entry per journal, so entries can be restored in any order
+      bulkImportJournal.forEachEntry(journal, entry => {
+        if (entry.before) {
+          if (cacheUtil.restoreCachedAnimal(entry.registrationNumber, entry.before).success) {
+            restoredCount++;
+          }
+        } else if (cacheUtil.deleteCachedAnimal(entry.registrationNumber).success) {
+          deletedCount++;
+        }
+      });
+      bulkImportJournal.markReverted(journal);
+    });
+
+    // The bulk file is back at the version imported before
+    const previousProcessed = journals[journals.length - 1].previousProcessed;
+    const processedFiles = getProcessedBulkFiles();
+    if (previousProcessed) {
+      processedFiles.processedFiles[imported.bulkFileId] = previousProcessed;
+    } else {
+      delete processedFiles.processedFiles[imported.bulkFileId];
+    }
+    saveProcessedBulkFiles(processedFiles);
+
+    console.log(`[BULK-PROCESSOR] Revert complete: ${restoredCount} restored, ${deletedCount} deleted`);
+    return {
+      success: true,
+      bulkFileId: imported.bulkFileId,
+      restoredCount,
+      deletedCount,
+      version: previousProcessed ? previousProcessed.version : null
+    };
+  } catch (error) {
+    console.error('[BULK-PROCESSOR] Error reverting import:', error);
+    return { success: false, error: error.message };
+  }
+}
+
 /**
  * Create bulk file from animals array
  * @param {Array} animals - Array of animal objects with registrationNumber and data
- * @param {Object} options - Options for bulk file creation
+ * @param {Object} options - Options for bulk file creation (stripPageData: leave out the page
+ *   text and raw tables, see epdPageParser.stripPageData())
  * @returns {Object} Bulk file object
  */
 function createBulkFileFromAnimals(animals, options = {}) {
@@ -453,7 +864,8 @@ function createBulkFileFromAnimals(animals, options = {}) {
     type = 'bulk-file',
     category = null,
     source = 'angus.org',
-    description = null
+    description = null,
+    stripPageData = false
   } = options;
 
   const now = new Date().toISOString();
@@ -477,7 +889,7 @@ function createBulkFileFromAnimals(animals, options = {}) {
 
       return {
         registrationNumber: animal.registrationNumber,
-        data: animal.data,
+        data: stripPageData ? epdPageParser.stripPageData(animal.data) : animal.data,
         cachedAt: animal.cachedAt || now,
         category: animalCategory
       };
@@ -488,9 +900,15 @@ function createBulkFileFromAnimals(animals, options = {}) {
 module.exports = {
   processBulkFile,
   validateBulkFile,
+  validateBulkFileHeader,
   importBulkAnimals,
+  removeBulkAnimals,
+  mergeDryRunReports,
+  diffEpdValues,
+  revertBulkImport,
   shouldUpdateAnimal,
   getProcessedBulkFiles,
+  setProcessedFilesPath,
   determineCategories,
   createBulkFileFromAnimals
 };
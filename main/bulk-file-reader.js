@@ -0,0 +1,382 @@
+/**
+ * Streaming bulk file reader
+ *
+ * Reads a bulk file without loading it into memory: the top-level fields (version, metadata,
+ * delta, removedAnimals, ...) are parsed as usual, but the animals are parsed and handed to
+ * onAnimal() one at a time, so memory use doesn't grow with the number of animals. Large sire
+ * directories (tens of thousands of animals) can be imported this way.
+ *
+ * Progress is reported in bytes read, since the animal count isn't known until the end.
+ * Compressed bulk files (.json.gz, .json.br) are decompressed as they are read; their progress is
+ * in bytes of the compressed file.
+ */
+
+const fs = require('fs');
+const { pipeline } = require('stream');
+const bulkFileCompression = require('./bulk-file-compression');
+
+const CHUNK_SIZE = 256 * 1024;
+
+const QUOTE = 0x22;
+const BACKSLASH = 0x5c;
+const COMMA = 0x2c;
+const COLON = 0x3a;
+const OPEN_BRACE = 0x7b;
+const CLOSE_BRACE = 0x7d;
+const OPEN_BRACKET = 0x5b;
+const CLOSE_BRACKET = 0x5d;
+
+/**
+ * Check whether a byte is JSON whitespace
+ * @param {number} byte - Byte
+ * @returns {boolean} True for space, tab, newline or carriage return
+ */
+function isWhitespace(byte) {
+  return byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d;
+}
+
+/**
+ * Create an error for a malformed bulk file
+ * @param {string} message - What was wrong
+ * @param {number} position - Byte offset in the file
+ * @returns {Error} Error
+ */
+function formatError(message, position) {
+  return new Error(`Invalid bulk file JSON: ${message} at byte ${position}`);
+}
+
+/**
+ * Byte-level parser for the top level of a bulk file
+ * Only the values being captured are buffered: one top-level field or one animal at a time.
+ */
+class BulkFileStreamParser {
+  /**
+   * @param {Object} handlers - { onHeader(header), onAnimal(animal, index, position), skipAnimals }
+   */
+  constructor(handlers = {}) {
+    this.handlers = handlers;
+    this.header = {};
+    this.animalCount = 0;
+    this.hasAnimals = false;
+
+    this.position = 0;        // Bytes processed before the current chunk
+    this.depth = 0;           // Open objects/arrays
+    this.inString = false;
+    this.escaped = false;
+    this.done = false;        // Top-level object closed
+
+    this.topExpect = 'object'; // object | key | colon | value | comma
+    this.currentKey = null;
+    this.inAnimals = false;
+    this.animalsExpect = null; // value | comma
+
+    this.capture = null;      // { kind: 'container'|'string'|'primitive', role, depth, start, parts, store }
+  }
+
+  /**
+   * Start capturing a value at index i of the current chunk
+   * @param {string} role - 'key', 'field' or 'animal'
+   * @param {string} kind - 'container', 'string' or 'primitive'
+   * @param {number} i - Index in the chunk
+   */
+  startCapture(role, kind, i) {
+    const store = !(this.handlers.skipAnimals && role === 'animal');
+    this.capture = { role, kind, depth: this.depth, start: i, parts: [], store };
+  }
+
+  /**
+   * Finish the current capture (end is exclusive) and hand the value on
+   * @param {Buffer} chunk - Current chunk
+   * @param {number} end - Index in the chunk after the value
+   */
+  finishCapture(chunk, end) {
+    const capture = this.capture;
+    this.capture = null;
+
+    let value;
+    if (capture.store) {
+      capture.parts.push(chunk.subarray(capture.start, end));
+      const text = Buffer.concat(capture.parts).toString('utf8');
+      try {
+        value = JSON.parse(text);
+      } catch (error) {
+        throw formatError(error.message, this.position + end);
+      }
+    }
+
+    switch (capture.role) {
+      case 'key':
+        this.currentKey = value;
+        this.topExpect = 'colon';
+        break;
+      case 'field':
+        this.header[this.currentKey] = value;
+        this.topExpect = 'comma';
+        break;
+      case 'animal':
+        this.animalsExpect = 'comma';
+        if (this.handlers.onAnimal) {
+          this.handlers.onAnimal(value, this.animalCount, this.position + end);
+        }
+        this.animalCount++;
+        break;
+    }
+  }
+
+  /**
+   * Start a value at index i (the first byte of the value)
+   * @param {Buffer} chunk - Current chunk
+   * @param {number} i - Index in the chunk
+   * @param {string} role - 'field' or 'animal'
+   */
+  startValue(chunk, i, role) {
+    const byte = chunk[i];
+    if (byte === OPEN_BRACE || byte === OPEN_BRACKET) {
+      this.startCapture(role, 'container', i);
+      this.depth++;
+    } else if (byte === QUOTE) {
+      this.startCapture(role, 'string', i);
+      this.inString = true;
+    } else if (byte === CLOSE_BRACE || byte === CLOSE_BRACKET || byte === COMMA || byte === COLON) {
+      throw formatError(`unexpected "${String.fromCharCode(byte)}"`, this.position + i);
+    } else {
+      this.startCapture(role, 'primitive', i);
+    }
+  }
+
+  /**
+   * Process the next chunk of the file
+   * @param {Buffer} chunk - Chunk
+   */
+  write(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const byte = chunk[i];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (byte === BACKSLASH) {
+          this.escaped = true;
+        } else if (byte === QUOTE) {
+          this.inString = false;
+          if (this.capture && this.capture.kind === 'string') {
+            this.finishCapture(chunk, i + 1);
+          }
+        }
+        continue;
+      }
+
+      // A number, true, false or null ends at the first byte that can't be part of it
+      if (this.capture && this.capture.kind === 'primitive') {
+        if (!isWhitespace(byte) && byte !== COMMA && byte !== CLOSE_BRACE && byte !== CLOSE_BRACKET) {
+          continue;
+        }
+        this.finishCapture(chunk, i);
+      }
+
+      if (isWhitespace(byte)) continue;
+
+      // Inside a captured (or skipped) object or array, only nesting and strings matter
+      if (this.capture) {
+        if (byte === QUOTE) {
+          this.inString = true;
+        } else if (byte === OPEN_BRACE || byte === OPEN_BRACKET) {
+          this.depth++;
+        } else if (byte === CLOSE_BRACE || byte === CLOSE_BRACKET) {
+          this.depth--;
+          if (this.depth === this.capture.depth) {
+            this.finishCapture(chunk, i + 1);
+          }
+        }
+        continue;
+      }
+
+      if (this.done) {
+        throw formatError('unexpected data after the end of the bulk file', this.position + i);
+      }
+
+      if (this.inAnimals) {
+        this.writeAnimalsByte(chunk, i);
+      } else {
+        this.writeTopLevelByte(chunk, i);
+      }
+    }
+
+    // Keep the part of a value that continues in the next chunk
+    if (this.capture) {
+      if (this.capture.store) {
+        this.capture.parts.push(Buffer.from(chunk.subarray(this.capture.start)));
+      }
+      this.capture.start = 0;
+    }
+    this.position += chunk.length;
+  }
+
+  /**
+   * Handle a byte directly inside the top-level object
+   * @param {Buffer} chunk - Current chunk
+   * @param {number} i - Index in the chunk
+   */
+  writeTopLevelByte(chunk, i) {
+    const byte = chunk[i];
+    switch (this.topExpect) {
+      case 'object':
+        if (byte !== OPEN_BRACE) throw formatError('a bulk file must be a JSON object', this.position + i);
+        this.depth = 1;
+        this.topExpect = 'key';
+        return;
+      case 'key':
+        if (byte === QUOTE) {
+          this.startCapture('key', 'string', i);
+          this.inString = true;
+          return;
+        }
+        if (byte === CLOSE_BRACE && Object.keys(this.header).length === 0 && !this.hasAnimals) {
+          this.closeTopLevel();
+          return;
+        }
+        throw formatError('expected a field name', this.position + i);
+      case 'colon':
+        if (byte !== COLON) throw formatError('expected ":"', this.position + i);
+        this.topExpect = 'value';
+        return;
+      case 'value':
+        if (this.currentKey === 'animals' && byte === OPEN_BRACKET) {
+          this.hasAnimals = true;
+          this.inAnimals = true;
+          this.animalsExpect = 'value';
+          this.depth = 2;
+          if (this.handlers.onHeader) {
+            this.handlers.onHeader({ ...this.header });
+          }
+          return;
+        }
+        this.startValue(chunk, i, 'field');
+        return;
+      case 'comma':
+        if (byte === COMMA) {
+          this.topExpect = 'key';
+        } else if (byte === CLOSE_BRACE) {
+          this.closeTopLevel();
+        } else {
+          throw formatError('expected "," or "}"', this.position + i);
+        }
+        return;
+    }
+  }
+
+  /**
+   * Handle a byte directly inside the animals array
+   * @param {Buffer} chunk - Current chunk
+   * @param {number} i - Index in the chunk
+   */
+  writeAnimalsByte(chunk, i) {
+    const byte = chunk[i];
+
+    if (byte === CLOSE_BRACKET && (this.animalsExpect === 'comma' || this.animalCount === 0)) {
+      this.inAnimals = false;
+      this.depth = 1;
+      this.topExpect = 'comma';
+      return;
+    }
+
+    switch (this.animalsExpect) {
+      case 'value':
+        this.startValue(chunk, i, 'animal');
+        return;
+      case 'comma':
+        if (byte !== COMMA) throw formatError('expected "," or "]"', this.position + i);
+        this.animalsExpect = 'value';
+        return;
+    }
+  }
+
+  /**
+   * Close the top-level object (the header is complete)
+   */
+  closeTopLevel() {
+    this.depth = 0;
+    this.done = true;
+    if (!this.hasAnimals && this.handlers.onHeader) {
+      this.handlers.onHeader({ ...this.header });
+    }
+  }
+
+  /**
+   * Check that the whole file was read
+   */
+  end() {
+    if (!this.done) {
+      throw new Error(`Bulk file is incomplete: the JSON ends after ${this.position} bytes (the file may be truncated)`);
+    }
+  }
+}
+
+/**
+ * Read a bulk file, handing each animal to onAnimal() as it is parsed
+ * onHeader() is called when the animals array starts, with the fields before it (or at the end
+ * of the file if there is no animals array). Fields after the animals (e.g. removedAnimals in a delta
+ * file) are only in the returned header.
+ * @param {string} filePath - Bulk file path
+ * @param {Object} handlers - { onHeader(header), onAnimal(animal, index, bytesRead),
+ *   onProgress(bytesRead, totalBytes), skipAnimals (count the animals without parsing them) }
+ * @returns {Promise<Object>} { header, animalCount, hasAnimals, totalBytes, compression, uncompressedBytes }
+ */
+async function readBulkFile(filePath, handlers = {}) {
+  const totalBytes = fs.statSync(filePath).size;
+  const compression = bulkFileCompression.detectCompression(filePath);
+  const source = fs.createReadStream(filePath, { highWaterMark: CHUNK_SIZE });
+  const stream = compression
+    ? pipeline(source, bulkFileCompression.createDecompressStream(compression), () => {})
+    : source;
+
+  // Positions in the JSON are converted to bytes of the file, which is what totalBytes counts
+  const getBytesRead = position => (compression ? source.bytesRead : position);
+  const parser = new BulkFileStreamParser({
+    ...handlers,
+    onAnimal: handlers.onAnimal && ((animal, index, position) => handlers.onAnimal(animal, index, getBytesRead(position)))
+  });
+
+  try {
+    for await (const chunk of stream) {
+      parser.write(chunk);
+      if (handlers.onProgress) {
+        handlers.onProgress(getBytesRead(parser.position), totalBytes);
+      }
+    }
+  } catch (error) {
+    // zlib errors have a code; JSON errors from the parser don't
+    if (compression && error.code) {
+      throw new Error(`Bulk file could not be decompressed (${compression}): ${error.message}. The file may be truncated or damaged.`);
+    }
+    throw error;
+  } finally {
+    stream.destroy();
+    source.destroy();
+  }
+  parser.end();
+
+  return {
+    header: parser.header,
+    animalCount: parser.animalCount,
+    hasAnimals: parser.hasAnimals,
+    totalBytes,
+    compression,
+    uncompressedBytes: parser.position
+  };
+}
+
+/**
+ * Read a bulk file's top-level fields and count its animals without parsing them
+ * Checks that the file is complete, so a truncated download is caught before anything is imported.
+ * @param {string} filePath - Bulk file path
+ * @returns {Promise<Object>} { header, animalCount, hasAnimals, totalBytes, compression, uncompressedBytes }
+ */
+function readBulkFileHeader(filePath) {
+  return readBulkFile(filePath, { skipAnimals: true });
+}
+
+module.exports = {
+  readBulkFile,
+  readBulkFileHeader
+};
@@ -0,0 +1,185 @@
+/**
+ * Bulk file checksums and manifest signatures
+ *
+ * The manifest lists a SHA-256 for every bulk file and is signed with the publisher's
+ * Ed25519 key (scripts/generate-manifest.js --sign-key). The app checks the signature against
+ * the trusted keys in config/bulk-file-publisher-keys.json, then checks each downloaded file
+ * against its manifest hash before importing it.
+ *
+ * While no publisher key is configured, unsigned manifests are accepted (with a warning);
+ * file hashes are still checked whenever the manifest lists them.
+ *
+ * Signed manifest:
+ *   { lastUpdated, bulkFiles: [{ id, ..., sha256 }], signature: { algorithm: 'ed25519', keyId, value } }
+ * The signature covers the manifest without its signature field, serialized with sorted keys.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SIGNATURE_ALGORITHM = 'ed25519';
+const PUBLISHER_KEYS_PATH = path.join(__dirname, '../config/bulk-file-publisher-keys.json');
+
+/**
+ * Serialize a value as JSON with object keys sorted, so the signed bytes don't depend on key order
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(item => canonicalJson(item === undefined ? null : item)).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter(key => value[key] !== undefined).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Get the bytes a manifest signature covers
+ * @param {Object} manifest - Manifest (signature field ignored)
+ * @returns {Buffer} Signed payload
+ */
+function getSignedPayload(manifest) {
+  const { signature, ...unsigned } = manifest;
+  return Buffer.from(canonicalJson(unsigned), 'utf8');
+}
+
+/**
+ * Get a short ID for a public key (first 16 hex characters of the SHA-256 of its DER encoding)
+ * @param {crypto.KeyObject|string} publicKey - Public key object or PEM
+ * @returns {string} Key ID
+ */
+function getKeyId(publicKey) {
+  const keyObject = typeof publicKey === 'string' ? crypto.createPublicKey(publicKey) : publicKey;
+  const der = keyObject.export({ type: 'spki', format: 'der' });
+  return crypto.createHash('sha256').update(der).digest('hex').substring(0, 16);
+}
+
+/**
+ * Compute the SHA-256 of a file
+ * @param {string} filePath - File path
+ * @returns {string} Hex digest
+ */
+function sha256File(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+/**
+ * Sign a manifest with the publisher's private key
+ * @param {Object} manifest - Manifest to sign
+ * @param {string} privateKeyPem - Ed25519 private key (PEM)
+ * @returns {Object} Manifest with a signature field
+ */
+function signManifest(manifest, privateKeyPem) {
+  const privateKey = crypto.createPrivateKey(privateKeyPem);
+  const publicKey = crypto.createPublicKey(privateKey);
+  const { signature, ...unsigned } = manifest;
+  return {
+    ...unsigned,
+    signature: {
+      algorithm: SIGNATURE_ALGORITHM,
+      keyId: getKeyId(publicKey),
+      value: crypto.sign(null, getSignedPayload(unsigned), privateKey).toString('base64')
+    }
+  };
+}
+
+/**
+ * Load the trusted publisher public keys
+ * @returns {Array} [{ keyId, publicKey (PEM), name }]
+ */
+function loadTrustedKeys() {
+  try {
+    if (!fs.existsSync(PUBLISHER_KEYS_PATH)) return [];
+    const config = JSON.parse(fs.readFileSync(PUBLISHER_KEYS_PATH, 'utf8'));
+    return (config.publicKeys || []).filter(key => key.publicKey).map(key => ({
+      ...key,
+      keyId: key.keyId || getKeyId(key.publicKey)
+    }));
+  } catch (error) {
+    console.error('[BULK-SIGNATURE] Error loading publisher keys:', error);
+    return [];
+  }
+}
+
+/**
+ * Verify a manifest's signature against the trusted publisher keys
+ * @param {Object} manifest - Downloaded manifest
+ * @param {Array} trustedKeys - Trusted keys (optional, default: config/bulk-file-publisher-keys.json)
+ * @returns {Object} { valid, signed, required, keyId, error }
+ */
+function verifyManifest(manifest, trustedKeys = loadTrustedKeys()) {
+  const required = trustedKeys.length > 0;
+  const signature = manifest && manifest.signature;
+
+  if (!signature || !signature.value) {
+    if (required) {
+      return { valid: false, signed: false, required, error: 'Manifest is not signed. The bulk file list may have been replaced.' };
+    }
+    return { valid: true, signed: false, required };
+  }
+
+  if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+    return { valid: false, signed: true, required, error: `Unsupported manifest signature algorithm: ${signature.algorithm}` };
+  }
+
+  const key = trustedKeys.find(k => k.keyId === signature.keyId);
+  if (!key) {
+    if (!required) {
+      // Nothing to check against yet; signed manifests are accepted like unsigned ones
+      return { valid: true, signed: true, required, keyId: signature.keyId };
+    }
+    return { valid: false, signed: true, required, keyId: signature.keyId, error: `Manifest is signed with an unknown key (${signature.keyId}).` };
+  }
+
+  try {
+    const valid = crypto.verify(null, getSignedPayload(manifest), key.publicKey, Buffer.from(signature.value, 'base64'));
+    return valid
+      ? { valid: true, signed: true, required, keyId: key.keyId }
+      : { valid: false, signed: true, required, keyId: key.keyId, error: 'Manifest signature does not match. The bulk file list has been modified.' };
+  } catch (error) {
+    return { valid: false, signed: true, required, keyId: key.keyId, error: `Manifest signature could not be checked: ${error.message}` };
+  }
+}
+
+/**
+ * Verify a downloaded bulk file against its manifest entry
+ * @param {string} filePath - Downloaded file
+ * @param {Object|null} entry - Manifest entry ({ sha256, size }), or null if the file isn't listed
+ * @param {boolean} required - Whether a listed hash is required (signed manifest in use)
+ * @returns {Object} { valid, checked, sha256, error }
+ */
+function verifyBulkFile(filePath, entry, required = false) {
+  if (!entry || !entry.sha256) {
+    if (required) {
+      return { valid: false, checked: false, error: 'The manifest has no SHA-256 for this bulk file, so it cannot be verified.' };
+    }
+    return { valid: true, checked: false };
+  }
+
+  const size = fs.statSync(filePath).size;
+  const sha256 = sha256File(filePath);
+  if (sha256 === String(entry.sha256).toLowerCase()) {
+    return { valid: true, checked: true, sha256 };
+  }
+
+  if (entry.size && size < entry.size) {
+    return { valid: false, checked: true, sha256, error: `The download is incomplete (${size} of ${entry.size} bytes). Please try again.` };
+  }
+  return { valid: false, checked: true, sha256, error: 'The file does not match the SHA-256 in the manifest. It may have been modified or damaged in transit.' };
+}
+
+module.exports = {
+  SIGNATURE_ALGORITHM,
+  PUBLISHER_KEYS_PATH,
+  canonicalJson,
+  getKeyId,
+  sha256File,
+  signManifest,
+  loadTrustedKeys,
+  verifyManifest,
+  verifyBulkFile
+};
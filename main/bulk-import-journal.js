@@ -0,0 +1,325 @@
+/**
+ * Bulk file import journals
+ *
+ * Every bulk file import records the cache record each animal had before the import touched it
+ * (or that the animal didn't exist), so the import can be reverted:
+ * userData/bulk-import-journals/<journal id>.json (header)
+ * userData/bulk-import-journals/<journal id>.entries.ndjson (one entry per line, written as the import runs)
+ *
+ * Journal: { id, importId, bulkFileId, version, filename, importedAt, previousProcessed,
+ *            entryCount, createdCount, updatedCount, removedCount, reverted, revertedAt }
+ * Entry: { registrationNumber, action: 'created'|'updated'|'removed', before }
+ *
+ * Journals saved before entries were streamed keep them in the header (entries: [...]).
+ *
+ * An import that applies several delta files writes one journal per file, all with the same
+ * importId; reverting the import reverts them newest first. Only the most recent import of
+ * each bulk file can be reverted. The newest MAX_JOURNALS_PER_BULK_FILE imports are kept.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { compareVersions } = require('./bulk-file-delta');
+
+const MAX_JOURNALS_PER_BULK_FILE = 5;
+const ENTRIES_FILE_SUFFIX = '.entries.ndjson';
+const ENTRY_READ_BYTES = 1024 * 1024;
+
+let journalDirOverride = null;
+
+/**
+ * Get the journal folder
+ * @returns {string} Journal folder path
+ */
+function getJournalDir() {
+  if (journalDirOverride) return journalDirOverride;
+  try {
+    // Use userData path - works in both dev and packaged apps
+    const { app } = require('electron');
+    const userDataPath = app.getPath('userData');
+    return path.join(userDataPath, 'bulk-import-journals');
+  } catch (error) {
+    // Fallback for testing
+    return path.join(__dirname, '../bulk-import-journals');
+  }
+}
+
+/**
+ * Use a different journal folder (command-line tool)
+ * @param {string|null} dir - Folder path, or null for the default
+ */
+function setJournalDir(dir) {
+  journalDirOverride = dir ? path.resolve(dir) : null;
+}
+
+/**
+ * Create an import ID (shared by the journals of one import)
+ * @returns {string} Import ID
+ */
+function createImportId() {
+  return `${new Date().toISOString().replace(/[:.]/g, '-')}-${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Start a journal for processing one bulk file
+ * @param {Object} info - { importId, bulkFileId, version, filename, previousProcessed }
+ * @returns {Object} Journal (entries are added with recordAnimal())
+ */
+function createJournal(info) {
+  const importId = info.importId || createImportId();
+  return {
+    id: `${importId}-${info.version}`.replace(/[^a-zA-Z0-9._-]/g, '_'),
+    importId,
+    bulkFileId: info.bulkFileId,
+    version: info.version,
+    filename: info.filename || null,
+    importedAt: new Date().toISOString(),
+    previousProcessed: info.previousProcessed || null,
+    entryCount: 0,
+    createdCount: 0,
+    updatedCount: 0,
+    removedCount: 0,
+    reverted: false,
+    revertedAt: null,
+    // Not saved: registration numbers already recorded
+    registrationNumbers: new Set()
+  };
+}
+
+/**
+ * Get the path of a journal's entries file
+ * @param {string} journalId - Journal ID
+ * @returns {string} Entries file path
+ */
+function getEntriesPath(journalId) {
+  return path.join(getJournalDir(), `${journalId}${ENTRIES_FILE_SUFFIX}`);
+}
+
+/**
+ * Record an animal's state before the import changes it
+ * Only the first state is kept if an animal is touched twice.
+ * @param {Object} journal - Journal from createJournal()
+ * @param {string} registrationNumber - Registration number
+ * @param {string} action - 'created', 'updated' or 'removed'
+ * @param {Object|null} before - Cache record before the change (null if the animal didn't exist)
+ */
+function recordAnimal(journal, registrationNumber, action, before) {
+  if (!journal || journal.registrationNumbers.has(registrationNumber)) return;
+
+  const line = JSON.stringify({ registrationNumber, action, before: before || null }) + '\n';
+  if (journal.entryCount === 0) {
+    const dir = getJournalDir();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(getEntriesPath(journal.id), line, 'utf8');
+  } else {
+    fs.appendFileSync(getEntriesPath(journal.id), line, 'utf8');
+  }
+
+  journal.registrationNumbers.add(registrationNumber);
+  journal.entryCount++;
+  journal[`${action}Count`]++;
+}
+
+/**
+ * Call a function for each entry of a journal, reading the entries file a chunk at a time
+ * @param {Object} journal - Journal
+ * @param {Function} callback - Called with each entry
+ */
+function forEachEntry(journal, callback) {
+  if (Array.isArray(journal.entries)) {
+    journal.entries.forEach(entry => callback(entry));
+    return;
+  }
+
+  const entriesPath = getEntriesPath(journal.id);
+  if (!fs.existsSync(entriesPath)) return;
+
+  const fd = fs.openSync(entriesPath, 'r');
+  try {
+    const buffer = Buffer.alloc(ENTRY_READ_BYTES);
+    let pending = Buffer.alloc(0);
+    let bytesRead;
+    while ((bytesRead = fs.readSync(fd, buffer, 0, buffer.length, null)) > 0) {
+      pending = Buffer.concat([pending, buffer.subarray(0, bytesRead)]);
+      let newline;
+      while ((newline = pending.indexOf(10)) !== -1) {
+        const line = pending.subarray(0, newline).toString('utf8');
+        pending = pending.subarray(newline + 1);
+        if (line.trim()) callback(JSON.parse(line));
+      }
+    }
+    if (pending.length > 0 && pending.toString('utf8').trim()) {
+      callback(JSON.parse(pending.toString('utf8')));
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+/**
+ * Write a journal's header file
+ * @param {Object} journal - Journal
+ */
+function writeJournalHeader(journal) {
+  const { registrationNumbers, ...header } = journal;
+  fs.writeFileSync(path.join(getJournalDir(), `${journal.id}.json`), JSON.stringify(header), 'utf8');
+}
+
+/**
+ * Save a journal and drop the oldest imports of the same bulk file
+ * @param {Object} journal - Journal
+ * @returns {boolean} True if saved
+ */
+function saveJournal(journal) {
+  try {
+    const dir = getJournalDir();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    writeJournalHeader(journal);
+    console.log(`[IMPORT-JOURNAL] Saved journal for ${journal.bulkFileId} v${journal.version} (${journal.entryCount} animals)`);
+    pruneJournals(journal.bulkFileId);
+    return true;
+  } catch (error) {
+    console.error('[IMPORT-JOURNAL] Error saving journal:', error);
+    return false;
+  }
+}
+
+/**
+ * Load all journal headers, newest first (entries are read with forEachEntry())
+ * @returns {Array} Journals
+ */
+function loadJournals() {
+  const dir = getJournalDir();
+  if (!fs.existsSync(dir)) return [];
+
+  const journals = [];
+  fs.readdirSync(dir).filter(fileName => fileName.endsWith('.json')).forEach(fileName => {
+    try {
+      const journal = JSON.parse(fs.readFileSync(path.join(dir, fileName), 'utf8'));
+      if (Array.isArray(journal.entries)) {
+        // Journal saved before entries were streamed
+        journal.entryCount = journal.entries.length;
+        ['created', 'updated', 'removed'].forEach(action => {
+          journal[`${action}Count`] = journal.entries.filter(entry => entry.action === action).length;
+        });
+      }
+      journals.push(journal);
+    } catch (error) {
+      console.error(`[IMPORT-JOURNAL] Error reading journal ${fileName}:`, error.message);
+    }
+  });
+  return journals.sort((a, b) => b.importedAt.localeCompare(a.importedAt));
+}
+
+/**
+ * Group journals into imports, newest first
+ * @param {Array} journals - Journals from loadJournals()
+ * @returns {Array} [{ importId, bulkFileId, journals (oldest first) }]
+ */
+function groupImports(journals) {
+  const imports = new Map();
+  journals.forEach(journal => {
+    if (!imports.has(journal.importId)) {
+      imports.set(journal.importId, { importId: journal.importId, bulkFileId: journal.bulkFileId, journals: [] });
+    }
+    imports.get(journal.importId).journals.push(journal);
+  });
+  imports.forEach(imported => {
+    imported.journals.sort((a, b) => a.importedAt.localeCompare(b.importedAt) || compareVersions(a.version, b.version));
+  });
+  return Array.from(imports.values());
+}
+
+/**
+ * List recorded imports, newest first
+ * @returns {Array} [{ importId, bulkFileId, version, fromVersion, importedAt, createdCount, updatedCount,
+ *   removedCount, reverted, revertedAt, revertible }]
+ */
+function listImports() {
+  const imports = groupImports(loadJournals());
+  const latestByBulkFile = {};
+
+  return imports.map(imported => {
+    const first = imported.journals[0];
+    const last = imported.journals[imported.journals.length - 1];
+    const countOf = (action) => imported.journals.reduce((sum, journal) => sum + (journal[`${action}Count`] || 0), 0);
+    const reverted = imported.journals.every(journal => journal.reverted);
+
+    // Only the newest import of a bulk file that hasn't been reverted can be reverted
+    let revertible = false;
+    if (!reverted && !latestByBulkFile[imported.bulkFileId]) {
+      latestByBulkFile[imported.bulkFileId] = imported.importId;
+      revertible = true;
+    }
+
+    return {
+      importId: imported.importId,
+      bulkFileId: imported.bulkFileId,
+      version: last.version,
+      fromVersion: first.previousProcessed ? first.previousProcessed.version : null,
+      deltaCount: imported.journals.length > 1 ? imported.journals.length : 0,
+      importedAt: first.importedAt,
+      createdCount: countOf('created'),
+      updatedCount: countOf('updated'),
+      removedCount: countOf('removed'),
+      reverted,
+      revertedAt: reverted ? last.revertedAt : null,
+      revertible
+    };
+  });
+}
+
+/**
+ * Get the journals of an import, newest first (the order they are reverted in)
+ * @param {string} importId - Import ID
+ * @returns {Array} Journals
+ */
+function getImportJournals(importId) {
+  const imported = groupImports(loadJournals()).find(group => group.importId === importId);
+  return imported ? imported.journals.reverse() : [];
+}
+
+/**
+ * Mark a journal as reverted
+ * @param {Object} journal - Journal
+ */
+function markReverted(journal) {
+  journal.reverted = true;
+  journal.revertedAt = new Date().toISOString();
+  writeJournalHeader(journal);
+}
+
+/**
+ * Delete the journals of a bulk file's oldest imports beyond MAX_JOURNALS_PER_BULK_FILE
+ * @param {string} bulkFileId - Bulk file ID
+ */
+function pruneJournals(bulkFileId) {
+  const imports = groupImports(loadJournals().filter(journal => journal.bulkFileId === bulkFileId));
+  imports.slice(MAX_JOURNALS_PER_BULK_FILE).forEach(imported => {
+    imported.journals.forEach(journal => {
+      try {
+        fs.unlinkSync(path.join(getJournalDir(), `${journal.id}.json`));
+        fs.rmSync(getEntriesPath(journal.id), { force: true });
+      } catch (error) {
+        console.error(`[IMPORT-JOURNAL] Error deleting journal ${journal.id}:`, error.message);
+      }
+    });
+  });
+}
+
+module.exports = {
+  MAX_JOURNALS_PER_BULK_FILE,
+  setJournalDir,
+  createImportId,
+  createJournal,
+  recordAnimal,
+  forEachEntry,
+  saveJournal,
+  listImports,
+  getImportJournals,
+  markReverted
+};
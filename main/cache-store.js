@@ -0,0 +1,689 @@
+/**
+ * Indexed append-only cache store
+ *
+ * Replaces the one-JSON-file-per-animal cache. All records live in a single log file
+ * (epd-cache.store) in the cache directory. Each write appends a header line followed by
+ * the record JSON:
+ *
+ *   {"k":"epd_123","t":1734912000000,"n":18234,"m":{...}}\n
+ *   {"key":"epd_123","cachedAt":"...","categories":[...],"data":{...}}\n
+ *
+ *   k = key, t = saved time (ms, used for expiry), n = record length in bytes, m = index metadata
+ *
+ * Deletes and expiry changes append header-only entries ({"k","del":1} / {"k","t","touch":1}).
+ * On open only the header lines are parsed (in chunks) to build the in-memory index (byte
+ * offsets plus secondary indexes on sex, category and trait values); record bodies are read
+ * on demand, and a bounded number of parsed records is kept in memory.
+ *
+ * The app and the command-line tools can have the same store open. Writes take a lock file
+ * (epd-cache.store.lock) and first read any entries another process appended, so offsets always
+ * match the real end of the log. Compaction and clearing replace the log file while holding
+ * the lock; other handles notice the new file (by inode) and reload before their next write.
+ * Stray *.json files from the old per-file cache are migrated whenever the store is opened.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const STORE_FILE_NAME = 'epd-cache.store';
+const LOCK_FILE_SUFFIX = '.lock';
+const MIGRATION_BACKUP_DIR = 'json-backup';
+
+// Compact when the log is larger than this and more than half of it is dead data
+const COMPACT_MIN_BYTES = 4 * 1024 * 1024;
+
+// Bytes read at a time while building the index
+const INDEX_READ_BYTES = 1024 * 1024;
+
+// Parsed records kept in memory for shared reads (by record size)
+const RECORD_CACHE_MAX_BYTES = 64 * 1024 * 1024;
+
+// How long a write waits for another process's lock before giving up
+const LOCK_TIMEOUT_MS = 30000;
+const LOCK_RETRY_MS = 20;
+
+/**
+ * Open (or create) the store in a cache directory
+ * Existing *.json cache files are migrated into it (resuming an interrupted migration).
+ * @param {string} cacheDir - Cache directory
+ * @param {Function} buildMeta - Optional function (record) => index metadata, used for migrated records
+ * @returns {Object} Store handle
+ */
+function openStore(cacheDir, buildMeta = null) {
+  const logPath = path.join(cacheDir, STORE_FILE_NAME);
+
+  const store = {
+    dir: cacheDir,
+    logPath: logPath,
+    lockPath: logPath + LOCK_FILE_SUFFIX,
+    lockDepth: 0,
+    fd: null,
+    inode: null,
+    size: 0,
+    liveBytes: 0,
+    entries: new Map(),
+    indexes: { sex: new Map(), category: new Map(), traits: new Map() },
+    recordCache: new Map(),
+    recordCacheBytes: 0
+  };
+
+  openLogFile(store);
+  loadIndex(store, 0);
+  migrateJsonFiles(store, buildMeta);
+
+  console.log(`[CACHE-STORE] Opened ${logPath} (${store.entries.size} records, ${store.size} bytes)`);
+  return store;
+}
+
+/**
+ * Open the log file (creating it if needed) and reset the in-memory index
+ * @param {Object} store - Store handle
+ */
+function openLogFile(store) {
+  if (store.fd !== null) {
+    fs.closeSync(store.fd);
+  }
+  store.fd = fs.openSync(store.logPath, 'a+');
+  store.inode = fs.fstatSync(store.fd).ino;
+  store.size = 0;
+  store.liveBytes = 0;
+  store.entries.clear();
+  store.indexes = { sex: new Map(), category: new Map(), traits: new Map() };
+  clearRecordCache(store);
+}
+
+/**
+ * Block the thread for a few milliseconds (the store API is synchronous)
+ * @param {number} ms - Milliseconds
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Take the store's lock file
+ * A lock left by a process that is no longer running is removed.
+ * @param {Object} store - Store handle
+ */
+function acquireLock(store) {
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      const lockFd = fs.openSync(store.lockPath, 'wx');
+      fs.writeSync(lockFd, String(process.pid));
+      fs.closeSync(lockFd);
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    let ownerPid = null;
+    try {
+      ownerPid = parseInt(fs.readFileSync(store.lockPath, 'utf8'), 10);
+    } catch (error) {
+      continue; // Released between the two calls
+    }
+    if (ownerPid && (ownerPid === process.pid || !isProcessAlive(ownerPid))) {
+      console.warn(`[CACHE-STORE] Removing stale lock left by process ${ownerPid}`);
+      try {
+        fs.unlinkSync(store.lockPath);
+      } catch (error) {
+        // Another process removed it first
+      }
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`Cache store is locked by another process (${ownerPid || 'unknown'}): ${store.lockPath}`);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Run a function while holding the store's lock (re-entrant within a process)
+ * The index is brought up to date with the log file before the function runs.
+ * @param {Object} store - Store handle
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function withLock(store, fn) {
+  if (store.lockDepth === 0) {
+    acquireLock(store);
+  }
+  store.lockDepth++;
+  try {
+    if (store.lockDepth === 1) {
+      refreshStore(store, true);
+    }
+    return fn();
+  } finally {
+    store.lockDepth--;
+    if (store.lockDepth === 0) {
+      try {
+        fs.unlinkSync(store.lockPath);
+      } catch (error) {
+        console.error('[CACHE-STORE] Could not release lock:', error.message);
+      }
+    }
+  }
+}
+
+/**
+ * Bring the index up to date with the log file
+ * Picks up entries appended by other processes, and reloads the whole index when another
+ * process replaced the log (compaction or clear). Only a lock holder truncates an incomplete
+ * entry at the end; without the lock it may be a write still in progress.
+ * @param {Object} store - Store handle
+ * @param {boolean} locked - Whether the caller holds the lock
+ */
+function refreshStore(store, locked = false) {
+  let stats;
+  try {
+    stats = fs.statSync(store.logPath);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    stats = null;
+  }
+
+  if (!stats || stats.ino !== store.inode) {
+    openLogFile(store);
+    loadIndex(store, 0);
+  } else if (stats.size < store.size) {
+    // Replaced in place (older versions cleared the store by truncating it)
+    openLogFile(store);
+    loadIndex(store, 0);
+  } else if (stats.size > store.size) {
+    loadIndex(store, store.size);
+  }
+
+  if (locked) {
+    const fileSize = fs.fstatSync(store.fd).size;
+    if (fileSize > store.size) {
+      console.warn(`[CACHE-STORE] Discarding ${fileSize - store.size} bytes of incomplete data at the end of ${store.logPath}`);
+      fs.ftruncateSync(store.fd, store.size);
+    }
+  }
+}
+
+/**
+ * Close the store file
+ * @param {Object} store - Store handle
+ */
+function closeStore(store) {
+  if (store && store.fd !== null) {
+    fs.closeSync(store.fd);
+    store.fd = null;
+  }
+}
+
+/**
+ * Drop every parsed record kept in memory
+ * @param {Object} store - Store handle
+ */
+function clearRecordCache(store) {
+  store.recordCache.clear();
+  store.recordCacheBytes = 0;
+}
+
+/**
+ * Drop one parsed record kept in memory
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ */
+function evictRecord(store, key) {
+  const cached = store.recordCache.get(key);
+  if (cached) {
+    store.recordCacheBytes -= cached.length;
+    store.recordCache.delete(key);
+  }
+}
+
+/**
+ * Keep a parsed record in memory, dropping the least recently used ones over the size limit
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ * @param {Object} record - Parsed record
+ * @param {number} length - Record size in bytes
+ */
+function cacheRecord(store, key, record, length) {
+  evictRecord(store, key);
+  store.recordCache.set(key, { record, length });
+  store.recordCacheBytes += length;
+  for (const [oldestKey] of store.recordCache) {
+    if (store.recordCacheBytes <= RECORD_CACHE_MAX_BYTES || oldestKey === key) break;
+    evictRecord(store, oldestKey);
+  }
+}
+
+/**
+ * Add a key to a secondary index
+ * @param {Map} index - Index map (value -> Set of keys)
+ * @param {string} value - Indexed value
+ * @param {string} key - Record key
+ */
+function addToIndex(index, value, key) {
+  if (!index.has(value)) index.set(value, new Set());
+  index.get(value).add(key);
+}
+
+/**
+ * Add a record's metadata to the secondary indexes
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ * @param {Object} meta - Metadata ({ sexGroup, categories, traits })
+ */
+function indexMeta(store, key, meta) {
+  if (!meta) return;
+  if (meta.sexGroup) addToIndex(store.indexes.sex, meta.sexGroup, key);
+  (meta.categories || []).forEach(category => addToIndex(store.indexes.category, category, key));
+  Object.keys(meta.traits || {}).forEach(trait => {
+    if (!store.indexes.traits.has(trait)) store.indexes.traits.set(trait, new Map());
+    store.indexes.traits.get(trait).set(key, meta.traits[trait]);
+  });
+}
+
+/**
+ * Remove a record's metadata from the secondary indexes
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ * @param {Object} meta - Metadata previously indexed
+ */
+function unindexMeta(store, key, meta) {
+  if (!meta) return;
+  if (meta.sexGroup) store.indexes.sex.get(meta.sexGroup)?.delete(key);
+  (meta.categories || []).forEach(category => store.indexes.category.get(category)?.delete(key));
+  Object.keys(meta.traits || {}).forEach(trait => store.indexes.traits.get(trait)?.delete(key));
+}
+
+/**
+ * Apply a log entry to the in-memory index
+ * @param {Object} store - Store handle
+ * @param {Object} header - Parsed header line
+ * @param {number} dataOffset - Byte offset of the record body
+ * @param {number} entryBytes - Total bytes of the entry (header + body)
+ */
+function applyEntry(store, header, dataOffset, entryBytes) {
+  const existing = store.entries.get(header.k);
+
+  if (header.touch) {
+    if (existing) existing.savedAt = header.t;
+    return;
+  }
+
+  if (existing) {
+    unindexMeta(store, header.k, existing.meta);
+    store.liveBytes -= existing.entryBytes;
+    store.entries.delete(header.k);
+  }
+  evictRecord(store, header.k);
+
+  if (header.del) return;
+
+  store.entries.set(header.k, {
+    offset: dataOffset,
+    length: header.n,
+    entryBytes: entryBytes,
+    savedAt: header.t,
+    meta: header.m || null
+  });
+  store.liveBytes += entryBytes;
+  indexMeta(store, header.k, header.m);
+}
+
+/**
+ * Read log headers from a byte position and add them to the index
+ * The log is read in chunks and record bodies are skipped. Reading stops at the first
+ * incomplete entry (a crashed or in-progress write); store.size is set to the end of the
+ * last complete entry.
+ * @param {Object} store - Store handle
+ * @param {number} start - Byte position of the first entry to read
+ */
+function loadIndex(store, start) {
+  const fileSize = fs.fstatSync(store.fd).size;
+  let buffer = Buffer.alloc(0);
+  let bufferStart = start;
+  let position = start;
+
+  while (position < fileSize) {
+    let offset = position - bufferStart;
+    let headerEnd = offset < buffer.length ? buffer.indexOf(10, offset) : -1;
+
+    if (headerEnd === -1) {
+      // Refill from this entry, growing the buffer when a header is longer than a chunk
+      const remaining = fileSize - position;
+      const readSize = Math.min(remaining, Math.max(INDEX_READ_BYTES, (buffer.length - Math.max(offset, 0)) * 2));
+      buffer = Buffer.alloc(readSize);
+      fs.readSync(store.fd, buffer, 0, readSize, position);
+      bufferStart = position;
+      offset = 0;
+      headerEnd = buffer.indexOf(10);
+      if (headerEnd === -1) {
+        if (readSize === remaining) break;
+        continue;
+      }
+    }
+
+    let header;
+    try {
+      header = JSON.parse(buffer.toString('utf8', offset, headerEnd));
+    } catch (error) {
+      break;
+    }
+
+    const dataOffset = bufferStart + headerEnd + 1;
+    const entryEnd = header.n ? dataOffset + header.n + 1 : dataOffset;
+    if (entryEnd > fileSize) break;
+
+    applyEntry(store, header, dataOffset, entryEnd - position);
+    position = entryEnd;
+  }
+
+  store.size = position;
+}
+
+/**
+ * Append an entry to the log
+ * @param {Object} store - Store handle
+ * @param {Object} header - Header ({ k, t, m, del, touch })
+ * @param {string|null} body - Record JSON (null for header-only entries)
+ */
+function appendEntry(store, header, body = null) {
+  const bodyBuffer = body !== null ? Buffer.from(body + '\n', 'utf8') : null;
+  if (bodyBuffer) header.n = bodyBuffer.length - 1;
+
+  const headerBuffer = Buffer.from(JSON.stringify(header) + '\n', 'utf8');
+  const entry = bodyBuffer ? Buffer.concat([headerBuffer, bodyBuffer]) : headerBuffer;
+
+  withLock(store, () => {
+    // Under the lock store.size is the real end of the log (other writers' entries are indexed)
+    fs.writeSync(store.fd, entry, 0, entry.length, store.size);
+    applyEntry(store, header, store.size + headerBuffer.length, entry.length);
+    store.size += entry.length;
+  });
+}
+
+/**
+ * Read and parse a record
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ * @param {boolean} shared - Return the shared parsed copy (callers must not modify it)
+ * @returns {Object|null} Record or null if not found
+ */
+function readRecord(store, key, shared = false) {
+  refreshStore(store);
+  const entry = store.entries.get(key);
+  if (!entry) return null;
+
+  if (shared && store.recordCache.has(key)) {
+    const cached = store.recordCache.get(key);
+    // Most recently used last
+    store.recordCache.delete(key);
+    store.recordCache.set(key, cached);
+    return cached.record;
+  }
+
+  const buffer = Buffer.alloc(entry.length);
+  fs.readSync(store.fd, buffer, 0, entry.length, entry.offset);
+  const record = JSON.parse(buffer.toString('utf8'));
+
+  if (shared) cacheRecord(store, key, record, entry.length);
+  return record;
+}
+
+/**
+ * Get index information for a record without reading it
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ * @returns {Object|null} { savedAt, length, meta } or null
+ */
+function getEntry(store, key) {
+  refreshStore(store);
+  const entry = store.entries.get(key);
+  return entry ? { savedAt: entry.savedAt, length: entry.length, meta: entry.meta } : null;
+}
+
+/**
+ * Write a record
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ * @param {Object} record - Record to store
+ * @param {Object} meta - Index metadata ({ sexGroup, categories, traits, ... })
+ * @param {number} savedAt - Saved time in ms (default: now)
+ */
+function writeRecord(store, key, record, meta = null, savedAt = Date.now()) {
+  const header = { k: key, t: savedAt };
+  if (meta) header.m = meta;
+  appendEntry(store, header, JSON.stringify(record));
+}
+
+/**
+ * Change the saved time of a record (used to force expiry)
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ * @param {number} savedAt - New saved time in ms
+ * @returns {boolean} True if the record exists
+ */
+function touchRecord(store, key, savedAt) {
+  return withLock(store, () => {
+    if (!store.entries.has(key)) return false;
+    appendEntry(store, { k: key, t: savedAt, touch: 1 });
+    return true;
+  });
+}
+
+/**
+ * Delete a record
+ * @param {Object} store - Store handle
+ * @param {string} key - Record key
+ * @returns {boolean} True if the record existed
+ */
+function deleteRecord(store, key) {
+  return withLock(store, () => {
+    if (!store.entries.has(key)) return false;
+    appendEntry(store, { k: key, del: 1 });
+    return true;
+  });
+}
+
+/**
+ * Delete every record
+ * @param {Object} store - Store handle
+ * @returns {number} Number of records deleted
+ */
+function clearStore(store) {
+  return withLock(store, () => {
+    const count = store.entries.size;
+    // Replace the file rather than truncating it, so other handles see a new log
+    replaceLogFile(store, () => {});
+    return count;
+  });
+}
+
+/**
+ * Replace the log with a new file written by a function, then reload the index from it
+ * Must be called while holding the lock.
+ * @param {Object} store - Store handle
+ * @param {Function} writeFn - Function (tempFd) => void that writes the new log
+ */
+function replaceLogFile(store, writeFn) {
+  const tempPath = store.logPath + '.tmp';
+  const tempFd = fs.openSync(tempPath, 'w');
+  try {
+    writeFn(tempFd);
+  } finally {
+    fs.closeSync(tempFd);
+  }
+  fs.renameSync(tempPath, store.logPath);
+  openLogFile(store);
+  loadIndex(store, 0);
+}
+
+/**
+ * List record keys, optionally limited to a prefix
+ * @param {Object} store - Store handle
+ * @param {string} prefix - Key prefix (e.g. "epd_")
+ * @returns {Array} Keys
+ */
+function listKeys(store, prefix = '') {
+  refreshStore(store);
+  return Array.from(store.entries.keys()).filter(key => key.startsWith(prefix));
+}
+
+/**
+ * Find record keys using the secondary indexes
+ * @param {Object} store - Store handle
+ * @param {Object} query - { prefix, sex, category, trait, min, max } (all optional, combined with AND)
+ * @returns {Array} Matching keys (trait queries are sorted by trait value, highest first)
+ */
+function findKeys(store, query = {}) {
+  const { prefix = '', sex = null, category = null, trait = null, min = null, max = null } = query;
+  let keys = listKeys(store, prefix);
+
+  if (sex) {
+    const sexKeys = store.indexes.sex.get(sex) || new Set();
+    keys = keys.filter(key => sexKeys.has(key));
+  }
+  if (category) {
+    const categoryKeys = store.indexes.category.get(category) || new Set();
+    keys = keys.filter(key => categoryKeys.has(key));
+  }
+  if (trait) {
+    const values = store.indexes.traits.get(trait.toUpperCase()) || new Map();
+    keys = keys.filter(key => {
+      if (!values.has(key)) return false;
+      const value = values.get(key);
+      return (min === null || value >= min) && (max === null || value <= max);
+    });
+    keys.sort((a, b) => values.get(b) - values.get(a));
+  }
+
+  return keys;
+}
+
+/**
+ * Rewrite the log with only live records
+ * Holds the lock for the whole rewrite; other handles reload from the new file before
+ * their next write.
+ * @param {Object} store - Store handle
+ */
+function compactStore(store) {
+  withLock(store, () => {
+    const previousSize = store.size;
+    const entries = Array.from(store.entries.entries());
+
+    replaceLogFile(store, tempFd => {
+      let position = 0;
+      entries.forEach(([key, entry]) => {
+        const body = Buffer.alloc(entry.length);
+        fs.readSync(store.fd, body, 0, entry.length, entry.offset);
+        const header = { k: key, t: entry.savedAt, n: entry.length };
+        if (entry.meta) header.m = entry.meta;
+        const chunk = Buffer.concat([Buffer.from(JSON.stringify(header) + '\n', 'utf8'), body, Buffer.from('\n')]);
+        fs.writeSync(tempFd, chunk, 0, chunk.length, position);
+        position += chunk.length;
+      });
+    });
+
+    console.log(`[CACHE-STORE] Compacted ${store.logPath}: ${previousSize} -> ${store.size} bytes`);
+  });
+}
+
+/**
+ * Compact the log if most of it is superseded data
+ * @param {Object} store - Store handle
+ * @returns {boolean} True if the log was compacted
+ */
+function compactIfNeeded(store) {
+  refreshStore(store);
+  if (store.size <= COMPACT_MIN_BYTES || store.liveBytes >= store.size / 2) {
+    return false;
+  }
+  compactStore(store);
+  return true;
+}
+
+/**
+ * Migrate the per-file JSON cache into the store
+ * Files are moved to json-backup/ in the cache directory once imported (files that cannot
+ * be parsed are left where they are). Runs on every open, so a migration that was interrupted
+ * carries on; a file whose record is already in the store (saved at or after the file's
+ * time) is only moved.
+ * @param {Object} store - Store handle
+ * @param {Function} buildMeta - Optional function (record) => index metadata
+ * @returns {number} Number of files migrated
+ */
+function migrateJsonFiles(store, buildMeta = null) {
+  if (!fs.readdirSync(store.dir).some(f => f.endsWith('.json'))) return 0;
+  return withLock(store, () => migrateJsonFilesLocked(store, buildMeta));
+}
+
+/**
+ * Migrate the per-file JSON cache (lock held)
+ * @param {Object} store - Store handle
+ * @param {Function} buildMeta - Optional function (record) => index metadata
+ * @returns {number} Number of files migrated
+ */
+function migrateJsonFilesLocked(store, buildMeta) {
+  // Listed again under the lock, in case another process migrated them meanwhile
+  const files = fs.readdirSync(store.dir).filter(f => f.endsWith('.json'));
+  if (files.length === 0) return 0;
+
+  console.log(`[CACHE-STORE] Migrating ${files.length} cache file(s) into ${STORE_FILE_NAME}`);
+  const backupDir = path.join(store.dir, MIGRATION_BACKUP_DIR);
+  let migratedCount = 0;
+
+  files.forEach(file => {
+    const filePath = path.join(store.dir, file);
+    try {
+      const stats = fs.statSync(filePath);
+      const key = file.replace(/\.json$/, '');
+      const existing = store.entries.get(key);
+      if (!existing || existing.savedAt < stats.mtimeMs) {
+        const record = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        writeRecord(store, key, record, buildMeta ? buildMeta(record) : null, stats.mtimeMs);
+      }
+
+      if (!fs.existsSync(backupDir)) {
+        fs.mkdirSync(backupDir, { recursive: true });
+      }
+      fs.renameSync(filePath, path.join(backupDir, file));
+      migratedCount++;
+    } catch (error) {
+      console.error(`[CACHE-STORE] Could not migrate ${file}:`, error.message);
+    }
+  });
+
+  console.log(`[CACHE-STORE] Migrated ${migratedCount} of ${files.length} cache file(s); originals moved to ${backupDir}`);
+  return migratedCount;
+}
+
+module.exports = {
+  STORE_FILE_NAME,
+  openStore,
+  closeStore,
+  readRecord,
+  getEntry,
+  writeRecord,
+  touchRecord,
+  deleteRecord,
+  clearStore,
+  listKeys,
+  findKeys,
+  compactStore,
+  compactIfNeeded,
+  migrateJsonFiles
+};
@@ -1,10 +1,15 @@
 const fs = require('fs');
 const path = require('path');
-const { app } = require('electron');
+const geneticConditions = require('./genetic-conditions');
+const epdAccuracy = require('./epd-accuracy');
+const epdHistory = require('./epd-history');
+const cacheStore = require('./cache-store');
 
 const CACHE_EXPIRY_DAYS = 30; // Cache expires after 30 days
 
 let CACHE_DIR = null;
+let store = null;
+let categoriesPathOverride = null;
 
 /**
  * Initialize cache directory using user data path
@@ -15,6 +20,7 @@ function initializeCacheDir() {
   try {
     // Use userData path - works in both dev and packaged apps
     // Use 'epd-cache' instead of 'cache' to avoid conflicts with Electron's cache management
+    const { app } = require('electron');
     const userDataPath = app.getPath('userData');
     CACHE_DIR = path.join(userDataPath, 'epd-cache');
     
@@ -51,6 +57,25 @@ function initializeCacheDir() {
   return CACHE_DIR;
 }
 
+/**
+ * Use a specific cache directory instead of the userData location
+ * (command-line tools running without Electron)
+ * @param {string} cacheDir - Cache directory path
+ * @returns {string} Resolved cache directory
+ */
+function setCacheDir(cacheDir) {
+  if (store) {
+    cacheStore.closeStore(store);
+    store = null;
+  }
+  CACHE_DIR = path.resolve(cacheDir);
+  if (!fs.existsSync(CACHE_DIR)) {
+    fs.mkdirSync(CACHE_DIR, { recursive: true });
+    console.log('[CACHE] Created cache directory:', CACHE_DIR);
+  }
+  return CACHE_DIR;
+}
+
 // Ensure cache directory exists
 function ensureCacheDir() {
   if (!CACHE_DIR) {
@@ -60,39 +85,87 @@ function ensureCacheDir() {
 }
 
 /**
- * Get cache file path for a given key
+ * Get the cache store, opening it (and migrating old per-file JSON cache) on first use
+ * @returns {Object} Store handle (see cache-store.js)
  */
-function getCacheFilePath(key) {
+function getStore() {
   ensureCacheDir();
-  // Sanitize key to be filesystem-safe
-  const sanitizedKey = key.replace(/[^a-zA-Z0-9]/g, '_');
-  return path.join(CACHE_DIR, `${sanitizedKey}.json`);
+  if (!store) {
+    store = cacheStore.openStore(CACHE_DIR, buildIndexMeta);
+  }
+  return store;
 }
 
 /**
- * Check if cached data exists and is still valid (less than 30 days old, or never expires for Researching)
+ * Get the store key for a cache key
+ * Keys are sanitized the same way the old cache file names were, so migrated
+ * files keep their keys (e.g. "percentile-breakdowns" -> "percentile_breakdowns").
+ * @param {string} key - Cache key, or a legacy cache file path
+ * @returns {string} Store key
  */
-function isCacheValid(cacheFilePath) {
-  if (!fs.existsSync(cacheFilePath)) {
-    return false;
+function getStoreKey(key) {
+  const baseKey = key.endsWith('.json') ? path.basename(key, '.json') : key;
+  return baseKey.replace(/[^a-zA-Z0-9]/g, '_');
+}
+
+/**
+ * Classify an animal's sex for the sex index
+ * @param {string} sex - Sex from the animal page
+ * @returns {string|null} "cow", "bull" or null
+ */
+function getSexGroup(sex) {
+  const upper = (sex || '').toUpperCase();
+  if (!upper) return null;
+  if (upper === 'COW' || upper === 'FEMALE' || upper === 'HEIFER' || upper.includes('COW') || upper.includes('FEMALE')) {
+    return 'cow';
+  }
+  if (upper === 'BULL' || upper === 'MALE' || upper === 'STEER' || upper.includes('BULL') || upper.includes('MALE')) {
+    return 'bull';
   }
+  return null;
+}
+
+/**
+ * Build the index metadata stored with a cache record
+ * Holds everything the herd inventory list needs, so it can be built without reading records.
+ * @param {Object} cached - Cache record ({ key, cachedAt, categories, data })
+ * @returns {Object} Metadata
+ */
+function buildIndexMeta(cached) {
+  const data = cached && cached.data ? cached.data : {};
+  const traits = {};
+  Object.keys(data.epdValues || {}).forEach(trait => {
+    const epd = data.epdValues[trait]?.epd;
+    const value = typeof epd === 'number' ? epd : parseFloat(String(epd ?? '').replace(/^I\s*/i, '').trim());
+    if (!isNaN(value)) traits[trait.toUpperCase()] = value;
+  });
+  
+  return {
+    animalName: data.animalName || null,
+    sex: data.sex || null,
+    sexGroup: getSexGroup(data.sex),
+    categories: getCategoriesFromCached(cached),
+    cachedAt: cached?.cachedAt || null,
+    geneticConditions: data.epdValues ? geneticConditions.getGeneticConditions(data) : null,
+    traits: traits
+  };
+}
 
+/**
+ * Check if cached data exists and is still valid (less than 30 days old, or never expires for Researching)
+ * @param {string} key - Cache key (a legacy cache file path is also accepted)
+ */
+function isCacheValid(key) {
   try {
-    // Read categories from cache file to determine expiration policy
-    let categories = ['My Herd']; // Default for backward compatibility
-    try {
-      const cacheContent = fs.readFileSync(cacheFilePath, 'utf8');
-      const cached = JSON.parse(cacheContent);
-      categories = getCategoriesFromCached(cached);
-    } catch (readError) {
-      // If we can't read the categories, use default
-      console.log(`[CACHE] Could not read categories from cache file, using default: ${cacheFilePath}`);
-      categories = ['My Herd'];
+    const entry = cacheStore.getEntry(getStore(), getStoreKey(key));
+    if (!entry) {
+      return false;
     }
     
-    const stats = fs.statSync(cacheFilePath);
-    const now = Date.now();
-    const cacheAge = now - stats.mtimeMs;
+    // Categories are kept in the index metadata to determine expiration policy
+    const categories = entry.meta?.categories || ['My Herd'];
+    
+    const cacheAge = Date.now() - entry.savedAt;
     const cacheAgeDays = cacheAge / (1000 * 60 * 60 * 24);
     
     // Apply expiration based on categories
@@ -111,25 +184,26 @@ function isCacheValid(cacheFilePath) {
 /**
  * Load cached data for a given key
  * @param {string} key - Cache key (e.g., registration number or 'percentile-breakdowns')
+ * @param {boolean} allowExpired - Return the record even if it has expired (default: false)
  * @returns {Object|null} Cached data with metadata, or null if not found/invalid
  */
-function loadCache(key) {
+function loadCache(key, allowExpired = false) {
   try {
-    const cacheFilePath = getCacheFilePath(key);
+    const cacheStoreHandle = getStore();
+    const storeKey = getStoreKey(key);
     
-    if (!fs.existsSync(cacheFilePath)) {
-      console.log(`[CACHE] No cache file found for key: ${key} at: ${cacheFilePath}`);
+    if (!cacheStore.getEntry(cacheStoreHandle, storeKey)) {
+      console.log(`[CACHE] No cache entry found for key: ${key}`);
       return null;
     }
     
-    if (!isCacheValid(cacheFilePath)) {
-      console.log(`[CACHE] Cache file expired for key: ${key}`);
+    if (!allowExpired && !isCacheValid(key)) {
+      console.log(`[CACHE] Cache entry expired for key: ${key}`);
       return null;
     }
-
-    const cacheContent = fs.readFileSync(cacheFilePath, 'utf8');
-    const cached = JSON.parse(cacheContent);
-    console.log(`[CACHE] Loaded cached data for key: ${key} from: ${cacheFilePath}`);
+    
+    const cached = cacheStore.readRecord(cacheStoreHandle, storeKey);
+    console.log(`[CACHE] Loaded cached data for key: ${key}`);
     return cached;
   } catch (error) {
     console.error(`[CACHE] Error loading cache for key ${key}:`, error);
@@ -180,53 +254,58 @@ function getCategoriesFromCached(cached) {
   return ['My Herd'];
 }
 
+/**
+ * Write a cache record with its index metadata
+ * @param {string} storeKey - Store key
+ * @param {Object} cached - Cache record
+ */
+function writeCacheRecord(storeKey, cached) {
+  cacheStore.writeRecord(getStore(), storeKey, cached, buildIndexMeta(cached));
+}
+
 /**
  * Save data to cache
  * @param {string} key - Cache key
  * @param {Object} data - Data to cache
  * @param {string|Array} categoryOrCategories - Optional category (string) or categories (array), default: "My Herd"
+ * @param {Object} metadata - Optional extra fields kept on the record (e.g. { asOf } for percentile breakdowns)
  */
-function saveCache(key, data, categoryOrCategories = 'My Herd') {
+function saveCache(key, data, categoryOrCategories = 'My Herd', metadata = {}) {
   try {
-    const cacheFilePath = getCacheFilePath(key);
+    const storeKey = getStoreKey(key);
     
     // Normalize categories to array (support both old string and new array format)
     const categories = normalizeCategories(categoryOrCategories);
     
-    // Read existing cache file if it exists to preserve other metadata
+    // Read existing record if it exists to preserve other metadata
     let existingCached = null;
-    if (fs.existsSync(cacheFilePath)) {
-      try {
-        const existingContent = fs.readFileSync(cacheFilePath, 'utf8');
-        existingCached = JSON.parse(existingContent);
-      } catch (error) {
-        // If we can't read existing, continue with new data
-        console.log(`[CACHE] Could not read existing cache file, creating new: ${cacheFilePath}`);
-      }
+    try {
+      existingCached = cacheStore.readRecord(getStore(), storeKey);
+    } catch (error) {
+      // If we can't read existing, continue with new data
+      console.log(`[CACHE] Could not read existing cache entry, creating new: ${key}`);
     }
     
     const cacheData = {
+      ...metadata,
       key,
       cachedAt: existingCached?.cachedAt || new Date().toISOString(),
       categories: categories, // Always use array format
       data
     };
     
-    // Remove old category field if it exists (migration to new format)
-    if (cacheData.category) {
-      delete cacheData.category;
+    // Animal records keep a dated history of EPDs (the weekly evaluation overwrites data)
+    if (data && data.epdValues) {
+      cacheData.history = epdHistory.addSnapshot(
+        existingCached?.history,
+        data,
+        existingCached?.data || null,
+        existingCached?.cachedAt || null
+      );
     }
     
-    fs.writeFileSync(cacheFilePath, JSON.stringify(cacheData, null, 2), 'utf8');
-    console.log(`[CACHE] Saved cache for key: ${key} with categories: ${categories.join(', ')} to: ${cacheFilePath}`);
-    
-    // Verify the file was written
-    if (fs.existsSync(cacheFilePath)) {
-      const stats = fs.statSync(cacheFilePath);
-      console.log(`[CACHE] Cache file verified, size: ${stats.size} bytes`);
-    } else {
-      console.error(`[CACHE] WARNING: Cache file was not created at: ${cacheFilePath}`);
-    }
+    writeCacheRecord(storeKey, cacheData);
+    console.log(`[CACHE] Saved cache for key: ${key} with categories: ${categories.join(', ')}`);
   } catch (error) {
     console.error(`[CACHE] Error saving cache for key ${key}:`, error);
     console.error(`[CACHE] Error stack:`, error.stack);
@@ -240,15 +319,12 @@ function saveCache(key, data, categoryOrCategories = 'My Herd') {
  */
 function deleteCachedAnimal(registrationNumber) {
   try {
-    const cacheFilePath = getCacheFilePath(`epd_${registrationNumber}`);
-    
-    if (!fs.existsSync(cacheFilePath)) {
-      console.log(`[CACHE] Cache file does not exist for registration number: ${registrationNumber}`);
-      return { success: false, error: 'Cache file not found' };
+    if (!cacheStore.deleteRecord(getStore(), getStoreKey(`epd_${registrationNumber}`))) {
+      console.log(`[CACHE] No cache entry exists for registration number: ${registrationNumber}`);
+      return { success: false, error: 'Cache entry not found' };
     }
     
-    fs.unlinkSync(cacheFilePath);
-    console.log(`[CACHE] Deleted cache file for registration number: ${registrationNumber}`);
+    console.log(`[CACHE] Deleted cache entry for registration number: ${registrationNumber}`);
     return { success: true };
   } catch (error) {
     console.error(`[CACHE] Error deleting cache for registration number ${registrationNumber}:`, error);
@@ -257,47 +333,54 @@ function deleteCachedAnimal(registrationNumber) {
 }
 
 /**
- * Invalidate all cache files (force refresh by making them appear expired)
- * This updates file modification times to force re-fetching on next scrape
+ * Write a cached animal record back exactly as it was (used to roll back a bulk file import)
+ * @param {string} registrationNumber - Registration number of the animal
+ * @param {Object} cached - Full cache record, as returned by loadCache(key, true)
+ * @returns {Object} Result object with success status
+ */
+function restoreCachedAnimal(registrationNumber, cached) {
+  try {
+    writeCacheRecord(getStoreKey(`epd_${registrationNumber}`), cached);
+    console.log(`[CACHE] Restored cache entry for registration number: ${registrationNumber}`);
+    return { success: true };
+  } catch (error) {
+    console.error(`[CACHE] Error restoring cache for registration number ${registrationNumber}:`, error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Invalidate all cache entries (force refresh by making them appear expired)
+ * Data is kept; entries are re-fetched on next scrape
  */
 function invalidateAllCache() {
   try {
-    const cacheDir = ensureCacheDir();
-    
-    if (!fs.existsSync(cacheDir)) {
-      return { success: true, invalidatedCount: 0 };
-    }
-    
-    const files = fs.readdirSync(cacheDir);
-    const epdFiles = files.filter(f => f.startsWith('epd_') && f.endsWith('.json'));
+    const cacheStoreHandle = getStore();
+    const epdKeys = cacheStore.listKeys(cacheStoreHandle, 'epd_');
     let invalidatedCount = 0;
     
-    // Set modification time to a date far in the past to make cache appear expired
-    const expiredDate = new Date(2000, 0, 1); // January 1, 2000
+    // Set saved time to a date far in the past to make cache appear expired
+    const expiredTime = new Date(2000, 0, 1).getTime(); // January 1, 2000
     
-    epdFiles.forEach(file => {
+    epdKeys.forEach(storeKey => {
       try {
-        const filePath = path.join(cacheDir, file);
-        fs.utimesSync(filePath, expiredDate, expiredDate);
+        cacheStore.touchRecord(cacheStoreHandle, storeKey, expiredTime);
         invalidatedCount++;
-        console.log(`[CACHE] Invalidated cache file: ${file}`);
       } catch (error) {
-        console.error(`[CACHE] Error invalidating cache file ${file}:`, error);
+        console.error(`[CACHE] Error invalidating cache entry ${storeKey}:`, error);
       }
     });
     
     // Also invalidate percentile breakdowns cache if it exists
-    const percentileCachePath = getCacheFilePath('percentile-breakdowns');
-    if (fs.existsSync(percentileCachePath)) {
-      try {
-        fs.utimesSync(percentileCachePath, expiredDate, expiredDate);
+    try {
+      if (cacheStore.touchRecord(cacheStoreHandle, getStoreKey('percentile-breakdowns'), expiredTime)) {
         console.log(`[CACHE] Invalidated percentile breakdowns cache`);
-      } catch (error) {
-        console.error(`[CACHE] Error invalidating percentile cache:`, error);
       }
+    } catch (error) {
+      console.error(`[CACHE] Error invalidating percentile cache:`, error);
     }
     
-    console.log(`[CACHE] invalidateAllCache() completed - invalidated ${invalidatedCount} cache file(s)`);
+    console.log(`[CACHE] invalidateAllCache() completed - invalidated ${invalidatedCount} cache entries`);
     return { success: true, invalidatedCount };
   } catch (error) {
     console.error('[CACHE] Error invalidating cache:', error);
@@ -306,46 +389,61 @@ function invalidateAllCache() {
 }
 
 /**
- * Clear all cache files (delete them)
+ * Clear all cache entries (delete them)
  * NOTE: This function is kept for backward compatibility but should not be used for "Clear Cache" button
  * Use invalidateAllCache() instead to force refresh without losing data
  */
 function clearAllCache() {
   try {
-    // Ensure cache directory is initialized
     const cacheDir = ensureCacheDir();
     
-    console.log(`[CACHE] clearAllCache() called - clearing cache directory: ${cacheDir}`);
+    console.log(`[CACHE] clearAllCache() called - clearing cache in: ${cacheDir}`);
     console.trace('[CACHE] Stack trace for clearAllCache call');
     
-    if (!fs.existsSync(cacheDir)) {
-      console.log('[CACHE] Cache directory does not exist, nothing to clear');
-      return { success: true, deletedCount: 0 };
-    }
+    const deletedCount = cacheStore.clearStore(getStore());
     
-    const files = fs.readdirSync(cacheDir);
-    console.log(`[CACHE] Found ${files.length} file(s) to potentially delete`);
-    let deletedCount = 0;
+    console.log(`[CACHE] clearAllCache() completed - cleared ${deletedCount} cache entries from: ${cacheDir}`);
+    return { success: true, deletedCount };
+  } catch (error) {
+    console.error('[CACHE] Error clearing cache:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete cache entries older than the given number of days
+ * @param {number} expiryDays - Maximum age in days (default: CACHE_EXPIRY_DAYS)
+ * @returns {Object} { deleted, errors }
+ */
+function deleteExpiredCache(expiryDays = CACHE_EXPIRY_DAYS) {
+  let deleted = 0;
+  let errors = 0;
+  try {
+    const cacheStoreHandle = getStore();
+    const expiryMs = expiryDays * 24 * 60 * 60 * 1000;
+    const now = Date.now();
     
-    files.forEach(file => {
-      if (file.endsWith('.json')) {
-        try {
-          const filePath = path.join(cacheDir, file);
-          fs.unlinkSync(filePath);
-          deletedCount++;
-          console.log(`[CACHE] Deleted cache file: ${file}`);
-        } catch (error) {
-          console.error(`[CACHE] Error deleting cache file ${file}:`, error);
+    cacheStore.listKeys(cacheStoreHandle).forEach(storeKey => {
+      try {
+        const entry = cacheStore.getEntry(cacheStoreHandle, storeKey);
+        if (now - entry.savedAt > expiryMs) {
+          cacheStore.deleteRecord(cacheStoreHandle, storeKey);
+          deleted++;
+          console.log(`[CACHE] Deleted expired cache entry: ${storeKey}`);
         }
+      } catch (error) {
+        console.error(`[CACHE] Error checking cache entry ${storeKey}:`, error);
+        errors++;
       }
     });
     
-    console.log(`[CACHE] clearAllCache() completed - cleared ${deletedCount} cache file(s) from: ${cacheDir}`);
-    return { success: true, deletedCount };
+    // Reclaim the space of deleted and replaced records (only done here, under the store lock)
+    cacheStore.compactIfNeeded(cacheStoreHandle);
   } catch (error) {
-    console.error('[CACHE] Error clearing cache:', error);
-    return { success: false, error: error.message };
+    console.error('[CACHE] Error deleting expired cache:', error);
+    errors++;
   }
+  return { deleted, errors };
 }
 
 /**
@@ -353,36 +451,24 @@ function clearAllCache() {
  */
 function getCacheStats() {
   try {
-    // Ensure cache directory is initialized
-    const cacheDir = ensureCacheDir();
-    
-    if (!fs.existsSync(cacheDir)) {
-      return { totalFiles: 0, totalSize: 0, files: [] };
-    }
-
-    const files = fs.readdirSync(cacheDir);
-    const jsonFiles = files.filter(f => f.endsWith('.json'));
+    const cacheStoreHandle = getStore();
+    const keys = cacheStore.listKeys(cacheStoreHandle);
     let totalSize = 0;
     const fileStats = [];
-
-    jsonFiles.forEach(file => {
-      const filePath = path.join(cacheDir, file);
-      try {
-        const stats = fs.statSync(filePath);
-        totalSize += stats.size;
-        fileStats.push({
-          name: file,
-          size: stats.size,
-          modified: stats.mtime.toISOString(),
-          ageDays: Math.floor((Date.now() - stats.mtimeMs) / (1000 * 60 * 60 * 24))
-        });
-      } catch (error) {
-        console.error(`[CACHE] Error getting stats for ${file}:`, error);
-      }
+    
+    keys.forEach(storeKey => {
+      const entry = cacheStore.getEntry(cacheStoreHandle, storeKey);
+      totalSize += entry.length;
+      fileStats.push({
+        name: storeKey,
+        size: entry.length,
+        modified: new Date(entry.savedAt).toISOString(),
+        ageDays: Math.floor((Date.now() - entry.savedAt) / (1000 * 60 * 60 * 24))
+      });
     });
-
+    
     return {
-      totalFiles: jsonFiles.length,
+      totalFiles: keys.length,
       totalSize,
       files: fileStats
     };
@@ -394,62 +480,45 @@ function getCacheStats() {
 
 /**
  * Get list of all cached animals (registration numbers with names)
+ * Built from the store index, without reading animal records
  * @returns {Array} Array of { registrationNumber, animalName } objects
  */
 function getCachedAnimals() {
   try {
-    // Ensure cache directory is initialized
-    const cacheDir = ensureCacheDir();
-    
-    if (!fs.existsSync(cacheDir)) {
-      console.log('[CACHE] Cache directory does not exist:', cacheDir);
-      return [];
-    }
-
-    const files = fs.readdirSync(cacheDir);
-    console.log(`[CACHE] All files in cache directory (${files.length} total):`, files);
-    const epdFiles = files.filter(f => f.startsWith('epd_') && f.endsWith('.json'));
-    console.log(`[CACHE] EPD cache files after filtering (${epdFiles.length} found):`, epdFiles);
+    const cacheStoreHandle = getStore();
+    const epdKeys = cacheStore.listKeys(cacheStoreHandle, 'epd_');
     const animals = [];
-
-    epdFiles.forEach(file => {
-      try {
-        const filePath = path.join(cacheDir, file);
-        
-        // Check if file exists and can be read
-        if (!fs.existsSync(filePath)) {
-          return; // Skip missing files
-        }
-
-        const cacheContent = fs.readFileSync(filePath, 'utf8');
-        const cached = JSON.parse(cacheContent);
-        
-        if (cached && cached.data) {
-          // For herd inventory, show ALL animals regardless of expiration
-          // Expiration only matters when deciding whether to re-scrape (handled in loadCache)
-          
-          // Extract registration number from filename (epd_123456.json -> 123456)
-          const registrationNumber = file.replace(/^epd_/, '').replace(/\.json$/, '');
-          const animalName = cached.data.animalName || null;
-          
-          // Get categories (supports both old and new format)
-          const categories = getCategoriesFromCached(cached);
-          
-          animals.push({
-            registrationNumber: registrationNumber,
-            animalName: animalName,
-            sex: cached.data.sex || null,
-            cachedAt: cached.cachedAt || null,
-            categories: categories, // Always use array format
-            category: categories[0] || 'My Herd' // Keep single category for backward compatibility in UI
-          });
+    
+    epdKeys.forEach(storeKey => {
+      // For herd inventory, show ALL animals regardless of expiration
+      // Expiration only matters when deciding whether to re-scrape (handled in loadCache)
+      const entry = cacheStore.getEntry(cacheStoreHandle, storeKey);
+      let meta = entry.meta;
+      if (!meta) {
+        // Entries written without metadata: read the record once
+        try {
+          meta = buildIndexMeta(cacheStore.readRecord(cacheStoreHandle, storeKey, true));
+        } catch (error) {
+          console.error(`[CACHE] Error reading cached animal ${storeKey}:`, error.message);
+          return;
         }
-      } catch (error) {
-        // Skip files we can't read or parse
-        console.error(`[CACHE] Error reading cached animal from ${file}:`, error.message);
       }
+      
+      // Extract registration number from key (epd_123456 -> 123456)
+      const registrationNumber = storeKey.replace(/^epd_/, '');
+      const categories = meta.categories || ['My Herd'];
+      
+      animals.push({
+        registrationNumber: registrationNumber,
+        animalName: meta.animalName || null,
+        sex: meta.sex || null,
+        geneticConditions: meta.geneticConditions || null,
+        cachedAt: meta.cachedAt || null,
+        categories: categories, // Always use array format
+        category: categories[0] || 'My Herd' // Keep single category for backward compatibility in UI
+      });
     });
-
+    
     // Sort by animal name if available, otherwise by registration number
     animals.sort((a, b) => {
       if (a.animalName && b.animalName) {
@@ -459,8 +528,8 @@ function getCachedAnimals() {
       if (b.animalName) return 1;
       return a.registrationNumber.localeCompare(b.registrationNumber);
     });
-
-    console.log(`[CACHE] Found ${animals.length} cached animals from ${epdFiles.length} cache files`);
+    
+    console.log(`[CACHE] Found ${animals.length} cached animals`);
     return animals;
   } catch (error) {
     console.error('[CACHE] Error getting cached animals:', error);
@@ -469,57 +538,125 @@ function getCachedAnimals() {
   }
 }
 
+/**
+ * Read full animal data for store keys
+ * @param {Array} storeKeys - Store keys of animal records
+ * @returns {Array} Array of full animal data objects (with epdValues, categories, etc.)
+ */
+function readAnimalsWithData(storeKeys) {
+  const cacheStoreHandle = getStore();
+  const animals = [];
+  
+  storeKeys.forEach(storeKey => {
+    try {
+      // Parsed records are shared between calls; only the top-level data object is copied
+      const cached = cacheStore.readRecord(cacheStoreHandle, storeKey, true);
+      if (cached && cached.data) {
+        // Return full data object with categories included
+        const animalData = { ...cached.data };
+        // Animals cached before ACC / progeny extraction get them from the raw EPD tables
+        epdAccuracy.fillAccuracyFromRawTables(animalData);
+        // Get categories (supports both old and new format)
+        const categories = getCategoriesFromCached(cached);
+        animalData.categories = categories; // Always use array format
+        animalData.category = categories[0] || 'My Herd'; // Keep single category for backward compatibility
+        animals.push(animalData);
+      }
+    } catch (error) {
+      // Skip records we can't read or parse
+      console.error(`[CACHE] Error reading cached animal ${storeKey}:`, error.message);
+    }
+  });
+  
+  return animals;
+}
+
 /**
  * Get list of all cached animals with full EPD data
  * @returns {Array} Array of full animal data objects (with epdValues, etc.)
  */
 function getCachedAnimalsWithData() {
   try {
-    // Ensure cache directory is initialized
-    const cacheDir = ensureCacheDir();
-    
-    if (!fs.existsSync(cacheDir)) {
-      console.log('[CACHE] Cache directory does not exist:', cacheDir);
+    // For herd inventory, show ALL animals regardless of expiration
+    // Expiration only matters when deciding whether to re-scrape
+    const animals = readAnimalsWithData(cacheStore.listKeys(getStore(), 'epd_'));
+    console.log(`[CACHE] Found ${animals.length} cached animals with full data`);
+    return animals;
+  } catch (error) {
+    console.error('[CACHE] Error getting cached animals with data:', error);
+    console.error('[CACHE] Error stack:', error.stack);
+    return [];
+  }
+}
+
+/**
+ * Find cached animals using the sex, category and trait indexes
+ * @param {Object} query - { sex: "cow"|"bull", category, trait, min, max } (all optional)
+ * @returns {Array} Array of full animal data objects (trait queries sorted by EPD, highest first)
+ */
+function findCachedAnimals(query = {}) {
+  try {
+    const storeKeys = cacheStore.findKeys(getStore(), { ...query, prefix: 'epd_' });
+    return readAnimalsWithData(storeKeys);
+  } catch (error) {
+    console.error('[CACHE] Error finding cached animals:', error);
+    return [];
+  }
+}
+
+/**
+ * Get the EPD history for a cached animal
+ * @param {string} registrationNumber - Registration number of the animal
+ * @returns {Array} History snapshots, oldest first (empty if none)
+ */
+function getEpdHistory(registrationNumber) {
+  try {
+    const cached = cacheStore.readRecord(getStore(), getStoreKey(`epd_${registrationNumber}`), true);
+    if (!cached) {
       return [];
     }
+    
+    if (Array.isArray(cached.history) && cached.history.length > 0) {
+      return cached.history;
+    }
+    // Records saved before history was kept have a single evaluation
+    const snapshot = epdHistory.createSnapshot(cached.data, cached.cachedAt || new Date().toISOString());
+    return snapshot ? [snapshot] : [];
+  } catch (error) {
+    console.error(`[CACHE] Error reading EPD history for ${registrationNumber}:`, error);
+    return [];
+  }
+}
 
-    const files = fs.readdirSync(cacheDir);
-    const epdFiles = files.filter(f => f.startsWith('epd_') && f.endsWith('.json'));
+/**
+ * Get the EPD history of every cached animal
+ * @returns {Array} Array of { registrationNumber, animalName, sex, categories, history }
+ */
+function getCachedAnimalHistories() {
+  try {
+    const cacheStoreHandle = getStore();
     const animals = [];
-
-    epdFiles.forEach(file => {
+    
+    cacheStore.listKeys(cacheStoreHandle, 'epd_').forEach(storeKey => {
       try {
-        const filePath = path.join(cacheDir, file);
+        const cached = cacheStore.readRecord(cacheStoreHandle, storeKey, true);
+        if (!cached || !cached.data) return;
         
-        // For herd inventory, show ALL animals regardless of expiration
-        // Expiration only matters when deciding whether to re-scrape
-        if (!fs.existsSync(filePath)) {
-          return; // Skip missing files
-        }
-
-        const cacheContent = fs.readFileSync(filePath, 'utf8');
-        const cached = JSON.parse(cacheContent);
-        
-        if (cached && cached.data) {
-          // Return full data object with categories included
-          const animalData = { ...cached.data };
-          // Get categories (supports both old and new format)
-          const categories = getCategoriesFromCached(cached);
-          animalData.categories = categories; // Always use array format
-          animalData.category = categories[0] || 'My Herd'; // Keep single category for backward compatibility
-          animals.push(animalData);
-        }
+        animals.push({
+          registrationNumber: storeKey.replace(/^epd_/, ''),
+          animalName: cached.data.animalName || null,
+          sex: cached.data.sex || null,
+          categories: getCategoriesFromCached(cached),
+          history: Array.isArray(cached.history) ? cached.history : []
+        });
       } catch (error) {
-        // Skip files we can't read or parse
-        console.error(`[CACHE] Error reading cached animal from ${file}:`, error.message);
+        console.error(`[CACHE] Error reading EPD history from ${storeKey}:`, error.message);
       }
     });
-
-    console.log(`[CACHE] Found ${animals.length} cached animals with full data`);
+    
     return animals;
   } catch (error) {
-    console.error('[CACHE] Error getting cached animals with data:', error);
-    console.error('[CACHE] Error stack:', error.stack);
+    console.error('[CACHE] Error getting EPD histories:', error);
     return [];
   }
 }
@@ -533,15 +670,13 @@ function getCachedAnimalsWithData() {
  */
 function updateAnimalCategories(registrationNumber, categories, mode = 'replace') {
   try {
-    const cacheFilePath = getCacheFilePath(`epd_${registrationNumber}`);
+    const storeKey = getStoreKey(`epd_${registrationNumber}`);
+    const cached = cacheStore.readRecord(getStore(), storeKey);
     
-    if (!fs.existsSync(cacheFilePath)) {
-      return { success: false, error: 'Cache file not found' };
+    if (!cached) {
+      return { success: false, error: 'Cache entry not found' };
     }
     
-    const cacheContent = fs.readFileSync(cacheFilePath, 'utf8');
-    const cached = JSON.parse(cacheContent);
-    
     // Get existing categories (supports both old and new format)
     let existingCategories = getCategoriesFromCached(cached);
     
@@ -572,7 +707,7 @@ function updateAnimalCategories(registrationNumber, categories, mode = 'replace'
     }
     
     // Save updated cache
-    fs.writeFileSync(cacheFilePath, JSON.stringify(cached, null, 2), 'utf8');
+    writeCacheRecord(storeKey, cached);
     console.log(`[CACHE] Updated categories for ${registrationNumber} to: ${updatedCategories.join(', ')} (mode: ${mode})`);
     return { success: true, categories: updatedCategories };
   } catch (error) {
@@ -599,26 +734,18 @@ function updateAnimalCategory(registrationNumber, category) {
  */
 function removeCategoryFromAnimals(category) {
   try {
-    const cacheDir = ensureCacheDir();
-    if (!fs.existsSync(cacheDir)) {
-      return { success: true, updatedCount: 0 };
-    }
-    
-    const files = fs.readdirSync(cacheDir);
-    const epdFiles = files.filter(f => f.startsWith('epd_') && f.endsWith('.json'));
+    const cacheStoreHandle = getStore();
+    const storeKeys = cacheStore.findKeys(cacheStoreHandle, { prefix: 'epd_', category: category });
     let updatedCount = 0;
     
-    epdFiles.forEach(file => {
+    storeKeys.forEach(storeKey => {
       try {
-        const filePath = path.join(cacheDir, file);
-        
-        // Check if file is still valid (not expired)
-        if (!isCacheValid(filePath)) {
-          return; // Skip expired files
+        // Check if entry is still valid (not expired)
+        if (!isCacheValid(storeKey)) {
+          return; // Skip expired entries
         }
         
-        const cacheContent = fs.readFileSync(filePath, 'utf8');
-        const cached = JSON.parse(cacheContent);
+        const cached = cacheStore.readRecord(cacheStoreHandle, storeKey);
         
         // Get existing categories
         const existingCategories = getCategoriesFromCached(cached);
@@ -639,12 +766,12 @@ function removeCategoryFromAnimals(category) {
             delete cached.category; // Remove old format
           }
           
-          fs.writeFileSync(filePath, JSON.stringify(cached, null, 2), 'utf8');
+          writeCacheRecord(storeKey, cached);
           updatedCount++;
-          console.log(`[CACHE] Removed category ${category} from animal: ${file}`);
+          console.log(`[CACHE] Removed category ${category} from animal: ${storeKey}`);
         }
       } catch (error) {
-        console.error(`[CACHE] Error processing file ${file}:`, error);
+        console.error(`[CACHE] Error processing entry ${storeKey}:`, error);
       }
     });
     
@@ -657,45 +784,28 @@ function removeCategoryFromAnimals(category) {
 }
 
 /**
- * Delete all animals that have a specific category (actually deletes cache files)
+ * Delete all animals that have a specific category (actually deletes cache entries)
  * @param {string} category - Category to delete animals from
  * @returns {Object} Result object with success status and deleted count
  */
 function deleteAnimalsByCategory(category) {
   try {
-    const cacheDir = ensureCacheDir();
-    if (!fs.existsSync(cacheDir)) {
-      return { success: true, deletedCount: 0 };
-    }
-    
-    const files = fs.readdirSync(cacheDir);
-    const epdFiles = files.filter(f => f.startsWith('epd_') && f.endsWith('.json'));
+    const cacheStoreHandle = getStore();
+    const storeKeys = cacheStore.findKeys(cacheStoreHandle, { prefix: 'epd_', category: category });
     let deletedCount = 0;
     
-    epdFiles.forEach(file => {
+    storeKeys.forEach(storeKey => {
       try {
-        const filePath = path.join(cacheDir, file);
-        
-        // Check if file is still valid (not expired)
-        if (!isCacheValid(filePath)) {
-          return; // Skip expired files
+        // Check if entry is still valid (not expired)
+        if (!isCacheValid(storeKey)) {
+          return; // Skip expired entries
         }
         
-        const cacheContent = fs.readFileSync(filePath, 'utf8');
-        const cached = JSON.parse(cacheContent);
-        
-        // Get existing categories
-        const existingCategories = getCategoriesFromCached(cached);
-        
-        // Check if this animal has the category to delete
-        if (existingCategories.includes(category)) {
-          // Actually delete the cache file
-          fs.unlinkSync(filePath);
-          deletedCount++;
-          console.log(`[CACHE] Deleted animal with category ${category}: ${file}`);
-        }
+        cacheStore.deleteRecord(cacheStoreHandle, storeKey);
+        deletedCount++;
+        console.log(`[CACHE] Deleted animal with category ${category}: ${storeKey}`);
       } catch (error) {
-        console.error(`[CACHE] Error processing file ${file}:`, error);
+        console.error(`[CACHE] Error processing entry ${storeKey}:`, error);
       }
     });
     
@@ -750,8 +860,10 @@ function getAnimalsByCategories(categories, logic = 'OR') {
  * @returns {string} Path to categories.json file
  */
 function getCategoriesPath() {
+  if (categoriesPathOverride) return categoriesPathOverride;
   try {
     // Use userData path - works in both dev and packaged apps
+    const { app } = require('electron');
     const userDataPath = app.getPath('userData');
     return path.join(userDataPath, 'categories.json');
   } catch (error) {
@@ -761,6 +873,14 @@ function getCategoriesPath() {
   }
 }
 
+/**
+ * Use a different categories file (command-line tool)
+ * @param {string|null} filePath - File path, or null for the default
+ */
+function setCategoriesPath(filePath) {
+  categoriesPathOverride = filePath ? path.resolve(filePath) : null;
+}
+
 /**
  * Load categories from config file
  * @returns {Array} Array of category names
@@ -778,9 +898,9 @@ function loadCategories() {
       }
     }
     
-    // Fallback: try to load from config directory (dev mode or migration)
+    // Fallback: try to load from config directory (dev mode or migration; not with a categories file set)
     const legacyPath = path.join(__dirname, '../config/categories.json');
-    if (fs.existsSync(legacyPath)) {
+    if (!categoriesPathOverride && fs.existsSync(legacyPath)) {
       try {
         const categoriesData = fs.readFileSync(legacyPath, 'utf8');
         const parsed = JSON.parse(categoriesData);
@@ -922,6 +1042,7 @@ module.exports = {
   loadCache,
   saveCache,
   deleteCachedAnimal,
+  restoreCachedAnimal,
   updateAnimalCategory,
   updateAnimalCategories,
   removeCategoryFromAnimals,
@@ -939,8 +1060,14 @@ module.exports = {
   getCacheStats,
   getCachedAnimals,
   getCachedAnimalsWithData,
+  findCachedAnimals,
+  deleteExpiredCache,
+  getEpdHistory,
+  getCachedAnimalHistories,
   isCacheValid,
   initializeCacheDir,
+  setCacheDir,
+  setCategoriesPath,
   CACHE_EXPIRY_DAYS
 };
 
@@ -0,0 +1,339 @@
+/**
+ * Column-mapping templates for external data import
+ *
+ * A template is a saved column mapping for one file layout (a sale catalog or herd export that
+ * arrives with the same columns every time), keyed by a fingerprint of the header row:
+ *   { id, name, fingerprint, headers, columnMappings, createdAt, updatedAt }
+ * Mappings are column indexes, so a template only applies to files whose header row has the
+ * same fingerprint.
+ *
+ * Templates are stored in userData/column-mapping-templates.json and can be exported to a
+ * file and imported on another machine.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { app } = require('electron');
+
+const EXPORT_FILE_TYPE = 'column-mapping-templates';
+const EXPORT_FILE_VERSION = 1;
+
+/**
+ * Get the path to the templates file in userData
+ * @returns {string} Path to column-mapping-templates.json
+ */
+function getTemplatesPath() {
+  try {
+    // Use userData path - works in both dev and packaged apps
+    const userDataPath = app.getPath('userData');
+    return path.join(userDataPath, 'column-mapping-templates.json');
+  } catch (error) {
+    console.error('[MAPPING-TEMPLATES] Error getting userData path, using fallback:', error);
+    // Fallback to relative path if app.getPath fails (dev mode)
+    return path.join(__dirname, '../config/column-mapping-templates.json');
+  }
+}
+
+/**
+ * Normalize a header for fingerprinting (case, surrounding and repeated whitespace are ignored)
+ * @param {string} header - Header cell
+ * @returns {string} Normalized header
+ */
+function normalizeHeader(header) {
+  return String(header === null || header === undefined ? '' : header).toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Get the fingerprint of a header row
+ * @param {Array} headers - Header row
+ * @returns {string} SHA-256 (hex) of the normalized headers
+ */
+function getHeaderFingerprint(headers) {
+  const normalized = (headers || []).map(normalizeHeader);
+  // Trailing empty columns (common in spreadsheet exports) don't change the layout
+  while (normalized.length > 0 && normalized[normalized.length - 1] === '') {
+    normalized.pop();
+  }
+  return crypto.createHash('sha256').update(JSON.stringify(normalized)).digest('hex');
+}
+
+/**
+ * Normalize column mappings, dropping anything that isn't a column index in range
+ * @param {Object} mappings - { registrationNumber, animalName, sex, epdTraits, percentRanks }
+ * @param {number} columnCount - Number of columns in the header row
+ * @returns {Object} Normalized mappings
+ */
+function normalizeColumnMappings(mappings, columnCount) {
+  const source = mappings && typeof mappings === 'object' ? mappings : {};
+  const toIndex = (value) => (Number.isInteger(value) && value >= 0 && value < columnCount ? value : null);
+  const toIndexMap = (map) => {
+    const result = {};
+    if (map && typeof map === 'object') {
+      Object.keys(map).forEach(trait => {
+        const index = toIndex(map[trait]);
+        if (index !== null) {
+          result[trait] = index;
+        }
+      });
+    }
+    return result;
+  };
+
+  return {
+    registrationNumber: toIndex(source.registrationNumber),
+    animalName: toIndex(source.animalName),
+    sex: toIndex(source.sex),
+    epdTraits: toIndexMap(source.epdTraits),
+    percentRanks: toIndexMap(source.percentRanks)
+  };
+}
+
+/**
+ * Normalize a template object
+ * @param {Object} template - Raw template
+ * @returns {Object|null} Normalized template, or null if it has no name or headers
+ */
+function normalizeTemplate(template) {
+  if (!template || typeof template !== 'object' || !Array.isArray(template.headers) || template.headers.length === 0) {
+    return null;
+  }
+  const name = typeof template.name === 'string' ? template.name.trim() : '';
+  if (!name) {
+    return null;
+  }
+
+  const headers = template.headers.map(header => String(header === null || header === undefined ? '' : header));
+  return {
+    id: template.id || templateIdFromName(name),
+    name,
+    fingerprint: getHeaderFingerprint(headers),
+    headers,
+    columnMappings: normalizeColumnMappings(template.columnMappings, headers.length),
+    createdAt: template.createdAt || new Date().toISOString(),
+    updatedAt: template.updatedAt || template.createdAt || new Date().toISOString()
+  };
+}
+
+/**
+ * Create a template ID from a template name
+ * @param {string} name - Template name
+ * @returns {string} Slug ID
+ */
+function templateIdFromName(name) {
+  return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Load all templates, most recently updated first
+ * @returns {Array} Templates
+ */
+function loadMappingTemplates() {
+  try {
+    const templatesPath = getTemplatesPath();
+    if (!fs.existsSync(templatesPath)) {
+      return [];
+    }
+
+    const parsed = JSON.parse(fs.readFileSync(templatesPath, 'utf8'));
+    if (!parsed.templates || !Array.isArray(parsed.templates)) {
+      return [];
+    }
+    return parsed.templates
+      .map(normalizeTemplate)
+      .filter(template => template && template.id)
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  } catch (error) {
+    console.error('[MAPPING-TEMPLATES] Error loading templates:', error);
+    return [];
+  }
+}
+
+/**
+ * Save all templates
+ * @param {Array} templates - Templates
+ * @returns {Object} Result object with success status
+ */
+function saveMappingTemplates(templates) {
+  try {
+    const templatesPath = getTemplatesPath();
+    const templatesDir = path.dirname(templatesPath);
+
+    // Ensure directory exists
+    if (!fs.existsSync(templatesDir)) {
+      fs.mkdirSync(templatesDir, { recursive: true });
+    }
+
+    fs.writeFileSync(templatesPath, JSON.stringify({ templates }, null, 2), 'utf8');
+    console.log(`[MAPPING-TEMPLATES] Saved ${templates.length} templates to: ${templatesPath}`);
+    return { success: true };
+  } catch (error) {
+    console.error('[MAPPING-TEMPLATES] Error saving templates:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Find the template for a header row (the most recently updated one if several match)
+ * @param {Array} headers - Header row
+ * @returns {Object|null} Template, or null if none matches
+ */
+function findMappingTemplate(headers) {
+  const fingerprint = getHeaderFingerprint(headers);
+  return loadMappingTemplates().find(template => template.fingerprint === fingerprint) || null;
+}
+
+/**
+ * Create or update a template
+ * Saving under an existing name replaces that template.
+ * @param {Object} template - { name, headers, columnMappings }
+ * @returns {Object} Result object with success status and saved template
+ */
+function saveMappingTemplate(template) {
+  try {
+    const name = template && typeof template.name === 'string' ? template.name.trim() : '';
+    if (!name) {
+      return { success: false, error: 'Template name cannot be empty' };
+    }
+    const id = templateIdFromName(name);
+    if (!id) {
+      return { success: false, error: 'Template name must contain letters or numbers' };
+    }
+    if (!Array.isArray(template.headers) || template.headers.length === 0) {
+      return { success: false, error: 'Template has no column headers' };
+    }
+
+    const templates = loadMappingTemplates();
+    const existing = templates.find(t => t.id === id);
+    const now = new Date().toISOString();
+    const normalized = normalizeTemplate({
+      ...template,
+      id,
+      name,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    });
+    if (normalized.columnMappings.registrationNumber === null) {
+      return { success: false, error: 'Registration Number must be mapped before saving a template' };
+    }
+
+    const result = saveMappingTemplates([normalized, ...templates.filter(t => t.id !== id)]);
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, template: normalized };
+  } catch (error) {
+    console.error('[MAPPING-TEMPLATES] Error saving template:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a template
+ * @param {string} templateId - Template ID
+ * @returns {Object} Result object with success status
+ */
+function deleteMappingTemplate(templateId) {
+  try {
+    const templates = loadMappingTemplates();
+    const remaining = templates.filter(t => t.id !== templateId);
+    if (remaining.length === templates.length) {
+      return { success: false, error: 'Template not found' };
+    }
+    return saveMappingTemplates(remaining);
+  } catch (error) {
+    console.error('[MAPPING-TEMPLATES] Error deleting template:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Export all templates to a file
+ * @param {string} filePath - Output file path
+ * @returns {Object} Result object with success status and template count
+ */
+function exportMappingTemplates(filePath) {
+  try {
+    const templates = loadMappingTemplates();
+    if (templates.length === 0) {
+      return { success: false, error: 'There are no saved templates to export' };
+    }
+
+    const data = {
+      type: EXPORT_FILE_TYPE,
+      version: EXPORT_FILE_VERSION,
+      exportedAt: new Date().toISOString(),
+      templates
+    };
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+    console.log(`[MAPPING-TEMPLATES] Exported ${templates.length} templates to: ${filePath}`);
+    return { success: true, count: templates.length };
+  } catch (error) {
+    console.error('[MAPPING-TEMPLATES] Error exporting templates:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Import templates from a file exported by exportMappingTemplates()
+ * Templates with the same name as a saved one replace it.
+ * @param {string} filePath - Templates file path
+ * @returns {Object} Result object with success status, addedCount, replacedCount and skippedCount
+ */
+function importMappingTemplates(filePath) {
+  try {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      return { success: false, error: `Could not read templates file: ${error.message}` };
+    }
+    if (!data || data.type !== EXPORT_FILE_TYPE || !Array.isArray(data.templates)) {
+      return { success: false, error: 'Not a column-mapping templates file' };
+    }
+    if (data.version > EXPORT_FILE_VERSION) {
+      return { success: false, error: `Templates file version ${data.version} is newer than this app supports` };
+    }
+
+    let templates = loadMappingTemplates();
+    let addedCount = 0;
+    let replacedCount = 0;
+    let skippedCount = 0;
+    data.templates.forEach(raw => {
+      const template = normalizeTemplate(raw ? { ...raw, id: null } : raw);
+      if (!template || !template.id || template.columnMappings.registrationNumber === null) {
+        skippedCount++;
+        return;
+      }
+      if (templates.some(t => t.id === template.id)) {
+        replacedCount++;
+      } else {
+        addedCount++;
+      }
+      templates = [template, ...templates.filter(t => t.id !== template.id)];
+    });
+
+    if (addedCount + replacedCount > 0) {
+      const result = saveMappingTemplates(templates);
+      if (!result.success) {
+        return result;
+      }
+    }
+    console.log(`[MAPPING-TEMPLATES] Imported templates from ${filePath}: ${addedCount} added, ${replacedCount} replaced, ${skippedCount} skipped`);
+    return { success: true, addedCount, replacedCount, skippedCount };
+  } catch (error) {
+    console.error('[MAPPING-TEMPLATES] Error importing templates:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  getTemplatesPath,
+  getHeaderFingerprint,
+  loadMappingTemplates,
+  findMappingTemplate,
+  saveMappingTemplate,
+  deleteMappingTemplate,
+  exportMappingTemplates,
+  importMappingTemplates
+};
@@ -0,0 +1,192 @@
+/**
+ * EPD accuracy (ACC) and progeny counts
+ *
+ * Each EPD cell on the animal page holds EPD, ACC, % rank and progeny/daughter
+ * count. The scraper stores these as epdValues[trait].acc and .progeny. Animals
+ * cached before that was added still have the raw cell text in rawTables
+ * (e.g. "+14.674%104" = EPD +14, ACC .67, 4%, 104 progeny), which is parsed here.
+ *
+ * Possible change is approximated from BIF accuracy: the standard error of an EPD is
+ * σg × (1 − ACC). σg is estimated from the spread of the breed percentile breakdowns
+ * (the 16th–84th percentile range covers about two standard deviations).
+ */
+
+// Default number of possible-change units to discount by (1 = one standard error)
+const DEFAULT_POSSIBLE_CHANGE_MULTIPLIER = 1.0;
+
+/**
+ * Parse the ACC / % / progeny remainder of a raw EPD cell
+ * @param {string} cellText - Raw cell text, e.g. "+14.674%104"
+ * @param {string} epd - Known EPD string for the trait, e.g. "+14"
+ * @param {boolean} hasAcc - Whether the column header includes ACC
+ * @returns {{acc: string|null, progeny: string|null}|null} Parsed values, or null if the cell does not match
+ */
+function parseRawEpdCell(cellText, epd, hasAcc) {
+  if (!cellText || !epd) return null;
+
+  let rest = cellText.trim();
+  const epdPrefix = rest.match(/^I\s*/i);
+  if (epdPrefix) rest = rest.substring(epdPrefix[0].length);
+  if (!rest.startsWith(epd)) return null;
+  rest = rest.substring(epd.length).trim();
+
+  let acc = null;
+  if (hasAcc) {
+    // ACC is always two decimals (".67") or "P" for pedigree estimates
+    const accMatch = rest.match(/^(\.\d{2}|P)/i);
+    if (!accMatch) return null;
+    acc = accMatch[1].toUpperCase();
+    rest = rest.substring(accMatch[1].length).trim();
+  }
+
+  const percentMatch = rest.match(/^(\d{1,3})%/);
+  if (percentMatch) {
+    rest = rest.substring(percentMatch[0].length).trim();
+  }
+
+  const progenyMatch = rest.match(/^(\d+)$/);
+  return { acc: acc, progeny: progenyMatch ? progenyMatch[1] : null };
+}
+
+/**
+ * Get the trait abbreviation and column layout from a raw header cell
+ * e.g. "CEDAcc%Prog" -> { trait: "CED", hasAcc: true }, "$EN%" -> { trait: "$EN", hasAcc: false }
+ * @param {string} headerText - Raw header cell text
+ * @returns {{trait: string, hasAcc: boolean}|null} Header info or null
+ */
+function parseRawHeaderCell(headerText) {
+  if (!headerText || typeof headerText !== 'string') return null;
+  const match = headerText.trim().match(/^(\$?[A-Za-z]+?)(Acc|%)/);
+  if (!match) return null;
+  return { trait: match[1].toUpperCase(), hasAcc: match[2] === 'Acc' };
+}
+
+/**
+ * Fill in acc / progeny from rawTables for traits that do not have them yet
+ * Mutates and returns the animal data.
+ * @param {Object} animalData - Animal data object with epdValues and rawTables
+ * @returns {Object} The same animal data object
+ */
+function fillAccuracyFromRawTables(animalData) {
+  if (!animalData || !animalData.epdValues || !animalData.rawTables) return animalData;
+
+  const epdValues = animalData.epdValues;
+  const needsFill = Object.keys(epdValues).some(trait => epdValues[trait] && epdValues[trait].acc === undefined);
+  if (!needsFill) return animalData;
+
+  Object.values(animalData.rawTables).forEach(table => {
+    if (!Array.isArray(table)) return;
+
+    for (let rowIdx = 0; rowIdx < table.length - 1; rowIdx++) {
+      const headerRow = table[rowIdx];
+      const dataRow = table[rowIdx + 1];
+      if (!Array.isArray(headerRow) || !Array.isArray(dataRow)) continue;
+
+      headerRow.forEach((headerText, colIdx) => {
+        const header = parseRawHeaderCell(headerText);
+        if (!header) return;
+
+        const traitData = epdValues[header.trait];
+        if (!traitData || !traitData.epd || traitData.acc !== undefined) return;
+
+        const parsed = parseRawEpdCell(dataRow[colIdx], traitData.epd, header.hasAcc);
+        if (parsed) {
+          traitData.acc = parsed.acc;
+          traitData.progeny = parsed.progeny;
+        }
+      });
+    }
+  });
+
+  return animalData;
+}
+
+/**
+ * Convert an ACC string to a number
+ * @param {string|number|null} acc - ACC value (".67", "P", 0.67)
+ * @returns {number|null} Accuracy 0..1, 0 for pedigree estimates, or null if unknown
+ */
+function parseAccuracy(acc) {
+  if (acc === null || acc === undefined || acc === '') return null;
+  if (typeof acc === 'number') return isNaN(acc) ? null : acc;
+  if (/^P$/i.test(acc.trim())) return 0;
+  const value = parseFloat(acc);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Interpolate the EPD at a percentile from percentile breakdown data
+ * @param {Array} traitPercentiles - [{ percentile, epdValue }] sorted by percentile
+ * @param {number} percentile - Target percentile
+ * @returns {number|null} EPD value or null
+ */
+function epdAtPercentile(traitPercentiles, percentile) {
+  if (!traitPercentiles || traitPercentiles.length < 2) return null;
+
+  for (let i = 0; i < traitPercentiles.length - 1; i++) {
+    const lower = traitPercentiles[i];
+    const upper = traitPercentiles[i + 1];
+    if (percentile >= lower.percentile && percentile <= upper.percentile) {
+      const span = upper.percentile - lower.percentile;
+      if (span === 0) return lower.epdValue;
+      return lower.epdValue + ((percentile - lower.percentile) / span) * (upper.epdValue - lower.epdValue);
+    }
+  }
+  return null;
+}
+
+/**
+ * Estimate the genetic standard deviation of a trait from the percentile breakdowns
+ * @param {string} trait - Trait name
+ * @param {Object} percentileData - Percentile breakdown data
+ * @returns {number|null} Standard deviation or null if not available
+ */
+function estimateTraitStandardDeviation(trait, percentileData) {
+  const traitPercentiles = percentileData?.[trait.toUpperCase()];
+  const p16 = epdAtPercentile(traitPercentiles, 16);
+  const p84 = epdAtPercentile(traitPercentiles, 84);
+  if (p16 === null || p84 === null) return null;
+  return Math.abs(p16 - p84) / 2;
+}
+
+/**
+ * Possible change (one standard error) for an EPD at the given accuracy
+ * @param {string} trait - Trait name
+ * @param {number} accuracy - Accuracy 0..1
+ * @param {Object} percentileData - Percentile breakdown data
+ * @returns {number|null} Possible change in EPD units, or null if it cannot be estimated
+ */
+function getPossibleChange(trait, accuracy, percentileData) {
+  if (accuracy === null || accuracy === undefined) return null;
+  const sd = estimateTraitStandardDeviation(trait, percentileData);
+  if (sd === null) return null;
+  return sd * (1 - Math.min(Math.max(accuracy, 0), 1));
+}
+
+/**
+ * Discount an EPD toward the unfavorable side by its possible change
+ * Proven animals (high accuracy) move very little; young genomic animals move more.
+ * @param {string} trait - Trait name
+ * @param {number} epdValue - EPD value
+ * @param {number|null} accuracy - Accuracy 0..1 (null = unknown, no discount)
+ * @param {Object} percentileData - Percentile breakdown data
+ * @param {boolean} isHigherBetter - Trait direction
+ * @param {number} multiplier - Number of possible-change units to discount by
+ * @returns {number} Discounted EPD value
+ */
+function discountEpdByAccuracy(trait, epdValue, accuracy, percentileData, isHigherBetter, multiplier = DEFAULT_POSSIBLE_CHANGE_MULTIPLIER) {
+  const possibleChange = getPossibleChange(trait, accuracy, percentileData);
+  if (possibleChange === null) return epdValue;
+  const discount = possibleChange * multiplier;
+  return isHigherBetter ? epdValue - discount : epdValue + discount;
+}
+
+module.exports = {
+  DEFAULT_POSSIBLE_CHANGE_MULTIPLIER,
+  parseRawEpdCell,
+  fillAccuracyFromRawTables,
+  parseAccuracy,
+  estimateTraitStandardDeviation,
+  getPossibleChange,
+  discountEpdByAccuracy
+};
@@ -0,0 +1,226 @@
+/**
+ * EPD history
+ *
+ * The weekly Angus evaluation changes EPDs, so each cached animal keeps a dated list of
+ * snapshots alongside its current data. Snapshots are keyed by the "As of MM/DD/YYYY"
+ * evaluation date printed above the EPD table; re-scraping within the same evaluation
+ * replaces that snapshot instead of adding a new one.
+ *
+ * Cache record: { key, cachedAt, categories, data, history: [{ asOf, recordedAt, epdValues }] }
+ */
+
+const epdAccuracy = require('./epd-accuracy');
+
+// Keep about two years of weekly evaluations per animal
+const MAX_HISTORY_SNAPSHOTS = 104;
+
+// Traits compared by the EPD movers report when none are specified
+const DEFAULT_MOVER_TRAITS = ['CED', 'BW', 'WW', 'YW', 'MILK', 'MARB', 'RE', '$M', '$B', '$C'];
+
+/**
+ * Parse the evaluation date from page text
+ * @param {string} text - Page text (pageStructure.allText)
+ * @returns {string|null} ISO date (YYYY-MM-DD) or null if not found
+ */
+function parseAsOfDate(text) {
+  if (!text || typeof text !== 'string') return null;
+  const match = text.match(/As\s+of\s+(\d{1,2})\/(\d{1,2})\/(\d{4})/i);
+  if (!match) return null;
+  const month = match[1].padStart(2, '0');
+  const day = match[2].padStart(2, '0');
+  return `${match[3]}-${month}-${day}`;
+}
+
+/**
+ * Get the evaluation date for scraped animal data
+ * @param {Object} data - Animal data
+ * @returns {string|null} ISO date or null
+ */
+function getAsOfDate(data) {
+  if (!data) return null;
+  return data.asOfDate || parseAsOfDate(data.pageStructure?.allText);
+}
+
+/**
+ * Create a history snapshot from animal data
+ * @param {Object} data - Animal data with epdValues
+ * @param {string} recordedAt - ISO timestamp the data was saved (default: now)
+ * @returns {Object|null} Snapshot { asOf, recordedAt, epdValues }, or null if there are no EPDs
+ */
+function createSnapshot(data, recordedAt = new Date().toISOString()) {
+  if (!data || !data.epdValues || Object.keys(data.epdValues).length === 0) return null;
+
+  const epdValues = {};
+  Object.keys(data.epdValues).forEach(trait => {
+    const traitData = data.epdValues[trait];
+    if (!traitData || !traitData.epd) return;
+    epdValues[trait] = { epd: traitData.epd, percentRank: traitData.percentRank ?? null };
+  });
+
+  return {
+    // Without a date on the page, fall back to the day the data was saved
+    asOf: getAsOfDate(data) || recordedAt.substring(0, 10),
+    recordedAt: recordedAt,
+    epdValues: epdValues
+  };
+}
+
+/**
+ * Add the snapshot for newly saved data to an animal's history
+ * @param {Array} history - Existing history (may be undefined for older cache records)
+ * @param {Object} data - Newly saved animal data
+ * @param {Object|null} previousData - Data being replaced, used to seed history for records saved before history was kept
+ * @param {string|null} previousRecordedAt - When the replaced data was saved
+ * @returns {Array} History sorted oldest first
+ */
+function addSnapshot(history, data, previousData = null, previousRecordedAt = null) {
+  const snapshots = Array.isArray(history) ? history.slice() : [];
+
+  if (snapshots.length === 0 && previousData) {
+    const seed = createSnapshot(previousData, previousRecordedAt || new Date().toISOString());
+    if (seed) snapshots.push(seed);
+  }
+
+  const snapshot = createSnapshot(data);
+  if (snapshot) {
+    const existingIndex = snapshots.findIndex(s => s.asOf === snapshot.asOf);
+    if (existingIndex !== -1) {
+      snapshots[existingIndex] = snapshot;
+    } else {
+      snapshots.push(snapshot);
+    }
+  }
+
+  snapshots.sort((a, b) => a.asOf.localeCompare(b.asOf));
+  return snapshots.slice(-MAX_HISTORY_SNAPSHOTS);
+}
+
+/**
+ * Parse an EPD string to a number
+ * @param {string|number} epd - EPD value ("+1.5", "I -.5", 12)
+ * @returns {number|null} Numeric EPD or null
+ */
+function parseEpd(epd) {
+  if (epd === null || epd === undefined) return null;
+  if (typeof epd === 'number') return isNaN(epd) ? null : epd;
+  const value = parseFloat(String(epd).replace(/^I\s*/i, '').trim());
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Build a per-trait trend from an animal's history
+ * @param {Array} history - History snapshots (oldest first)
+ * @param {Array} traits - Traits to include (default: every trait seen in the history)
+ * @returns {Object} { dates: [asOf], traits: { TRAIT: [{ asOf, epd, percentRank, change }] } }
+ */
+function getTrend(history, traits = null) {
+  const snapshots = Array.isArray(history) ? history : [];
+  const traitList = traits || Array.from(new Set(snapshots.flatMap(s => Object.keys(s.epdValues || {}))));
+
+  const trend = {};
+  traitList.forEach(trait => {
+    let previous = null;
+    trend[trait] = snapshots.map(snapshot => {
+      const traitData = snapshot.epdValues?.[trait];
+      const epd = parseEpd(traitData?.epd);
+      const point = {
+        asOf: snapshot.asOf,
+        epd: epd,
+        percentRank: traitData?.percentRank ?? null,
+        change: epd !== null && previous !== null ? epd - previous : null
+      };
+      if (epd !== null) previous = epd;
+      return point;
+    });
+  });
+
+  return { dates: snapshots.map(s => s.asOf), traits: trend };
+}
+
+/**
+ * Compare an animal's two most recent evaluations
+ * Changes are also expressed in trait standard deviations (estimated from the percentile
+ * breakdowns) so that movement in different traits can be ranked together.
+ * @param {Array} history - History snapshots (oldest first)
+ * @param {Array} traits - Traits to compare
+ * @param {Object} percentileData - Percentile breakdown data (optional)
+ * @returns {Object|null} { previousAsOf, latestAsOf, changes, maxStandardizedChange, topTrait }, or null with fewer than two evaluations
+ */
+function compareLatestEvaluations(history, traits = DEFAULT_MOVER_TRAITS, percentileData = null) {
+  if (!Array.isArray(history) || history.length < 2) return null;
+
+  const latest = history[history.length - 1];
+  const previous = history[history.length - 2];
+
+  const changes = [];
+  traits.forEach(trait => {
+    const latestEpd = parseEpd(latest.epdValues?.[trait]?.epd);
+    const previousEpd = parseEpd(previous.epdValues?.[trait]?.epd);
+    if (latestEpd === null || previousEpd === null) return;
+
+    const change = latestEpd - previousEpd;
+    const sd = percentileData ? epdAccuracy.estimateTraitStandardDeviation(trait, percentileData) : null;
+    changes.push({
+      trait: trait,
+      previousEpd: previousEpd,
+      latestEpd: latestEpd,
+      change: change,
+      previousPercentRank: previous.epdValues[trait].percentRank ?? null,
+      latestPercentRank: latest.epdValues[trait].percentRank ?? null,
+      standardizedChange: sd ? change / sd : null
+    });
+  });
+
+  // Rank by standardized change when available, otherwise by raw EPD change
+  const magnitude = c => Math.abs(c.standardizedChange !== null ? c.standardizedChange : c.change);
+  const top = changes.reduce((best, c) => (!best || magnitude(c) > magnitude(best) ? c : best), null);
+
+  return {
+    previousAsOf: previous.asOf,
+    latestAsOf: latest.asOf,
+    changes: changes,
+    maxStandardizedChange: top ? magnitude(top) : 0,
+    topTrait: top ? top.trait : null
+  };
+}
+
+/**
+ * Find the animals whose key traits moved most between their last two evaluations
+ * @param {Array} animals - [{ registrationNumber, animalName, sex, categories, history }]
+ * @param {Object} options - { traits, limit, getPercentileData(animal) }
+ * @returns {Array} Movers sorted by largest change first
+ */
+function findEpdMovers(animals, options = {}) {
+  const { traits = DEFAULT_MOVER_TRAITS, limit = 50, getPercentileData = null } = options;
+
+  const movers = [];
+  animals.forEach(animal => {
+    const percentileData = getPercentileData ? getPercentileData(animal) : null;
+    const comparison = compareLatestEvaluations(animal.history, traits, percentileData);
+    if (!comparison || comparison.changes.every(c => c.change === 0)) return;
+
+    movers.push({
+      registrationNumber: animal.registrationNumber,
+      animalName: animal.animalName || animal.registrationNumber,
+      sex: animal.sex || null,
+      categories: animal.categories || [],
+      ...comparison
+    });
+  });
+
+  movers.sort((a, b) => b.maxStandardizedChange - a.maxStandardizedChange ||
+    a.animalName.localeCompare(b.animalName));
+  return limit > 0 ? movers.slice(0, limit) : movers;
+}
+
+module.exports = {
+  MAX_HISTORY_SNAPSHOTS,
+  DEFAULT_MOVER_TRAITS,
+  parseAsOfDate,
+  getAsOfDate,
+  createSnapshot,
+  addSnapshot,
+  getTrend,
+  compareLatestEvaluations,
+  findEpdMovers
+};
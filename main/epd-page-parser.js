@@ -0,0 +1,524 @@
+/**
+ * EPD page parser
+ *
+ * Parses an Angus EPD/pedigree detail page (EpdPedDtl) into animal data. The same parsing code
+ * runs in two places:
+ * - Live scraping: parseEpdDocument is serialized and run inside the Puppeteer page
+ * - Offline import: parseEpdHtml parses saved HTML with the minimal document model in html-document.js
+ *
+ * parseEpdDocument must stay self-contained (no references to module scope) because it is
+ * serialized into the browser page.
+ */
+
+const htmlDocument = require('./html-document');
+const geneticConditions = require('./genetic-conditions');
+const epdHistory = require('./epd-history');
+const epdAccuracy = require('./epd-accuracy');
+
+/**
+ * Extract EPD data from a page document
+ * Extracts EPD values, % ranks, accuracy (ACC) and progeny counts (PROG/DAUS)
+ * @param {Object} document - Browser document or parsed HTML document
+ * @param {string} regNum - Registration number
+ * @param {string} pageUrl - Page URL (or source file path)
+ * @returns {Object} Animal data
+ */
+function parseEpdDocument(document, regNum, pageUrl) {
+  const result = {
+    registrationNumber: regNum,
+    url: pageUrl,
+    extractedAt: new Date().toISOString(),
+    animalName: null, // Will be extracted from page
+    sex: null, // Will be extracted from third H6 heading
+    additionalInfo: {}, // Store additional information found on page
+    epdValues: {}, // Store EPD values and % ranks
+    pageStructure: {} // Store page structure for debugging
+  };
+
+  // Extract page structure for debugging
+  result.pageStructure = {
+    title: document.title,
+    headings: Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6')).map(h => ({
+      tag: h.tagName,
+      text: h.textContent.trim(),
+      id: h.id || null,
+      className: h.className || null
+    })),
+    allText: document.body.innerText.substring(0, 5000) // First 5000 chars for analysis
+  };
+
+  // Extract Name from first H6 heading (user confirmed: first H6 is the animal name)
+  // Extract Sex from third H6 heading (user confirmed: third H6 is the sex)
+  const h6Headings = Array.from(document.querySelectorAll('h6'));
+  if (h6Headings.length > 0) {
+    const firstH6 = h6Headings[0];
+    const headingText = firstH6.textContent.trim();
+    // Should be like "Bel MS Fireball 204K" (not "Reg: AAA *20492951")
+    if (headingText && !headingText.match(/^Reg:/i)) {
+      result.animalName = headingText;
+    }
+  }
+  
+  // Extract sex from third H6 heading (index 2)
+  if (h6Headings.length >= 3) {
+    const thirdH6 = h6Headings[2];
+    const sexText = thirdH6.textContent.trim().toUpperCase();
+    // Look for "Bull", "Cow", "Male", "Female", "Steer", "Heifer", etc.
+    if (sexText.includes('BULL') || sexText.includes('MALE')) {
+      result.sex = 'Bull';
+    } else if (sexText.includes('COW') || sexText.includes('FEMALE')) {
+      result.sex = 'Cow';
+    } else if (sexText.includes('STEER')) {
+      result.sex = 'Steer';
+    } else if (sexText.includes('HEIFER')) {
+      result.sex = 'Heifer';
+    } else {
+      // Store as-is if we can't categorize
+      result.sex = sexText;
+    }
+  }
+  
+  // Also check body text for name pattern if H6 didn't work
+  // Line 48 shows: "Bel MS Fireball 204K"
+  if (!result.animalName) {
+    const bodyText = document.body.innerText || '';
+    const nameMatch = bodyText.match(/^([A-Z][A-Za-z\s&'.-]{5,50})(?:\s*Reg:|$)/m);
+    if (nameMatch && nameMatch[1] && !nameMatch[1].match(/EPD|Details|Association/i)) {
+      result.animalName = nameMatch[1].trim();
+    }
+  }
+
+  // Extract Birth Date and Tattoo from body text
+  // Pattern from terminal line 52: "Birth Date: 01/19/2022 Tattoo: 204K"
+  const bodyText = document.body.innerText || '';
+  const birthDateMatch = bodyText.match(/Birth\s+Date:\s*(\d{1,2}\/\d{1,2}\/\d{4})/i);
+  if (birthDateMatch && birthDateMatch[1]) {
+    result.additionalInfo.birthDate = birthDateMatch[1].trim();
+  }
+  
+  const tattooMatch = bodyText.match(/Tattoo:\s*([A-Z0-9]+)/i);
+  if (tattooMatch && tattooMatch[1]) {
+    result.additionalInfo.tattoo = tattooMatch[1].trim();
+  }
+
+  // Get all tables first (needed for pedigree extraction)
+  const tables = Array.from(document.querySelectorAll('table'));
+  
+  // Extract Sire, Dam, MGS from pedigree table structure (Table 0)
+  // Based on DOM structure:
+  // - Sire is in <tr class="ped4">, first <td>
+  // - Dam is in <tr class="ped11">, first <td>
+  // - MGS is in <tr class="ped9">, second <td>
+  
+  // Parse the pedigree table (first table)
+  const pedigreeTable = tables[0];
+  if (pedigreeTable) {
+    const tableRows = Array.from(pedigreeTable.rows);
+    
+    // Find Sire - row with class "ped4", first cell (column 0)
+    const sireRow = tableRows.find(row => row.className.includes('ped4'));
+    if (sireRow) {
+      const cells = Array.from(sireRow.cells);
+      if (cells.length > 0) {
+        const sireText = cells[0].textContent.trim();
+        if (sireText) {
+          result.additionalInfo.sire = sireText;
+        }
+      }
+    }
+    
+    // Find Dam - row with class "ped11", first cell (column 0)
+    const damRow = tableRows.find(row => row.className.includes('ped11'));
+    if (damRow) {
+      const cells = Array.from(damRow.cells);
+      if (cells.length > 0) {
+        const damText = cells[0].textContent.trim();
+        if (damText) {
+          result.additionalInfo.dam = damText;
+        }
+      }
+    }
+    
+    // Find MGS - row with class "ped9", second cell (column 1)
+    const mgsRow = tableRows.find(row => row.className.includes('ped9'));
+    if (mgsRow) {
+      const cells = Array.from(mgsRow.cells);
+      if (cells.length > 1) {
+        const mgsText = cells[1].textContent.trim();
+        if (mgsText) {
+          result.additionalInfo.mgs = mgsText;
+        }
+      }
+    }
+  }
+
+  // Fallback: Look in tables for label-value pairs (tables already declared above)
+  const nameCandidates = [];
+  
+  for (const table of tables) {
+    const rows = Array.from(table.rows);
+    // Check first 10 rows for name information and other data
+    for (let rowIdx = 0; rowIdx < Math.min(10, rows.length); rowIdx++) {
+      const row = rows[rowIdx];
+      const cells = Array.from(row.cells);
+      
+      // Extract key-value pairs from table rows (common pattern: Label | Value)
+      for (let cellIdx = 0; cellIdx < cells.length - 1; cellIdx++) {
+        const labelCell = cells[cellIdx];
+        const valueCell = cells[cellIdx + 1];
+        const label = labelCell.textContent.trim().toLowerCase();
+        const value = valueCell.textContent.trim();
+        
+        // Store all label-value pairs for analysis
+        if (label && value && label.length < 50 && value.length < 200) {
+          const cleanLabel = label.replace(/[^a-z0-9\s]/gi, '').replace(/\s+/g, '_');
+          if (!result.additionalInfo[cleanLabel]) {
+            result.additionalInfo[cleanLabel] = value;
+          }
+        }
+        
+        // Fallback extraction for fields we haven't found yet
+        if (!result.animalName && label.match(/^name:?$/i) && value && value.length > 2 && value.length < 100 && !value.match(/^\d+$/)) {
+          nameCandidates.push({ source: 'table_label', value: value, row: rowIdx, cell: cellIdx });
+          result.animalName = value;
+        }
+        
+        if (!result.additionalInfo.sire && label.match(/^sire:?$/i) && value && value.trim()) {
+          result.additionalInfo.sire = value.trim();
+        }
+        
+        if (!result.additionalInfo.dam && label.match(/^dam:?$/i) && value && value.trim()) {
+          result.additionalInfo.dam = value.trim();
+        }
+        
+        if (!result.additionalInfo.mgs && label.match(/^(mgs|maternal\s+grand\s+sire|maternal\s+grandsire|maternal\s+grand\s+site):?$/i) && value && value.trim()) {
+          result.additionalInfo.mgs = value.trim();
+        }
+        
+        if (!result.additionalInfo.birthDate && label.match(/^(bd|birth\s+date|dob|date\s+of\s+birth|birthdate):?$/i) && value && value.trim()) {
+          result.additionalInfo.birthDate = value.trim();
+        }
+        
+        if (!result.additionalInfo.tattoo && label.match(/^tattoo:?$/i) && value && value.trim()) {
+          result.additionalInfo.tattoo = value.trim();
+        }
+      }
+    }
+  }
+  
+  // Store name candidates for debugging
+  result.pageStructure.nameCandidates = nameCandidates;
+
+  // Check page title
+  if (!result.animalName) {
+    const pageTitle = document.title || '';
+    // Look for patterns like "Animal Name - EPD" or "Name - Registration"
+    const titleMatch = pageTitle.match(/([A-Z][A-Za-z\s&'.-]{3,50})\s*[-–]\s*(?:EPD|Registration)/i);
+    if (titleMatch && titleMatch[1]) {
+      result.animalName = titleMatch[1].trim();
+    }
+  }
+
+  // Look in headings
+  if (!result.animalName) {
+    const headings = Array.from(document.querySelectorAll('h1, h2, h3, h4'));
+    for (const heading of headings) {
+      const headingText = heading.textContent.trim();
+      // Skip if it contains EPD, %, or is mostly numbers
+      if (headingText.match(/(EPD|%|\d{4,})/i)) continue;
+      
+      // If it's a reasonable length and looks like a name
+      if (headingText.length > 3 && headingText.length < 100 && headingText.match(/^[A-Z][A-Za-z\s&'.-]+$/)) {
+        result.animalName = headingText;
+        break;
+      }
+    }
+  }
+
+  // Look in body text for common patterns
+  if (!result.animalName) {
+    const bodyText = document.body.innerText || '';
+    const namePatterns = [
+      /(?:^|\n)\s*(?:name|animal)[:\s]+([A-Z][A-Za-z\s&'.-]{3,50})(?:\s|$)/im,
+      /([A-Z][A-Za-z\s&'.-]{3,50})\s*[-–]\s*Registration/i,
+      /Registration[:\s]+\d+\s+([A-Z][A-Za-z\s&'.-]{3,50})/i
+    ];
+    
+    for (const pattern of namePatterns) {
+      const match = bodyText.match(pattern);
+      if (match && match[1] && !match[1].match(/^\d+$/)) {
+        result.animalName = match[1].trim();
+        break;
+      }
+    }
+  }
+
+  // Fallback to registration number if name not found
+  if (!result.animalName) {
+    result.animalName = regNum;
+  }
+
+  // Log extracted name and additional info for debugging
+  console.log(`[SCRAPER] Extracted animal name: "${result.animalName}" for registration ${regNum}`);
+  console.log(`[SCRAPER] Name candidates found:`, result.pageStructure.nameCandidates || []);
+  
+  console.log(`\n[SCRAPER] Extracted additional info:`, {
+    sire: result.additionalInfo.sire || 'NOT FOUND',
+    dam: result.additionalInfo.dam || 'NOT FOUND',
+    mgs: result.additionalInfo.mgs || 'NOT FOUND',
+    birthDate: result.additionalInfo.birthDate || 'NOT FOUND',
+    tattoo: result.additionalInfo.tattoo || 'NOT FOUND'
+  });
+  
+  // Log EPD extraction results
+  const epdCount = Object.keys(result.epdValues).length;
+  console.log(`\n[SCRAPER] EPD Values Extracted: ${epdCount} traits`);
+  if (epdCount > 0) {
+    console.log(`[SCRAPER] EPD Traits:`, Object.keys(result.epdValues).join(', '));
+  } else {
+    console.log(`[SCRAPER] WARNING: No EPD values found!`);
+  }
+
+  // Reuse tables variable (already declared above for name extraction)
+  // Look for the main EPD table with Production/Maternal data
+  // Based on the structure: header row with trait names, then rows with EPD, ACC, %, PROG
+  tables.forEach((table) => {
+    const rows = Array.from(table.rows);
+    if (rows.length < 3) return; // Skip small tables
+    
+    // Look for header row containing trait abbreviations
+    const traitAbbrevs = ['CED', 'BW', 'WW', 'YW', 'RADG', 'DMI', 'YH', 'SC', 'HP', 'CEM', 'MILK', 'TEAT', 'UDDR', 'FL', 'MW', 'MH', '$EN', 'DOC', 'CLAW', 'ANGLE', 'PAP', 'HS', 'CW', 'MARB', 'RE', 'FAT', '$M', '$F', '$B', '$W', '$G', '$C', '$AXH', '$AXJ'];
+    
+    let headerRowIdx = -1;
+    let headerRow = null;
+    
+    for (let i = 0; i < rows.length; i++) {
+      const rowText = rows[i].textContent.toUpperCase();
+      const matchesTraits = traitAbbrevs.some(trait => rowText.includes(trait));
+      if (matchesTraits && rows[i].cells.length > 3) {
+        headerRowIdx = i;
+        headerRow = rows[i];
+        break;
+      }
+    }
+    
+    if (headerRowIdx >= 0 && headerRow) {
+      const headerCells = Array.from(headerRow.cells);
+      
+      // Extract trait names from headers - values may be separated by <br> tags
+      const traitHeaders = headerCells.map(cell => {
+        // Get innerHTML to preserve <br> tags, then split
+        const html = cell.innerHTML || cell.textContent;
+        // Split by <br> tags (various formats: <br>, <br/>, <br />)
+        const parts = html.split(/<br\s*\/?>/i).map(p => p.trim()).filter(p => p.length > 0);
+        
+        // First part should be the trait name
+        const firstPart = parts[0] ? parts[0].toUpperCase().trim() : '';
+        
+        // Handle $Values specially ($EN, $M, $F, $B, $W, $G, $C, $AXH, $AXJ)
+        if (firstPart.startsWith('$')) {
+          const dollarMatch = firstPart.match(/^(\$[A-Z]+)/);
+          if (dollarMatch) return dollarMatch[1];
+        }
+        
+        // For regular traits, extract just the abbreviation (CED, BW, WW, etc.)
+        const traitMatch = firstPart.match(/^([A-Z]{1,5})(?:\s|ACC|PROG|DAUS|%|MKH|MKD|$)/);
+        if (traitMatch) {
+          return traitMatch[1];
+        }
+        
+        return null;
+      });
+      
+      // Now parse data rows
+      // Since values are separated by <br> tags within cells, we just need to find the first data row
+      // The structure in each cell is: EPD<br>ACC<br>%RANK<br>PROG (all in one cell)
+      let dataRowIdx = -1;
+      
+      // Find the first row after headers that contains data (has + or - values)
+      for (let i = headerRowIdx + 1; i < Math.min(headerRowIdx + 5, rows.length); i++) {
+        const row = rows[i];
+        const cells = Array.from(row.cells);
+        if (cells.length === 0) continue;
+        
+        // Check first cell to see if it contains EPD-like values
+        const firstCellHtml = cells[0].innerHTML || cells[0].textContent;
+        const firstCellParts = firstCellHtml.split(/<br\s*\/?>/i).map(p => p.trim());
+        // Interim EPDs carry an "I" prefix ("I+8"), which must not hide the row
+        const hasEPDValue = firstCellParts.some(part => part.match(/^I?[+-]?(\d+\.?\d*|\.\d+)$/));
+        
+        if (hasEPDValue) {
+          dataRowIdx = i;
+          break;
+        }
+      }
+      
+      // Extract EPD values and % ranks from the data row
+      // Format: Values are separated by <br> tags: "+8<br>.36<br>30%<br>1"
+      // Structure: EPD value, ACC value, % rank, PROG value (in that order)
+      if (dataRowIdx >= 0) {
+        const dataRow = rows[dataRowIdx];
+        const dataCells = Array.from(dataRow.cells);
+        dataCells.forEach((cell, colIdx) => {
+          const traitName = traitHeaders[colIdx];
+          if (!traitName) return;
+          
+          // Get innerHTML to preserve <br> tags
+          const html = cell.innerHTML || cell.textContent;
+          
+          // Parse values separated by <br> tags
+          const parts = html.split(/<br\s*\/?>/i).map(p => p.trim()).filter(p => p.length > 0);
+          
+          if (parts.length > 0) {
+            // First part should be the EPD value (like "+8", "+.1", "+.42", "I+1.43", etc.)
+            // "I" prefix means "inferred" but we still want to extract the value
+            const firstPart = parts[0].trim();
+            const epdMatch = firstPart.match(/^I?([+-]?(?:\d+\.?\d*|\.\d+))$/);
+            if (epdMatch) {
+              if (!result.epdValues[traitName]) {
+                result.epdValues[traitName] = {};
+              }
+              result.epdValues[traitName].epd = epdMatch[1];
+            }
+            
+            // Look for % rank in the parts (should be the 3rd item: EPD, ACC, %RANK, PROG)
+            // Clean percentage like "30%", "25%", "65%" (1-3 digits followed by %)
+            for (let i = 0; i < parts.length; i++) {
+              const part = parts[i].trim();
+              const percentMatch = part.match(/^(\d{1,3})%$/); // 1-3 digits followed by %
+              if (percentMatch) {
+                if (!result.epdValues[traitName]) {
+                  result.epdValues[traitName] = {};
+                }
+                result.epdValues[traitName].percentRank = percentMatch[1];
+                break; // Found it, move to next cell
+              }
+            }
+            
+            // ACC is the second item (".67", or "P" for pedigree estimates) and progeny/daughter
+            // count is the last item after the % rank
+            if (result.epdValues[traitName] && epdMatch) {
+              const accPart = parts[1] ? parts[1].trim() : '';
+              const accMatch = accPart.match(/^(\.\d+|[01]\.\d+|P)$/i);
+              result.epdValues[traitName].acc = accMatch ? accMatch[1].toUpperCase() : null;
+              
+              const lastPart = parts.length > 2 ? parts[parts.length - 1].trim() : '';
+              const previousPart = parts.length > 2 ? parts[parts.length - 2].trim() : '';
+              result.epdValues[traitName].progeny = /^\d+$/.test(lastPart) && /%$/.test(previousPart) ? lastPart : null;
+            }
+          }
+        });
+      }
+    }
+  });
+  
+  // Also store raw tables for reference
+  result.rawTables = {};
+  tables.forEach((table, tableIdx) => {
+    const tableData = [];
+    const rows = Array.from(table.rows);
+    
+    rows.forEach((row) => {
+      const cells = Array.from(row.cells);
+      if (cells.length > 0) {
+        const rowData = cells.map(cell => cell.textContent.trim());
+        tableData.push(rowData);
+      }
+    });
+
+    if (tableData.length > 0) {
+      result.rawTables[`table_${tableIdx}`] = tableData;
+    }
+  });
+
+  return result;
+}
+
+/**
+ * Add the fields derived from the page text (genetic conditions and evaluation date)
+ * @param {Object} data - Data returned by parseEpdDocument
+ * @returns {Object} The same data object
+ */
+function completeExtractedData(data) {
+  // Parse genetic condition codes (e.g. "[ AMF-CAF-D2F ]") from the page text
+  const conditions = geneticConditions.parseGeneticConditions(data.pageStructure?.allText);
+  data.additionalInfo.geneticConditions = conditions.geneticConditions;
+  data.additionalInfo.pedigreeGeneticConditions = conditions.pedigreeGeneticConditions;
+  
+  // Evaluation date ("As of 12/22/2025") keys the EPD history snapshot
+  data.asOfDate = epdHistory.parseAsOfDate(data.pageStructure?.allText);
+  
+  return data;
+}
+
+/**
+ * Drop the raw page text (pageStructure) and EPD tables from animal data
+ * Everything read from them later (genetic conditions, evaluation date, ACC and progeny for
+ * older cache records) is filled in first, and the pedigree table (rawTables.table_0, read by
+ * pedigree.js for grandparents and great-grandparents) is kept, so the stripped data scores and
+ * checks inbreeding the same. Used when exporting bulk files, where the page text is most of the size.
+ * @param {Object} data - Animal data
+ * @returns {Object} Copy of the data without pageStructure and with only the pedigree table in rawTables
+ */
+function stripPageData(data) {
+  if (!data || (!data.pageStructure && !data.rawTables)) return data;
+
+  const { pageStructure, rawTables, ...stripped } = data;
+  if (rawTables && rawTables.table_0) {
+    stripped.rawTables = { table_0: rawTables.table_0 };
+  }
+  if (data.epdValues) {
+    const epdValues = {};
+    Object.keys(data.epdValues).forEach(trait => {
+      const value = data.epdValues[trait];
+      epdValues[trait] = value && typeof value === 'object' ? { ...value } : value;
+    });
+    epdAccuracy.fillAccuracyFromRawTables({ epdValues, rawTables });
+    stripped.epdValues = epdValues;
+  }
+
+  stripped.additionalInfo = {
+    ...(data.additionalInfo || {}),
+    geneticConditions: geneticConditions.getGeneticConditions(data),
+    pedigreeGeneticConditions: geneticConditions.getPedigreeGeneticConditions(data)
+  };
+  stripped.asOfDate = epdHistory.getAsOfDate(data);
+
+  return stripped;
+}
+
+/**
+ * Find the animal's registration number in page text ("Reg: AAA +*18060260")
+ * @param {string} text - Page text
+ * @returns {string|null} Registration number or null
+ */
+function findRegistrationNumber(text) {
+  if (!text || typeof text !== 'string') return null;
+  const match = text.match(/Reg:\s*[A-Z]{2,4}\s*[+#*]*\s*(\d{5,})/i);
+  return match ? match[1] : null;
+}
+
+/**
+ * Extract EPD data from saved EPD detail page HTML
+ * @param {string} html - Page HTML
+ * @param {Object} options - { registrationNumber, url } (registration number is read from the page if not given)
+ * @returns {Object} Animal data, as extracted by the live scraper
+ */
+function parseEpdHtml(html, options = {}) {
+  const document = htmlDocument.parseHtmlDocument(html);
+  const registrationNumber = options.registrationNumber || findRegistrationNumber(document.body.innerText);
+  if (!registrationNumber) {
+    throw new Error('Registration number not found on page');
+  }
+  
+  const data = parseEpdDocument(document, registrationNumber, options.url || null);
+  return completeExtractedData(data);
+}
+
+module.exports = {
+  parseEpdDocument,
+  completeExtractedData,
+  stripPageData,
+  findRegistrationNumber,
+  parseEpdHtml
+};
@@ -1,6 +1,8 @@
 const fs = require('fs');
 const path = require('path');
 const ExcelJS = require('exceljs');
+const pdfDocument = require('./pdf-document');
+const saleCatalogParser = require('./sale-catalog-parser');
 
 /**
  * Common EPD trait names and variations
@@ -13,18 +15,18 @@ const EPD_TRAIT_PATTERNS = {
   'RADG': ['residual avg daily gain', 'radg', 'residual adg'],
   'DMI': ['dry matter intake', 'dmi'],
   'YH': ['yearling height', 'yh', 'yearling ht'],
-  'SC': ['scrotal circumference', 'sc', 'scrotal circ'],
+  'SC': ['scrotal circumference', 'sc', 'scrotal circ', 'scrotal'],
   'DOC': ['docility', 'doc'],
   'CLAW': ['claw set', 'claw'],
   'ANGLE': ['foot angle', 'angle', 'foot'],
   'PAP': ['pulmonary arterial pressure', 'pap'],
-  'HS': ['heel depth', 'hs', 'heel'],
-  'HP': ['hip height', 'hp', 'hip'],
+  'HS': ['hair shed', 'hair shedding', 'hs'],
+  'HP': ['heifer pregnancy', 'hp'],
   'CEM': ['calving ease maternal', 'cem'],
   'MILK': ['milk', 'milk epd'],
   'TEAT': ['teat size', 'teat'],
   'UDDR': ['udder quality', 'udder', 'uddr'],
-  'FL': ['fat thickness', 'fl', 'fat'],
+  'FL': ['fl'],
   'MW': ['mature weight', 'mw', 'mature wt'],
   'MH': ['mature height', 'mh', 'mature ht'],
   '$EN': ['energy', '$en', 'energy $'],
@@ -37,52 +39,320 @@ const EPD_TRAIT_PATTERNS = {
   '$C': ['carcass value', '$c', 'carcass $']
 };
 
+// Number of traits listing each pattern (a shared pattern is weaker evidence for any one of them)
+const TRAIT_PATTERN_COUNTS = {};
+Object.values(EPD_TRAIT_PATTERNS).forEach(patterns => patterns.forEach(pattern => {
+  TRAIT_PATTERN_COUNTS[pattern] = (TRAIT_PATTERN_COUNTS[pattern] || 0) + 1;
+}));
+
+/**
+ * Header words that mark a percent rank column, an accuracy column, or a parent's field
+ */
+const PERCENT_RANK_WORDS = ['%', 'percentile', 'percent', 'percentrank', 'rank', 'prank', 'pr', 'pct', 'pctl', 'tile'];
+const ACCURACY_WORDS = ['acc', 'accuracy', 'bacc'];
+const PARENT_WORDS = ['sire', 'dam', 'mgs', 'sires', 'dams'];
+
+/**
+ * Headers of the registration number, name and sex columns: whole headers (exact), words that
+ * name the field, and weaker words
+ */
+const FIELD_HEADERS = {
+  registrationNumber: {
+    exact: ['registration number', 'registration', 'reg', 'reg #', 'reg#', 'reg no', 'reg num', 'regno', 'registration #', 'aaa', 'aaa #', 'aaa reg', 'animal id', 'id'],
+    words: ['registration', 'reg', 'reg#', 'regno'],
+    weak: ['aaa', 'id']
+  },
+  animalName: {
+    exact: ['name', 'animal name', 'call name', 'bull name', 'cow name', 'registered name', 'animal'],
+    words: ['name'],
+    weak: []
+  },
+  sex: {
+    exact: ['sex', 'gender', 'bull cow'],
+    words: ['sex', 'gender'],
+    weak: ['type']
+  }
+};
+
+// Detected mappings need at least this score (0-1)
+const MIN_MAPPING_SCORE = 0.3;
+
+/**
+ * Plausible EPD ranges by trait (Angus, generous bounds)
+ * A value outside its range is usually in the wrong column or mistyped, so it is flagged.
+ */
+const EPD_PLAUSIBLE_RANGES = {
+  'BW': [-10, 15],
+  'WW': [-50, 150],
+  'YW': [-60, 250],
+  'CED': [-30, 40],
+  'RADG': [-1, 1],
+  'DMI': [-5, 5],
+  'YH': [-5, 5],
+  'SC': [-5, 5],
+  'DOC': [-30, 60],
+  'CLAW': [-1, 2],
+  'ANGLE': [-1, 2],
+  'PAP': [-20, 20],
+  'HS': [-3, 3],
+  'HP': [-20, 40],
+  'CEM': [-20, 30],
+  'MILK': [-30, 60],
+  'TEAT': [-1, 3],
+  'UDDR': [-1, 3],
+  'FL': [-5, 5],
+  'MW': [-150, 250],
+  'MH': [-5, 5],
+  '$EN': [-60, 60],
+  'CW': [-80, 150],
+  'MARB': [-2, 4],
+  'RE': [-2, 3],
+  'FAT': [-1, 1],
+  '$M': [-50, 200],
+  '$B': [-50, 400],
+  '$C': [-50, 600]
+};
+
+/**
+ * Sex codes found in herd exports and sale catalogs, and the sex stored for them
+ */
+const SEX_CODES = {
+  'bull': 'Bull', 'b': 'Bull', 'm': 'Bull', 'male': 'Bull', 'sire': 'Bull',
+  'cow': 'Cow', 'c': 'Cow', 'f': 'Cow', 'female': 'Cow', 'dam': 'Cow',
+  'heifer': 'Heifer', 'h': 'Heifer', 'hfr': 'Heifer',
+  'steer': 'Steer', 's': 'Steer', 'str': 'Steer'
+};
+
+// Header row detection only looks this far down a sheet (title blocks are a few rows at most)
+const HEADER_SCAN_ROWS = 20;
+
+// Words that commonly appear in header cells
+const HEADER_WORDS = ['reg', 'registration', 'name', 'sex', 'lot', 'tattoo', 'birth', 'date', 'epd', 'sire', 'dam', 'id'];
+
+/**
+ * Get a cell's value as text
+ * @param {ExcelJS.Cell} cell - Cell
+ * @returns {string} Cell text
+ */
+function getCellText(cell) {
+  // Get cell value, handling formulas
+  let value = cell.value;
+  if (value && typeof value === 'object' && value.result !== undefined) {
+    value = value.result; // Formula result
+  }
+  // Rich text cells
+  if (value && typeof value === 'object' && Array.isArray(value.richText)) {
+    value = value.richText.map(part => part.text).join('');
+  }
+  // Convert dates to ISO strings
+  if (value instanceof Date) {
+    value = value.toISOString().split('T')[0];
+  }
+  return value !== null && value !== undefined ? String(value) : '';
+}
+
+/**
+ * Check whether a cell looks like a number (EPDs, registration numbers, lot numbers)
+ * @param {string} text - Cell text
+ * @returns {boolean} True if numeric
+ */
+function isNumericText(text) {
+  return /^[+-]?(\d+\.?\d*|\.\d+)%?$/.test(text.trim());
+}
+
+/**
+ * Read all rows of a worksheet
+ * Rows keep their position (rows[0] is sheet row 1); merged cells repeat the merged value.
+ * @param {ExcelJS.Worksheet} worksheet - Worksheet
+ * @returns {Array} Rows of cell text
+ */
+function readWorksheetRows(worksheet) {
+  const rows = [];
+  worksheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const rowData = [];
+    row.eachCell({ includeEmpty: true }, (cell) => {
+      rowData.push(getCellText(cell));
+    });
+    rows[rowNumber - 1] = rowData;
+  });
+  // Fill rows the sheet has no data for
+  for (let i = 0; i < rows.length; i++) {
+    if (!rows[i]) rows[i] = [];
+  }
+  return rows;
+}
+
 /**
- * Percent rank patterns
+ * Score how much a row looks like a header row
+ * Headers are mostly distinct text cells with familiar words; title rows are a single (often merged)
+ * value and data rows are mostly numbers.
+ * @param {Array} row - Row cells
+ * @returns {number} Score (0 or less for rows that can't be headers)
  */
-const PERCENT_RANK_PATTERNS = ['percentile', 'percent rank', 'percentrank', 'rank', '%', 'pr', 'pct'];
+function scoreHeaderRow(row) {
+  const cells = row.map(value => String(value || '').trim()).filter(value => value);
+  if (cells.length < 2) return 0;
+
+  const distinct = new Set(cells.map(value => value.toLowerCase()));
+  const textCells = cells.filter(value => !isNumericText(value)).length;
+  const knownCells = Array.from(distinct).filter(value =>
+    EPD_TRAIT_PATTERNS[value.toUpperCase()] ||
+    HEADER_WORDS.some(word => new RegExp(`\\b${word}`).test(value)) ||
+    Object.values(EPD_TRAIT_PATTERNS).some(patterns => patterns.some(pattern => pattern.length > 3 && value.includes(pattern)))
+  ).length;
+
+  return textCells + 2 * knownCells - (cells.length - distinct.size);
+}
+
+/**
+ * Find the header row of a sheet (skipping title blocks above the table)
+ * When the best row has a group header row above it (e.g. "Lot | Reg | Production" over
+ * "BW WW YW"), the group row is the header row and buildTable combines the two.
+ * @param {Array} rows - Rows of cell text
+ * @returns {number} Header row index (0-based)
+ */
+function detectHeaderRow(rows) {
+  let bestIndex = 0;
+  let bestScore = 0;
+  rows.slice(0, HEADER_SCAN_ROWS).forEach((row, index) => {
+    const score = scoreHeaderRow(row);
+    if (score > bestScore) {
+      bestScore = score;
+      bestIndex = index;
+    }
+  });
+  if (bestIndex > 0 && isGroupHeaderRow(rows[bestIndex - 1])) {
+    bestIndex--;
+  }
+  return bestIndex;
+}
+
+/**
+ * Check whether a row above the header row is a group header row
+ * A title (even merged across the sheet) has a single value; group headers have several.
+ * @param {Array} row - Row above the header row
+ * @returns {boolean} True if the row has at least two distinct text values and no numbers
+ */
+function isGroupHeaderRow(row) {
+  const cells = (row || []).map(value => String(value || '').trim()).filter(value => value);
+  return isSubHeaderRow(row) && new Set(cells.map(value => value.toLowerCase())).size >= 2;
+}
+
+/**
+ * Check whether the row under a header row continues it (e.g. "EPD" and "%" under a merged "Birth Weight")
+ * @param {Array} row - Row after the header row
+ * @returns {boolean} True if the row has text but no numbers
+ */
+function isSubHeaderRow(row) {
+  const cells = (row || []).map(value => String(value || '').trim()).filter(value => value);
+  return cells.length > 0 && cells.every(value => !isNumericText(value));
+}
+
+/**
+ * Build headers and data rows from a sheet's rows
+ * A sub-header row under the header row is combined with it ("Birth Weight" + "EPD" -> "Birth Weight EPD").
+ * @param {Array} rows - Rows of cell text
+ * @param {number} headerIndex - Header row index (0-based)
+ * @returns {Object} { headers, rows, rowNumbers (sheet row number of each data row), headerRow (1-based) }
+ */
+function buildTable(rows, headerIndex) {
+  const headerRow = rows[headerIndex] || [];
+  let headers = headerRow.map(value => String(value || '').trim());
+  let dataStart = headerIndex + 1;
+
+  if (isSubHeaderRow(rows[dataStart])) {
+    const subHeaders = rows[dataStart];
+    const width = Math.max(headers.length, subHeaders.length);
+    headers = Array.from({ length: width }, (unused, i) =>
+      [headers[i] || '', String(subHeaders[i] || '').trim()].filter(part => part).join(' ')
+    );
+    dataStart++;
+  }
+
+  const dataRows = [];
+  const rowNumbers = [];
+  for (let i = dataStart; i < rows.length; i++) {
+    // Skip empty rows
+    if (!rows[i].some(value => String(value || '').trim())) continue;
+    dataRows.push(rows[i]);
+    rowNumbers.push(i + 1);
+  }
+
+  return { headers, rows: dataRows, rowNumbers, headerRow: headerIndex + 1 };
+}
+
+/**
+ * Describe the sheets of a workbook for the import wizard
+ * @param {ExcelJS.Workbook} workbook - Workbook
+ * @returns {Array} [{ name, headerRow (detected, 1-based), headers, rowCount }]
+ */
+function describeWorksheets(workbook) {
+  return workbook.worksheets.map(worksheet => {
+    const rows = readWorksheetRows(worksheet);
+    const table = buildTable(rows, detectHeaderRow(rows));
+    return {
+      name: worksheet.name,
+      headerRow: table.headerRow,
+      headers: table.headers,
+      rowCount: table.rows.length
+    };
+  });
+}
+
+/**
+ * Read one worksheet as a table
+ * @param {ExcelJS.Workbook} workbook - Workbook
+ * @param {Object} options - { sheet (name; default: first sheet), headerRow (1-based; default: detected) }
+ * @returns {Object} { headers, rows, rowNumbers, headerRow, sheetName }
+ */
+function readWorksheetTable(workbook, options = {}) {
+  const worksheet = options.sheet ? workbook.getWorksheet(options.sheet) : workbook.worksheets[0];
+  if (!worksheet) {
+    throw new Error(options.sheet ? `Sheet "${options.sheet}" not found` : 'Excel file has no worksheets');
+  }
+
+  const rows = readWorksheetRows(worksheet);
+  if (rows.length === 0) {
+    throw new Error(`Sheet "${worksheet.name}" is empty`);
+  }
+
+  const headerIndex = options.headerRow ? options.headerRow - 1 : detectHeaderRow(rows);
+  if (headerIndex < 0 || headerIndex >= rows.length) {
+    throw new Error(`Header row ${options.headerRow} is outside sheet "${worksheet.name}" (${rows.length} rows)`);
+  }
+
+  return { ...buildTable(rows, headerIndex), sheetName: worksheet.name };
+}
 
 /**
  * Parse Excel file (.xlsx)
+ * @param {string} filePath - File path
+ * @param {Object} options - { sheet, headerRow } (see readWorksheetTable)
+ * @returns {Promise<Object>} { headers, rows, rowNumbers, headerRow, sheetName, sheets }
  */
-async function parseExcelFile(filePath) {
+async function parseExcelFile(filePath, options = {}) {
   try {
     const workbook = new ExcelJS.Workbook();
     await workbook.xlsx.readFile(filePath);
     
-    // Use first worksheet
-    const worksheet = workbook.worksheets[0];
-    if (!worksheet) {
-      throw new Error('Excel file has no worksheets');
-    }
-    
-    const rows = [];
-    worksheet.eachRow((row, rowNumber) => {
-      const rowData = [];
-      row.eachCell({ includeEmpty: true }, (cell, colNumber) => {
-        // Get cell value, handling formulas
-        let value = cell.value;
-        if (value && typeof value === 'object' && value.result !== undefined) {
-          value = value.result; // Formula result
-        }
-        // Convert dates to ISO strings
-        if (value instanceof Date) {
-          value = value.toISOString().split('T')[0];
-        }
-        rowData.push(value !== null && value !== undefined ? String(value) : '');
-      });
-      rows.push(rowData);
-    });
-    
-    if (rows.length === 0) {
-      throw new Error('Excel file is empty');
-    }
-    
-    // First row is headers
-    const headers = rows[0];
-    const dataRows = rows.slice(1);
-    
-    return { headers, rows: dataRows };
+    const table = readWorksheetTable(workbook, options);
+    return { ...table, sheets: describeWorksheets(workbook) };
+  } catch (error) {
+    throw new Error(`Error parsing Excel file: ${error.message}`);
+  }
+}
+
+/**
+ * Parse several sheets of an Excel file (the workbook is read once)
+ * @param {string} filePath - File path
+ * @param {Array} sheetOptions - [{ sheet, headerRow }]
+ * @returns {Promise<Array>} Tables (see readWorksheetTable)
+ */
+async function parseExcelSheets(filePath, sheetOptions) {
+  try {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(filePath);
+    return sheetOptions.map(options => readWorksheetTable(workbook, options));
   } catch (error) {
     throw new Error(`Error parsing Excel file: ${error.message}`);
   }
@@ -196,45 +466,165 @@ function parseTextFile(filePath) {
   }
 }
 
+/**
+ * Parse a PDF sale catalog (one row per lot; see sale-catalog-parser.js)
+ * @param {string} filePath - File path
+ * @returns {Promise<Object>} { headers, rows, rowNumbers (lot order), pageNumbers }
+ */
+async function parsePdfFile(filePath) {
+  try {
+    const pages = await pdfDocument.readPdfText(filePath);
+    if (!pages.some(page => page.lines.length > 0)) {
+      throw new Error('The PDF has no text (scanned catalogs are images and cannot be read)');
+    }
+
+    const catalog = saleCatalogParser.parseSaleCatalog(pages);
+    if (catalog.lotCount === 0) {
+      throw new Error('No lots found (expected "Lot <number>" headings with a registration number or EPD table)');
+    }
+    return {
+      headers: catalog.headers,
+      rows: catalog.rows,
+      rowNumbers: catalog.rowNumbers,
+      pageNumbers: catalog.pageNumbers
+    };
+  } catch (error) {
+    throw new Error(`Error parsing PDF file: ${error.message}`);
+  }
+}
+
 /**
  * Parse external file based on extension
+ * @param {string} filePath - File path
+ * @param {Object} options - Excel only: { sheet, headerRow } (default: first sheet, detected header row)
  */
-async function parseExternalFile(filePath) {
+async function parseExternalFile(filePath, options = {}) {
   const ext = path.extname(filePath).toLowerCase();
   
   if (ext === '.xlsx' || ext === '.xls') {
-    return await parseExcelFile(filePath);
+    return await parseExcelFile(filePath, options);
   } else if (ext === '.csv') {
     return parseCSVFile(filePath);
   } else if (ext === '.txt' || ext === '.tsv') {
     return parseTextFile(filePath);
+  } else if (ext === '.pdf') {
+    return await parsePdfFile(filePath);
   } else {
     throw new Error(`Unsupported file type: ${ext}`);
   }
 }
 
 /**
- * Fuzzy match column name to pattern
+ * Split a header (or pattern) into lowercase words; "$M", "Reg#" and "%" stay words
+ * @param {string} header - Header cell
+ * @returns {Array} Words
  */
-function fuzzyMatch(columnName, patterns) {
-  const normalized = columnName.toLowerCase().trim();
-  
-  for (const pattern of patterns) {
-    if (normalized === pattern.toLowerCase()) {
-      return true;
-    }
-    if (normalized.includes(pattern.toLowerCase()) || pattern.toLowerCase().includes(normalized)) {
-      return true;
-    }
+function getHeaderWords(header) {
+  return String(header === null || header === undefined ? '' : header).toLowerCase().replace(/%/g, ' % ').match(/[a-z0-9$#]+|%/g) || [];
+}
+
+/**
+ * Check whether a phrase appears in a header as whole words
+ * @param {Array} words - Header words
+ * @param {Array} phraseWords - Phrase words
+ * @returns {boolean} True if the words contain the phrase
+ */
+function containsPhrase(words, phraseWords) {
+  for (let i = 0; i + phraseWords.length <= words.length; i++) {
+    if (phraseWords.every((word, offset) => words[i + offset] === word)) return true;
   }
-  
   return false;
 }
 
 /**
- * Auto-detect column mappings
+ * Score how well a header names an EPD trait
+ * Trait codes only count as whole words (so "Breeder" is not RE), and a pattern listed for
+ * several traits counts for less than one that names a single trait.
+ * @param {Array} traitWords - Header words without percent rank and "EPD" words
+ * @param {string} trait - Trait code
+ * @returns {number} Score (0-1)
  */
-function autoDetectColumnMappings(headers, sampleRows) {
+function scoreTraitHeader(traitWords, trait) {
+  if (traitWords.length === 0) return 0;
+  const code = trait.toLowerCase();
+  const text = traitWords.join(' ');
+  if (text === code) return 1;
+
+  let score = traitWords.includes(code) ? 0.75 : 0;
+  EPD_TRAIT_PATTERNS[trait].forEach(pattern => {
+    const patternWords = getHeaderWords(pattern);
+    if (patternWords.join(' ') === code) return;
+
+    let evidence = 0;
+    if (patternWords.join(' ') === text) {
+      evidence = 0.95;
+    } else if (containsPhrase(traitWords, patternWords)) {
+      evidence = patternWords.length > 1 ? 0.85 : 0.7;
+    } else if (pattern.length >= 5 && traitWords.join('').includes(patternWords.join(''))) {
+      evidence = 0.4; // Run together, e.g. "BirthWeightEPD"
+    }
+    if (TRAIT_PATTERN_COUNTS[pattern] > 1) {
+      evidence *= 0.6;
+    }
+    // Longer patterns are more specific ("calving ease maternal" over "calving ease")
+    if (evidence > 0) {
+      score = Math.max(score, evidence + pattern.length / 1000);
+    }
+  });
+  return Math.min(score, 1);
+}
+
+/**
+ * Score a header against a list of field headers
+ * @param {Array} words - Header words
+ * @param {Object} field - { exact: [...], words: [...], weak: [...] } (see FIELD_HEADERS)
+ * @returns {number} Score (0-1)
+ */
+function scoreFieldHeader(words, field) {
+  if (words.some(word => PARENT_WORDS.includes(word))) return 0.2; // The sire's or dam's number/name
+  if (field.exact.includes(words.join(' '))) return 1;
+  if (words.some(word => field.words.includes(word))) return 0.85;
+  if (words.some(word => field.weak.includes(word))) return 0.5;
+  return 0;
+}
+
+/**
+ * Turn the share of sample values that fit a field into a score factor
+ * @param {Array} values - Non-empty sample values
+ * @param {Function} test - Value test
+ * @param {number} floor - Factor when no value fits
+ * @returns {number} Factor (floor-1; 0.8 when there are no sample values)
+ */
+function getValueFactor(values, test, floor) {
+  if (values.length === 0) return 0.8;
+  return floor + (1 - floor) * (values.filter(test).length / values.length);
+}
+
+/**
+ * Score how well a column's sample values fit a trait's EPDs
+ * @param {Array} values - Non-empty sample values
+ * @param {string} trait - Trait code
+ * @returns {number} Factor (0.2 for text columns, 0.4-1 by the share of values in the trait's usual range)
+ */
+function getEpdValueFactor(values, trait) {
+  const epds = values.map(value => parseEpdValue(value)).filter(parsed => !parsed.error);
+  if (values.length > 0 && epds.length / values.length < 0.5) return 0.2;
+
+  const range = EPD_PLAUSIBLE_RANGES[trait];
+  return getValueFactor(epds, parsed => !range || parsed.value === null || (parsed.value >= range[0] && parsed.value <= range[1]), 0.4);
+}
+
+/**
+ * Detect column mappings with a confidence for each
+ * Every header is scored against every field from its words (exact trait code, whole-word trait
+ * names, percent rank words) and its sample values (numbers in the trait's usual range, percent
+ * ranks in 1-100, registration numbers, sex codes). Mappings are then assigned best score first,
+ * so each header gets at most one field and each field at most one header.
+ * @param {Array} headers - Header row
+ * @param {Array} sampleRows - First rows of data
+ * @returns {Object} { mappings, confidence } (confidence has the same shape as mappings, with scores 0-1)
+ */
+function detectColumnMappings(headers, sampleRows) {
   const mappings = {
     registrationNumber: null,
     animalName: null,
@@ -242,74 +632,342 @@ function autoDetectColumnMappings(headers, sampleRows) {
     epdTraits: {},
     percentRanks: {}
   };
-  
-  // Normalize headers for matching
-  const normalizedHeaders = headers.map((h, idx) => ({
-    original: h,
-    normalized: h.toLowerCase().trim(),
-    index: idx
-  }));
-  
-  // Find registration number
-  const regPatterns = ['registration', 'reg', 'id', 'registration number', 'reg num', 'regno', 'reg#', 'animal id'];
-  for (const header of normalizedHeaders) {
-    if (fuzzyMatch(header.normalized, regPatterns)) {
-      mappings.registrationNumber = header.index;
-      break;
+  const confidence = {
+    registrationNumber: null,
+    animalName: null,
+    sex: null,
+    epdTraits: {},
+    percentRanks: {}
+  };
+
+  const candidates = [];
+  const addCandidate = (index, target, score) => {
+    if (score >= MIN_MAPPING_SCORE) {
+      candidates.push({ index, target, score });
     }
-  }
-  
-  // Find animal name
-  const namePatterns = ['name', 'animal name', 'call name', 'animal', 'cow name', 'bull name'];
-  for (const header of normalizedHeaders) {
-    if (fuzzyMatch(header.normalized, namePatterns) && mappings.animalName === null) {
-      mappings.animalName = header.index;
-      break;
+  };
+
+  const traits = Object.keys(EPD_TRAIT_PATTERNS);
+  const bestTraits = []; // Header index -> trait its words name best (for "%" columns next to a trait)
+  headers.forEach((header, index) => {
+    const words = getHeaderWords(header);
+    const values = (sampleRows || [])
+      .map(row => String(row[index] === null || row[index] === undefined ? '' : row[index]).trim())
+      .filter(value => value);
+
+    addCandidate(index, 'registrationNumber', scoreFieldHeader(words, FIELD_HEADERS.registrationNumber) *
+      getValueFactor(values, value => /^[+*]*[a-z]{0,4}\d{4,12}$/i.test(value), 0.3));
+    addCandidate(index, 'animalName', scoreFieldHeader(words, FIELD_HEADERS.animalName) *
+      getValueFactor(values, value => /[a-z]{2}/i.test(value), 0.3));
+    addCandidate(index, 'sex', scoreFieldHeader(words, FIELD_HEADERS.sex) *
+      getValueFactor(values, value => !!SEX_CODES[value.toLowerCase()], 0.3));
+
+    // Accuracy columns ("BW Acc") are neither EPDs nor percent ranks
+    if (words.some(word => ACCURACY_WORDS.includes(word))) return;
+
+    const isPercentRank = words.some(word => PERCENT_RANK_WORDS.includes(word));
+    const traitWords = words.filter(word => !PERCENT_RANK_WORDS.includes(word) && word !== 'epd' && word !== 'epds');
+    const percentRankFactor = getValueFactor(values, value => !parsePercentRank(value).error, 0.3);
+
+    let best = null;
+    traits.forEach(trait => {
+      const headerScore = scoreTraitHeader(traitWords, trait);
+      if (headerScore === 0) return;
+      if (!best || headerScore > best.score) best = { trait, score: headerScore };
+      if (isPercentRank) {
+        addCandidate(index, `pr:${trait}`, headerScore * percentRankFactor);
+      } else {
+        addCandidate(index, `epd:${trait}`, headerScore * getEpdValueFactor(values, trait));
+      }
+    });
+    bestTraits[index] = best && !isPercentRank ? best.trait : null;
+
+    // A bare "%" column is the percent rank of the trait to its left
+    if (isPercentRank && traitWords.length === 0 && index > 0 && bestTraits[index - 1]) {
+      addCandidate(index, `pr:${bestTraits[index - 1]}`, 0.7 * percentRankFactor);
     }
+  });
+
+  const targetOrder = ['registrationNumber', 'animalName', 'sex', ...traits.map(trait => `epd:${trait}`), ...traits.map(trait => `pr:${trait}`)];
+  candidates.sort((a, b) => b.score - a.score || a.index - b.index || targetOrder.indexOf(a.target) - targetOrder.indexOf(b.target));
+
+  const usedHeaders = new Set();
+  const usedTargets = new Set();
+  candidates.forEach(({ index, target, score }) => {
+    if (usedHeaders.has(index) || usedTargets.has(target)) return;
+    usedHeaders.add(index);
+    usedTargets.add(target);
+
+    const rounded = Math.round(score * 100) / 100;
+    if (target.startsWith('epd:')) {
+      mappings.epdTraits[target.substring(4)] = index;
+      confidence.epdTraits[target.substring(4)] = rounded;
+    } else if (target.startsWith('pr:')) {
+      mappings.percentRanks[target.substring(3)] = index;
+      confidence.percentRanks[target.substring(3)] = rounded;
+    } else {
+      mappings[target] = index;
+      confidence[target] = rounded;
+    }
+  });
+
+  return { mappings, confidence };
+}
+
+/**
+ * Auto-detect column mappings
+ * @param {Array} headers - Header row
+ * @param {Array} sampleRows - First rows of data
+ * @returns {Object} Column mappings (see detectColumnMappings)
+ */
+function autoDetectColumnMappings(headers, sampleRows) {
+  return detectColumnMappings(headers, sampleRows).mappings;
+}
+
+/**
+ * Check whether a column index is mapped
+ * @param {number|null} index - Column index
+ * @returns {boolean} True if mapped
+ */
+function isMapped(index) {
+  return index !== null && index !== undefined;
+}
+
+/**
+ * Parse an EPD cell
+ * @param {string} text - Cell text
+ * @returns {Object} { epd (string to store), value (number, or null for incomplete EPDs) } or { error }
+ */
+function parseEpdValue(text) {
+  // Incomplete EPDs ("I" or "i" before the number) are kept as text once the number checks out
+  const interim = /^i/i.test(text);
+  const number = interim ? text.substring(1).trim() : text;
+  if (!/^[+-]?(\d+\.?\d*|\.\d+)$/.test(number)) {
+    return { error: 'is not a number' };
   }
-  
-  // Find sex
-  const sexPatterns = ['sex', 'gender', 'bull/cow', 'type'];
-  for (const header of normalizedHeaders) {
-    if (fuzzyMatch(header.normalized, sexPatterns)) {
-      mappings.sex = header.index;
-      break;
+  if (interim) {
+    return { epd: text, value: null };
+  }
+  const value = parseFloat(number);
+  return { epd: String(value), value };
+}
+
+/**
+ * Parse a percent rank cell
+ * Whole numbers and values with % are percentages (e.g. 75 or 75%); decimals up to 1 are fractions (e.g. 0.75).
+ * @param {string} text - Cell text
+ * @returns {Object} { percentRank (integer percentage) } or { error }
+ */
+function parsePercentRank(text) {
+  const match = text.match(/^(\d+\.?\d*|\.\d+)\s*(%?)$/);
+  if (!match) {
+    return { error: 'is not a number' };
+  }
+  let prNum = parseFloat(match[1]);
+  if (!match[2] && prNum <= 1 && match[1].includes('.')) {
+    prNum = prNum * 100;
+  }
+  const percentRank = Math.round(prNum);
+  if (percentRank < 1 || percentRank > 100) {
+    return { error: 'is outside 1-100' };
+  }
+  return { percentRank };
+}
+
+/**
+ * Read the mapped fields of a row, checking each value
+ * Values that can't be used are left out and reported as errors; suspicious values are kept and
+ * reported as warnings.
+ * @param {Array} row - Row cells
+ * @param {Object} columnMappings - Column mappings
+ * @param {Array} headers - Header row (for messages)
+ * @param {string|null} sexOverride - Sex for every row (the sex column isn't read)
+ * @returns {Object} { registrationNumber, animalName, sex, epdValues, issues: [{ severity, field, column, value, message }] }
+ */
+function readMappedRow(row, columnMappings, headers, sexOverride = null) {
+  const issues = [];
+  const cell = (index) => (isMapped(index) ? String(row[index] || '').trim() : '');
+  const addIssue = (severity, field, index, value, message) => {
+    issues.push({ severity, field, column: headers[index] || `Column ${index + 1}`, value, message });
+  };
+
+  const registrationNumber = cell(columnMappings.registrationNumber);
+  const animalName = cell(columnMappings.animalName);
+
+  let sex = sexOverride || cell(columnMappings.sex);
+  if (sex && !sexOverride) {
+    const normalizedSex = SEX_CODES[sex.toLowerCase()];
+    if (normalizedSex) {
+      sex = normalizedSex;
+    } else {
+      addIssue('warning', 'sex', columnMappings.sex, sex, `Sex "${sex}" is not recognized; the animal won't be treated as a bull or cow`);
     }
   }
-  
-  // Find EPD traits
-  for (const [trait, patterns] of Object.entries(EPD_TRAIT_PATTERNS)) {
-    for (const header of normalizedHeaders) {
-      const headerLower = header.normalized;
-      // Check if header contains trait code or any pattern
-      if (headerLower === trait.toLowerCase() || 
-          headerLower.includes(trait.toLowerCase()) ||
-          patterns.some(p => headerLower.includes(p))) {
-        mappings.epdTraits[trait] = header.index;
-        break;
+
+  const epdValues = {};
+  for (const [trait, colIndex] of Object.entries(columnMappings.epdTraits || {})) {
+    const epdText = cell(colIndex);
+    if (!epdText) continue;
+
+    const parsed = parseEpdValue(epdText);
+    if (parsed.error) {
+      addIssue('error', trait, colIndex, epdText, `${trait} EPD "${epdText}" ${parsed.error}; it is left out`);
+      continue;
+    }
+    const range = EPD_PLAUSIBLE_RANGES[trait];
+    if (range && parsed.value !== null && (parsed.value < range[0] || parsed.value > range[1])) {
+      addIssue('warning', trait, colIndex, epdText, `${trait} EPD ${epdText} is outside the usual range (${range[0]} to ${range[1]}); check the column mapping`);
+    }
+    epdValues[trait] = { epd: parsed.epd };
+
+    // Add percent rank if mapped
+    const prIndex = (columnMappings.percentRanks || {})[trait];
+    const prText = cell(prIndex);
+    if (prText) {
+      const percentRank = parsePercentRank(prText);
+      if (percentRank.error) {
+        addIssue('error', `${trait} %Rank`, prIndex, prText, `${trait} percent rank "${prText}" ${percentRank.error}; it is left out`);
+      } else {
+        epdValues[trait].percentRank = percentRank.percentRank; // Store as integer percentage
       }
     }
   }
-  
-  // Find percent ranks (look for trait + percent rank pattern)
-  for (const [trait, patterns] of Object.entries(EPD_TRAIT_PATTERNS)) {
-    for (const header of normalizedHeaders) {
-      const headerLower = header.normalized;
-      // Check for percent rank patterns combined with trait
-      if (PERCENT_RANK_PATTERNS.some(pr => headerLower.includes(pr)) &&
-          (headerLower.includes(trait.toLowerCase()) || 
-           patterns.some(p => headerLower.includes(p)))) {
-        mappings.percentRanks[trait] = header.index;
-        break;
+
+  return { registrationNumber, animalName, sex, epdValues, issues };
+}
+
+/**
+ * Describe how two readings of the same animal differ
+ * @param {Object} first - readMappedRow() result
+ * @param {Object} second - readMappedRow() result
+ * @returns {Array} Differences (e.g. ['BW: 1.2 vs 1.5'])
+ */
+function describeConflicts(first, second) {
+  const conflicts = [];
+  const compare = (label, a, b) => {
+    if ((a || '') !== (b || '')) {
+      conflicts.push(`${label}: ${a || '(blank)'} vs ${b || '(blank)'}`);
+    }
+  };
+  compare('Name', first.animalName, second.animalName);
+  compare('Sex', first.sex, second.sex);
+  const traits = new Set([...Object.keys(first.epdValues), ...Object.keys(second.epdValues)]);
+  traits.forEach(trait => {
+    compare(trait, first.epdValues[trait]?.epd, second.epdValues[trait]?.epd);
+    compare(`${trait} %Rank`, String(first.epdValues[trait]?.percentRank ?? ''), String(second.epdValues[trait]?.percentRank ?? ''));
+  });
+  return conflicts;
+}
+
+/**
+ * Check every row of an external data file against the column mappings
+ * Reports rows that are skipped on conversion (no registration number, duplicates) and values
+ * that are left out (unparsable EPDs, percent ranks outside 1-100) or suspicious (EPDs outside the
+ * trait's usual range, unknown sex codes).
+ * @param {Object} mappedData - Parsed file ({ headers, rows, rowNumbers? })
+ * @param {Object} columnMappings - Column mappings
+ * @param {Object} options - { sheetName, sex (sex for every row), firstRows (shared between the sheets
+ *   of one conversion so duplicates across sheets are found) }
+ * @returns {Object} { rows: [{ sheetName, rowNumber, registrationNumber, animalName, skipped, issues }] (rows with issues only),
+ *   summary: { totalRows, convertedRows, skippedRows, errorRows, warningRows, errorCount, warningCount } }
+ */
+function validateExternalData(mappedData, columnMappings, options = {}) {
+  const headers = mappedData.headers || [];
+  const reportRows = [];
+  const firstRows = options.firstRows || new Map(); // Registration number -> { sheetName, rowNumber, mapped }
+  const sheetName = options.sheetName || null;
+  const summary = { totalRows: 0, convertedRows: 0, skippedRows: 0, errorRows: 0, warningRows: 0, errorCount: 0, warningCount: 0 };
+
+  mappedData.rows.forEach((row, index) => {
+    // Completely empty rows (e.g. spreadsheet padding) are ignored
+    if (!row.some(value => String(value || '').trim())) return;
+    summary.totalRows++;
+
+    // Row numbers in the file (CSV and text files: row 1 is the header)
+    const rowNumber = mappedData.rowNumbers ? mappedData.rowNumbers[index] : index + 2;
+    const mapped = readMappedRow(row, columnMappings, headers, options.sex);
+    const issues = mapped.issues;
+    let skipped = false;
+
+    if (!mapped.registrationNumber) {
+      skipped = true;
+      issues.unshift({
+        severity: 'error',
+        field: 'registrationNumber',
+        column: headers[columnMappings.registrationNumber] || '',
+        value: '',
+        message: 'Missing registration number; the row is skipped'
+      });
+    } else if (firstRows.has(mapped.registrationNumber)) {
+      skipped = true;
+      const first = firstRows.get(mapped.registrationNumber);
+      const conflicts = describeConflicts(first.mapped, mapped);
+      const firstRow = first.sheetName !== sheetName ? `row ${first.rowNumber} of sheet "${first.sheetName}"` : `row ${first.rowNumber}`;
+      issues.unshift({
+        severity: conflicts.length > 0 ? 'error' : 'warning',
+        field: 'registrationNumber',
+        column: headers[columnMappings.registrationNumber] || '',
+        value: mapped.registrationNumber,
+        message: conflicts.length > 0
+          ? `Duplicate of ${firstRow} with different values (${conflicts.join('; ')}); this row is skipped`
+          : `Duplicate of ${firstRow}; this row is skipped`
+      });
+    } else {
+      firstRows.set(mapped.registrationNumber, { sheetName, rowNumber, mapped });
+    }
+
+    if (skipped) {
+      summary.skippedRows++;
+    } else {
+      summary.convertedRows++;
+    }
+
+    if (issues.length > 0) {
+      const errorCount = issues.filter(issue => issue.severity === 'error').length;
+      summary.errorCount += errorCount;
+      summary.warningCount += issues.length - errorCount;
+      if (errorCount > 0) {
+        summary.errorRows++;
+      } else {
+        summary.warningRows++;
       }
+      reportRows.push({
+        sheetName,
+        rowNumber,
+        registrationNumber: mapped.registrationNumber,
+        animalName: mapped.animalName,
+        skipped,
+        issues
+      });
     }
-  }
-  
-  return mappings;
+  });
+
+  return { rows: reportRows, summary };
+}
+
+/**
+ * Format a validation report as CSV (one line per issue)
+ * @param {Object} report - validateExternalData() result
+ * @returns {string} CSV text
+ */
+function validationReportToCsv(report) {
+  const csvValue = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [['Sheet', 'Row', 'Registration Number', 'Animal Name', 'Severity', 'Field', 'Column', 'Value', 'Message']];
+  report.rows.forEach(row => {
+    row.issues.forEach(issue => {
+      lines.push([row.sheetName, row.rowNumber, row.registrationNumber, row.animalName, issue.severity, issue.field, issue.column, issue.value, issue.message]);
+    });
+  });
+  return lines.map(line => line.map(csvValue).join(',')).join('\n');
 }
 
 /**
  * Convert mapped data to bulk file format
+ * Rows are read as validateExternalData() checks them: rows without a registration number and
+ * repeated registration numbers are skipped, and unusable values are left out.
  */
 function mapToBulkFileFormat(mappedData, columnMappings, metadata) {
   const animals = [];
@@ -317,12 +975,12 @@ function mapToBulkFileFormat(mappedData, columnMappings, metadata) {
   
   for (const row of mappedData.rows) {
     // Get registration number (required)
-    const regNumIndex = columnMappings.registrationNumber;
-    if (regNumIndex === null || regNumIndex === undefined) {
+    if (!isMapped(columnMappings.registrationNumber)) {
       continue; // Skip rows without registration number
     }
     
-    const registrationNumber = String(row[regNumIndex] || '').trim();
+    const mapped = readMappedRow(row, columnMappings, mappedData.headers, metadata.sex);
+    const registrationNumber = mapped.registrationNumber;
     if (!registrationNumber) {
       continue; // Skip empty registration numbers
     }
@@ -339,63 +997,16 @@ function mapToBulkFileFormat(mappedData, columnMappings, metadata) {
       registrationNumber: registrationNumber
     };
     
-    // Add animal name if mapped
-    if (columnMappings.animalName !== null && columnMappings.animalName !== undefined) {
-      const name = String(row[columnMappings.animalName] || '').trim();
-      if (name) {
-        animalData.animalName = name;
-      }
+    if (mapped.animalName) {
+      animalData.animalName = mapped.animalName;
     }
     
-    // Add sex if mapped
-    if (columnMappings.sex !== null && columnMappings.sex !== undefined) {
-      const sex = String(row[columnMappings.sex] || '').trim();
-      if (sex) {
-        animalData.sex = sex;
-      }
+    if (mapped.sex) {
+      animalData.sex = mapped.sex;
     }
     
-    // Build EPD values
-    const epdValues = {};
-    for (const [trait, colIndex] of Object.entries(columnMappings.epdTraits)) {
-      if (colIndex !== null && colIndex !== undefined) {
-        const epdValue = String(row[colIndex] || '').trim();
-        if (epdValue) {
-          // Handle incomplete EPDs (values starting with "I" or "i")
-          let epd = epdValue;
-          if (!epdValue.startsWith('I') && !epdValue.startsWith('i')) {
-            // Try to parse as number
-            const numValue = parseFloat(epdValue);
-            if (!isNaN(numValue)) {
-              epd = String(numValue);
-            }
-          }
-          
-          epdValues[trait] = { epd };
-          
-          // Add percent rank if mapped
-          if (columnMappings.percentRanks[trait] !== null && 
-              columnMappings.percentRanks[trait] !== undefined) {
-            const prValue = String(row[columnMappings.percentRanks[trait]] || '').trim();
-            if (prValue) {
-              // Try to parse as number (handle both percentage and decimal)
-              let prNum = parseFloat(prValue);
-              if (!isNaN(prNum)) {
-                // If value is > 1, assume it's a percentage (e.g., 75 for 75%)
-                // If value is <= 1, assume it's already a decimal (e.g., 0.75)
-                if (prNum > 1) {
-                  prNum = prNum / 100;
-                }
-                epdValues[trait].percentRank = Math.round(prNum * 100); // Store as integer percentage
-              }
-            }
-          }
-        }
-      }
-    }
-    
-    if (Object.keys(epdValues).length > 0) {
-      animalData.epdValues = epdValues;
+    if (Object.keys(mapped.epdValues).length > 0) {
+      animalData.epdValues = mapped.epdValues;
     }
     
     // Store additional unmapped columns in additionalInfo
@@ -432,8 +1043,17 @@ function mapToBulkFileFormat(mappedData, columnMappings, metadata) {
     animals.push(animal);
   }
   
-  // Create bulk file structure
-  const bulkFile = {
+  return createExternalBulkFile(animals, metadata);
+}
+
+/**
+ * Create the bulk file structure for converted animals
+ * @param {Array} animals - Bulk file animals
+ * @param {Object} metadata - { version, type, description, category }
+ * @returns {Object} Bulk file
+ */
+function createExternalBulkFile(animals, metadata) {
+  return {
     version: metadata.version || '1.0.0',
     lastUpdated: new Date().toISOString(),
     source: 'external',
@@ -445,13 +1065,165 @@ function mapToBulkFileFormat(mappedData, columnMappings, metadata) {
     },
     animals: animals
   };
-  
-  return bulkFile;
+}
+
+/**
+ * Move column mappings made for one header row onto another by column name
+ * Used for the other sheets of a workbook, whose columns may be in a different order or missing.
+ * @param {Object} columnMappings - Column mappings for fromHeaders
+ * @param {Array} fromHeaders - Header row the mappings were made for
+ * @param {Array} toHeaders - Header row to map
+ * @returns {Object} Column mappings for toHeaders (columns it doesn't have are unmapped)
+ */
+function remapColumnMappings(columnMappings, fromHeaders, toHeaders) {
+  const normalize = (header) => String(header || '').toLowerCase().trim().replace(/\s+/g, ' ');
+  const indexByHeader = new Map();
+  toHeaders.forEach((header, index) => {
+    const key = normalize(header);
+    if (key && !indexByHeader.has(key)) {
+      indexByHeader.set(key, index);
+    }
+  });
+
+  const remap = (index) => {
+    if (!isMapped(index)) return null;
+    const key = normalize(fromHeaders[index]);
+    return indexByHeader.has(key) ? indexByHeader.get(key) : null;
+  };
+  const remapTraits = (traitMappings) => {
+    const result = {};
+    Object.entries(traitMappings || {}).forEach(([trait, index]) => {
+      const newIndex = remap(index);
+      if (newIndex !== null) {
+        result[trait] = newIndex;
+      }
+    });
+    return result;
+  };
+
+  return {
+    registrationNumber: remap(columnMappings.registrationNumber),
+    animalName: remap(columnMappings.animalName),
+    sex: remap(columnMappings.sex),
+    epdTraits: remapTraits(columnMappings.epdTraits),
+    percentRanks: remapTraits(columnMappings.percentRanks)
+  };
+}
+
+/**
+ * Load the data to convert from an external data file
+ * @param {string} filePath - File path
+ * @param {Object} columnMappings - Column mappings (for the first sheet)
+ * @param {Array|null} sheets - Excel only: sheets to import, [{ name, headerRow, sex, category }]. The column
+ *   mappings were made for the first sheet and are applied to the others by column name.
+ * @returns {Promise<Array>} [{ sheetName, mappedData, columnMappings, sex, category }]
+ */
+async function loadExternalDataParts(filePath, columnMappings, sheets = null) {
+  if (!sheets || sheets.length === 0) {
+    const mappedData = await parseExternalFile(filePath);
+    return [{ sheetName: mappedData.sheetName || null, mappedData, columnMappings, sex: null, category: null }];
+  }
+
+  const tables = await parseExcelSheets(filePath, sheets.map(sheet => ({ sheet: sheet.name, headerRow: sheet.headerRow })));
+  return tables.map((table, index) => ({
+    sheetName: table.sheetName,
+    mappedData: table,
+    columnMappings: index === 0 ? columnMappings : remapColumnMappings(columnMappings, tables[0].headers, table.headers),
+    sex: sheets[index].sex || null,
+    category: sheets[index].category || null
+  }));
+}
+
+/**
+ * Check the data of several sheets (see validateExternalData)
+ * @param {Array} parts - loadExternalDataParts() result
+ * @returns {Object} Combined report ({ rows, summary })
+ */
+function validateExternalDataParts(parts) {
+  const firstRows = new Map();
+  const report = {
+    rows: [],
+    summary: { totalRows: 0, convertedRows: 0, skippedRows: 0, errorRows: 0, warningRows: 0, errorCount: 0, warningCount: 0 }
+  };
+
+  parts.forEach(part => {
+    // A sheet without the registration number column is skipped as a whole
+    if (!isMapped(part.columnMappings.registrationNumber)) {
+      const rowCount = part.mappedData.rows.length;
+      report.rows.push({
+        sheetName: part.sheetName,
+        rowNumber: part.mappedData.headerRow || 1,
+        registrationNumber: '',
+        animalName: '',
+        skipped: true,
+        issues: [{
+          severity: 'error',
+          field: 'registrationNumber',
+          column: '',
+          value: '',
+          message: `Sheet has no registration number column matching the mapping; its ${rowCount} row(s) are skipped`
+        }]
+      });
+      Object.assign(report.summary, {
+        totalRows: report.summary.totalRows + rowCount,
+        skippedRows: report.summary.skippedRows + rowCount,
+        errorRows: report.summary.errorRows + 1,
+        errorCount: report.summary.errorCount + 1
+      });
+      return;
+    }
+
+    const sheetReport = validateExternalData(part.mappedData, part.columnMappings, { sheetName: part.sheetName, sex: part.sex, firstRows });
+    report.rows.push(...sheetReport.rows);
+    Object.keys(report.summary).forEach(key => {
+      report.summary[key] += sheetReport.summary[key];
+    });
+  });
+
+  return report;
+}
+
+/**
+ * Convert the data of several sheets to one bulk file
+ * Each sheet's animals get the sheet's category and sex (when set); an animal on several sheets is
+ * taken from the first.
+ * @param {Array} parts - loadExternalDataParts() result
+ * @param {Object} metadata - Bulk file metadata ({ version, type, description, category (default) })
+ * @returns {Object} Bulk file
+ */
+function mapPartsToBulkFileFormat(parts, metadata) {
+  const animals = [];
+  const registrationNumbers = new Set();
+
+  parts.forEach(part => {
+    const partFile = mapToBulkFileFormat(part.mappedData, part.columnMappings, {
+      ...metadata,
+      category: part.category || metadata.category,
+      sex: part.sex
+    });
+    partFile.animals.forEach(animal => {
+      if (registrationNumbers.has(animal.registrationNumber)) {
+        console.warn(`[PARSER] Duplicate registration number found on sheet ${part.sheetName}: ${animal.registrationNumber}`);
+        return;
+      }
+      registrationNumbers.add(animal.registrationNumber);
+      animals.push(animal);
+    });
+  });
+
+  return createExternalBulkFile(animals, metadata);
 }
 
 module.exports = {
+  EPD_PLAUSIBLE_RANGES,
   parseExternalFile,
   autoDetectColumnMappings,
-  mapToBulkFileFormat
+  detectColumnMappings,
+  validateExternalData,
+  validationReportToCsv,
+  mapToBulkFileFormat,
+  loadExternalDataParts,
+  validateExternalDataParts,
+  mapPartsToBulkFileFormat
 };
 
@@ -0,0 +1,266 @@
+/**
+ * Genetic condition codes
+ *
+ * Angus animal pages list genetic condition test results as code blocks such as
+ * "[ AMF-CAF-D2F-DDF-M1F-NHF-OHF-OSF ]" under the animal's registration line and
+ * "[RDF]" after ancestors in the pedigree. Each code is a two-character condition
+ * followed by a status suffix.
+ */
+
+// Known condition names (codes not listed are shown by code only)
+const CONDITION_NAMES = {
+  AM: 'Arthrogryposis Multiplex',
+  CA: 'Contractural Arachnodactyly',
+  D2: 'Dwarfism',
+  DD: 'Developmental Duplication',
+  NH: 'Neuropathic Hydrocephalus',
+  OH: 'Oculocutaneous Hypopigmentation',
+  OS: 'Osteopetrosis',
+  RD: 'Red Coat Color'
+};
+
+// Condition types: 'lethal' and 'defect' conditions count toward the mating risk limit;
+// 'trait' conditions (red coat color) only count when the user opts in.
+// Codes not listed are treated as defects.
+const CONDITION_TYPES = {
+  AM: 'lethal',
+  CA: 'defect',
+  D2: 'defect',
+  DD: 'defect',
+  NH: 'lethal',
+  OH: 'defect',
+  OS: 'lethal',
+  RD: 'trait'
+};
+
+// Status suffixes
+const STATUS = {
+  F: 'free', // Tested free
+  FU: 'free', // Free by pedigree (untested)
+  C: 'carrier', // Tested carrier
+  A: 'affected', // Tested affected (homozygous)
+  P: 'potential carrier' // Untested with a carrier in the pedigree
+};
+
+// Probability that a parent with the given status passes the allele to a calf
+// (null = unknown, estimate from pedigree)
+const TRANSMISSION_BY_STATUS = {
+  F: 0,
+  FU: 0,
+  C: 0.5,
+  A: 1,
+  P: null
+};
+
+/**
+ * Get a condition's type
+ * @param {string} condition - Condition code (e.g. "AM")
+ * @returns {string} 'lethal', 'defect' or 'trait'
+ */
+function getConditionType(condition) {
+  return CONDITION_TYPES[condition] || 'defect';
+}
+
+/**
+ * Parse a code block into a condition -> status map
+ * e.g. " AMF-CAF-D2F " -> { AM: 'F', CA: 'F', D2: 'F' }
+ * @param {string} block - Text between the square brackets
+ * @returns {Object|null} Condition map, or null if the block is not a condition code block
+ */
+function parseConditionBlock(block) {
+  if (!block || typeof block !== 'string') return null;
+
+  const codes = block.trim().split(/[-\s]+/).filter(Boolean);
+  if (codes.length === 0) return null;
+
+  const conditions = {};
+  for (const code of codes) {
+    const match = code.toUpperCase().match(/^([A-Z][A-Z0-9])(FU|F|C|A|P)$/);
+    if (!match) return null; // Not a condition block (e.g. other bracketed text)
+    conditions[match[1]] = match[2];
+  }
+  return conditions;
+}
+
+/**
+ * Parse genetic condition codes from page text
+ *
+ * The animal's own block sits between the "Reg:" line and "Birth Date:". Blocks on
+ * pedigree lines ("Name<TAB>AAA #*17262835 [RDF]") belong to that ancestor.
+ *
+ * @param {string} allText - pageStructure.allText
+ * @returns {{ geneticConditions: Object|null, pedigreeGeneticConditions: Object }}
+ *   Own conditions (null if untested) and ancestor conditions keyed by registration number
+ */
+function parseGeneticConditions(allText) {
+  const result = { geneticConditions: null, pedigreeGeneticConditions: {} };
+  if (!allText || typeof allText !== 'string') return result;
+
+  // Animal's own conditions
+  const regIndex = allText.search(/Reg:\s/);
+  if (regIndex >= 0) {
+    const birthIndex = allText.indexOf('Birth Date', regIndex);
+    const header = allText.substring(regIndex, birthIndex > regIndex ? birthIndex : regIndex + 500);
+    const ownMatch = header.match(/\[([^\]]+)\]/);
+    if (ownMatch) {
+      result.geneticConditions = parseConditionBlock(ownMatch[1]);
+    }
+  }
+
+  // Ancestor conditions from pedigree lines
+  const pedigreeLinePattern = /\b[A-Z]{3}\s+[#+*]*(\d{5,})\s*\[([^\]]+)\]/g;
+  let match;
+  while ((match = pedigreeLinePattern.exec(allText)) !== null) {
+    const conditions = parseConditionBlock(match[2]);
+    if (conditions) {
+      result.pedigreeGeneticConditions[match[1]] = conditions;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Get genetic conditions for an animal, parsing page text for animals cached
+ * before conditions were extracted
+ * @param {Object} animalData - Animal data object
+ * @returns {Object|null} Condition map or null if untested/unknown
+ */
+function getGeneticConditions(animalData) {
+  if (!animalData) return null;
+  if (animalData.additionalInfo && animalData.additionalInfo.geneticConditions !== undefined) {
+    return animalData.additionalInfo.geneticConditions;
+  }
+  return parseGeneticConditions(animalData.pageStructure?.allText).geneticConditions;
+}
+
+/**
+ * Get ancestor genetic conditions keyed by registration number
+ * @param {Object} animalData - Animal data object
+ * @returns {Object} Ancestor condition maps
+ */
+function getPedigreeGeneticConditions(animalData) {
+  if (!animalData) return {};
+  if (animalData.additionalInfo && animalData.additionalInfo.pedigreeGeneticConditions) {
+    return animalData.additionalInfo.pedigreeGeneticConditions;
+  }
+  return parseGeneticConditions(animalData.pageStructure?.allText).pedigreeGeneticConditions;
+}
+
+/**
+ * Format a condition map back into its code string
+ * @param {Object|null} conditions - Condition map
+ * @returns {string} e.g. "AMF-CAF-D2F" or "" if none
+ */
+function formatGeneticConditions(conditions) {
+  if (!conditions) return '';
+  return Object.keys(conditions).map(code => `${code}${conditions[code]}`).join('-');
+}
+
+/**
+ * Probability that an animal passes the condition allele to a calf
+ * Uses the animal's own test when available; otherwise estimates from its parents
+ * in the pedigree graph (each parent contributes half of its own transmission risk).
+ * Untested founders are assumed free.
+ * @param {Object} graph - Pedigree graph (nodes carry geneticConditions)
+ * @param {string|null} id - Node ID
+ * @param {string} condition - Condition code (e.g. "AM")
+ * @param {Set} visiting - Node IDs on the current path (cycle guard)
+ * @returns {number} Transmission probability (0..1)
+ */
+function estimateTransmissionProbability(graph, id, condition, visiting = new Set()) {
+  if (!graph || !id || !graph.nodes.has(id) || visiting.has(id)) return 0;
+
+  if (!graph.transmissionCache) graph.transmissionCache = new Map();
+  const cacheKey = `${id}|${condition}`;
+  if (graph.transmissionCache.has(cacheKey)) return graph.transmissionCache.get(cacheKey);
+
+  const node = graph.nodes.get(id);
+  const status = node.geneticConditions ? node.geneticConditions[condition] : undefined;
+  let probability = status !== undefined ? TRANSMISSION_BY_STATUS[status] : null;
+
+  if (probability === null || probability === undefined) {
+    // Untested or potential carrier: carrier probability is half of each parent's transmission
+    visiting.add(id);
+    const fromSire = estimateTransmissionProbability(graph, node.sire, condition, visiting);
+    const fromDam = estimateTransmissionProbability(graph, node.dam, condition, visiting);
+    visiting.delete(id);
+    let carrierProbability = 1 - (1 - fromSire) * (1 - fromDam);
+    // A "potential carrier" code means a carrier is known in the pedigree even if we cannot see it
+    if (status === 'P') {
+      carrierProbability = Math.max(carrierProbability, 0.5);
+    }
+    probability = carrierProbability * 0.5;
+  }
+
+  graph.transmissionCache.set(cacheKey, probability);
+  return probability;
+}
+
+/**
+ * Assess genetic condition risk for a mating
+ * Every condition with risk is listed, but only counted conditions (lethal and defect, plus
+ * trait conditions when includeTraitConditions is set) feed maxRisk and carrierByCarrier.
+ * @param {Object} graph - Pedigree graph
+ * @param {string} sireId - Sire registration number
+ * @param {string} damId - Dam registration number
+ * @param {Object} options - { includeTraitConditions: count trait conditions such as RD (default false) }
+ * @returns {{ conditions: Array, maxRisk: number, carrierByCarrier: boolean }}
+ *   Per-condition risk of an affected calf, highest counted risk, and whether both parents are
+ *   tested carriers of a counted condition
+ */
+function assessMatingRisk(graph, sireId, damId, options = {}) {
+  const { includeTraitConditions = false } = options;
+  const result = { conditions: [], maxRisk: 0, carrierByCarrier: false };
+  if (!graph || !sireId || !damId) return result;
+
+  const sireNode = graph.nodes.get(sireId);
+  const damNode = graph.nodes.get(damId);
+  if (!sireNode || !damNode) return result;
+
+  // Conditions worth checking: anything either parent or any known ancestor carries
+  const conditionCodes = graph.carriedConditions || new Set();
+
+  conditionCodes.forEach(condition => {
+    const sireTransmission = estimateTransmissionProbability(graph, sireId, condition);
+    const damTransmission = estimateTransmissionProbability(graph, damId, condition);
+    const risk = sireTransmission * damTransmission;
+    if (risk <= 0) return;
+
+    const sireStatus = sireNode.geneticConditions?.[condition];
+    const damStatus = damNode.geneticConditions?.[condition];
+    const bothTested = ['C', 'A'].includes(sireStatus) && ['C', 'A'].includes(damStatus);
+    const type = getConditionType(condition);
+    const counted = type !== 'trait' || includeTraitConditions;
+
+    result.conditions.push({
+      condition: condition,
+      name: CONDITION_NAMES[condition] || condition,
+      type: type,
+      counted: counted,
+      sireStatus: sireStatus || 'untested',
+      damStatus: damStatus || 'untested',
+      risk: risk,
+      estimated: !bothTested
+    });
+    if (!counted) return;
+    if (bothTested) result.carrierByCarrier = true;
+    result.maxRisk = Math.max(result.maxRisk, risk);
+  });
+
+  return result;
+}
+
+module.exports = {
+  CONDITION_NAMES,
+  CONDITION_TYPES,
+  STATUS,
+  getConditionType,
+  parseConditionBlock,
+  parseGeneticConditions,
+  getGeneticConditions,
+  getPedigreeGeneticConditions,
+  formatGeneticConditions,
+  estimateTransmissionProbability,
+  assessMatingRisk
+};
@@ -0,0 +1,387 @@
+/**
+ * Minimal HTML document model
+ *
+ * Parses saved HTML into a small DOM that supports what the EPD page parser uses:
+ * document.title, document.body.innerText, querySelectorAll() with tag-name selectors,
+ * element tagName / id / className / textContent / innerHTML, table.rows and row.cells.
+ *
+ * innerText is an approximation of the browser's rendering: block elements start new lines,
+ * table cells are separated by tabs and rows by new lines, whitespace is collapsed, and
+ * content that is hidden by markup (script/style, the hidden attribute, display:none, closed
+ * Bootstrap modals and d-none) is left out.
+ */
+
+// Elements that never have children
+const VOID_ELEMENTS = new Set([
+  'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text (no child tags)
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title']);
+
+// Opening one of these implicitly closes the listed open elements (stopping at the boundary tags)
+const IMPLIED_END_TAGS = {
+  p: { closes: ['p'], boundary: ['div', 'section', 'article', 'td', 'th', 'li', 'body'] },
+  li: { closes: ['li'], boundary: ['ul', 'ol'] },
+  option: { closes: ['option'], boundary: ['select', 'datalist'] },
+  tr: { closes: ['td', 'th', 'tr'], boundary: ['table', 'thead', 'tbody', 'tfoot'] },
+  td: { closes: ['td', 'th'], boundary: ['tr', 'table'] },
+  th: { closes: ['td', 'th'], boundary: ['tr', 'table'] },
+  thead: { closes: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot'], boundary: ['table'] },
+  tbody: { closes: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot'], boundary: ['table'] },
+  tfoot: { closes: ['td', 'th', 'tr', 'thead', 'tbody', 'tfoot'], boundary: ['table'] }
+};
+
+// Elements rendered on their own line(s) by innerText
+const BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'dd', 'details', 'dialog', 'div', 'dl', 'dt',
+  'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li',
+  'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'ul'
+]);
+
+// Elements never rendered by innerText
+const NON_RENDERED_ELEMENTS = new Set(['head', 'script', 'style', 'noscript', 'template', 'title', 'meta', 'link']);
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', copy: '©', reg: '®', trade: '™',
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', hellip: '…', bull: '•',
+  middot: '·', deg: '°', times: '×', frac12: '½', frac14: '¼', frac34: '¾', plusmn: '±'
+};
+
+/**
+ * Decode HTML character references
+ * @param {string} text - Raw text
+ * @returns {string} Decoded text
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x' || entity[1] === 'X' ? parseInt(entity.substring(2), 16) : parseInt(entity.substring(1), 10);
+      return isNaN(codePoint) ? match : String.fromCodePoint(codePoint);
+    }
+    const decoded = NAMED_ENTITIES[entity.toLowerCase()];
+    return decoded !== undefined ? decoded : match;
+  });
+}
+
+/**
+ * Escape text the way browsers serialize it in innerHTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return text.replace(/&/g, '&amp;').replace(/ /g, '&nbsp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Create a text node
+ * @param {string} text - Decoded text
+ * @returns {Object} Text node
+ */
+function createTextNode(text) {
+  return { nodeType: 3, text: text, parent: null };
+}
+
+/**
+ * Element node
+ */
+class HtmlElement {
+  constructor(tagName, attributes = {}) {
+    this.nodeType = 1;
+    this.localName = tagName;
+    this.attributes = attributes;
+    this.children = [];
+    this.parent = null;
+  }
+
+  get tagName() {
+    return this.localName.toUpperCase();
+  }
+
+  get id() {
+    return this.attributes.id || '';
+  }
+
+  get className() {
+    return this.attributes.class || '';
+  }
+
+  get textContent() {
+    return this.children.map(child => (child.nodeType === 3 ? child.text : child.textContent)).join('');
+  }
+
+  get innerHTML() {
+    return this.children.map(child => serializeNode(child)).join('');
+  }
+
+  get innerText() {
+    return renderInnerText(this);
+  }
+
+  get rows() {
+    if (this.localName !== 'table') return undefined;
+    const rows = [];
+    const collect = (element) => {
+      element.children.forEach(child => {
+        if (child.nodeType !== 1 || child.localName === 'table') return;
+        if (child.localName === 'tr') {
+          rows.push(child);
+        } else {
+          collect(child);
+        }
+      });
+    };
+    collect(this);
+    return rows;
+  }
+
+  get cells() {
+    if (this.localName !== 'tr') return undefined;
+    return this.children.filter(child => child.nodeType === 1 && (child.localName === 'td' || child.localName === 'th'));
+  }
+
+  getAttribute(name) {
+    return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+  }
+
+  appendChild(node) {
+    node.parent = this;
+    this.children.push(node);
+    return node;
+  }
+
+  /**
+   * Find descendant elements by tag name selectors ("h1, h2", "table")
+   * @param {string} selector - Comma-separated tag names
+   * @returns {Array} Matching elements in document order
+   */
+  querySelectorAll(selector) {
+    const tags = new Set(selector.split(',').map(s => s.trim().toLowerCase()).filter(s => s.length > 0));
+    const matches = [];
+    const walk = (element) => {
+      element.children.forEach(child => {
+        if (child.nodeType !== 1) return;
+        if (tags.has(child.localName)) matches.push(child);
+        walk(child);
+      });
+    };
+    walk(this);
+    return matches;
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] || null;
+  }
+}
+
+/**
+ * Serialize a node as HTML
+ * @param {Object} node - Text node or element
+ * @returns {string} HTML
+ */
+function serializeNode(node) {
+  if (node.nodeType === 3) {
+    const parentTag = node.parent ? node.parent.localName : '';
+    return RAW_TEXT_ELEMENTS.has(parentTag) && parentTag !== 'textarea' && parentTag !== 'title' ? node.text : escapeText(node.text);
+  }
+  const attributes = Object.keys(node.attributes)
+    .map(name => ` ${name}="${node.attributes[name].replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+    .join('');
+  if (VOID_ELEMENTS.has(node.localName)) {
+    return `<${node.localName}${attributes}>`;
+  }
+  return `<${node.localName}${attributes}>${node.innerHTML}</${node.localName}>`;
+}
+
+/**
+ * Whether an element is hidden by its markup
+ * @param {HtmlElement} element - Element
+ * @returns {boolean} True if hidden
+ */
+function isHidden(element) {
+  if (NON_RENDERED_ELEMENTS.has(element.localName)) return true;
+  if (element.getAttribute('hidden') !== null) return true;
+  if (element.localName === 'input' && (element.getAttribute('type') || '').toLowerCase() === 'hidden') return true;
+
+  const style = (element.getAttribute('style') || '').replace(/\s+/g, '').toLowerCase();
+  if (style.includes('display:none') || style.includes('visibility:hidden')) return true;
+
+  const classes = element.className.split(/\s+/);
+  if (classes.includes('d-none')) return true;
+  // Bootstrap modals are only displayed once opened
+  if (classes.includes('modal') && !classes.includes('show')) return true;
+
+  return false;
+}
+
+/**
+ * Approximate the browser's innerText for an element
+ * @param {HtmlElement} root - Element
+ * @returns {string} Rendered text
+ */
+function renderInnerText(root) {
+  // Text pieces, with numbers standing for required line breaks between blocks
+  const parts = [];
+
+  const walk = (node) => {
+    if (node.nodeType === 3) {
+      parts.push(node.text.replace(/[ \t\r\n\f]+/g, ' '));
+      return;
+    }
+    if (node !== root && isHidden(node)) return;
+
+    const tag = node.localName;
+    if (tag === 'br') {
+      parts.push('\n');
+      return;
+    }
+
+    // Paragraphs are separated by a blank line, other blocks by a line break
+    const lineBreaks = tag === 'p' ? 2 : BLOCK_ELEMENTS.has(tag) ? 1 : 0;
+    if (lineBreaks) parts.push(lineBreaks);
+    node.children.forEach(walk);
+
+    if (tag === 'td' || tag === 'th') {
+      const cells = node.parent && node.parent.localName === 'tr' ? node.parent.cells : [];
+      if (cells.indexOf(node) < cells.length - 1) parts.push('\t');
+    } else if (tag === 'tr') {
+      parts.push(1);
+    } else if (lineBreaks) {
+      parts.push(lineBreaks);
+    }
+  };
+  walk(root);
+
+  // Adjacent line breaks collapse to the largest, and collapsed whitespace next to a break is dropped
+  let text = '';
+  let pendingBreaks = 0;
+  parts.forEach(part => {
+    if (typeof part === 'number') {
+      pendingBreaks = Math.max(pendingBreaks, part);
+      return;
+    }
+    if (part === ' ' && (pendingBreaks > 0 || text.length === 0)) return;
+    if (pendingBreaks > 0 && text.length > 0) text += '\n'.repeat(pendingBreaks);
+    pendingBreaks = 0;
+    text += part;
+  });
+
+  return text
+    .split('\n')
+    .map(line => line.replace(/^ +| +$/g, '').replace(/ *\t */g, '\t'))
+    .join('\n')
+    .replace(/^\n+|\n+$/g, '');
+}
+
+/**
+ * Parse an attribute string
+ * @param {string} source - Text between the tag name and ">"
+ * @returns {Object} Attributes (lowercase names, decoded values)
+ */
+function parseAttributes(source) {
+  const attributes = {};
+  const pattern = /([^\s=\/>"']+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+  while ((match = pattern.exec(source)) !== null) {
+    const name = match[1].toLowerCase();
+    if (Object.prototype.hasOwnProperty.call(attributes, name)) continue;
+    const value = match[2] !== undefined ? match[2] : match[3] !== undefined ? match[3] : match[4] !== undefined ? match[4] : '';
+    attributes[name] = decodeEntities(value);
+  }
+  return attributes;
+}
+
+/**
+ * Parse an HTML string into a document
+ * @param {string} html - HTML source
+ * @returns {Object} Document with title, body, documentElement and querySelectorAll()
+ */
+function parseHtmlDocument(html) {
+  const root = new HtmlElement('#document');
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const closeImplied = (tagName) => {
+    const rule = IMPLIED_END_TAGS[tagName];
+    if (!rule) return;
+    for (let i = stack.length - 1; i > 0; i--) {
+      const openTag = stack[i].localName;
+      if (rule.boundary.includes(openTag)) return;
+      if (rule.closes.includes(openTag)) {
+        stack.length = i;
+        return;
+      }
+    }
+  };
+
+  const source = String(html || '');
+  const tagPattern = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?(?:\]\]>|$)|<![^>]*>|<\?[^>]*>|<\/([a-zA-Z][^\s\/>]*)\s*>|<([a-zA-Z][^\s\/>]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let position = 0;
+  let match;
+
+  const addText = (text) => {
+    if (text.length > 0) current().appendChild(createTextNode(decodeEntities(text)));
+  };
+
+  while ((match = tagPattern.exec(source)) !== null) {
+    addText(source.substring(position, match.index));
+    position = tagPattern.lastIndex;
+
+    if (match[1]) {
+      // End tag: close the nearest open element with the same name (ignore stray end tags)
+      const tagName = match[1].toLowerCase();
+      for (let i = stack.length - 1; i > 0; i--) {
+        if (stack[i].localName === tagName) {
+          stack.length = i;
+          break;
+        }
+      }
+      continue;
+    }
+
+    if (!match[2]) continue; // Comment, doctype, CDATA or processing instruction
+
+    const tagName = match[2].toLowerCase();
+    const attributeSource = match[3] || '';
+    closeImplied(tagName);
+
+    const element = new HtmlElement(tagName, parseAttributes(attributeSource));
+    current().appendChild(element);
+
+    if (VOID_ELEMENTS.has(tagName) || /\/\s*$/.test(attributeSource)) continue;
+
+    if (RAW_TEXT_ELEMENTS.has(tagName)) {
+      const endPattern = new RegExp(`</${tagName}\\s*>`, 'ig');
+      endPattern.lastIndex = position;
+      const endMatch = endPattern.exec(source);
+      const end = endMatch ? endMatch.index : source.length;
+      const rawText = source.substring(position, end);
+      if (rawText.length > 0) {
+        element.appendChild(createTextNode(tagName === 'script' || tagName === 'style' ? rawText : decodeEntities(rawText)));
+      }
+      position = endMatch ? endPattern.lastIndex : source.length;
+      tagPattern.lastIndex = position;
+      continue;
+    }
+
+    stack.push(element);
+  }
+  addText(source.substring(position));
+
+  const documentElement = root.querySelector('html') || root;
+  const body = root.querySelector('body') || documentElement;
+  const titleElement = root.querySelector('title');
+
+  return {
+    documentElement: documentElement,
+    body: body,
+    title: titleElement ? titleElement.textContent.replace(/\s+/g, ' ').trim() : '',
+    querySelectorAll: (selector) => root.querySelectorAll(selector),
+    querySelector: (selector) => root.querySelector(selector)
+  };
+}
+
+module.exports = {
+  parseHtmlDocument,
+  decodeEntities
+};
@@ -0,0 +1,172 @@
+/**
+ * Saved HTML page import
+ *
+ * Imports EPD detail pages saved from the browser ("Save Page As" on an EpdPedDtl page)
+ * into the cache without going online. Pages are parsed with the same code the live
+ * scraper uses. Missing percentile ranks are estimated from the selected percentile
+ * snapshot, the cached percentile breakdowns or the newest snapshot; percentile data is
+ * never fetched during an offline import.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const cacheUtil = require('./cache-util');
+const percentileLookup = require('./percentile-lookup');
+const percentileSnapshots = require('./percentile-snapshots');
+const epdPageParser = require('./epd-page-parser');
+
+const HTML_EXTENSIONS = ['.html', '.htm'];
+
+/**
+ * List the saved HTML pages in a folder
+ * @param {string} folderPath - Folder path
+ * @returns {Array} Full paths of .html/.htm files, sorted by name
+ */
+function listHtmlFiles(folderPath) {
+  return fs.readdirSync(folderPath)
+    .filter(name => HTML_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+    .sort((a, b) => a.localeCompare(b))
+    .map(name => path.join(folderPath, name))
+    .filter(filePath => fs.statSync(filePath).isFile());
+}
+
+/**
+ * Fill missing percentile ranks from cached percentile data
+ * @param {Object} data - Parsed animal data
+ * @param {Object|null} bullPercentiles - Cached bull percentile breakdowns
+ * @param {Object|null} cowPercentiles - Cached cow percentile breakdowns
+ * @returns {number} Number of ranks filled
+ */
+function fillMissingPercentileRanks(data, bullPercentiles, cowPercentiles) {
+  const sex = (data.sex || '').toUpperCase();
+  const isCow = sex === 'COW' || sex === 'FEMALE' || sex === 'HEIFER' || sex.includes('COW') || sex.includes('FEMALE');
+  const percentileData = isCow ? cowPercentiles : bullPercentiles;
+  if (!percentileData) return 0;
+
+  let filled = 0;
+  Object.keys(data.epdValues || {}).forEach(trait => {
+    const traitData = data.epdValues[trait];
+    if (!traitData.epd || (traitData.percentRank && traitData.percentRank !== 'N/A')) return;
+
+    const epdValue = parseFloat(String(traitData.epd).replace(/^I\s*/i, '').trim());
+    const normalizedTrait = trait.toUpperCase();
+    if (isNaN(epdValue) || !percentileData[normalizedTrait]) return;
+
+    const estimatedRank = percentileLookup.estimatePercentileRank(normalizedTrait, epdValue, percentileData);
+    if (estimatedRank !== null) {
+      traitData.percentRank = estimatedRank;
+      filled++;
+    }
+  });
+  return filled;
+}
+
+/**
+ * Load percentile data without going online
+ * @param {string} type - 'bull' or 'cow'
+ * @param {string} cacheKey - Cache key of the percentile data
+ * @returns {Object|null} Percentile data
+ */
+function loadOfflinePercentiles(type, cacheKey) {
+  const pinned = percentileSnapshots.getSelectedSnapshot(type);
+  if (pinned) return pinned.data;
+  const cached = cacheUtil.loadCache(cacheKey, true);
+  if (cached) return cached.data;
+  const latest = percentileSnapshots.getLatestSnapshot(type);
+  return latest ? latest.data : null;
+}
+
+/**
+ * Guess a registration number from a saved page's file name (e.g. "20492951.html")
+ * @param {string} filePath - File path
+ * @returns {string|null} Registration number or null
+ */
+function getRegistrationNumberFromFileName(filePath) {
+  const match = path.basename(filePath).match(/(\d{5,})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Import a folder of saved EPD detail pages into the cache
+ * @param {string} folderPath - Folder containing .html/.htm files
+ * @param {string} category - Category for imported animals (default: 'My Herd'; added to the categories of animals already cached)
+ * @param {Function} progressCallback - Called with { current, total, file, registrationNumber, status }
+ * @returns {Object} { success, importedCount, totalFiles, imported: [{ file, registrationNumber, animalName }], failed: [{ file, error }], error }
+ */
+function importSavedHtmlPages(folderPath, category = 'My Herd', progressCallback = null) {
+  console.log('[HTML-IMPORT] Importing saved pages from:', folderPath);
+
+  let files;
+  try {
+    files = listHtmlFiles(folderPath);
+  } catch (error) {
+    console.error('[HTML-IMPORT] Error reading folder:', error.message);
+    return { success: false, error: `Could not read folder: ${error.message}` };
+  }
+
+  if (files.length === 0) {
+    return { success: false, error: 'No .html or .htm files found in the selected folder' };
+  }
+
+  const bullPercentiles = loadOfflinePercentiles('bull', 'percentile-breakdowns');
+  const cowPercentiles = loadOfflinePercentiles('cow', 'percentile-breakdowns-cows') || bullPercentiles;
+
+  const imported = [];
+  const failed = [];
+
+  files.forEach((filePath, index) => {
+    const file = path.basename(filePath);
+    try {
+      const html = fs.readFileSync(filePath, 'utf8');
+      let data;
+      try {
+        data = epdPageParser.parseEpdHtml(html, { url: filePath });
+      } catch (error) {
+        // Fall back to a registration number in the file name
+        const registrationNumber = getRegistrationNumberFromFileName(filePath);
+        if (!registrationNumber) throw error;
+        data = epdPageParser.parseEpdHtml(html, { registrationNumber: registrationNumber, url: filePath });
+      }
+
+      if (!data.epdValues || Object.keys(data.epdValues).length === 0) {
+        throw new Error('No EPD values found (is this an EPD detail page?)');
+      }
+
+      fillMissingPercentileRanks(data, bullPercentiles, cowPercentiles);
+      // An animal that is already cached keeps its categories and gains the import category
+      const cacheKey = `epd_${data.registrationNumber}`;
+      const existing = cacheUtil.loadCache(cacheKey, true);
+      const categories = existing
+        ? [...new Set([...cacheUtil.getCategoriesFromCached(existing), ...cacheUtil.normalizeCategories(category)])]
+        : category;
+      cacheUtil.saveCache(cacheKey, data, categories);
+
+      imported.push({ file: file, registrationNumber: data.registrationNumber, animalName: data.animalName });
+      if (progressCallback) {
+        progressCallback({ current: index + 1, total: files.length, file: file, registrationNumber: data.registrationNumber, status: 'imported' });
+      }
+    } catch (error) {
+      console.error(`[HTML-IMPORT] Failed to import ${file}:`, error.message);
+      failed.push({ file: file, error: error.message });
+      if (progressCallback) {
+        progressCallback({ current: index + 1, total: files.length, file: file, registrationNumber: null, status: 'failed' });
+      }
+    }
+  });
+
+  console.log(`[HTML-IMPORT] Imported ${imported.length} of ${files.length} page(s)`);
+
+  return {
+    success: imported.length > 0,
+    importedCount: imported.length,
+    totalFiles: files.length,
+    imported: imported,
+    failed: failed,
+    error: imported.length === 0 ? 'No pages could be imported' : undefined
+  };
+}
+
+module.exports = {
+  importSavedHtmlPages,
+  listHtmlFiles
+};
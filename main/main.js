@@ -6,14 +6,26 @@ const ExcelJS = require('exceljs');
 const scraper = require('./scraper-puppeteer');
 const testScraper = require('./test-scraper');
 const percentileLookup = require('./percentile-lookup');
+const percentileSnapshots = require('./percentile-snapshots');
 const cacheUtil = require('./cache-util');
 const cacheCleanup = require('./cache-cleanup');
 const licenseManager = require('./license-manager');
 const updateManager = require('./update-manager');
 const matingRanker = require('./mating-ranker');
+const scoringProfiles = require('./scoring-profiles');
+const pedigree = require('./pedigree');
+const sireInventory = require('./sire-inventory');
+const matingOptimizer = require('./mating-optimizer');
+const matingReport = require('./mating-report');
+const epdHistory = require('./epd-history');
 const bulkFileManager = require('./bulk-file-manager');
 const bulkFileProcessor = require('./bulk-file-processor');
+const bulkImportJournal = require('./bulk-import-journal');
+const bulkFileCompression = require('./bulk-file-compression');
 const externalDataParser = require('./external-data-parser');
+const columnMappingTemplates = require('./column-mapping-templates');
+const htmlImport = require('./html-import');
+const scrapeQueue = require('./scrape-queue');
 
 let mainWindow;
 let scrapingQueue = [];
@@ -278,6 +290,24 @@ app.whenReady().then(async () => {
   // Initialize update manager after window is created
   updateManager.initialize(mainWindow);
 
+  // Forward scrape queue changes to the renderer (throttled - jobs change often during a batch)
+  let scrapeQueueUpdateTimer = null;
+  scrapeQueue.events.on('change', () => {
+    if (scrapeQueueUpdateTimer) return;
+    scrapeQueueUpdateTimer = setTimeout(() => {
+      scrapeQueueUpdateTimer = null;
+      if (mainWindow && !mainWindow.isDestroyed()) {
+        mainWindow.webContents.send('scrape-queue-updated', scrapeQueue.getStatus());
+      }
+    }, 250);
+  });
+
+  // Resume a batch that was interrupted by closing the app
+  if (scrapeQueue.hasPendingJobs()) {
+    console.log('[MAIN] Resuming interrupted scrape queue...');
+    scrapeQueue.start();
+  }
+
   // Check for bulk file updates on startup (after a short delay to let UI load)
   setTimeout(async () => {
     try {
@@ -327,6 +357,11 @@ app.whenReady().then(async () => {
   }, 24 * 60 * 60 * 1000); // Check every 24 hours
 });
 
+// Close the scrape queue's browser on quit (running jobs are re-queued on the next start)
+app.on('before-quit', () => {
+  scrapeQueue.shutdown();
+});
+
 app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') {
     app.quit();
@@ -361,6 +396,56 @@ ipcMain.handle('update-animal-categories', async (event, registrationNumber, cat
   return cacheUtil.updateAnimalCategories(registrationNumber, categories, mode);
 });
 
+// Get the dated EPD history for an animal
+ipcMain.handle('get-epd-history', async (event, registrationNumber, traits = null) => {
+  try {
+    const history = cacheUtil.getEpdHistory(registrationNumber);
+    return { success: true, history: history, trend: epdHistory.getTrend(history, traits) };
+  } catch (error) {
+    console.error('[MAIN] Error getting EPD history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// EPD movers report: animals whose key traits changed most since their previous evaluation
+ipcMain.handle('get-epd-movers', async (event, options = {}) => {
+  try {
+    console.log('[MAIN] get-epd-movers called with options:', options);
+    const { category = null, traits = epdHistory.DEFAULT_MOVER_TRAITS, limit = 50 } = options;
+
+    let animals = cacheUtil.getCachedAnimalHistories();
+    if (category) {
+      animals = animals.filter(animal => animal.categories.includes(category));
+    }
+
+    // Without both breakdowns, rank everyone by raw EPD change so bulls and cows stay comparable
+    let bullPercentileData = null;
+    let cowPercentileData = null;
+    try {
+      bullPercentileData = await percentileLookup.fetchPercentileBreakdowns();
+      cowPercentileData = await percentileLookup.fetchCowPercentileBreakdowns();
+    } catch (error) {
+      console.error('[MAIN] Error fetching percentile data, ranking EPD movers by raw EPD change:', error.message);
+    }
+    const standardized = Boolean(bullPercentileData && cowPercentileData);
+
+    const movers = epdHistory.findEpdMovers(animals, {
+      traits: traits,
+      limit: limit,
+      getPercentileData: standardized ? (animal) => {
+        const sex = (animal.sex || '').toUpperCase();
+        const isCow = sex === 'COW' || sex === 'FEMALE' || sex === 'HEIFER' || sex.includes('COW') || sex.includes('FEMALE');
+        return isCow ? cowPercentileData : bullPercentileData;
+      } : null
+    });
+
+    return { success: true, movers: movers, traits: traits, standardized: standardized };
+  } catch (error) {
+    console.error('[MAIN] Error building EPD movers report:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Check for bulk file updates
 ipcMain.handle('check-bulk-file-updates', async (event) => {
   console.log('[MAIN] check-bulk-file-updates called');
@@ -397,6 +482,44 @@ ipcMain.handle('import-bulk-file', async (event, bulkFileId, url, options) => {
   return await bulkFileManager.importBulkFile(bulkFileId, url, options || {}, emitProgress);
 });
 
+// Preview a bulk file import (dry run, nothing is written)
+ipcMain.handle('preview-bulk-file-import', async (event, bulkFileId, url, options) => {
+  console.log('[MAIN] preview-bulk-file-import called for:', bulkFileId);
+  
+  // Check license before allowing operation
+  const licenseStatus = await licenseManager.validateLicense();
+  if (!licenseStatus.valid) {
+    return { success: false, error: 'License invalid. Please activate the application.' };
+  }
+  
+  // No progress events: the bulk file status list listens for those during an import
+  return await bulkFileManager.importBulkFile(bulkFileId, url, { ...(options || {}), dryRun: true });
+});
+
+// Get bulk file import history (imports that can be reverted)
+ipcMain.handle('get-bulk-import-history', async () => {
+  console.log('[MAIN] get-bulk-import-history called');
+  try {
+    return { success: true, imports: bulkImportJournal.listImports() };
+  } catch (error) {
+    console.error('[MAIN] Error loading bulk import history:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Revert a bulk file import
+ipcMain.handle('revert-bulk-import', async (event, importId) => {
+  console.log('[MAIN] revert-bulk-import called for:', importId);
+  
+  // Check license before allowing operation
+  const licenseStatus = await licenseManager.validateLicense();
+  if (!licenseStatus.valid) {
+    return { success: false, error: 'License invalid. Please activate the application.' };
+  }
+  
+  return bulkFileProcessor.revertBulkImport(importId);
+});
+
 // Process local bulk file
 ipcMain.handle('process-bulk-file', async (event, filePath, options) => {
   console.log('[MAIN] process-bulk-file called for:', filePath);
@@ -407,13 +530,46 @@ ipcMain.handle('process-bulk-file', async (event, filePath, options) => {
     return { success: false, error: 'License invalid. Please activate the application.' };
   }
   
-  // Emit progress updates
-  const emitProgress = (processed, total, current) => {
-    const progress = Math.floor((processed / total) * 100);
-    event.sender.send('bulk-file-progress', { progress, total, message: `Processing animal ${processed} of ${total}...` });
+  // Emit progress updates (by bytes read; the file is streamed)
+  const emitProgress = (bytesRead, totalBytes, processed, total) => {
+    const progress = Math.floor((bytesRead / totalBytes) * 100);
+    event.sender.send('bulk-file-progress', { progress, total: 100, message: `Processing animal ${processed} of ${total}...` });
   };
   
-  return bulkFileProcessor.processBulkFile(filePath, options || {}, emitProgress);
+  return await bulkFileProcessor.processBulkFile(filePath, options || {}, emitProgress);
+});
+
+// Import a folder of saved EPD detail pages (offline, no scraping)
+ipcMain.handle('import-saved-html-pages', async (event, category) => {
+  console.log('[MAIN] import-saved-html-pages called, category:', category);
+  
+  // Check license before allowing operation
+  const licenseStatus = await licenseManager.validateLicense();
+  if (!licenseStatus.valid) {
+    return { success: false, error: 'License invalid. Please activate the application.' };
+  }
+  
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Select Folder of Saved EPD Pages',
+      properties: ['openDirectory']
+    });
+    
+    if (canceled || !filePaths || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+    
+    // Emit progress updates
+    const emitProgress = ({ current, total, file }) => {
+      const progress = Math.floor((current / total) * 100);
+      event.sender.send('bulk-file-progress', { progress, total, message: `Importing page ${current} of ${total} (${file})...` });
+    };
+    
+    return htmlImport.importSavedHtmlPages(filePaths[0], category || 'My Herd', emitProgress);
+  } catch (error) {
+    console.error('[MAIN] Error importing saved HTML pages:', error);
+    return { success: false, error: error.message };
+  }
 });
 
 // Ignore bulk file update
@@ -470,12 +626,15 @@ ipcMain.handle('export-animals-to-bulk-file', async (event, animals, options) =>
     // Create bulk file structure
     const bulkFile = bulkFileProcessor.createBulkFileFromAnimals(animalsWithData, options);
 
-    // Show save dialog
+    // Show save dialog (the file is compressed when saved as .json.gz or .json.br)
+    const defaultPath = options.filename || `bulk-file-${Date.now()}.json`;
+    const jsonFilter = { name: 'JSON Files', extensions: ['json'] };
+    const compressedFilter = { name: 'Compressed Bulk Files', extensions: ['gz', 'br'] };
     const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
       title: 'Save Bulk File',
-      defaultPath: options.filename || `bulk-file-${Date.now()}.json`,
+      defaultPath,
       filters: [
-        { name: 'JSON Files', extensions: ['json'] },
+        ...(bulkFileCompression.getCompression(defaultPath) ? [compressedFilter, jsonFilter] : [jsonFilter, compressedFilter]),
         { name: 'All Files', extensions: ['*'] }
       ]
     });
@@ -485,10 +644,10 @@ ipcMain.handle('export-animals-to-bulk-file', async (event, animals, options) =>
     }
 
     // Write bulk file
-    fs.writeFileSync(filePath, JSON.stringify(bulkFile, null, 2), 'utf8');
+    const written = await bulkFileCompression.writeBulkFile(filePath, bulkFile);
 
-    console.log(`[MAIN] Exported ${animalsWithData.length} animals to bulk file: ${filePath}`);
-    return { success: true, path: filePath, animalCount: animalsWithData.length };
+    console.log(`[MAIN] Exported ${animalsWithData.length} animals to bulk file: ${filePath} (${written.size} bytes${written.compression ? `, ${written.uncompressedSize} uncompressed` : ''})`);
+    return { success: true, path: filePath, animalCount: animalsWithData.length, size: written.size, uncompressedSize: written.uncompressedSize };
   } catch (error) {
     console.error('[MAIN] Error exporting animals to bulk file:', error);
     return { success: false, error: error.message };
@@ -502,8 +661,9 @@ ipcMain.handle('delete-animals-by-category', async (event, category) => {
 });
 
 // Parse external file (Excel, CSV, text)
-ipcMain.handle('parse-external-file', async (event, filePath) => {
-  console.log('[MAIN] parse-external-file called for:', filePath);
+// options (Excel only): { sheet, headerRow } - defaults to the first sheet and the detected header row
+ipcMain.handle('parse-external-file', async (event, filePath, options) => {
+  console.log('[MAIN] parse-external-file called for:', filePath, options?.sheet || '');
   
   // Check license before allowing operation
   const licenseStatus = await licenseManager.validateLicense();
@@ -512,7 +672,7 @@ ipcMain.handle('parse-external-file', async (event, filePath) => {
   }
   
   try {
-    const result = await externalDataParser.parseExternalFile(filePath);
+    const result = await externalDataParser.parseExternalFile(filePath, options || {});
     
     // Return headers and sample rows (first 10 rows for preview)
     const sampleRows = result.rows.slice(0, 10);
@@ -521,7 +681,11 @@ ipcMain.handle('parse-external-file', async (event, filePath) => {
       success: true,
       headers: result.headers,
       sampleRows: sampleRows,
-      totalRows: result.rows.length
+      totalRows: result.rows.length,
+      // Excel workbooks: the sheet read, its header row and all sheets (name, detected header row, headers, rowCount)
+      sheetName: result.sheetName || null,
+      headerRow: result.headerRow || 1,
+      sheets: result.sheets || null
     };
   } catch (error) {
     console.error('[MAIN] Error parsing external file:', error);
@@ -540,14 +704,91 @@ ipcMain.handle('detect-column-mappings', async (event, headers, sampleRows) => {
   }
   
   try {
-    const mappings = externalDataParser.autoDetectColumnMappings(headers, sampleRows);
-    return { success: true, mappings };
+    const { mappings, confidence } = externalDataParser.detectColumnMappings(headers, sampleRows);
+    return { success: true, mappings, confidence };
   } catch (error) {
     console.error('[MAIN] Error detecting column mappings:', error);
     return { success: false, error: error.message };
   }
 });
 
+// Get saved column-mapping templates
+ipcMain.handle('get-column-mapping-templates', async (event) => {
+  console.log('[MAIN] get-column-mapping-templates called');
+  return { success: true, templates: columnMappingTemplates.loadMappingTemplates() };
+});
+
+// Find the saved column-mapping template for a header row
+ipcMain.handle('find-column-mapping-template', async (event, headers) => {
+  console.log('[MAIN] find-column-mapping-template called');
+  try {
+    return { success: true, template: columnMappingTemplates.findMappingTemplate(headers) };
+  } catch (error) {
+    console.error('[MAIN] Error finding column-mapping template:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Save a column-mapping template
+ipcMain.handle('save-column-mapping-template', async (event, template) => {
+  console.log('[MAIN] save-column-mapping-template called for:', template?.name);
+  return columnMappingTemplates.saveMappingTemplate(template);
+});
+
+// Delete a column-mapping template
+ipcMain.handle('delete-column-mapping-template', async (event, templateId) => {
+  console.log('[MAIN] delete-column-mapping-template called for:', templateId);
+  return columnMappingTemplates.deleteMappingTemplate(templateId);
+});
+
+// Export column-mapping templates to a file (to copy them to another machine)
+ipcMain.handle('export-column-mapping-templates', async (event) => {
+  console.log('[MAIN] export-column-mapping-templates called');
+  try {
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Export Column-Mapping Templates',
+      defaultPath: 'column-mapping-templates.json',
+      filters: [
+        { name: 'JSON Files', extensions: ['json'] }
+      ]
+    });
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    const result = columnMappingTemplates.exportMappingTemplates(filePath);
+    return result.success ? { ...result, path: filePath } : result;
+  } catch (error) {
+    console.error('[MAIN] Error exporting column-mapping templates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Import column-mapping templates exported on another machine
+ipcMain.handle('import-column-mapping-templates', async (event) => {
+  console.log('[MAIN] import-column-mapping-templates called');
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Import Column-Mapping Templates',
+      filters: [
+        { name: 'JSON Files', extensions: ['json'] },
+        { name: 'All Files', extensions: ['*'] }
+      ],
+      properties: ['openFile']
+    });
+
+    if (canceled || !filePaths || filePaths.length === 0) {
+      return { success: false, canceled: true };
+    }
+
+    return columnMappingTemplates.importMappingTemplates(filePaths[0]);
+  } catch (error) {
+    console.error('[MAIN] Error importing column-mapping templates:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Show file picker for external data import
 ipcMain.handle('show-external-file-picker', async (event) => {
   console.log('[MAIN] show-external-file-picker called');
@@ -562,10 +803,11 @@ ipcMain.handle('show-external-file-picker', async (event) => {
     const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
       title: 'Select External Data File',
       filters: [
-        { name: 'All Supported', extensions: ['xlsx', 'xls', 'csv', 'txt', 'tsv'] },
+        { name: 'All Supported', extensions: ['xlsx', 'xls', 'csv', 'txt', 'tsv', 'pdf'] },
         { name: 'Excel Files', extensions: ['xlsx', 'xls'] },
         { name: 'CSV Files', extensions: ['csv'] },
         { name: 'Text Files', extensions: ['txt', 'tsv'] },
+        { name: 'PDF Sale Catalogs', extensions: ['pdf'] },
         { name: 'All Files', extensions: ['*'] }
       ],
       properties: ['openFile']
@@ -582,8 +824,66 @@ ipcMain.handle('show-external-file-picker', async (event) => {
   }
 });
 
+// Check every row of an external data file against the column mappings
+// sheets (Excel only): [{ name, headerRow, sex, category }] to import several sheets
+ipcMain.handle('validate-external-data', async (event, filePath, columnMappings, sheets) => {
+  console.log('[MAIN] validate-external-data called for:', filePath);
+  
+  // Check license before allowing operation
+  const licenseStatus = await licenseManager.validateLicense();
+  if (!licenseStatus.valid) {
+    return { success: false, error: 'License invalid. Please activate the application.' };
+  }
+  
+  try {
+    const parts = await externalDataParser.loadExternalDataParts(filePath, columnMappings, sheets);
+    const report = externalDataParser.validateExternalDataParts(parts);
+    console.log(`[MAIN] Validated ${report.summary.totalRows} rows: ${report.summary.errorCount} errors, ${report.summary.warningCount} warnings`);
+    return { success: true, report };
+  } catch (error) {
+    console.error('[MAIN] Error validating external data:', error);
+    return { success: false, error: error.message };
+  }
+});
+
+// Save the validation report for an external data file as CSV
+ipcMain.handle('export-external-data-validation-report', async (event, filePath, columnMappings, sheets) => {
+  console.log('[MAIN] export-external-data-validation-report called for:', filePath);
+  
+  // Check license before allowing operation
+  const licenseStatus = await licenseManager.validateLicense();
+  if (!licenseStatus.valid) {
+    return { success: false, error: 'License invalid. Please activate the application.' };
+  }
+  
+  try {
+    const parts = await externalDataParser.loadExternalDataParts(filePath, columnMappings, sheets);
+    const report = externalDataParser.validateExternalDataParts(parts);
+    
+    const { canceled, filePath: savePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Validation Report',
+      defaultPath: `${path.basename(filePath, path.extname(filePath))}-validation.csv`,
+      filters: [
+        { name: 'CSV Files', extensions: ['csv'] }
+      ]
+    });
+    
+    if (canceled || !savePath) {
+      return { success: false, canceled: true };
+    }
+    
+    fs.writeFileSync(savePath, externalDataParser.validationReportToCsv(report), 'utf8');
+    console.log(`[MAIN] Saved validation report: ${savePath}`);
+    return { success: true, path: savePath, issueCount: report.summary.errorCount + report.summary.warningCount };
+  } catch (error) {
+    console.error('[MAIN] Error exporting validation report:', error);
+    return { success: false, error: error.message };
+  }
+});
+
 // Convert external data to bulk file format and save
-ipcMain.handle('convert-external-data-to-bulk-file', async (event, filePath, columnMappings, metadata) => {
+// sheets (Excel only): [{ name, headerRow, sex, category }] to convert several sheets into one bulk file
+ipcMain.handle('convert-external-data-to-bulk-file', async (event, filePath, columnMappings, metadata, sheets) => {
   console.log('[MAIN] convert-external-data-to-bulk-file called');
   
   // Check license before allowing operation
@@ -594,10 +894,10 @@ ipcMain.handle('convert-external-data-to-bulk-file', async (event, filePath, col
   
   try {
     // Parse the file again to get all rows
-    const parsedData = await externalDataParser.parseExternalFile(filePath);
+    const parts = await externalDataParser.loadExternalDataParts(filePath, columnMappings, sheets);
     
     // Convert to bulk file format
-    const bulkFile = externalDataParser.mapToBulkFileFormat(parsedData, columnMappings, metadata);
+    const bulkFile = externalDataParser.mapPartsToBulkFileFormat(parts, metadata);
     
     // Validate registration numbers are present
     if (bulkFile.animals.length === 0) {
@@ -611,6 +911,7 @@ ipcMain.handle('convert-external-data-to-bulk-file', async (event, filePath, col
       defaultPath: defaultFilename,
       filters: [
         { name: 'JSON Files', extensions: ['json'] },
+        { name: 'Compressed Bulk Files', extensions: ['gz', 'br'] },
         { name: 'All Files', extensions: ['*'] }
       ]
     });
@@ -619,8 +920,8 @@ ipcMain.handle('convert-external-data-to-bulk-file', async (event, filePath, col
       return { success: false, error: 'Save cancelled' };
     }
     
-    // Write bulk file
-    fs.writeFileSync(savePath, JSON.stringify(bulkFile, null, 2), 'utf8');
+    // Write bulk file (compressed when saved as .json.gz or .json.br)
+    await bulkFileCompression.writeBulkFile(savePath, bulkFile);
     
     console.log(`[MAIN] Converted and saved bulk file: ${savePath} with ${bulkFile.animals.length} animals`);
     return { 
@@ -665,6 +966,51 @@ ipcMain.handle('delete-category', async (event, categoryName) => {
   return cacheUtil.deleteCategory(categoryName);
 });
 
+// Load scoring profiles
+ipcMain.handle('get-scoring-profiles', async (event) => {
+  console.log('[MAIN] get-scoring-profiles called');
+  return scoringProfiles.loadScoringProfiles();
+});
+
+// Create or update a scoring profile
+ipcMain.handle('save-scoring-profile', async (event, profile) => {
+  console.log('[MAIN] save-scoring-profile called for:', profile?.name);
+  return scoringProfiles.saveScoringProfile(profile);
+});
+
+// Delete a scoring profile
+ipcMain.handle('delete-scoring-profile', async (event, profileId) => {
+  console.log('[MAIN] delete-scoring-profile called for:', profileId);
+  return scoringProfiles.deleteScoringProfile(profileId);
+});
+
+// List dated percentile breakdown snapshots and the selected evaluation
+ipcMain.handle('get-percentile-snapshots', async (event) => {
+  console.log('[MAIN] get-percentile-snapshots called');
+  return {
+    selection: percentileSnapshots.getSelection(),
+    evaluations: percentileSnapshots.listEvaluations()
+  };
+});
+
+// Select the evaluation used for scoring ('latest' or YYYY-MM-DD)
+ipcMain.handle('set-percentile-snapshot', async (event, asOf) => {
+  console.log('[MAIN] set-percentile-snapshot called for:', asOf);
+  return percentileSnapshots.setSelection(asOf);
+});
+
+// Load sire inventory (straws / natural-service capacity)
+ipcMain.handle('get-sire-inventory', async (event) => {
+  console.log('[MAIN] get-sire-inventory called');
+  return sireInventory.loadSireInventory();
+});
+
+// Save sire inventory
+ipcMain.handle('save-sire-inventory', async (event, inventory) => {
+  console.log('[MAIN] save-sire-inventory called for', Object.keys(inventory || {}).length, 'sires');
+  return sireInventory.saveSireInventory(inventory);
+});
+
 ipcMain.handle('validate-license', async (event) => {
   return await licenseManager.validateLicense(true);
 });
@@ -734,8 +1080,6 @@ ipcMain.handle('scrape-batch', async (event, registrationNumbers, category) => {
   }
 
   const results = [];
-  const puppeteer = require('puppeteer');
-  const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
   const cacheUtil = require('./cache-util');
   
   // Use selected category or default to 'My Herd'
@@ -769,46 +1113,34 @@ ipcMain.handle('scrape-batch', async (event, registrationNumbers, category) => {
     });
   }
   
-  // Process items that need scraping (only launch browser if needed)
-  let browser = null;
-  const scraper = require('./scraper-puppeteer');
-  
-  try {
-    if (needsScraping.length > 0) {
-      // Launch browser only if we have items to scrape
-      console.log('[MAIN] Launching browser for batch processing...');
-      const launchOptions = scraper.getPuppeteerLaunchOptions();
-      browser = await puppeteer.launch(launchOptions);
-      
-      for (let i = 0; i < needsScraping.length; i++) {
-        const regNum = needsScraping[i];
-        try {
-          const result = await scraper.scrapeEPD(regNum, browser, false, selectedCategory);
-          results.push({ registrationNumber: regNum, success: true, data: result });
-          
-          // Add delay between scraping requests (not for cached items)
-          if (i < needsScraping.length - 1) {
-            const waitTime = 500 + Math.random() * 500; // 0.5-1 seconds
-            await delay(waitTime);
-          }
-        } catch (error) {
-          results.push({ registrationNumber: regNum, success: false, error: error.message });
+  // Items that need scraping go through the persistent scrape queue (concurrency, retries, resume)
+  if (needsScraping.length > 0) {
+    const jobIds = scrapeQueue.enqueue(needsScraping, selectedCategory);
+    scrapeQueue.start();
+    
+    let completed = results.length;
+    const jobs = await scrapeQueue.waitForJobs(jobIds, (job) => {
+      completed++;
+      event.sender.send('scrape-progress', {
+        completed: completed,
+        total: registrationNumbers.length,
+        current: job.registrationNumber
+      });
+    });
+    
+    jobs.forEach(job => {
+      if (job.status === scrapeQueue.JOB_STATUS.DONE) {
+        const cached = cacheUtil.loadCache(`epd_${job.registrationNumber}`, true);
+        if (cached && cached.data) {
+          results.push({ registrationNumber: job.registrationNumber, success: true, data: { ...cached.data, _fromCache: false } });
+          return;
         }
-        
-        // Send progress update
-        event.sender.send('scrape-progress', {
-          completed: results.length,
-          total: registrationNumbers.length,
-          current: regNum
-        });
       }
-    }
-  } finally {
-    // Close browser after all scrapes are done (if we launched it)
-    if (browser) {
-      console.log('[MAIN] Closing browser after batch processing...');
-      await browser.close();
-    }
+      const error = job.status === scrapeQueue.JOB_STATUS.FAILED
+        ? job.error
+        : 'Still in the scrape queue (queue paused) - see Scrape Queue for progress';
+      results.push({ registrationNumber: job.registrationNumber, success: false, error: error || 'Scrape failed' });
+    });
   }
   
   // Sort results to match original registration number order
@@ -817,8 +1149,54 @@ ipcMain.handle('scrape-batch', async (event, registrationNumbers, category) => {
   const sortedResults = registrationNumbers.map(regNum => resultMap.get(regNum)).filter(r => r);
   
   return sortedResults.length > 0 ? sortedResults : results;
+});
+
+// Scrape queue
+ipcMain.handle('get-scrape-queue', async () => {
+  return scrapeQueue.getStatus();
+});
 
-  return results;
+ipcMain.handle('update-scrape-queue-settings', async (event, settings) => {
+  console.log('[MAIN] update-scrape-queue-settings called:', settings);
+  return { success: true, settings: scrapeQueue.updateSettings(settings || {}) };
+});
+
+ipcMain.handle('retry-failed-scrape-jobs', async () => {
+  console.log('[MAIN] retry-failed-scrape-jobs called');
+  
+  // Check license before allowing operation
+  const licenseStatus = await licenseManager.validateLicense();
+  if (!licenseStatus.valid) {
+    return { success: false, error: 'License invalid. Please activate the application.' };
+  }
+  
+  const retriedCount = scrapeQueue.retryFailed();
+  if (retriedCount > 0) scrapeQueue.start();
+  return { success: true, retriedCount };
+});
+
+ipcMain.handle('pause-scrape-queue', async () => {
+  console.log('[MAIN] pause-scrape-queue called');
+  scrapeQueue.pause();
+  return { success: true };
+});
+
+ipcMain.handle('resume-scrape-queue', async () => {
+  console.log('[MAIN] resume-scrape-queue called');
+  
+  // Check license before allowing operation
+  const licenseStatus = await licenseManager.validateLicense();
+  if (!licenseStatus.valid) {
+    return { success: false, error: 'License invalid. Please activate the application.' };
+  }
+  
+  scrapeQueue.start();
+  return { success: true };
+});
+
+ipcMain.handle('clear-finished-scrape-jobs', async () => {
+  console.log('[MAIN] clear-finished-scrape-jobs called');
+  return { success: true, removedCount: scrapeQueue.clearFinished() };
 });
 
 // Calculate mating (expected EPDs from sire and dam)
@@ -907,9 +1285,19 @@ ipcMain.handle('calculate-mating', async (event, { sireRegNum, damRegNum }) => {
       }
     }
 
-    // Add percentile ranks to calculated EPDs
+    // Heifer calves rank against the cow percentile breakdowns
+    let heiferPercentileRanks = {};
+    try {
+      const cowPercentileData = await percentileLookup.fetchCowPercentileBreakdowns();
+      heiferPercentileRanks = await percentileLookup.mapEPDsToPercentiles(epdValuesForLookup, cowPercentileData);
+    } catch (error) {
+      console.error('[MAIN] Error mapping EPDs to cow percentiles, continuing without heifer calf ranks:', error.message);
+    }
+
+    // Add percentile ranks to calculated EPDs (estimatedPercentileRank is the bull calf rank)
     for (const trait in calculatedEPDs) {
       calculatedEPDs[trait].estimatedPercentileRank = percentileRanks[trait] !== undefined ? percentileRanks[trait] : null;
+      calculatedEPDs[trait].heiferPercentileRank = heiferPercentileRanks[trait] !== undefined ? heiferPercentileRanks[trait] : null;
     }
 
     emitProgress(5, 5, 'Complete!');
@@ -968,35 +1356,7 @@ ipcMain.handle('rank-all-matings', async (event, config) => {
     const cowCategory = config?.cowCategory || null;
     
     // Filter into cows and sires, with category filtering
-    const cows = allAnimals.filter(animal => {
-      // First filter by sex
-      const sex = (animal.sex || '').toUpperCase();
-      const isCow = sex === 'COW' || sex === 'FEMALE' || sex === 'HEIFER' || sex.includes('COW') || sex.includes('FEMALE');
-      if (!isCow) return false;
-      
-      // Then filter by category if specified (check categories array)
-      if (cowCategory !== null) {
-        // Support both new array format and old single category format
-        const animalCategories = animal.categories || (animal.category ? [animal.category] : ['My Herd']);
-        return animalCategories.includes(cowCategory);
-      }
-      return true; // "all" means no category filter
-    });
-    
-    const sires = allAnimals.filter(animal => {
-      // First filter by sex
-      const sex = (animal.sex || '').toUpperCase();
-      const isSire = sex === 'BULL' || sex === 'MALE' || sex === 'STEER' || sex.includes('BULL') || sex.includes('MALE');
-      if (!isSire) return false;
-      
-      // Then filter by category if specified (check categories array)
-      if (sireCategory !== null) {
-        // Support both new array format and old single category format
-        const animalCategories = animal.categories || (animal.category ? [animal.category] : ['My Herd']);
-        return animalCategories.includes(sireCategory);
-      }
-      return true; // "all" means no category filter
-    });
+    const { cows, sires } = matingRanker.selectCowsAndSires(allAnimals, cowCategory, sireCategory);
     
     if (cows.length === 0) {
       return { success: false, error: 'No cows found in cache. Please scrape some cows first.' };
@@ -1014,7 +1374,7 @@ ipcMain.handle('rank-all-matings', async (event, config) => {
     
     emitProgress(3, 6, 'Fetching percentile data...');
     
-    // Fetch percentile data (use bull data for calves)
+    // Fetch percentile data (bull table for bull calves, cow table for heifer calves)
     let percentileData = null;
     try {
       percentileData = await percentileLookup.fetchPercentileBreakdowns();
@@ -1022,6 +1382,12 @@ ipcMain.handle('rank-all-matings', async (event, config) => {
       console.error('[MAIN] Error fetching percentile data:', error);
       return { success: false, error: 'Failed to fetch percentile data: ' + error.message };
     }
+    let heiferPercentileData = null;
+    try {
+      heiferPercentileData = await percentileLookup.fetchCowPercentileBreakdowns();
+    } catch (error) {
+      console.error('[MAIN] Error fetching cow percentile data, ranking bull calves only:', error.message);
+    }
     
     emitProgress(4, 6, 'Loading color criteria...');
     
@@ -1041,11 +1407,31 @@ ipcMain.handle('rank-all-matings', async (event, config) => {
     // Default configuration - emphasis-based system, no default gate traits
     const defaultConfig = {
       gateTraits: [], // No default gates - user must configure via UI
-      topN: config?.topN || 50
+      topN: config?.topN || 5, // Same as the Show Top default in the All Matings tab
+      profileId: scoringProfiles.DEFAULT_PROFILE_ID,
+      inbreedingMode: 'off', // 'off' (show only), 'penalize' or 'exclude'
+      maxInbreeding: 6.25, // Percent
+      inbreedingPenalty: 1.0, // Score points per percent above maxInbreeding
+      geneticConditionMode: 'flag', // 'flag' or 'exclude'
+      maxGeneticRisk: 25, // Percent chance of an affected calf
+      includeTraitConditions: false, // Count red coat color (RD) toward the risk limit
+      accuracyMode: false, // Discount low-accuracy EPDs by their possible change
+      possibleChangeMultiplier: 1.0, // Standard errors to discount by
+      rankByCalf: 'bull', // 'bull' or 'heifer' - which calf projection drives the rank
+      plannerMode: 'top-n', // 'top-n' (top sires per cow) or 'optimize' (one sire per cow within inventory)
+      strawsPerCow: 1 // AI straws planned per cow in optimize mode
     };
     
     // Merge with provided config
     const finalConfig = { ...defaultConfig, ...config };
+    const scoringProfile = scoringProfiles.getScoringProfile(finalConfig.profileId);
+    finalConfig.profileId = scoringProfile.id;
+    finalConfig.profileName = scoringProfile.name;
+    console.log(`[MAIN] Using scoring profile: ${scoringProfile.name}`);
+    if (!heiferPercentileData) {
+      finalConfig.rankByCalf = 'bull';
+    }
+    finalConfig.heiferProjection = heiferPercentileData !== null;
     
     // Progress callback
     const progressCallback = (processed, total) => {
@@ -1054,15 +1440,40 @@ ipcMain.handle('rank-all-matings', async (event, config) => {
       emitProgress(5, 6, `Ranking matings... ${processed}/${total} (${percentage}%)`);
     };
     
-    // Rank all matings
-    const rankedMatings = matingRanker.rankAllMatings(
-      cows,
-      sires,
-      percentileData,
-      colorCriteria,
-      finalConfig,
-      progressCallback
-    );
+    // Build pedigree graph from all cached animals so ancestors outside the selected categories still count
+    const pedigreeGraph = pedigree.buildPedigreeGraph(allAnimals);
+    
+    // Rank all matings, or build a one-sire-per-cow plan within the sire inventory
+    let rankedMatings;
+    let matingPlan = null;
+    if (finalConfig.plannerMode === 'optimize') {
+      const inventory = sireInventory.loadSireInventory();
+      const plan = matingOptimizer.optimizeMatingPlan(
+        cows,
+        sires,
+        percentileData,
+        colorCriteria,
+        { ...finalConfig, pedigreeGraph, heiferPercentileData },
+        inventory,
+        progressCallback
+      );
+      rankedMatings = plan.assignments;
+      matingPlan = {
+        unassignedCows: plan.unassignedCows,
+        sireUsage: plan.sireUsage,
+        totalScore: plan.totalScore,
+        strawsPerCow: plan.strawsPerCow
+      };
+    } else {
+      rankedMatings = matingRanker.rankAllMatings(
+        cows,
+        sires,
+        percentileData,
+        colorCriteria,
+        { ...finalConfig, pedigreeGraph, heiferPercentileData },
+        progressCallback
+      );
+    }
     
     // Add full animal data to each mating result for detail view
     const rankedMatingsWithData = rankedMatings.map(mating => {
@@ -1087,7 +1498,8 @@ ipcMain.handle('rank-all-matings', async (event, config) => {
         totalCows: cows.length,
         totalSires: sires.length,
         totalMatings: cows.length * sires.length,
-        config: finalConfig
+        config: finalConfig,
+        matingPlan: matingPlan
       }
     };
   } catch (error) {
@@ -1148,7 +1560,7 @@ ipcMain.handle('get-percentile-data', async (event, animalType) => {
 });
 
 // Score an animal using EPD values
-ipcMain.handle('score-animal', async (event, { epdValues, animalType, gateTraits = [] }) => {
+ipcMain.handle('score-animal', async (event, { epdValues, animalType, gateTraits = [], profileId = null, accuracyOptions = null }) => {
   try {
     // Get percentile data
     let percentileData = null;
@@ -1164,7 +1576,7 @@ ipcMain.handle('score-animal', async (event, { epdValues, animalType, gateTraits
     const colorCriteria = JSON.parse(criteriaData);
     
     // Score using shared function
-    const score = matingRanker.scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits);
+    const score = matingRanker.scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits, profileId, accuracyOptions);
     
     return { success: true, score: score };
   } catch (error) {
@@ -1641,3 +2053,166 @@ ipcMain.handle('export-to-excel', async (event, data) => {
     return { success: false, error: error.message || String(error) };
   }
 });
+
+// Export an optimized mating plan (one sire per cow) to Excel or CSV
+ipcMain.handle('export-mating-plan', async (event, plan) => {
+  console.log('[MAIN] export-mating-plan called with', plan?.assignments?.length || 0, 'assignments');
+  try {
+    if (!plan || !Array.isArray(plan.assignments) || plan.assignments.length === 0) {
+      return { success: false, error: 'No mating plan to export' };
+    }
+
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Mating Plan',
+      defaultPath: `mating-plan-${Date.now()}.xlsx`,
+      filters: [
+        { name: 'Excel Files', extensions: ['xlsx'] },
+        { name: 'CSV Files', extensions: ['csv'] }
+      ]
+    });
+
+    if (canceled || !filePath) {
+      console.log('[MAIN] User cancelled save dialog');
+      return { success: false, error: 'Save cancelled' };
+    }
+
+    const serviceTypeLabel = (serviceType) => {
+      if (serviceType === sireInventory.SERVICE_TYPES.AI) return 'AI';
+      if (serviceType === sireInventory.SERVICE_TYPES.NATURAL) return 'Natural service';
+      return 'Unlimited';
+    };
+    const usageBySire = new Map((plan.sireUsage || []).map(usage => [usage.sireId, usage]));
+
+    const planHeaders = ['Cow', 'Cow Registration', 'Sire', 'Sire Registration', 'Service', 'Score', 'Bull Calf Score', 'Heifer Calf Score', 'Gate', 'Inbreeding %', 'Genetic Risk %'];
+    const scoreValue = (score) => typeof score === 'number' ? parseFloat(score.toFixed(2)) : '';
+    const planRows = plan.assignments.map(mating => [
+      mating.cowName,
+      mating.cowId,
+      mating.sireName,
+      mating.sireId,
+      serviceTypeLabel(usageBySire.get(mating.sireId)?.serviceType),
+      scoreValue(mating.score),
+      scoreValue(mating.bullCalfScore),
+      scoreValue(mating.heiferCalfScore),
+      mating.passedGate ? 'Pass' : 'Fail',
+      typeof mating.inbreedingCoefficient === 'number' ? parseFloat((mating.inbreedingCoefficient * 100).toFixed(2)) : '',
+      typeof mating.geneticRisk === 'number' ? parseFloat((mating.geneticRisk * 100).toFixed(1)) : ''
+    ]);
+    (plan.unassignedCows || []).forEach(cow => {
+      planRows.push([cow.cowName, cow.cowId, 'UNASSIGNED', '', '', '', '', '', '', '', cow.reason]);
+    });
+
+    if (filePath.toLowerCase().endsWith('.csv')) {
+      const csvValue = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      };
+      const csv = [planHeaders, ...planRows].map(row => row.map(csvValue).join(',')).join('\n');
+      fs.writeFileSync(filePath, csv, 'utf8');
+    } else {
+      const workbook = new ExcelJS.Workbook();
+
+      const planSheet = workbook.addWorksheet('Mating Plan');
+      planSheet.addRow(planHeaders);
+      planRows.forEach(row => planSheet.addRow(row));
+
+      const usageSheet = workbook.addWorksheet('Sire Usage');
+      usageSheet.addRow(['Sire', 'Sire Registration', 'Service', 'Cows Assigned', 'Straws Used', 'Limit (cows)', 'Remaining (cows)']);
+      (plan.sireUsage || []).forEach(usage => {
+        usageSheet.addRow([
+          usage.sireName,
+          usage.sireId,
+          serviceTypeLabel(usage.serviceType),
+          usage.used,
+          usage.strawsUsed ?? '',
+          usage.capacity ?? 'Unlimited',
+          usage.remaining ?? ''
+        ]);
+      });
+
+      [planSheet, usageSheet].forEach(sheet => {
+        const headerRow = sheet.getRow(1);
+        headerRow.font = { bold: true };
+        headerRow.fill = {
+          type: 'pattern',
+          pattern: 'solid',
+          fgColor: { argb: 'FFE0E0E0' }
+        };
+        sheet.columns.forEach(column => { column.width = 18; });
+        sheet.views = [
+          { state: 'frozen', ySplit: 1 }
+        ];
+      });
+
+      await workbook.xlsx.writeFile(filePath);
+    }
+
+    console.log('[MAIN] Mating plan saved to:', filePath);
+    return { success: true, path: filePath };
+  } catch (error) {
+    console.error('[MAIN] Error exporting mating plan:', error);
+    return { success: false, error: error.message || String(error) };
+  }
+});
+
+// Export a printable mating report (PDF via printToPDF, or standalone HTML)
+ipcMain.handle('export-mating-report', async (event, report) => {
+  console.log('[MAIN] export-mating-report called with', report?.data?.rankedMatings?.length || 0, 'matings');
+  try {
+    if (!report || !report.data || !Array.isArray(report.data.rankedMatings) || report.data.rankedMatings.length === 0) {
+      return { success: false, error: 'No ranked matings to report' };
+    }
+
+    const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+      title: 'Save Mating Report',
+      defaultPath: `mating-report-${Date.now()}.pdf`,
+      filters: [
+        { name: 'PDF Files', extensions: ['pdf'] },
+        { name: 'HTML Files', extensions: ['html'] }
+      ]
+    });
+
+    if (canceled || !filePath) {
+      console.log('[MAIN] User cancelled save dialog');
+      return { success: false, error: 'Save cancelled' };
+    }
+
+    const html = matingReport.buildMatingReportHtml(report.data, report.options || {});
+
+    if (/\.html?$/i.test(filePath)) {
+      fs.writeFileSync(filePath, html, 'utf8');
+    } else {
+      // Render the report in a hidden window and print it (a temp file rather than a data URL,
+      // which has a size limit that large herds exceed)
+      const tempPath = path.join(app.getPath('temp'), `mating-report-${Date.now()}.html`);
+      fs.writeFileSync(tempPath, html, 'utf8');
+      const reportWindow = new BrowserWindow({
+        show: false,
+        webPreferences: {
+          javascript: false,
+          nodeIntegration: false,
+          contextIsolation: true
+        }
+      });
+      try {
+        await reportWindow.loadFile(tempPath);
+        const pdf = await reportWindow.webContents.printToPDF({
+          landscape: true,
+          pageSize: 'Letter',
+          printBackground: true,
+          preferCSSPageSize: true
+        });
+        fs.writeFileSync(filePath, pdf);
+      } finally {
+        reportWindow.destroy();
+        fs.unlink(tempPath, () => {});
+      }
+    }
+
+    console.log('[MAIN] Mating report saved to:', filePath);
+    return { success: true, path: filePath };
+  } catch (error) {
+    console.error('[MAIN] Error exporting mating report:', error);
+    return { success: false, error: error.message || String(error) };
+  }
+});
@@ -0,0 +1,202 @@
+/**
+ * Mating plan optimizer
+ *
+ * Assigns exactly one sire to each cow so that total herd score is maximized while
+ * respecting per-sire capacity (AI straws on hand or natural-service cows per bull)
+ * and gate rules. Solved as a min-cost flow:
+ *
+ *   source → cow (capacity 1) → sire (capacity 1, cost -score) → sink (capacity = sire limit)
+ *
+ * Successive shortest paths find the largest number of cows that can be covered and,
+ * among those plans, the one with the highest total score.
+ */
+
+const matingRanker = require('./mating-ranker');
+const sireInventory = require('./sire-inventory');
+
+/**
+ * Create a flow network
+ * @param {number} nodeCount - Number of nodes
+ * @returns {Object} Network with adjacency lists
+ */
+function createNetwork(nodeCount) {
+  return { nodeCount: nodeCount, edges: [], adjacency: Array.from({ length: nodeCount }, () => []) };
+}
+
+/**
+ * Add a directed edge (and its residual reverse edge)
+ * @param {Object} network - Flow network
+ * @param {number} from - From node
+ * @param {number} to - To node
+ * @param {number} capacity - Edge capacity
+ * @param {number} cost - Cost per unit of flow
+ * @returns {number} Index of the forward edge
+ */
+function addEdge(network, from, to, capacity, cost) {
+  const index = network.edges.length;
+  network.edges.push({ from, to, capacity, cost, flow: 0 });
+  network.edges.push({ from: to, to: from, capacity: 0, cost: -cost, flow: 0 });
+  network.adjacency[from].push(index);
+  network.adjacency[to].push(index + 1);
+  return index;
+}
+
+/**
+ * Find the cheapest augmenting path with residual capacity (SPFA / Bellman-Ford,
+ * since mating costs are negative)
+ * @param {Object} network - Flow network
+ * @param {number} source - Source node
+ * @param {number} sink - Sink node
+ * @returns {Array|null} Edge indexes along the path, or null if the sink is unreachable
+ */
+function findCheapestPath(network, source, sink) {
+  const distance = new Array(network.nodeCount).fill(Infinity);
+  const viaEdge = new Array(network.nodeCount).fill(-1);
+  const inQueue = new Array(network.nodeCount).fill(false);
+  const queue = [source];
+  distance[source] = 0;
+  inQueue[source] = true;
+
+  for (let head = 0; head < queue.length; head++) {
+    const node = queue[head];
+    inQueue[node] = false;
+
+    for (const edgeIndex of network.adjacency[node]) {
+      const edge = network.edges[edgeIndex];
+      if (edge.capacity - edge.flow <= 0) continue;
+
+      const candidate = distance[node] + edge.cost;
+      if (candidate < distance[edge.to] - 1e-9) {
+        distance[edge.to] = candidate;
+        viaEdge[edge.to] = edgeIndex;
+        if (!inQueue[edge.to]) {
+          inQueue[edge.to] = true;
+          queue.push(edge.to);
+        }
+      }
+    }
+  }
+
+  if (distance[sink] === Infinity) return null;
+
+  const path = [];
+  for (let node = sink; node !== source; node = network.edges[viaEdge[node]].from) {
+    path.push(viaEdge[node]);
+  }
+  return path;
+}
+
+/**
+ * Optimize a mating plan: one sire per cow, maximizing total score
+ * @param {Array} cows - Array of cow data objects
+ * @param {Array} sires - Array of sire data objects
+ * @param {Object} percentileData - Percentile breakdown data
+ * @param {Object} colorCriteria - Color criteria from config
+ * @param {Object} config - Ranking configuration (same options as rankAllMatings) plus strawsPerCow
+ * @param {Object} inventory - Sire inventory keyed by registration number (see sire-inventory.js)
+ * @param {Function} progressCallback - Optional callback for progress updates
+ * @returns {Object} Mating plan { assignments, unassignedCows, sireUsage, totalScore }
+ */
+function optimizeMatingPlan(cows, sires, percentileData, colorCriteria, config, inventory = {}, progressCallback = null) {
+  const { gateTraits = [], strawsPerCow = 1 } = config;
+
+  // Score every cow × sire pairing (inbreeding / genetic condition exclusions still apply)
+  const matings = matingRanker.rankAllMatings(
+    cows,
+    sires,
+    percentileData,
+    colorCriteria,
+    { ...config, topN: sires.length },
+    progressCallback
+  );
+
+  // Gate rules are hard constraints in the plan - a cow is never assigned a sire that fails a gate
+  const eligibleMatings = gateTraits.length > 0 ? matings.filter(m => m.passedGate) : matings;
+
+  const cowIndex = new Map(cows.map((cow, i) => [cow.registrationNumber, i]));
+  const sireIndex = new Map(sires.map((sire, i) => [sire.registrationNumber, i]));
+  const source = 0;
+  const cowNode = i => 1 + i;
+  const sireNode = i => 1 + cows.length + i;
+  const sink = 1 + cows.length + sires.length;
+  const network = createNetwork(sink + 1);
+
+  cows.forEach((cow, i) => addEdge(network, source, cowNode(i), 1, 0));
+
+  const capacities = sires.map(sire => {
+    const capacity = sireInventory.getSireCapacity(inventory[sire.registrationNumber], strawsPerCow);
+    return Math.min(capacity, cows.length);
+  });
+  capacities.forEach((capacity, i) => {
+    if (capacity > 0) addEdge(network, sireNode(i), sink, capacity, 0);
+  });
+
+  const matingByEdge = new Map();
+  eligibleMatings.forEach(mating => {
+    const ci = cowIndex.get(mating.cowId);
+    const si = sireIndex.get(mating.sireId);
+    if (ci === undefined || si === undefined) return;
+    const edgeIndex = addEdge(network, cowNode(ci), sireNode(si), 1, -mating.score);
+    matingByEdge.set(edgeIndex, mating);
+  });
+
+  // Augment one cow at a time along the cheapest (highest-scoring) path
+  let path;
+  while ((path = findCheapestPath(network, source, sink)) !== null) {
+    path.forEach(edgeIndex => {
+      network.edges[edgeIndex].flow += 1;
+      network.edges[edgeIndex ^ 1].flow -= 1;
+    });
+  }
+
+  const assignments = [];
+  matingByEdge.forEach((mating, edgeIndex) => {
+    if (network.edges[edgeIndex].flow > 0) {
+      assignments.push(mating);
+    }
+  });
+  assignments.sort((a, b) => a.cowName.localeCompare(b.cowName));
+
+  // Explain cows that could not be assigned
+  const assignedCowIds = new Set(assignments.map(m => m.cowId));
+  const cowsWithEligibleSire = new Set(eligibleMatings.map(m => m.cowId));
+  const unassignedCows = cows
+    .filter(cow => !assignedCowIds.has(cow.registrationNumber))
+    .map(cow => ({
+      cowId: cow.registrationNumber,
+      cowName: cow.animalName || cow.registrationNumber,
+      reason: cowsWithEligibleSire.has(cow.registrationNumber)
+        ? 'All eligible sires are at their straw / service limit'
+        : 'No sire passes the gate and inbreeding / genetic condition rules'
+    }));
+
+  const sireUsage = sires.map(sire => {
+    const entry = inventory[sire.registrationNumber] || null;
+    const used = assignments.filter(m => m.sireId === sire.registrationNumber).length;
+    const limit = sireInventory.getSireCapacity(entry, strawsPerCow);
+    return {
+      sireId: sire.registrationNumber,
+      sireName: sire.animalName || sire.registrationNumber,
+      serviceType: entry ? entry.serviceType : null,
+      capacity: isFinite(limit) ? limit : null,
+      used: used,
+      strawsUsed: entry && entry.serviceType === sireInventory.SERVICE_TYPES.AI ? used * strawsPerCow : null,
+      remaining: isFinite(limit) ? Math.max(0, limit - used) : null
+    };
+  }).sort((a, b) => b.used - a.used || a.sireName.localeCompare(b.sireName));
+
+  const totalScore = assignments.reduce((sum, m) => sum + m.score, 0);
+  console.log(`[MATING-OPTIMIZER] Assigned ${assignments.length} of ${cows.length} cows (total score ${totalScore.toFixed(2)})`);
+
+  return {
+    assignments: assignments,
+    unassignedCows: unassignedCows,
+    sireUsage: sireUsage,
+    totalScore: totalScore,
+    strawsPerCow: strawsPerCow
+  };
+}
+
+module.exports = {
+  optimizeMatingPlan
+};
@@ -1,45 +1,14 @@
 const percentileLookup = require('./percentile-lookup');
 const path = require('path');
 const fs = require('fs');
+const scoringProfiles = require('./scoring-profiles');
+const pedigree = require('./pedigree');
+const geneticConditions = require('./genetic-conditions');
+const epdAccuracy = require('./epd-accuracy');
 
-// Emphasis values by trait (NOT multipliers - used for relative weighting)
-const emphasisByTrait = {
-  CED: 4,
-  BW: 1,
-  WW: 6,
-  YW: 4,
-  RADG: 1,
-  DMI: 2,
-  YH: 0,
-  SC: 0,
-  DOC: 3,
-  CLAW: 4,
-  ANGLE: 0,
-  PAP: 1,
-  HS: 1,
-  HP: 3,
-  CEM: 0,
-  MILK: 0,
-  TEAT: 0,
-  UDDR: 0,
-  FL: 0,
-  MW: 2,
-  MH: 2,
-  $EN: 0,
-  CW: 3,
-  MARB: 6,
-  RE: 3,
-  FAT: 0,
-  $M: 8,
-  $B: 6,
-  $C: 8
-};
-
-// Normalization tuning parameter (0.5-0.8 recommended, default 0.7)
-const ALPHA = 0.7;
-
-// Calculate max emphasis for normalization
-const maxEmphasis = Math.max(...Object.values(emphasisByTrait));
+// Default emphasis values by trait (NOT multipliers - used for relative weighting)
+// Per-program weights live in named scoring profiles (see scoring-profiles.js)
+const emphasisByTrait = scoringProfiles.DEFAULT_EMPHASIS_BY_TRAIT;
 
 // Trait direction: true = higher is better, false = lower is better
 const traitDirection = {
@@ -60,15 +29,30 @@ function isValueBetter(trait, value1, value2) {
   return isHigherBetter ? (value1 > value2) : (value1 < value2);
 }
 
+/**
+ * Resolve a scoring profile from a profile ID or an already-loaded profile object
+ * @param {string|Object} profileOrId - Profile ID, profile object, or null for Default
+ * @returns {Object} Profile object with emphasisByTrait, alpha and penalty multipliers
+ */
+function resolveProfile(profileOrId) {
+  if (profileOrId && typeof profileOrId === 'object') {
+    return profileOrId;
+  }
+  return scoringProfiles.getScoringProfile(profileOrId);
+}
+
 /**
  * Get normalized weight for a trait based on emphasis
  * @param {string} trait - Trait name
- * @returns {number} Weight between 1.0 and 1.7 (1.0 + alpha)
+ * @param {string|Object} profileOrId - Scoring profile ID or object (optional, defaults to Default profile)
+ * @returns {number} Weight between 1.0 and 1.0 + alpha
  */
-function getTraitWeight(trait) {
-  const raw = emphasisByTrait[trait] ?? 0;
-  const normalized = raw / maxEmphasis; // 0..1
-  return 1 + (normalized * ALPHA); // final range: 1.0 → 1.7
+function getTraitWeight(trait, profileOrId = null) {
+  const profile = resolveProfile(profileOrId);
+  const raw = profile.emphasisByTrait[trait] ?? 0;
+  const maxEmphasis = Math.max(0, ...Object.values(profile.emphasisByTrait));
+  const normalized = maxEmphasis > 0 ? raw / maxEmphasis : 0; // 0..1
+  return 1 + (normalized * profile.alpha); // final range: 1.0 → 1.0 + alpha
 }
 
 // Band definitions
@@ -240,13 +224,18 @@ function colorFromPercentile(trait, percentile, colorCriteria) {
  * @param {Object} percentileData - Percentile breakdown data
  * @param {Object} colorCriteria - Color criteria from config
  * @param {Array} gateTraits - Array of gate trait names (optional, defaults to empty)
+ * @param {string|Object} profileOrId - Scoring profile ID or object (optional, defaults to Default profile)
+ * @param {Object} accuracyOptions - Accuracy-aware scoring (optional): { accuracyByTrait: { "WW": ".45", ... },
+ *   possibleChangeMultiplier }. EPDs are discounted by their possible change before lookup.
  * @returns {number} Final score
  */
-function scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits = []) {
+function scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits = [], profileOrId = null, accuracyOptions = null) {
   if (!epdValues || typeof epdValues !== 'object') {
     return 0;
   }
   
+  const profile = resolveProfile(profileOrId);
+  
   let baseScore = 0;
   let belowLightGreenPenalty = 0;
   let extraGatePenalty = 0;
@@ -254,13 +243,26 @@ function scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits = [
   const traits = Object.keys(epdValues);
   
   for (const trait of traits) {
-    const epdValue = epdValues[trait];
+    let epdValue = epdValues[trait];
     
     // Skip if EPD value is missing or invalid
     if (epdValue === null || epdValue === undefined || isNaN(epdValue)) {
       continue;
     }
     
+    // Discount low-accuracy EPDs toward the unfavorable side
+    if (accuracyOptions && accuracyOptions.accuracyByTrait) {
+      const accuracy = epdAccuracy.parseAccuracy(accuracyOptions.accuracyByTrait[trait]);
+      epdValue = epdAccuracy.discountEpdByAccuracy(
+        trait,
+        epdValue,
+        accuracy,
+        percentileData,
+        traitDirection[trait] !== false,
+        accuracyOptions.possibleChangeMultiplier ?? epdAccuracy.DEFAULT_POSSIBLE_CHANGE_MULTIPLIER
+      );
+    }
+    
     // Get percentile
     const percentile = percentileFromEpd(trait, epdValue, percentileData);
     
@@ -273,7 +275,7 @@ function scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits = [
     const band = bandFromBgColor(colors.bgColor);
     
     // Get normalized weight based on emphasis
-    const weight = getTraitWeight(trait);
+    const weight = getTraitWeight(trait, profile);
     
     // Get color goodness
     const goodness = getColorGoodness(band);
@@ -288,14 +290,14 @@ function scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits = [
       const rankDiff = colorRank - lightGreenRank;
       
       // Below light green penalty (applied to all traits worse than Light Green: Gray, Pink, Red, Dark Red)
-      belowLightGreenPenalty += rankDiff * 0.25 * weight;
+      belowLightGreenPenalty += rankDiff * profile.belowLightGreenMultiplier * weight;
       
       // Extra gate penalty if this is a gate trait AND worse than Gray (Pink, Red, Dark Red)
       // Note: Gray passes gates but still gets the below-light-green penalty above
       if (gateTraits.length > 0 && gateTraits.includes(trait) && isWorseThanGray(band)) {
         const grayRank = getColorRank(BANDS.GRAY);
         const gateRankDiff = colorRank - grayRank;
-        extraGatePenalty += gateRankDiff * 0.60 * weight;
+        extraGatePenalty += gateRankDiff * profile.gatePenaltyMultiplier * weight;
       }
     }
   }
@@ -307,66 +309,41 @@ function scoreEpdValues(epdValues, percentileData, colorCriteria, gateTraits = [
 }
 
 /**
- * Evaluates a single mating and computes score
- * @param {Object} cow - Cow data object with epdValues
- * @param {Object} sire - Sire data object with epdValues
- * @param {Array} traits - Array of trait names to evaluate
- * @param {Object} percentileData - Percentile breakdown data
+ * Projects one calf sex for a mating: trait colors, gate status and score against that sex's
+ * percentile breakdown (bull calves against the bull table, heifer calves against the cow table)
+ * @param {Object} calfTraits - Calf EPD inputs by trait: { calfEpd, sireValue, cowValue, sireAccuracy, cowAccuracy }
+ * @param {Object} percentileData - Percentile breakdown data for this calf sex
  * @param {Object} colorCriteria - Color criteria from config
- * @param {Object} config - Configuration object
- * @returns {Object} Mating result with score, gate status, and trait results
+ * @param {Object} profile - Resolved scoring profile
+ * @param {Object} options - { gateTraits, accuracyMode, possibleChangeMultiplier }
+ * @returns {Object} Projection { score, passedGate, failedGateTraits, numBelowLightGreenAllTraits,
+ *   improvedEmphasisTraitsCount, traitResults } (score before any inbreeding penalty)
  */
-function evaluateMating(cow, sire, traits, percentileData, colorCriteria, config) {
-  const {
-    gateTraits = [] // No default gate traits - must be configured by user
-  } = config;
+function projectCalf(calfTraits, percentileData, colorCriteria, profile, options) {
+  const { gateTraits = [], accuracyMode = false, possibleChangeMultiplier = epdAccuracy.DEFAULT_POSSIBLE_CHANGE_MULTIPLIER } = options;
   
   const traitResults = {};
+  const scoringEpdValues = {}; // Accuracy-discounted calf EPDs when accuracyMode is on
   let numBelowLightGreenAllTraits = 0;
   let improvedEmphasisTraitsCount = 0;
-  let improvedTraitsCount = 0; // Traits improved from cow EPD
-  let worsenedTraitsCount = 0; // Traits worsened from cow EPD
   const failedGateTraits = [];
   
-  // Calculate calf EPDs for scoring
-  const calfEpdValues = {};
-  
-  // Process each trait
-  for (const trait of traits) {
-    const sireEpd = sire.epdValues?.[trait]?.epd;
-    const cowEpd = cow.epdValues?.[trait]?.epd;
+  for (const trait of Object.keys(calfTraits)) {
+    const { calfEpd, sireValue, cowValue, sireAccuracy, cowAccuracy } = calfTraits[trait];
     
-    if (!sireEpd || !cowEpd) {
-      continue; // Skip traits without data
+    // Accuracy-aware: discount each parent by its own possible change, so a young
+    // genomic sire scores below a proven sire with the same EPD
+    let scoringEpd = calfEpd;
+    if (accuracyMode) {
+      const isHigherBetter = traitDirection[trait] !== false;
+      const sireDiscounted = epdAccuracy.discountEpdByAccuracy(trait, sireValue, sireAccuracy, percentileData, isHigherBetter, possibleChangeMultiplier);
+      const cowDiscounted = epdAccuracy.discountEpdByAccuracy(trait, cowValue, cowAccuracy, percentileData, isHigherBetter, possibleChangeMultiplier);
+      scoringEpd = (sireDiscounted + cowDiscounted) / 2;
     }
+    scoringEpdValues[trait] = scoringEpd;
     
-    // Parse EPD values
-    const sireValue = parseFloat(sireEpd);
-    const cowValue = parseFloat(cowEpd);
-    
-    if (isNaN(sireValue) || isNaN(cowValue)) {
-      continue;
-    }
-    
-    // Calculate calf EPD
-    const calfEpd = (sireValue + cowValue) / 2;
-    calfEpdValues[trait] = calfEpd;
-    
-    // Compare calf EPD to cow EPD to determine if improved or worsened
-    // Only count if values are different (not equal)
-    if (calfEpd !== cowValue) {
-      const isImproved = isValueBetter(trait, calfEpd, cowValue);
-      const isWorsened = isValueBetter(trait, cowValue, calfEpd);
-      
-      if (isImproved) {
-        improvedTraitsCount++;
-      } else if (isWorsened) {
-        worsenedTraitsCount++;
-      }
-    }
-    
-    // Get percentile
-    const calfPercentile = percentileFromEpd(trait, calfEpd, percentileData);
+    // Get percentile (from the discounted EPD in accuracy mode so colors match the score)
+    const calfPercentile = percentileFromEpd(trait, scoringEpd, percentileData);
     
     // Get color
     const colors = calfPercentile !== null 
@@ -377,7 +354,7 @@ function evaluateMating(cow, sire, traits, percentileData, colorCriteria, config
     const band = bandFromBgColor(colors.bgColor);
     
     // Get normalized weight based on emphasis
-    const weight = getTraitWeight(trait);
+    const weight = getTraitWeight(trait, profile);
     
     // Get color goodness
     const goodness = getColorGoodness(band);
@@ -393,7 +370,7 @@ function evaluateMating(cow, sire, traits, percentileData, colorCriteria, config
     }
     
     // Check if emphasis trait is improved (at or better than light green)
-    const emphasis = emphasisByTrait[trait] ?? 0;
+    const emphasis = profile.emphasisByTrait[trait] ?? 0;
     if (emphasis > 0 && !isWorseThanLightGreen(band)) {
       improvedEmphasisTraitsCount++;
     }
@@ -401,6 +378,7 @@ function evaluateMating(cow, sire, traits, percentileData, colorCriteria, config
     // Store trait result
     traitResults[trait] = {
       calfEpd: calfEpd,
+      discountedCalfEpd: accuracyMode ? scoringEpd : null,
       calfPercentile: calfPercentile,
       bgColor: colors.bgColor,
       textColor: colors.textColor,
@@ -411,9 +389,6 @@ function evaluateMating(cow, sire, traits, percentileData, colorCriteria, config
     };
   }
   
-  // Use shared scoring function
-  const finalScore = scoreEpdValues(calfEpdValues, percentileData, colorCriteria, gateTraits);
-  
   // Check gate (all gate traits must be <= GRAY, or no gates if empty)
   // Note: Gray is acceptable for gates, but still receives penalty in scoring
   const passedGate = gateTraits.length === 0 || gateTraits.every(trait => {
@@ -423,36 +398,217 @@ function evaluateMating(cow, sire, traits, percentileData, colorCriteria, config
   });
   
   return {
-    cowId: cow.registrationNumber,
-    cowName: cow.animalName || cow.registrationNumber,
-    sireId: sire.registrationNumber,
-    sireName: sire.animalName || sire.registrationNumber,
+    // Use shared scoring function
+    score: scoreEpdValues(scoringEpdValues, percentileData, colorCriteria, gateTraits, profile),
     passedGate: passedGate,
     failedGateTraits: failedGateTraits,
-    score: finalScore,
     numBelowLightGreenAllTraits: numBelowLightGreenAllTraits,
     improvedEmphasisTraitsCount: improvedEmphasisTraitsCount,
+    traitResults: traitResults
+  };
+}
+
+/**
+ * Evaluates a single mating and computes score
+ * The calf is projected as a bull calf against percentileData and, when config.heiferPercentileData
+ * (the cow breakdown) is given, as a heifer calf against that. config.rankByCalf picks the projection
+ * whose score, gate and trait results drive the ranking; both are returned as bullCalf / heiferCalf.
+ * @param {Object} cow - Cow data object with epdValues
+ * @param {Object} sire - Sire data object with epdValues
+ * @param {Array} traits - Array of trait names to evaluate
+ * @param {Object} percentileData - Percentile breakdown data (bull table, for bull calves)
+ * @param {Object} colorCriteria - Color criteria from config
+ * @param {Object} config - Configuration object (gateTraits, profileId or a resolved profile,
+ *   heiferPercentileData, rankByCalf 'bull' | 'heifer', pedigreeGraph, inbreedingMode 'off' | 'penalize' | 'exclude',
+ *   maxInbreeding %, inbreedingPenalty, geneticConditionMode 'flag' | 'exclude', maxGeneticRisk %,
+ *   includeTraitConditions, accuracyMode, possibleChangeMultiplier)
+ * @returns {Object} Mating result with score, gate status, and trait results
+ */
+function evaluateMating(cow, sire, traits, percentileData, colorCriteria, config) {
+  const {
+    gateTraits = [], // No default gate traits - must be configured by user
+    profileId = null,
+    heiferPercentileData = null, // Cow breakdown for heifer calves (bull calves only when missing)
+    rankByCalf = 'bull',
+    pedigreeGraph = null,
+    inbreedingMode = 'off',
+    maxInbreeding = 6.25, // Percent - half of a half-sib mating (12.5%)
+    inbreedingPenalty = 1.0, // Score points per percent above maxInbreeding
+    maxGeneticRisk = 25, // Percent chance of an affected calf (carrier × carrier = 25%)
+    includeTraitConditions = false, // Count trait conditions (red coat color) toward the risk limit
+    accuracyMode = false, // Discount parent EPDs by their possible change
+    possibleChangeMultiplier = epdAccuracy.DEFAULT_POSSIBLE_CHANGE_MULTIPLIER
+  } = config;
+  
+  const profile = resolveProfile(config.profile || profileId);
+  
+  let improvedTraitsCount = 0; // Traits improved from cow EPD
+  let worsenedTraitsCount = 0; // Traits worsened from cow EPD
+  
+  // Calculate calf EPDs (the same for bull and heifer calves)
+  const calfTraits = {};
+  const sireAccuracies = [];
+  
+  // Process each trait
+  for (const trait of traits) {
+    const sireEpd = sire.epdValues?.[trait]?.epd;
+    const cowEpd = cow.epdValues?.[trait]?.epd;
+    
+    if (!sireEpd || !cowEpd) {
+      continue; // Skip traits without data
+    }
+    
+    // Parse EPD values
+    const sireValue = parseFloat(sireEpd);
+    const cowValue = parseFloat(cowEpd);
+    
+    if (isNaN(sireValue) || isNaN(cowValue)) {
+      continue;
+    }
+    
+    // Calculate calf EPD
+    const calfEpd = (sireValue + cowValue) / 2;
+    const sireAccuracy = epdAccuracy.parseAccuracy(sire.epdValues[trait].acc);
+    if (sireAccuracy !== null) sireAccuracies.push(sireAccuracy);
+    calfTraits[trait] = {
+      calfEpd: calfEpd,
+      sireValue: sireValue,
+      cowValue: cowValue,
+      sireAccuracy: sireAccuracy,
+      cowAccuracy: epdAccuracy.parseAccuracy(cow.epdValues[trait].acc)
+    };
+    
+    // Compare calf EPD to cow EPD to determine if improved or worsened
+    // Only count if values are different (not equal)
+    if (calfEpd !== cowValue) {
+      const isImproved = isValueBetter(trait, calfEpd, cowValue);
+      const isWorsened = isValueBetter(trait, cowValue, calfEpd);
+      
+      if (isImproved) {
+        improvedTraitsCount++;
+      } else if (isWorsened) {
+        worsenedTraitsCount++;
+      }
+    }
+  }
+  
+  // Project bull and heifer calves against their own percentile breakdowns
+  const projectionOptions = { gateTraits, accuracyMode, possibleChangeMultiplier };
+  const bullCalf = projectCalf(calfTraits, percentileData, colorCriteria, profile, projectionOptions);
+  const heiferCalf = heiferPercentileData
+    ? projectCalf(calfTraits, heiferPercentileData, colorCriteria, profile, projectionOptions)
+    : null;
+  
+  // Wright's coefficient of inbreeding for the calf (null when no pedigree graph is available)
+  const inbreedingCoefficient = pedigreeGraph
+    ? pedigree.calculateMatingInbreeding(pedigreeGraph, sire.registrationNumber, cow.registrationNumber)
+    : null;
+  const inbreedingPercent = inbreedingCoefficient !== null ? inbreedingCoefficient * 100 : null;
+  const exceedsInbreedingLimit = inbreedingMode !== 'off' && inbreedingPercent !== null && inbreedingPercent > maxInbreeding;
+  
+  if (exceedsInbreedingLimit && inbreedingMode === 'penalize') {
+    const penalty = (inbreedingPercent - maxInbreeding) * inbreedingPenalty;
+    bullCalf.score -= penalty;
+    if (heiferCalf) heiferCalf.score -= penalty;
+  }
+  
+  // Genetic condition risk (tested carrier status, or pedigree estimate for untested animals)
+  const geneticRisk = pedigreeGraph
+    ? geneticConditions.assessMatingRisk(pedigreeGraph, sire.registrationNumber, cow.registrationNumber, { includeTraitConditions })
+    : { conditions: [], maxRisk: 0, carrierByCarrier: false };
+  const exceedsGeneticRiskLimit = geneticRisk.maxRisk > 0 && geneticRisk.maxRisk * 100 >= maxGeneticRisk;
+  
+  // The selected calf sex drives the rank (bull calf when there is no heifer projection)
+  const rankedCalf = rankByCalf === 'heifer' && heiferCalf ? heiferCalf : bullCalf;
+  
+  return {
+    cowId: cow.registrationNumber,
+    cowName: cow.animalName || cow.registrationNumber,
+    sireId: sire.registrationNumber,
+    sireName: sire.animalName || sire.registrationNumber,
+    profileId: profile.id,
+    rankedByCalf: rankedCalf === heiferCalf ? 'heifer' : 'bull',
+    passedGate: rankedCalf.passedGate,
+    failedGateTraits: rankedCalf.failedGateTraits,
+    score: rankedCalf.score,
+    inbreedingCoefficient: inbreedingCoefficient,
+    exceedsInbreedingLimit: exceedsInbreedingLimit,
+    geneticRisk: geneticRisk.maxRisk,
+    geneticConditionRisks: geneticRisk.conditions,
+    carrierByCarrier: geneticRisk.carrierByCarrier,
+    exceedsGeneticRiskLimit: exceedsGeneticRiskLimit,
+    sireAccuracy: sireAccuracies.length > 0
+      ? sireAccuracies.reduce((sum, acc) => sum + acc, 0) / sireAccuracies.length
+      : null,
+    numBelowLightGreenAllTraits: rankedCalf.numBelowLightGreenAllTraits,
+    improvedEmphasisTraitsCount: rankedCalf.improvedEmphasisTraitsCount,
     improvedTraitsCount: improvedTraitsCount,
     worsenedTraitsCount: worsenedTraitsCount,
-    traitResults: traitResults
+    traitResults: rankedCalf.traitResults,
+    bullCalf: bullCalf,
+    heiferCalf: heiferCalf
   };
 }
 
+/**
+ * Split animals into cows and sires by sex, optionally limited to a category each
+ * @param {Array} animals - Array of animal data objects
+ * @param {string|null} cowCategory - Cow category (null = all)
+ * @param {string|null} sireCategory - Sire category (null = all)
+ * @returns {{cows: Array, sires: Array}} Cows and sires
+ */
+function selectCowsAndSires(animals, cowCategory = null, sireCategory = null) {
+  // Support both new array format and old single category format
+  const inCategory = (animal, category) => {
+    if (category === null) return true; // "all" means no category filter
+    const animalCategories = animal.categories || (animal.category ? [animal.category] : ['My Herd']);
+    return animalCategories.includes(category);
+  };
+  
+  const cows = animals.filter(animal => {
+    const sex = (animal.sex || '').toUpperCase();
+    const isCow = sex === 'COW' || sex === 'FEMALE' || sex === 'HEIFER' || sex.includes('COW') || sex.includes('FEMALE');
+    return isCow && inCategory(animal, cowCategory);
+  });
+  
+  const sires = animals.filter(animal => {
+    const sex = (animal.sex || '').toUpperCase();
+    const isSire = sex === 'BULL' || sex === 'MALE' || sex === 'STEER' || sex.includes('BULL') || sex.includes('MALE');
+    return isSire && inCategory(animal, sireCategory);
+  });
+  
+  return { cows, sires };
+}
+
 /**
  * Ranks all matings (cows × sires)
  * @param {Array} cows - Array of cow data objects
  * @param {Array} sires - Array of sire data objects
- * @param {Object} percentileData - Percentile breakdown data
+ * @param {Object} percentileData - Percentile breakdown data (bull table, for bull calves)
  * @param {Object} colorCriteria - Color criteria from config
- * @param {Object} config - Configuration object
+ * @param {Object} config - Configuration object (topN, gateTraits, profileId, heiferPercentileData, rankByCalf,
+ *   pedigreeGraph, inbreeding, genetic condition and accuracy options)
  * @param {Function} progressCallback - Optional callback for progress updates
  * @returns {Array} Sorted array of ranked mating results
  */
 function rankAllMatings(cows, sires, percentileData, colorCriteria, config, progressCallback = null) {
   const {
-    topN = 50
+    topN = 50,
+    profileId = null,
+    inbreedingMode = 'off',
+    geneticConditionMode = 'flag',
+    accuracyMode = false
   } = config;
   
+  // Resolve the scoring profile once rather than re-reading it for every mating
+  const profile = resolveProfile(config.profile || profileId);
+  
+  // Build the pedigree graph from the animals being ranked if the caller did not supply one
+  const pedigreeGraph = config.pedigreeGraph || pedigree.buildPedigreeGraph([...cows, ...sires]);
+  const matingConfig = { ...config, profile: profile, pedigreeGraph: pedigreeGraph };
+  let excludedForInbreeding = 0;
+  let excludedForGeneticRisk = 0;
+  
   // Get all unique traits from all animals
   const allTraits = new Set();
   cows.forEach(cow => {
@@ -474,10 +630,19 @@ function rankAllMatings(cows, sires, percentileData, colorCriteria, config, prog
   // Evaluate all matings
   for (const cow of cows) {
     for (const sire of sires) {
-      const result = evaluateMating(cow, sire, traits, percentileData, colorCriteria, config);
-      results.push(result);
+      const result = evaluateMating(cow, sire, traits, percentileData, colorCriteria, matingConfig);
       processed++;
       
+      // Drop matings over the inbreeding limit when excluding
+      if (inbreedingMode === 'exclude' && result.exceedsInbreedingLimit) {
+        excludedForInbreeding++;
+      } else if (geneticConditionMode === 'exclude' && result.exceedsGeneticRiskLimit) {
+        // Drop carrier × carrier (or high estimated risk) matings when excluding
+        excludedForGeneticRisk++;
+      } else {
+        results.push(result);
+      }
+      
       // Report progress (every 10 matings or at completion)
       if (progressCallback && (processed % 10 === 0 || processed === totalMatings)) {
         progressCallback(processed, totalMatings);
@@ -485,6 +650,21 @@ function rankAllMatings(cows, sires, percentileData, colorCriteria, config, prog
     }
   }
   
+  if (excludedForInbreeding > 0) {
+    console.log(`[MATING-RANKER] Excluded ${excludedForInbreeding} matings above the inbreeding limit`);
+  }
+  if (excludedForGeneticRisk > 0) {
+    console.log(`[MATING-RANKER] Excluded ${excludedForGeneticRisk} matings above the genetic condition risk limit`);
+  }
+  
+  // In accuracy mode, remaining ties go to the more proven sire (higher average ACC)
+  const compareAccuracy = (a, b) => {
+    if (!accuracyMode) return 0;
+    const accA = a.sireAccuracy ?? 0;
+    const accB = b.sireAccuracy ?? 0;
+    return Math.abs(accA - accB) > 0.001 ? accB - accA : 0;
+  };
+  
   // Sort results (for ranking within each cow)
   results.sort((a, b) => {
     // 1. passedGate (desc) - gate passers first
@@ -507,6 +687,10 @@ function rankAllMatings(cows, sires, percentileData, colorCriteria, config, prog
       return b.improvedEmphasisTraitsCount - a.improvedEmphasisTraitsCount;
     }
     
+    // 5. sireAccuracy (desc) - proven sires first, accuracy mode only
+    const accuracyCompare = compareAccuracy(a, b);
+    if (accuracyCompare !== 0) return accuracyCompare;
+    
     // Tie-breaker: alphabetical by cow name, then sire name
     const cowCompare = a.cowName.localeCompare(b.cowName);
     if (cowCompare !== 0) return cowCompare;
@@ -552,6 +736,9 @@ function rankAllMatings(cows, sires, percentileData, colorCriteria, config, prog
     if (a.improvedEmphasisTraitsCount !== b.improvedEmphasisTraitsCount) {
       return b.improvedEmphasisTraitsCount - a.improvedEmphasisTraitsCount;
     }
+    // 5. sireAccuracy (desc, accuracy mode only)
+    const accuracyCompare = compareAccuracy(a, b);
+    if (accuracyCompare !== 0) return accuracyCompare;
     // Final tie-breaker: sire name
     return a.sireName.localeCompare(b.sireName);
   });
@@ -562,6 +749,7 @@ function rankAllMatings(cows, sires, percentileData, colorCriteria, config, prog
 module.exports = {
   BANDS,
   emphasisByTrait,
+  resolveProfile,
   getTraitWeight,
   isValueBetter,
   bandFromBgColor,
@@ -572,6 +760,8 @@ module.exports = {
   percentileFromEpd,
   colorFromPercentile,
   scoreEpdValues,
+  projectCalf,
   evaluateMating,
+  selectCowsAndSires,
   rankAllMatings
 };
@@ -0,0 +1,375 @@
+/**
+ * Printable mating plan report
+ *
+ * Builds a standalone HTML report of All Matings results (rank-all-matings data):
+ *   - a cover page with the ranking settings and a herd summary
+ *   - a sire usage page (plan inventory usage in optimize mode, top-pick counts otherwise)
+ *   - one page per cow listing her sires with score, gate pass/fail (and the failed gate
+ *     traits) and the color-coded calf EPDs
+ * The HTML has no external resources, so it can be saved as-is or printed to PDF.
+ */
+
+// Trait column order (same order as the All Matings table and the Excel export)
+const TRAIT_ORDER = [
+  'CED', 'BW', 'WW', 'YW', 'RADG', 'DMI', 'YH', 'SC', 'DOC', 'CLAW',
+  'ANGLE', 'PAP', 'HS', 'HP', 'CEM', 'MILK', 'TEAT', 'UDDR', 'FL',
+  'MW', 'MH', '$EN', 'CW', 'MARB', 'RE', 'FAT', '$M', '$B', '$C'
+];
+
+const SERVICE_LABELS = { ai: 'AI', natural: 'Natural service' };
+
+const REPORT_STYLES = `
+  @page { size: Letter landscape; margin: 0.4in; }
+  body { font-family: Arial, Helvetica, sans-serif; font-size: 11px; color: #000; margin: 0; }
+  h1 { font-size: 24px; margin: 0 0 6px 0; }
+  h2 { font-size: 16px; margin: 0 0 8px 0; }
+  .page { page-break-after: always; padding: 10px 0; }
+  .page:last-child { page-break-after: auto; }
+  .subtitle { color: #555; margin-bottom: 18px; }
+  table { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  th, td { border: 1px solid #000; padding: 4px; text-align: center; }
+  th { background-color: #e0e0e0; }
+  td.name { text-align: left; font-weight: bold; }
+  table.settings { width: auto; }
+  table.settings td { text-align: left; border: none; padding: 3px 12px 3px 0; }
+  table.traits { font-size: 9px; }
+  table.traits td.trait { white-space: nowrap; }
+  .pass { color: #2e7d32; font-weight: bold; }
+  .fail { color: #c62828; font-weight: bold; }
+  .note { color: #555; margin-top: 8px; }
+  .cow-details { margin-bottom: 6px; }
+  * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+`;
+
+/**
+ * Escape text for HTML
+ * @param {*} text - Text (null and undefined become an empty string)
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  if (text === null || text === undefined) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a number with a fixed number of decimals
+ * @param {number} value - Value
+ * @param {number} decimals - Decimals
+ * @returns {string} Formatted value, or an empty string if the value is not a number
+ */
+function formatNumber(value, decimals) {
+  return typeof value === 'number' && !isNaN(value) ? value.toFixed(decimals) : '';
+}
+
+/**
+ * Format a calf EPD cell value (sign, 3 decimals for FAT, and the percentile when known)
+ * @param {string} trait - Trait
+ * @param {Object} traitResult - Trait result ({ calfEpd, calfPercentile })
+ * @returns {string} Display text
+ */
+function formatCalfEpd(trait, traitResult) {
+  const decimals = trait === 'FAT' ? 3 : 2;
+  const epd = traitResult.calfEpd >= 0
+    ? `+${traitResult.calfEpd.toFixed(decimals)}`
+    : traitResult.calfEpd.toFixed(decimals);
+  return traitResult.calfPercentile !== null && traitResult.calfPercentile !== undefined
+    ? `${epd} (${traitResult.calfPercentile}%)`
+    : epd;
+}
+
+/**
+ * Sort traits into report column order (unlisted traits last, alphabetically)
+ * @param {Array} traits - Traits
+ * @returns {Array} Sorted traits
+ */
+function sortTraits(traits) {
+  return traits.slice().sort((a, b) => {
+    const indexA = TRAIT_ORDER.indexOf(a);
+    const indexB = TRAIT_ORDER.indexOf(b);
+    if (indexA !== -1 && indexB !== -1) return indexA - indexB;
+    if (indexA !== -1) return -1;
+    if (indexB !== -1) return 1;
+    return a.localeCompare(b);
+  });
+}
+
+/**
+ * Group ranked matings by cow, keeping the ranking order of cows and of sires within each cow
+ * @param {Array} rankedMatings - Ranked matings
+ * @returns {Array} [{ cowId, cowName, matings }]
+ */
+function groupMatingsByCow(rankedMatings) {
+  const cows = new Map();
+  rankedMatings.forEach(mating => {
+    if (!cows.has(mating.cowId)) {
+      cows.set(mating.cowId, { cowId: mating.cowId, cowName: mating.cowName || mating.cowId, matings: [] });
+    }
+    cows.get(mating.cowId).matings.push(mating);
+  });
+  return Array.from(cows.values());
+}
+
+/**
+ * Count how often each sire is listed for a cow, and how often as her top sire
+ * @param {Array} cowGroups - Matings grouped by cow (groupMatingsByCow)
+ * @returns {Array} [{ sireId, sireName, topPickCount, listedCount, gatePassCount }], most top picks first
+ */
+function countSireRankings(cowGroups) {
+  const sires = new Map();
+  cowGroups.forEach(cow => {
+    cow.matings.forEach((mating, index) => {
+      if (!sires.has(mating.sireId)) {
+        sires.set(mating.sireId, {
+          sireId: mating.sireId,
+          sireName: mating.sireName || mating.sireId,
+          topPickCount: 0,
+          listedCount: 0,
+          gatePassCount: 0
+        });
+      }
+      const sire = sires.get(mating.sireId);
+      sire.listedCount++;
+      if (index === 0) sire.topPickCount++;
+      if (mating.passedGate) sire.gatePassCount++;
+    });
+  });
+  return Array.from(sires.values()).sort((a, b) =>
+    (b.topPickCount - a.topPickCount) || (b.listedCount - a.listedCount) || a.sireName.localeCompare(b.sireName));
+}
+
+/**
+ * Render the cover page
+ * @param {Object} data - Ranking data
+ * @param {Array} cowGroups - Matings grouped by cow
+ * @param {Object} options - Report options
+ * @returns {string} HTML
+ */
+function renderCoverPage(data, cowGroups, options) {
+  const config = data.config || {};
+  const gateTraits = config.gateTraits && config.gateTraits.length > 0 ? config.gateTraits.join(', ') : 'None';
+  const cowsWithPassingSire = cowGroups.filter(cow => cow.matings.some(mating => mating.passedGate)).length;
+  const planMode = !!data.matingPlan;
+
+  const settings = [
+    ['Generated', options.generatedAt.toLocaleString()],
+    ['Scoring Profile', config.profileName || 'Default'],
+    ['Planner', planMode
+      ? `One sire per cow within sire inventory (${data.matingPlan.strawsPerCow ?? config.strawsPerCow ?? 1} straw(s) per AI cow)`
+      : `Top ${config.topN} sires per cow`],
+    ['Ranked By', config.rankByCalf === 'heifer' ? 'Heifer calf (cow percentile breakdowns)' : 'Bull calf (bull percentile breakdowns)'],
+    ['Gate Traits', gateTraits],
+    ['Matings Evaluated', `${data.totalMatings} (${data.totalCows} cows × ${data.totalSires} sires)`],
+    ['Cows in Report', String(cowGroups.length)],
+    ['Cows with a Gate-Passing Sire', `${cowsWithPassingSire} of ${cowGroups.length}`]
+  ];
+  if (planMode) {
+    settings.push(['Total Herd Score', formatNumber(data.matingPlan.totalScore, 2)]);
+  }
+  if (options.gatePassOnly) {
+    settings.push(['Filter', 'Gate-passing matings only']);
+  }
+
+  let html = '<div class="page">';
+  html += `<h1>${escapeHtml(options.title)}</h1>`;
+  html += `<div class="subtitle">${planMode ? 'Mating plan' : 'Ranked matings'} for ${cowGroups.length} cow(s)</div>`;
+  html += '<table class="settings"><tbody>';
+  settings.forEach(([label, value]) => {
+    html += `<tr><td><strong>${escapeHtml(label)}:</strong></td><td>${escapeHtml(value)}</td></tr>`;
+  });
+  html += '</tbody></table>';
+
+  html += `<h2 style="margin-top: 20px;">${planMode ? 'Assigned Sire per Cow' : 'Top Sire per Cow'}</h2>`;
+  html += '<table><thead><tr><th>Cow</th><th>Registration</th><th>Sire</th><th>Score</th><th>Gate</th></tr></thead><tbody>';
+  cowGroups.forEach(cow => {
+    const top = cow.matings[0];
+    html += '<tr>';
+    html += `<td class="name">${escapeHtml(cow.cowName)}</td>`;
+    html += `<td>${escapeHtml(cow.cowId)}</td>`;
+    html += `<td>${escapeHtml(top.sireName || top.sireId)}</td>`;
+    html += `<td>${formatNumber(top.score, 2)}</td>`;
+    html += `<td>${renderGate(top)}</td>`;
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+
+  if (planMode && data.matingPlan.unassignedCows && data.matingPlan.unassignedCows.length > 0) {
+    html += `<p class="fail">${data.matingPlan.unassignedCows.length} cow(s) could not be assigned:</p><ul>`;
+    data.matingPlan.unassignedCows.forEach(cow => {
+      html += `<li>${escapeHtml(cow.cowName || cow.cowId)} - ${escapeHtml(cow.reason)}</li>`;
+    });
+    html += '</ul>';
+  }
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Render the gate status of a mating
+ * @param {Object} mating - Mating result
+ * @returns {string} HTML
+ */
+function renderGate(mating) {
+  if (mating.passedGate) {
+    return '<span class="pass">Pass</span>';
+  }
+  const failed = mating.failedGateTraits && mating.failedGateTraits.length > 0
+    ? ` (${escapeHtml(mating.failedGateTraits.join(', '))})`
+    : '';
+  return `<span class="fail">Fail</span>${failed}`;
+}
+
+/**
+ * Render the sire usage page
+ * @param {Object} data - Ranking data
+ * @param {Array} cowGroups - Matings grouped by cow
+ * @returns {string} HTML
+ */
+function renderSireUsagePage(data, cowGroups) {
+  let html = '<div class="page">';
+  if (data.matingPlan) {
+    html += '<h2>Sire Usage</h2>';
+    html += '<table><thead><tr><th>Sire</th><th>Registration</th><th>Service</th><th>Cows Assigned</th><th>Straws Used</th><th>Limit</th><th>Remaining</th></tr></thead><tbody>';
+    (data.matingPlan.sireUsage || []).filter(usage => usage.used > 0 || usage.serviceType).forEach(usage => {
+      html += '<tr>';
+      html += `<td class="name">${escapeHtml(usage.sireName || usage.sireId)}</td>`;
+      html += `<td>${escapeHtml(usage.sireId)}</td>`;
+      html += `<td>${SERVICE_LABELS[usage.serviceType] || 'Unlimited'}</td>`;
+      html += `<td>${usage.used}</td>`;
+      html += `<td>${escapeHtml(usage.strawsUsed ?? '')}</td>`;
+      html += `<td>${escapeHtml(usage.capacity ?? 'Unlimited')}</td>`;
+      html += `<td>${escapeHtml(usage.remaining ?? '')}</td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+  } else {
+    html += '<h2>Sire Usage (Rankings per Cow)</h2>';
+    html += '<table><thead><tr><th>Sire</th><th>Registration</th><th>Top Sire For</th><th>Listed For</th><th>Gate Passes</th></tr></thead><tbody>';
+    countSireRankings(cowGroups).forEach(sire => {
+      html += '<tr>';
+      html += `<td class="name">${escapeHtml(sire.sireName)}</td>`;
+      html += `<td>${escapeHtml(sire.sireId)}</td>`;
+      html += `<td>${sire.topPickCount} cow(s)</td>`;
+      html += `<td>${sire.listedCount} cow(s)</td>`;
+      html += `<td>${sire.gatePassCount}</td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+    html += '<p class="note">"Top Sire For" counts the cows where the sire ranked first; "Listed For" counts the cows where he is among the sires shown.</p>';
+  }
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Render one cow's page
+ * @param {Object} cow - Cow group ({ cowId, cowName, matings })
+ * @param {Object} data - Ranking data
+ * @returns {string} HTML
+ */
+function renderCowPage(cow, data) {
+  const traits = new Set();
+  cow.matings.forEach(mating => Object.keys(mating.traitResults || {}).forEach(trait => traits.add(trait)));
+  const sortedTraits = sortTraits(Array.from(traits));
+  const heiferProjection = cow.matings.some(mating => mating.heiferCalf);
+  const cowData = cow.matings[0].cowData;
+
+  let html = '<div class="page">';
+  html += `<h2>${escapeHtml(cow.cowName)} <span style="font-weight: normal;">(${escapeHtml(cow.cowId)})</span></h2>`;
+  if (cowData && cowData.additionalInfo) {
+    const details = [
+      ['Sire', cowData.additionalInfo.sire],
+      ['Dam', cowData.additionalInfo.dam],
+      ['Birth Date', cowData.additionalInfo.birthDate],
+      ['Tattoo', cowData.additionalInfo.tattoo]
+    ].filter(([, value]) => value);
+    if (details.length > 0) {
+      html += `<div class="cow-details">${details.map(([label, value]) => `<strong>${label}:</strong> ${escapeHtml(value)}`).join(' &nbsp; ')}</div>`;
+    }
+  }
+
+  html += '<table class="traits"><thead><tr><th>#</th><th>Sire</th><th>Score</th>';
+  if (heiferProjection) {
+    html += '<th>Bull Calf</th><th>Heifer Calf</th>';
+  }
+  html += '<th>Gate</th><th>Inbreeding</th>';
+  sortedTraits.forEach(trait => {
+    html += `<th>${escapeHtml(trait)}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+
+  cow.matings.forEach((mating, index) => {
+    html += '<tr>';
+    html += `<td>${index + 1}</td>`;
+    html += `<td class="name">${escapeHtml(mating.sireName || mating.sireId)}<br><span style="font-weight: normal;">${escapeHtml(mating.sireId)}</span></td>`;
+    html += `<td>${formatNumber(mating.score, 2)}</td>`;
+    if (heiferProjection) {
+      html += `<td>${formatNumber(mating.bullCalf?.score, 2)}</td>`;
+      html += `<td>${formatNumber(mating.heiferCalf?.score, 2)}</td>`;
+    }
+    html += `<td>${renderGate(mating)}</td>`;
+    const inbreeding = typeof mating.inbreedingCoefficient === 'number'
+      ? `${(mating.inbreedingCoefficient * 100).toFixed(2)}%`
+      : 'N/A';
+    html += `<td${mating.exceedsInbreedingLimit ? ' class="fail"' : ''}>${inbreeding}</td>`;
+    sortedTraits.forEach(trait => {
+      const traitResult = mating.traitResults && mating.traitResults[trait];
+      if (traitResult && typeof traitResult.calfEpd === 'number') {
+        const gateFailed = (mating.failedGateTraits || []).includes(trait);
+        const style = `background-color: ${traitResult.bgColor}; color: ${traitResult.textColor};${gateFailed ? ' outline: 2px solid #c62828; outline-offset: -2px;' : ''}`;
+        html += `<td class="trait" style="${escapeHtml(style)}">${escapeHtml(formatCalfEpd(trait, traitResult))}</td>`;
+      } else {
+        html += '<td class="trait">-</td>';
+      }
+    });
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+
+  const riskyMatings = cow.matings.filter(mating => mating.geneticRisk > 0);
+  if (riskyMatings.length > 0) {
+    html += '<p class="note"><strong>Genetic condition risk:</strong> ';
+    html += riskyMatings.map(mating => {
+      const conditions = (mating.geneticConditionRisks || []).map(risk => risk.condition).join(', ');
+      return `${escapeHtml(mating.sireName || mating.sireId)} ${(mating.geneticRisk * 100).toFixed(1)}%${conditions ? ` (${escapeHtml(conditions)})` : ''}`;
+    }).join('; ');
+    html += '</p>';
+  }
+  html += `<p class="note">Calf EPDs (percentile) for the ${data.config && data.config.rankByCalf === 'heifer' ? 'heifer' : 'bull'} calf projection; outlined cells are failed gate traits.</p>`;
+  html += '</div>';
+  return html;
+}
+
+/**
+ * Build the mating report HTML
+ * @param {Object} data - rank-all-matings data ({ rankedMatings, totalCows, totalSires, totalMatings, config, matingPlan })
+ * @param {Object} options - { title, gatePassOnly (leave out matings that fail the gate), generatedAt }
+ * @returns {string} Standalone HTML document
+ */
+function buildMatingReportHtml(data, options = {}) {
+  const reportOptions = {
+    title: options.title || 'Mating Plan Report',
+    gatePassOnly: !!options.gatePassOnly,
+    generatedAt: options.generatedAt || new Date()
+  };
+  const matings = (data.rankedMatings || []).filter(mating => !reportOptions.gatePassOnly || mating.passedGate);
+  const cowGroups = groupMatingsByCow(matings);
+
+  let html = '<!DOCTYPE html><html><head><meta charset="utf-8">';
+  html += `<title>${escapeHtml(reportOptions.title)}</title>`;
+  html += `<style>${REPORT_STYLES}</style></head><body>`;
+  html += renderCoverPage(data, cowGroups, reportOptions);
+  html += renderSireUsagePage(data, cowGroups);
+  cowGroups.forEach(cow => {
+    html += renderCowPage(cow, data);
+  });
+  html += '</body></html>';
+  return html;
+}
+
+module.exports = {
+  buildMatingReportHtml
+};
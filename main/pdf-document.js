@@ -0,0 +1,1196 @@
+/**
+ * Minimal PDF text reader
+ *
+ * Extracts the text of a PDF with its position on the page, which is what the sale catalog
+ * parser needs to line EPD values up with their trait columns. Only text is read: objects are
+ * found by scanning the file for "N G obj" (so a damaged cross-reference table doesn't matter),
+ * object streams and content streams are decompressed with zlib, and the text operators of each
+ * page (including form XObjects) are interpreted.
+ *
+ * Text is decoded through the font's ToUnicode map when it has one, otherwise through its
+ * encoding (WinAnsi plus /Differences). Composite fonts without a ToUnicode map can't be decoded
+ * and their text is left out. Scanned PDFs (pages that are images) have no text to extract, and
+ * encrypted PDFs are rejected.
+ *
+ * Result: [{ pageNumber, lines: [{ y, text, words: [{ x, width, text }] }] }], lines top to
+ * bottom and words left to right, in PDF units (1/72 inch) from the bottom-left of the page.
+ */
+
+const fs = require('fs');
+const zlib = require('zlib');
+
+// Form XObjects can nest; deeper nesting than this is treated as a loop
+const MAX_XOBJECT_DEPTH = 8;
+
+// Words on one line closer than this (times the font size) are one word (kerned or per-glyph text)
+const WORD_GAP = 0.15;
+
+// Glyphs whose baselines differ by less than this (times the font size) are on the same line
+const LINE_TOLERANCE = 0.5;
+
+// Width of a glyph (in thousandths of the font size) when the font has no widths (standard 14 fonts)
+const DEFAULT_GLYPH_WIDTH = 500;
+
+// Windows-1252 characters for codes 0x80-0x9F (WinAnsiEncoding); the rest of the range is Latin-1
+const WIN_ANSI_HIGH = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+// Glyph names used in /Differences that aren't a single character or uniXXXX
+const GLYPH_NAMES = {
+  space: ' ', exclam: '!', quotedbl: '"', numbersign: '#', dollar: '$', percent: '%', ampersand: '&',
+  quotesingle: "'", parenleft: '(', parenright: ')', asterisk: '*', plus: '+', comma: ',', hyphen: '-',
+  period: '.', slash: '/', zero: '0', one: '1', two: '2', three: '3', four: '4', five: '5', six: '6',
+  seven: '7', eight: '8', nine: '9', colon: ':', semicolon: ';', less: '<', equal: '=', greater: '>',
+  question: '?', at: '@', bracketleft: '[', backslash: '\\', bracketright: ']', asciicircum: '^',
+  underscore: '_', grave: '`', braceleft: '{', bar: '|', braceright: '}', asciitilde: '~',
+  endash: '–', emdash: '—', quoteleft: '‘', quoteright: '’', quotedblleft: '“', quotedblright: '”',
+  quotesinglbase: '‚', quotedblbase: '„', bullet: '•', ellipsis: '…', minus: '−', degree: '°',
+  plusminus: '±', multiply: '×', onehalf: '½', onequarter: '¼', threequarters: '¾', registered: '®',
+  copyright: '©', trademark: '™', section: '§', paragraph: '¶', dagger: '†', daggerdbl: '‡',
+  fi: 'fi', fl: 'fl', ff: 'ff', ffi: 'ffi', ffl: 'ffl', nbspace: ' ', sfthyphen: '-'
+};
+
+/**
+ * PDF operator in a content stream (names are strings, strings are Buffers)
+ */
+class PdfOperator {
+  constructor(name) {
+    this.name = name;
+  }
+}
+
+/**
+ * Indirect object reference
+ */
+class PdfRef {
+  constructor(num, gen) {
+    this.num = num;
+    this.gen = gen;
+  }
+}
+
+/**
+ * Check whether a byte is PDF whitespace
+ * @param {number} byte - Byte
+ * @returns {boolean} True for whitespace
+ */
+function isWhitespace(byte) {
+  return byte === 0x20 || byte === 0x0a || byte === 0x0d || byte === 0x09 || byte === 0x0c || byte === 0x00;
+}
+
+/**
+ * Check whether a byte is a PDF delimiter
+ * @param {number} byte - Byte
+ * @returns {boolean} True for ( ) < > [ ] { } / %
+ */
+function isDelimiter(byte) {
+  return byte === 0x28 || byte === 0x29 || byte === 0x3c || byte === 0x3e || byte === 0x5b ||
+    byte === 0x5d || byte === 0x7b || byte === 0x7d || byte === 0x2f || byte === 0x25;
+}
+
+/**
+ * Tokenizer for PDF objects and content streams
+ */
+class PdfLexer {
+  /**
+   * @param {Buffer} buffer - Data
+   * @param {number} position - Start offset
+   */
+  constructor(buffer, position = 0) {
+    this.buffer = buffer;
+    this.position = position;
+  }
+
+  /**
+   * Skip whitespace and comments
+   */
+  skipWhitespace() {
+    const buffer = this.buffer;
+    while (this.position < buffer.length) {
+      const byte = buffer[this.position];
+      if (isWhitespace(byte)) {
+        this.position++;
+      } else if (byte === 0x25) {
+        while (this.position < buffer.length && buffer[this.position] !== 0x0a && buffer[this.position] !== 0x0d) {
+          this.position++;
+        }
+      } else {
+        break;
+      }
+    }
+  }
+
+  /**
+   * Read the next token
+   * @returns {Object|null} { type: 'number'|'name'|'string'|'value'|'delimiter'|'keyword', value }, or null at the end
+   */
+  nextToken() {
+    this.skipWhitespace();
+    const buffer = this.buffer;
+    if (this.position >= buffer.length) return null;
+
+    const byte = buffer[this.position];
+    if (byte === 0x5b || byte === 0x5d || byte === 0x7b || byte === 0x7d) {
+      this.position++;
+      return { type: 'delimiter', value: String.fromCharCode(byte) };
+    }
+    if (byte === 0x3c) {
+      if (buffer[this.position + 1] === 0x3c) {
+        this.position += 2;
+        return { type: 'delimiter', value: '<<' };
+      }
+      return { type: 'string', value: this.readHexString() };
+    }
+    if (byte === 0x3e) {
+      this.position += buffer[this.position + 1] === 0x3e ? 2 : 1;
+      return { type: 'delimiter', value: '>>' };
+    }
+    if (byte === 0x28) {
+      return { type: 'string', value: this.readLiteralString() };
+    }
+    if (byte === 0x29) {
+      this.position++;
+      return this.nextToken();
+    }
+    if (byte === 0x2f) {
+      this.position++;
+      return { type: 'name', value: this.readRegular().replace(/#([0-9a-f]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))) };
+    }
+
+    const text = this.readRegular();
+    if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(text)) {
+      return { type: 'number', value: parseFloat(text) };
+    }
+    if (text === 'true' || text === 'false') {
+      return { type: 'value', value: text === 'true' };
+    }
+    if (text === 'null') {
+      return { type: 'value', value: null };
+    }
+    return { type: 'keyword', value: text };
+  }
+
+  /**
+   * Read a run of regular characters
+   * @returns {string} Text
+   */
+  readRegular() {
+    const buffer = this.buffer;
+    const start = this.position;
+    while (this.position < buffer.length && !isWhitespace(buffer[this.position]) && !isDelimiter(buffer[this.position])) {
+      this.position++;
+    }
+    // A lone delimiter (e.g. a stray "{") is consumed so the lexer always moves on
+    if (this.position === start) {
+      this.position++;
+    }
+    return buffer.toString('latin1', start, this.position);
+  }
+
+  /**
+   * Read a hex string (<...>)
+   * @returns {Buffer} Bytes
+   */
+  readHexString() {
+    const buffer = this.buffer;
+    this.position++;
+    let hex = '';
+    while (this.position < buffer.length && buffer[this.position] !== 0x3e) {
+      const char = String.fromCharCode(buffer[this.position]);
+      if (/[0-9a-f]/i.test(char)) hex += char;
+      this.position++;
+    }
+    this.position++;
+    if (hex.length % 2 === 1) hex += '0';
+    return Buffer.from(hex, 'hex');
+  }
+
+  /**
+   * Read a literal string ((...) with balanced parentheses and escapes)
+   * @returns {Buffer} Bytes
+   */
+  readLiteralString() {
+    const buffer = this.buffer;
+    const bytes = [];
+    let depth = 1;
+    this.position++;
+    while (this.position < buffer.length) {
+      const byte = buffer[this.position++];
+      if (byte === 0x5c) {
+        const next = buffer[this.position++];
+        switch (next) {
+          case 0x6e: bytes.push(0x0a); break; // \n
+          case 0x72: bytes.push(0x0d); break; // \r
+          case 0x74: bytes.push(0x09); break; // \t
+          case 0x62: bytes.push(0x08); break; // \b
+          case 0x66: bytes.push(0x0c); break; // \f
+          case 0x0d: // Line continuation
+            if (buffer[this.position] === 0x0a) this.position++;
+            break;
+          case 0x0a:
+            break;
+          default:
+            if (next >= 0x30 && next <= 0x37) {
+              let octal = next - 0x30;
+              for (let i = 0; i < 2 && buffer[this.position] >= 0x30 && buffer[this.position] <= 0x37; i++) {
+                octal = octal * 8 + (buffer[this.position++] - 0x30);
+              }
+              bytes.push(octal & 0xff);
+            } else if (next !== undefined) {
+              bytes.push(next);
+            }
+        }
+      } else if (byte === 0x28) {
+        depth++;
+        bytes.push(byte);
+      } else if (byte === 0x29) {
+        depth--;
+        if (depth === 0) break;
+        bytes.push(byte);
+      } else {
+        bytes.push(byte);
+      }
+    }
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Skip the data of an inline image (after its ID operator) up to and including EI
+   */
+  skipInlineImageData() {
+    const buffer = this.buffer;
+    let index = this.position + 1;
+    while (index < buffer.length - 1) {
+      if (buffer[index] === 0x45 && buffer[index + 1] === 0x49 && isWhitespace(buffer[index - 1]) &&
+          (index + 2 >= buffer.length || isWhitespace(buffer[index + 2]) || isDelimiter(buffer[index + 2]))) {
+        this.position = index + 2;
+        return;
+      }
+      index++;
+    }
+    this.position = buffer.length;
+  }
+}
+
+/**
+ * Read one object (or operator)
+ * @param {PdfLexer} lexer - Lexer
+ * @param {Object} token - Already-read token (default: the next one)
+ * @returns {*} Number, string (name), Buffer (string), boolean, null, Array, Object (dictionary),
+ *   PdfRef or PdfOperator; undefined at the end of the data
+ */
+function readObject(lexer, token = lexer.nextToken()) {
+  if (!token) return undefined;
+
+  switch (token.type) {
+    case 'number': {
+      // "num gen R" is a reference
+      if (Number.isInteger(token.value) && token.value >= 0) {
+        const position = lexer.position;
+        const gen = lexer.nextToken();
+        if (gen && gen.type === 'number' && Number.isInteger(gen.value)) {
+          const keyword = lexer.nextToken();
+          if (keyword && keyword.type === 'keyword' && keyword.value === 'R') {
+            return new PdfRef(token.value, gen.value);
+          }
+        }
+        lexer.position = position;
+      }
+      return token.value;
+    }
+    case 'name':
+    case 'string':
+    case 'value':
+      return token.value;
+    case 'delimiter':
+      if (token.value === '[') {
+        const array = [];
+        for (let next = lexer.nextToken(); next && !(next.type === 'delimiter' && next.value === ']'); next = lexer.nextToken()) {
+          array.push(readObject(lexer, next));
+        }
+        return array;
+      }
+      if (token.value === '<<') {
+        const dict = {};
+        for (let next = lexer.nextToken(); next && !(next.type === 'delimiter' && next.value === '>>'); next = lexer.nextToken()) {
+          if (next.type === 'name') {
+            dict[next.value] = readObject(lexer);
+          }
+        }
+        return dict;
+      }
+      return new PdfOperator(token.value);
+    default:
+      return new PdfOperator(token.value);
+  }
+}
+
+/**
+ * Make a value an array (PDF allows a single value where an array is expected)
+ * @param {*} value - Value
+ * @returns {Array} Array
+ */
+function toArray(value) {
+  if (value === undefined || value === null) return [];
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Decompress Flate data, keeping what can be decompressed from slightly damaged streams
+ * @param {Buffer} data - Compressed data
+ * @returns {Buffer} Data
+ */
+function inflate(data) {
+  try {
+    return zlib.inflateSync(data);
+  } catch (error) {
+    try {
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    } catch (syncError) {
+      // Some writers leave out the zlib header
+      return zlib.inflateRawSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+    }
+  }
+}
+
+/**
+ * Undo a PNG predictor (used with Flate for object and cross-reference streams)
+ * @param {Buffer} data - Decompressed data
+ * @param {Object} params - DecodeParms ({ Predictor, Columns, Colors, BitsPerComponent })
+ * @returns {Buffer} Data
+ */
+function applyPredictor(data, params) {
+  if (!params || !(params.Predictor >= 10)) return data;
+
+  const bytesPerPixel = Math.max(1, Math.ceil((params.Colors || 1) * (params.BitsPerComponent || 8) / 8));
+  const rowLength = Math.ceil((params.Columns || 1) * (params.Colors || 1) * (params.BitsPerComponent || 8) / 8);
+  const output = Buffer.alloc(Math.floor(data.length / (rowLength + 1)) * rowLength);
+  let previous = Buffer.alloc(rowLength);
+
+  for (let row = 0; (row + 1) * (rowLength + 1) <= data.length; row++) {
+    const filter = data[row * (rowLength + 1)];
+    const line = data.subarray(row * (rowLength + 1) + 1, (row + 1) * (rowLength + 1));
+    const current = output.subarray(row * rowLength, (row + 1) * rowLength);
+    for (let i = 0; i < rowLength; i++) {
+      const left = i >= bytesPerPixel ? current[i - bytesPerPixel] : 0;
+      const up = previous[i];
+      const upLeft = i >= bytesPerPixel ? previous[i - bytesPerPixel] : 0;
+      let value = line[i];
+      switch (filter) {
+        case 1: value += left; break;
+        case 2: value += up; break;
+        case 3: value += Math.floor((left + up) / 2); break;
+        case 4: {
+          const estimate = left + up - upLeft;
+          const distanceLeft = Math.abs(estimate - left);
+          const distanceUp = Math.abs(estimate - up);
+          const distanceUpLeft = Math.abs(estimate - upLeft);
+          value += distanceLeft <= distanceUp && distanceLeft <= distanceUpLeft ? left : (distanceUp <= distanceUpLeft ? up : upLeft);
+          break;
+        }
+      }
+      current[i] = value & 0xff;
+    }
+    previous = current;
+  }
+  return output;
+}
+
+/**
+ * Decode ASCIIHex data
+ * @param {Buffer} data - Encoded data
+ * @returns {Buffer} Data
+ */
+function decodeAsciiHex(data) {
+  let hex = data.toString('latin1').split('>')[0].replace(/[^0-9a-f]/gi, '');
+  if (hex.length % 2 === 1) hex += '0';
+  return Buffer.from(hex, 'hex');
+}
+
+/**
+ * Decode ASCII85 data
+ * @param {Buffer} data - Encoded data
+ * @returns {Buffer} Data
+ */
+function decodeAscii85(data) {
+  const text = data.toString('latin1').replace(/^\s*<~/, '').split('~>')[0].replace(/\s/g, '');
+  const bytes = [];
+  let group = [];
+  for (const char of text) {
+    if (char === 'z' && group.length === 0) {
+      bytes.push(0, 0, 0, 0);
+      continue;
+    }
+    group.push(char.charCodeAt(0) - 33);
+    if (group.length === 5) {
+      const value = group.reduce((sum, digit) => sum * 85 + digit, 0);
+      bytes.push((value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff);
+      group = [];
+    }
+  }
+  if (group.length > 1) {
+    const padded = group.concat([84, 84, 84, 84]).slice(0, 5);
+    const value = padded.reduce((sum, digit) => sum * 85 + digit, 0);
+    const tail = [(value >>> 24) & 0xff, (value >>> 16) & 0xff, (value >>> 8) & 0xff, value & 0xff];
+    bytes.push(...tail.slice(0, group.length - 1));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Decode a UTF-16BE string (ToUnicode destinations)
+ * @param {Buffer} bytes - Bytes
+ * @returns {string} Text
+ */
+function decodeUtf16(bytes) {
+  if (bytes.length === 1) return String.fromCharCode(bytes[0]);
+  let text = '';
+  for (let i = 0; i + 1 < bytes.length; i += 2) {
+    text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+  }
+  return text;
+}
+
+/**
+ * Read a code from bytes (big-endian)
+ * @param {Buffer} bytes - Bytes
+ * @returns {number} Code
+ */
+function bytesToCode(bytes) {
+  let code = 0;
+  for (const byte of bytes) {
+    code = code * 256 + byte;
+  }
+  return code;
+}
+
+/**
+ * Get the text for a glyph name from /Differences
+ * @param {string} name - Glyph name
+ * @returns {string} Text ('' if unknown)
+ */
+function glyphNameToText(name) {
+  if (name.length === 1) return name;
+  if (GLYPH_NAMES[name] !== undefined) return GLYPH_NAMES[name];
+
+  const uni = name.match(/^uni([0-9A-F]{4})+$/i);
+  if (uni) {
+    return name.substring(3).match(/.{4}/g).map(hex => String.fromCharCode(parseInt(hex, 16))).join('');
+  }
+  const u = name.match(/^u([0-9A-F]{4,6})$/i);
+  if (u) return String.fromCodePoint(parseInt(u[1], 16));
+
+  // Variants (one.lf, A.sc) and ligatures (f_i)
+  if (name.includes('.')) return glyphNameToText(name.split('.')[0]);
+  if (name.includes('_')) return name.split('_').map(glyphNameToText).join('');
+  return '';
+}
+
+/**
+ * Parse a ToUnicode CMap
+ * @param {Buffer} data - CMap stream data
+ * @returns {Object} { map: Map(code -> text), codespaces: [{ low, high, length }] }
+ */
+function parseToUnicode(data) {
+  const map = new Map();
+  const codespaces = [];
+  const lexer = new PdfLexer(data);
+  let operands = [];
+
+  for (let value = readObject(lexer); value !== undefined; value = readObject(lexer)) {
+    if (!(value instanceof PdfOperator)) {
+      operands.push(value);
+      continue;
+    }
+
+    switch (value.name) {
+      case 'endcodespacerange':
+        for (let i = 0; i + 1 < operands.length; i += 2) {
+          if (Buffer.isBuffer(operands[i]) && Buffer.isBuffer(operands[i + 1])) {
+            codespaces.push({ low: bytesToCode(operands[i]), high: bytesToCode(operands[i + 1]), length: operands[i].length });
+          }
+        }
+        break;
+      case 'endbfchar':
+        for (let i = 0; i + 1 < operands.length; i += 2) {
+          if (Buffer.isBuffer(operands[i]) && Buffer.isBuffer(operands[i + 1])) {
+            map.set(bytesToCode(operands[i]), decodeUtf16(operands[i + 1]));
+          }
+        }
+        break;
+      case 'endbfrange':
+        for (let i = 0; i + 2 < operands.length; i += 3) {
+          const [low, high, destination] = operands.slice(i, i + 3);
+          if (!Buffer.isBuffer(low) || !Buffer.isBuffer(high)) continue;
+          const first = bytesToCode(low);
+          const last = Math.min(bytesToCode(high), first + 0xffff);
+          for (let code = first; code <= last; code++) {
+            if (Array.isArray(destination)) {
+              if (Buffer.isBuffer(destination[code - first])) {
+                map.set(code, decodeUtf16(destination[code - first]));
+              }
+            } else if (Buffer.isBuffer(destination) && destination.length > 0) {
+              // The last character of the destination is incremented through the range
+              const text = decodeUtf16(destination);
+              map.set(code, text.slice(0, -1) + String.fromCharCode(text.charCodeAt(text.length - 1) + code - first));
+            }
+          }
+        }
+        break;
+    }
+    operands = [];
+  }
+
+  return { map, codespaces };
+}
+
+/**
+ * Multiply two PDF matrices ([a b c d e f]); m1 is applied first
+ * @param {Array} m1 - Matrix
+ * @param {Array} m2 - Matrix
+ * @returns {Array} Product
+ */
+function multiplyMatrices(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[1] * m2[2],
+    m1[0] * m2[1] + m1[1] * m2[3],
+    m1[2] * m2[0] + m1[3] * m2[2],
+    m1[2] * m2[1] + m1[3] * m2[3],
+    m1[4] * m2[0] + m1[5] * m2[2] + m2[4],
+    m1[4] * m2[1] + m1[5] * m2[3] + m2[5]
+  ];
+}
+
+/**
+ * Parsed PDF file: object lookup, stream decoding, fonts and pages
+ */
+class PdfDocument {
+  /**
+   * @param {Buffer} buffer - PDF file content
+   */
+  constructor(buffer) {
+    if (buffer.toString('latin1', 0, 1024).indexOf('%PDF-') === -1) {
+      throw new Error('Not a PDF file');
+    }
+    this.buffer = buffer;
+    this.objects = new Map();    // Object number -> parsed object (dictionary/stream/value)
+    this.compressed = new Map(); // Object number -> { data, position } in an object stream
+    this.trailers = [];
+    this.fonts = new Map();      // Font dictionary -> font
+    this.scanObjects();
+    this.scanObjectStreams();
+  }
+
+  /**
+   * Find every "N G obj" in the file (later definitions replace earlier ones, as in incremental updates)
+   */
+  scanObjects() {
+    const text = this.buffer.toString('latin1');
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      const lexer = new PdfLexer(this.buffer, match.index + match[0].length);
+      const value = readObject(lexer);
+      const next = lexer.nextToken();
+      let object = value;
+      if (next && next.type === 'keyword' && next.value === 'stream' && value && typeof value === 'object') {
+        object = this.readStreamData(value, lexer.position);
+        pattern.lastIndex = object.end;
+      }
+      this.objects.set(parseInt(match[1], 10), object);
+      if (object && object.Type === 'XRef') {
+        this.trailers.push(object);
+      } else if (object && object.dict && object.dict.Type === 'XRef') {
+        this.trailers.push(object.dict);
+      }
+    }
+
+    const trailerPattern = /trailer\s*<</g;
+    while ((match = trailerPattern.exec(text))) {
+      const trailer = readObject(new PdfLexer(this.buffer, match.index + 'trailer'.length));
+      if (trailer && typeof trailer === 'object') {
+        this.trailers.push(trailer);
+      }
+    }
+  }
+
+  /**
+   * Locate a stream's data
+   * @param {Object} dict - Stream dictionary
+   * @param {number} position - Offset just after the "stream" keyword
+   * @returns {Object} { dict, data, end }
+   */
+  readStreamData(dict, position) {
+    const buffer = this.buffer;
+    if (buffer[position] === 0x0d) position++;
+    if (buffer[position] === 0x0a) position++;
+
+    // Use /Length when it is a direct number that ends at "endstream"; otherwise search for it
+    let end = -1;
+    if (typeof dict.Length === 'number' && position + dict.Length <= buffer.length) {
+      const after = buffer.toString('latin1', position + dict.Length, Math.min(buffer.length, position + dict.Length + 20));
+      if (/^\s*endstream/.test(after)) {
+        end = position + dict.Length;
+      }
+    }
+    if (end === -1) {
+      end = buffer.indexOf('endstream', position, 'latin1');
+      if (end === -1) end = buffer.length;
+      if (buffer[end - 1] === 0x0a) end--;
+      if (buffer[end - 1] === 0x0d) end--;
+    }
+    return { dict, data: buffer.subarray(position, end), end };
+  }
+
+  /**
+   * Register the objects stored in object streams (PDF 1.5+)
+   */
+  scanObjectStreams() {
+    for (const object of Array.from(this.objects.values())) {
+      if (!object || !object.dict || object.dict.Type !== 'ObjStm') continue;
+      try {
+        const data = this.decodeStream(object);
+        const lexer = new PdfLexer(data);
+        const first = this.resolve(object.dict.First);
+        for (let i = 0; i < (this.resolve(object.dict.N) || 0); i++) {
+          const num = readObject(lexer);
+          const offset = readObject(lexer);
+          if (typeof num !== 'number' || typeof offset !== 'number') break;
+          if (!this.objects.has(num) && !this.compressed.has(num)) {
+            this.compressed.set(num, { data, position: first + offset });
+          }
+        }
+      } catch (error) {
+        console.warn('[PDF] Skipping unreadable object stream:', error.message);
+      }
+    }
+  }
+
+  /**
+   * Get an object by number
+   * @param {number} num - Object number
+   * @returns {*} Object (undefined if missing)
+   */
+  getObject(num) {
+    if (this.objects.has(num)) {
+      return this.objects.get(num);
+    }
+    const compressed = this.compressed.get(num);
+    if (!compressed) return undefined;
+    const object = readObject(new PdfLexer(compressed.data, compressed.position));
+    this.objects.set(num, object);
+    return object;
+  }
+
+  /**
+   * Resolve references
+   * @param {*} value - Value or PdfRef
+   * @returns {*} Value
+   */
+  resolve(value) {
+    for (let depth = 0; value instanceof PdfRef && depth < 32; depth++) {
+      value = this.getObject(value.num);
+    }
+    return value instanceof PdfRef ? undefined : value;
+  }
+
+  /**
+   * Get the dictionary of a value that may be a stream
+   * @param {*} value - Value or PdfRef
+   * @returns {Object|null} Dictionary
+   */
+  resolveDict(value) {
+    const object = this.resolve(value);
+    if (!object || typeof object !== 'object' || Array.isArray(object) || Buffer.isBuffer(object)) return null;
+    return object.dict && object.data ? object.dict : object;
+  }
+
+  /**
+   * Decode a stream's data
+   * @param {Object} stream - { dict, data }
+   * @returns {Buffer} Decoded data
+   */
+  decodeStream(stream) {
+    const filters = toArray(this.resolve(stream.dict.Filter)).map(filter => this.resolve(filter));
+    const params = toArray(this.resolve(stream.dict.DecodeParms)).map(param => this.resolve(param));
+    let data = stream.data;
+    filters.forEach((filter, index) => {
+      switch (filter) {
+        case 'FlateDecode':
+        case 'Fl':
+          data = applyPredictor(inflate(data), params[index]);
+          break;
+        case 'ASCIIHexDecode':
+        case 'AHx':
+          data = decodeAsciiHex(data);
+          break;
+        case 'ASCII85Decode':
+        case 'A85':
+          data = decodeAscii85(data);
+          break;
+        default:
+          throw new Error(`Unsupported stream filter: ${filter}`);
+      }
+    });
+    return data;
+  }
+
+  /**
+   * Check whether the PDF is encrypted
+   * @returns {boolean} True if a trailer has /Encrypt
+   */
+  isEncrypted() {
+    return this.trailers.some(trailer => trailer.Encrypt !== undefined);
+  }
+
+  /**
+   * Get the pages in order
+   * @returns {Array} [{ dict, resources }]
+   */
+  getPages() {
+    const trailer = this.trailers.slice().reverse().find(t => t.Root);
+    let root = trailer ? this.resolveDict(trailer.Root) : null;
+    if (!root) {
+      root = Array.from(this.objects.values()).reverse().find(object => object && object.Type === 'Catalog') || null;
+    }
+
+    const pages = [];
+    const visited = new Set();
+    const walk = (node, inheritedResources) => {
+      if (!node || visited.has(node)) return;
+      visited.add(node);
+      const resources = this.resolveDict(node.Resources) || inheritedResources;
+      if (node.Kids) {
+        toArray(this.resolve(node.Kids)).forEach(kid => walk(this.resolveDict(kid), resources));
+      } else {
+        pages.push({ dict: node, resources });
+      }
+    };
+    if (root) {
+      walk(this.resolveDict(root.Pages), null);
+    }
+
+    // Without a usable page tree, take the page objects in file order
+    if (pages.length === 0) {
+      Array.from(this.objects.entries())
+        .sort((a, b) => a[0] - b[0])
+        .forEach(([, object]) => {
+          if (object && object.Type === 'Page') {
+            pages.push({ dict: object, resources: this.resolveDict(object.Resources) });
+          }
+        });
+    }
+    return pages;
+  }
+
+  /**
+   * Get a font for text decoding and widths
+   * @param {Object} fontDict - Font dictionary
+   * @returns {Object} { codespaces, decode(code) -> text, width(code) -> thousandths, scale }
+   */
+  getFont(fontDict) {
+    if (this.fonts.has(fontDict)) {
+      return this.fonts.get(fontDict);
+    }
+
+    let toUnicode = null;
+    const toUnicodeStream = this.resolve(fontDict.ToUnicode);
+    if (toUnicodeStream && toUnicodeStream.data) {
+      try {
+        toUnicode = parseToUnicode(this.decodeStream(toUnicodeStream));
+      } catch (error) {
+        console.warn('[PDF] Skipping unreadable ToUnicode map:', error.message);
+      }
+    }
+
+    let font;
+    if (fontDict.Subtype === 'Type0') {
+      // Composite font: 2-byte codes (Identity-H) unless the ToUnicode map says otherwise
+      const descendant = this.resolveDict(toArray(this.resolve(fontDict.DescendantFonts))[0]) || {};
+      const defaultWidth = this.resolve(descendant.DW) || 1000;
+      const widths = new Map();
+      const w = toArray(this.resolve(descendant.W)).map(value => this.resolve(value));
+      for (let i = 0; i < w.length;) {
+        const first = w[i];
+        if (Array.isArray(w[i + 1])) {
+          w[i + 1].forEach((width, offset) => widths.set(first + offset, this.resolve(width)));
+          i += 2;
+        } else {
+          for (let code = first; code <= w[i + 1] && code - first < 0xffff; code++) {
+            widths.set(code, w[i + 2]);
+          }
+          i += 3;
+        }
+      }
+      font = {
+        codespaces: toUnicode && toUnicode.codespaces.length > 0 ? toUnicode.codespaces : [{ low: 0, high: 0xffff, length: 2 }],
+        decode: code => (toUnicode && toUnicode.map.has(code) ? toUnicode.map.get(code) : ''),
+        width: code => (widths.has(code) ? widths.get(code) : defaultWidth),
+        scale: 1
+      };
+    } else {
+      // Simple font: 1-byte codes, WinAnsi with /Differences
+      const differences = new Map();
+      const encoding = this.resolve(fontDict.Encoding);
+      if (encoding && typeof encoding === 'object' && Array.isArray(this.resolve(encoding.Differences))) {
+        let code = 0;
+        this.resolve(encoding.Differences).forEach(entry => {
+          if (typeof entry === 'number') {
+            code = entry;
+          } else if (typeof entry === 'string') {
+            differences.set(code++, glyphNameToText(entry));
+          }
+        });
+      }
+
+      const firstChar = this.resolve(fontDict.FirstChar) || 0;
+      const widths = toArray(this.resolve(fontDict.Widths)).map(value => this.resolve(value));
+      const descriptor = this.resolveDict(fontDict.FontDescriptor) || {};
+      const missingWidth = this.resolve(descriptor.MissingWidth) || DEFAULT_GLYPH_WIDTH;
+      // Type 3 glyph widths are in glyph space (FontMatrix), usually 1/1000 but not always
+      const fontMatrix = toArray(this.resolve(fontDict.FontMatrix));
+      const scale = fontDict.Subtype === 'Type3' && typeof fontMatrix[0] === 'number' ? fontMatrix[0] * 1000 : 1;
+
+      font = {
+        codespaces: [{ low: 0, high: 0xff, length: 1 }],
+        decode: code => {
+          if (toUnicode && toUnicode.map.has(code)) return toUnicode.map.get(code);
+          if (differences.has(code)) return differences.get(code);
+          if (code >= 0x80 && code <= 0x9f) return WIN_ANSI_HIGH[code - 0x80];
+          return code >= 0x20 ? String.fromCharCode(code) : '';
+        },
+        width: code => {
+          const width = widths[code - firstChar];
+          return typeof width === 'number' ? width : (widths.length > 0 ? missingWidth : DEFAULT_GLYPH_WIDTH);
+        },
+        scale
+      };
+    }
+
+    this.fonts.set(fontDict, font);
+    return font;
+  }
+}
+
+/**
+ * Split a string into character codes using the font's codespace ranges
+ * @param {Object} font - Font from PdfDocument.getFont()
+ * @param {Buffer} bytes - String bytes
+ * @returns {Array} [{ code, length }]
+ */
+function splitCodes(font, bytes) {
+  const codes = [];
+  const lengths = Array.from(new Set(font.codespaces.map(range => range.length))).sort((a, b) => a - b);
+  for (let i = 0; i < bytes.length;) {
+    let found = null;
+    for (const length of lengths) {
+      if (i + length > bytes.length) break;
+      const code = bytesToCode(bytes.subarray(i, i + length));
+      if (font.codespaces.some(range => range.length === length && code >= range.low && code <= range.high)) {
+        found = { code, length };
+        break;
+      }
+    }
+    if (!found) {
+      const length = Math.min(lengths[0] || 1, bytes.length - i);
+      found = { code: bytesToCode(bytes.subarray(i, i + length)), length };
+    }
+    codes.push(found);
+    i += found.length;
+  }
+  return codes;
+}
+
+/**
+ * Interprets a page's content streams and collects its words
+ */
+class PageTextCollector {
+  /**
+   * @param {PdfDocument} document - Document
+   */
+  constructor(document) {
+    this.document = document;
+    this.words = [];
+    this.state = {
+      ctm: [1, 0, 0, 1, 0, 0],
+      font: null,
+      fontSize: 0,
+      charSpacing: 0,
+      wordSpacing: 0,
+      horizontalScale: 1,
+      leading: 0,
+      rise: 0
+    };
+    this.stack = [];
+    this.textMatrix = [1, 0, 0, 1, 0, 0];
+    this.lineMatrix = [1, 0, 0, 1, 0, 0];
+  }
+
+  /**
+   * Interpret a content stream
+   * @param {Buffer} data - Decoded content
+   * @param {Object} resources - Resources dictionary
+   * @param {number} depth - Form XObject nesting
+   */
+  run(data, resources, depth = 0) {
+    const lexer = new PdfLexer(data);
+    let operands = [];
+    for (let value = readObject(lexer); value !== undefined; value = readObject(lexer)) {
+      if (!(value instanceof PdfOperator)) {
+        operands.push(value);
+        continue;
+      }
+      if (value.name === 'ID') {
+        lexer.skipInlineImageData();
+      } else {
+        this.execute(value.name, operands, resources, depth);
+      }
+      operands = [];
+    }
+  }
+
+  /**
+   * Execute one operator
+   * @param {string} operator - Operator
+   * @param {Array} operands - Operands
+   * @param {Object} resources - Resources dictionary
+   * @param {number} depth - Form XObject nesting
+   */
+  execute(operator, operands, resources, depth) {
+    const state = this.state;
+    const number = index => (typeof operands[index] === 'number' ? operands[index] : 0);
+
+    switch (operator) {
+      case 'q':
+        this.stack.push({ ...state });
+        break;
+      case 'Q':
+        if (this.stack.length > 0) this.state = this.stack.pop();
+        break;
+      case 'cm':
+        if (operands.length === 6) state.ctm = multiplyMatrices(operands.map((value, index) => number(index)), state.ctm);
+        break;
+      case 'BT':
+        this.textMatrix = [1, 0, 0, 1, 0, 0];
+        this.lineMatrix = [1, 0, 0, 1, 0, 0];
+        break;
+      case 'Tf': {
+        const fonts = resources ? this.document.resolveDict(resources.Font) : null;
+        const fontDict = fonts ? this.document.resolveDict(fonts[operands[0]]) : null;
+        state.font = fontDict ? this.document.getFont(fontDict) : null;
+        state.fontSize = number(1);
+        break;
+      }
+      case 'Tc': state.charSpacing = number(0); break;
+      case 'Tw': state.wordSpacing = number(0); break;
+      case 'Tz': state.horizontalScale = number(0) / 100; break;
+      case 'TL': state.leading = number(0); break;
+      case 'Ts': state.rise = number(0); break;
+      case 'Td':
+        this.moveText(number(0), number(1));
+        break;
+      case 'TD':
+        state.leading = -number(1);
+        this.moveText(number(0), number(1));
+        break;
+      case 'Tm':
+        if (operands.length === 6) {
+          this.textMatrix = operands.map((value, index) => number(index));
+          this.lineMatrix = this.textMatrix.slice();
+        }
+        break;
+      case 'T*':
+        this.moveText(0, -state.leading);
+        break;
+      case 'Tj':
+        if (Buffer.isBuffer(operands[0])) this.showText(operands[0]);
+        break;
+      case "'":
+        this.moveText(0, -state.leading);
+        if (Buffer.isBuffer(operands[0])) this.showText(operands[0]);
+        break;
+      case '"':
+        state.wordSpacing = number(0);
+        state.charSpacing = number(1);
+        this.moveText(0, -state.leading);
+        if (Buffer.isBuffer(operands[2])) this.showText(operands[2]);
+        break;
+      case 'TJ':
+        toArray(operands[0]).forEach(item => {
+          if (Buffer.isBuffer(item)) {
+            this.showText(item);
+          } else if (typeof item === 'number') {
+            this.advance(-item / 1000 * state.fontSize * state.horizontalScale);
+          }
+        });
+        break;
+      case 'Do':
+        this.drawXObject(operands[0], resources, depth);
+        break;
+    }
+  }
+
+  /**
+   * Move to the start of the next line, offset from the start of the current one
+   * @param {number} tx - Horizontal offset
+   * @param {number} ty - Vertical offset
+   */
+  moveText(tx, ty) {
+    this.lineMatrix = multiplyMatrices([1, 0, 0, 1, tx, ty], this.lineMatrix);
+    this.textMatrix = this.lineMatrix.slice();
+  }
+
+  /**
+   * Move the text position along the baseline
+   * @param {number} tx - Offset in text space
+   */
+  advance(tx) {
+    const m = this.textMatrix;
+    this.textMatrix = [m[0], m[1], m[2], m[3], m[4] + tx * m[0], m[5] + tx * m[1]];
+  }
+
+  /**
+   * Show a string, collecting its words with their page positions
+   * @param {Buffer} bytes - String
+   */
+  showText(bytes) {
+    const state = this.state;
+    const font = state.font;
+    if (!font) return;
+
+    let word = null;
+    const flush = () => {
+      if (word && word.text) this.words.push(word);
+      word = null;
+    };
+
+    splitCodes(font, bytes).forEach(({ code, length }) => {
+      const text = font.decode(code);
+      const m = multiplyMatrices(this.textMatrix, state.ctm);
+      const x = m[2] * state.rise + m[4];
+      const y = m[3] * state.rise + m[5];
+      const size = state.fontSize * Math.sqrt(m[2] * m[2] + m[3] * m[3]);
+      // Rotated text (vertical labels) isn't part of the table layout
+      const upright = Math.abs(m[1]) <= Math.abs(m[0]) * 0.1 && m[0] > 0;
+
+      const advance = (font.width(code) * font.scale / 1000 * state.fontSize + state.charSpacing +
+        (length === 1 && code === 0x20 ? state.wordSpacing : 0)) * state.horizontalScale;
+      this.advance(advance);
+      const endX = multiplyMatrices(this.textMatrix, state.ctm)[4];
+
+      if (!upright || !text.trim()) {
+        flush();
+        return;
+      }
+      if (!word) {
+        word = { x, y, endX, size, text: '' };
+      }
+      word.text += text;
+      word.endX = endX;
+    });
+    flush();
+  }
+
+  /**
+   * Draw a form XObject (images are ignored)
+   * @param {string} name - XObject name
+   * @param {Object} resources - Resources dictionary
+   * @param {number} depth - Current nesting
+   */
+  drawXObject(name, resources, depth) {
+    if (depth >= MAX_XOBJECT_DEPTH || !resources) return;
+    const xObjects = this.document.resolveDict(resources.XObject);
+    const xObject = xObjects ? this.document.resolve(xObjects[name]) : null;
+    if (!xObject || !xObject.dict || xObject.dict.Subtype !== 'Form') return;
+
+    try {
+      const data = this.document.decodeStream(xObject);
+      this.stack.push({ ...this.state });
+      const matrix = toArray(this.document.resolve(xObject.dict.Matrix));
+      if (matrix.length === 6) {
+        this.state.ctm = multiplyMatrices(matrix, this.state.ctm);
+      }
+      const savedText = [this.textMatrix, this.lineMatrix];
+      this.run(data, this.document.resolveDict(xObject.dict.Resources) || resources, depth + 1);
+      [this.textMatrix, this.lineMatrix] = savedText;
+      this.state = this.stack.pop();
+    } catch (error) {
+      console.warn('[PDF] Skipping unreadable form XObject:', error.message);
+    }
+  }
+
+  /**
+   * Group the collected words into lines
+   * @returns {Array} [{ y, text, words: [{ x, width, text }] }], top to bottom
+   */
+  getLines() {
+    const words = this.words.slice().sort((a, b) => b.y - a.y || a.x - b.x);
+    const lines = [];
+    words.forEach(word => {
+      const line = lines[lines.length - 1];
+      if (line && Math.abs(line.y - word.y) <= Math.max(1, Math.min(line.size, word.size) * LINE_TOLERANCE)) {
+        line.words.push(word);
+        line.size = Math.min(line.size, word.size);
+      } else {
+        lines.push({ y: word.y, size: word.size, words: [word] });
+      }
+    });
+
+    return lines.map(line => {
+      const merged = [];
+      line.words.sort((a, b) => a.x - b.x).forEach(word => {
+        const previous = merged[merged.length - 1];
+        // Text drawn twice at nearly the same place (fake bold) is kept once
+        if (previous && previous.text === word.text && Math.abs(previous.x - word.x) < 1) return;
+        if (previous && word.x - previous.endX < Math.max(word.size, previous.size) * WORD_GAP) {
+          previous.text += word.text;
+          previous.endX = Math.max(previous.endX, word.endX);
+        } else {
+          merged.push({ ...word });
+        }
+      });
+      const lineWords = merged.map(word => ({ x: word.x, width: word.endX - word.x, text: word.text }));
+      return { y: line.y, text: lineWords.map(word => word.text).join(' '), words: lineWords };
+    });
+  }
+}
+
+/**
+ * Extract the text of a PDF
+ * @param {Buffer} buffer - PDF file content
+ * @returns {Array} [{ pageNumber, lines: [{ y, text, words: [{ x, width, text }] }] }]
+ */
+function extractPdfText(buffer) {
+  const document = new PdfDocument(buffer);
+  if (document.isEncrypted()) {
+    throw new Error('The PDF is encrypted; save an unprotected copy (e.g. print to PDF) and import that');
+  }
+
+  return document.getPages().map((page, index) => {
+    const collector = new PageTextCollector(document);
+    toArray(document.resolve(page.dict.Contents)).forEach(content => {
+      const stream = document.resolve(content);
+      if (!stream || !stream.data) return;
+      try {
+        collector.run(document.decodeStream(stream), page.resources);
+      } catch (error) {
+        console.warn(`[PDF] Skipping unreadable content on page ${index + 1}:`, error.message);
+      }
+    });
+    return { pageNumber: index + 1, lines: collector.getLines() };
+  });
+}
+
+/**
+ * Extract the text of a PDF file
+ * @param {string} filePath - PDF file path
+ * @returns {Promise<Array>} Pages (see extractPdfText)
+ */
+async function readPdfText(filePath) {
+  const buffer = await fs.promises.readFile(filePath);
+  return extractPdfText(buffer);
+}
+
+module.exports = {
+  extractPdfText,
+  readPdfText
+};
@@ -0,0 +1,313 @@
+/**
+ * Pedigree graph and inbreeding calculations
+ *
+ * Builds an ancestor graph from cached animals using the three-generation pedigree
+ * table captured by the scraper (rawTables.table_0) and falls back to
+ * additionalInfo.sire / dam / mgs names when the table is not available
+ * (e.g. animals imported from external data).
+ *
+ * Inbreeding uses Wright's coefficient: the inbreeding of a calf equals the
+ * coefficient of kinship between its sire and dam, computed with the recursive
+ * tabular method over the graph.
+ */
+
+const geneticConditions = require('./genetic-conditions');
+
+/**
+ * Normalize an animal name for matching (case/whitespace/punctuation insensitive)
+ * @param {string} name - Animal name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+  return (name || '').toUpperCase().replace(/[^A-Z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Extract a registration number from a pedigree registration cell
+ * e.g. "AAA    #*17262835\n   [RDF]" -> "17262835"
+ * @param {string} text - Cell text
+ * @returns {string|null} Registration number or null
+ */
+function extractRegistrationNumber(text) {
+  if (!text || typeof text !== 'string') return null;
+  const match = text.match(/(\d{5,})/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Parse the pedigree table (rawTables.table_0) into ancestor entries
+ *
+ * The table is laid out as an in-order binary tree: each parent sits between its
+ * own sire (above) and dam (below), one column to the left of them. The sire half
+ * and dam half are separated by a blank row and the table ends with a legend row.
+ *
+ * @param {Array} table - Array of rows (arrays of cell strings)
+ * @returns {Array} Entries in table order: { level, name, registrationNumber, sire, dam }
+ */
+function parsePedigreeTable(table) {
+  if (!Array.isArray(table)) return [];
+
+  const entries = [];
+  table.forEach(row => {
+    if (!Array.isArray(row)) return;
+
+    // Level is the column of the first non-empty cell (0 = parent, 1 = grandparent, 2 = great-grandparent)
+    const level = row.findIndex(cell => typeof cell === 'string' && cell.trim().length > 0);
+    if (level < 0 || level > 2) return;
+
+    const name = row[level].trim();
+    // Skip legend row ("# Pathfinder + Embryo Transplant * Parents Qualified")
+    if (/pathfinder|embryo transplant|parents qualified/i.test(name)) return;
+
+    entries.push({
+      level: level,
+      name: name,
+      registrationNumber: extractRegistrationNumber(row[level + 1]),
+      sire: null,
+      dam: null
+    });
+  });
+
+  // Link each entry to its parents: nearest entry one level deeper above (sire) and below (dam)
+  entries.forEach((entry, index) => {
+    for (let i = index - 1; i >= 0 && entries[i].level > entry.level; i--) {
+      if (entries[i].level === entry.level + 1) {
+        entry.sire = entries[i];
+        break;
+      }
+    }
+    for (let i = index + 1; i < entries.length && entries[i].level > entry.level; i++) {
+      if (entries[i].level === entry.level + 1) {
+        entry.dam = entries[i];
+        break;
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Create an empty pedigree graph
+ * @returns {Object} Graph with node map, name aliases and kinship memo
+ */
+function createEmptyGraph() {
+  return {
+    nodes: new Map(), // id -> { id, name, sire, dam, geneticConditions }
+    nameToId: new Map(), // normalized name -> registration-number id
+    carriedConditions: new Set(), // condition codes with at least one carrier in the graph
+    kinshipCache: new Map(),
+    orderCache: new Map(),
+    transmissionCache: new Map()
+  };
+}
+
+/**
+ * Resolve a node ID for an ancestor reference
+ * Registration numbers are preferred; name-only references become "NAME:<name>"
+ * @param {Object} graph - Pedigree graph
+ * @param {string|null} registrationNumber - Registration number
+ * @param {string|null} name - Animal name
+ * @returns {string|null} Node ID
+ */
+function resolveNodeId(graph, registrationNumber, name) {
+  if (registrationNumber) return registrationNumber;
+  const normalized = normalizeName(name);
+  if (!normalized) return null;
+  return graph.nameToId.get(normalized) || `NAME:${normalized}`;
+}
+
+/**
+ * Add (or merge) a node in the graph. Known parents are never overwritten with unknowns.
+ * @param {Object} graph - Pedigree graph
+ * @param {string} id - Node ID
+ * @param {string|null} name - Animal name
+ * @param {string|null} sireId - Sire node ID
+ * @param {string|null} damId - Dam node ID
+ */
+function addNode(graph, id, name, sireId, damId) {
+  if (!id) return;
+
+  let node = graph.nodes.get(id);
+  if (!node) {
+    node = { id: id, name: name || null, sire: null, dam: null, geneticConditions: null };
+    graph.nodes.set(id, node);
+  }
+  if (!node.name && name) node.name = name;
+  if (!node.sire && sireId && sireId !== id) node.sire = sireId;
+  if (!node.dam && damId && damId !== id) node.dam = damId;
+}
+
+/**
+ * Build a pedigree graph from cached animals
+ * @param {Array} animals - Array of animal data objects (as returned by getCachedAnimalsWithData)
+ * @returns {Object} Pedigree graph
+ */
+function buildPedigreeGraph(animals) {
+  const graph = createEmptyGraph();
+  const parsed = [];
+
+  // First pass: parse tables and learn name -> registration number aliases
+  (animals || []).forEach(animal => {
+    if (!animal || !animal.registrationNumber) return;
+
+    const entries = parsePedigreeTable(animal.rawTables?.table_0);
+    parsed.push({ animal, entries });
+
+    const animalName = normalizeName(animal.animalName);
+    if (animalName) graph.nameToId.set(animalName, animal.registrationNumber);
+    entries.forEach(entry => {
+      const entryName = normalizeName(entry.name);
+      if (entry.registrationNumber && entryName && !graph.nameToId.has(entryName)) {
+        graph.nameToId.set(entryName, entry.registrationNumber);
+      }
+    });
+  });
+
+  // Second pass: add nodes and parent links
+  parsed.forEach(({ animal, entries }) => {
+    const info = animal.additionalInfo || {};
+    const idOf = entry => (entry ? resolveNodeId(graph, entry.registrationNumber, entry.name) : null);
+
+    const parents = entries.filter(e => e.level === 0);
+    let sireEntry = parents[0] || null;
+    let damEntry = parents[1] || null;
+
+    // With a single parent row, use additionalInfo names to decide which side it is
+    if (parents.length === 1 && info.dam && normalizeName(info.dam) === normalizeName(parents[0].name)) {
+      sireEntry = null;
+      damEntry = parents[0];
+    }
+
+    const sireId = idOf(sireEntry) || resolveNodeId(graph, null, info.sire);
+    const damId = idOf(damEntry) || resolveNodeId(graph, null, info.dam);
+    addNode(graph, animal.registrationNumber, animal.animalName, sireId, damId);
+
+    entries.forEach(entry => {
+      addNode(graph, idOf(entry), entry.name, idOf(entry.sire), idOf(entry.dam));
+    });
+
+    // Maternal grandsire from additionalInfo when the table did not provide one
+    if (damId && info.mgs) {
+      addNode(graph, damId, info.dam || null, resolveNodeId(graph, null, info.mgs), null);
+    }
+    if (sireId) addNode(graph, sireId, info.sire || null, null, null);
+
+    // Genetic condition test results for the animal and its ancestors
+    const ownConditions = geneticConditions.getGeneticConditions(animal);
+    if (ownConditions) {
+      graph.nodes.get(animal.registrationNumber).geneticConditions = ownConditions;
+    }
+    const ancestorConditions = geneticConditions.getPedigreeGeneticConditions(animal);
+    Object.keys(ancestorConditions).forEach(registrationNumber => {
+      const node = graph.nodes.get(registrationNumber);
+      if (node && !node.geneticConditions) {
+        node.geneticConditions = ancestorConditions[registrationNumber];
+      }
+    });
+  });
+
+  // Conditions with a carrier, affected or potential carrier anywhere in the graph
+  graph.nodes.forEach(node => {
+    Object.entries(node.geneticConditions || {}).forEach(([condition, status]) => {
+      if (status === 'C' || status === 'A' || status === 'P') {
+        graph.carriedConditions.add(condition);
+      }
+    });
+  });
+
+  console.log(`[PEDIGREE] Built pedigree graph with ${graph.nodes.size} animals from ${parsed.length} cached animals`);
+  return graph;
+}
+
+/**
+ * Generation order of a node: 1 + max order of its parents (founders = 1, unknown = 0)
+ * An ancestor always has a lower order than its descendants. Cycles (bad data) are broken
+ * by treating the repeated parent as unknown.
+ * @param {Object} graph - Pedigree graph
+ * @param {string|null} id - Node ID
+ * @param {Set} visiting - Node IDs on the current path
+ * @returns {number} Generation order
+ */
+function getGenerationOrder(graph, id, visiting = new Set()) {
+  if (!id || !graph.nodes.has(id) || visiting.has(id)) return 0;
+  if (graph.orderCache.has(id)) return graph.orderCache.get(id);
+
+  visiting.add(id);
+  const node = graph.nodes.get(id);
+  const order = 1 + Math.max(getGenerationOrder(graph, node.sire, visiting), getGenerationOrder(graph, node.dam, visiting));
+  visiting.delete(id);
+
+  graph.orderCache.set(id, order);
+  return order;
+}
+
+/**
+ * Coefficient of kinship between two animals (probability that alleles drawn at random
+ * from each are identical by descent)
+ * @param {Object} graph - Pedigree graph
+ * @param {string|null} idA - First animal ID
+ * @param {string|null} idB - Second animal ID
+ * @returns {number} Kinship coefficient (0..1)
+ */
+function calculateKinship(graph, idA, idB) {
+  if (!idA || !idB || !graph.nodes.has(idA) || !graph.nodes.has(idB)) return 0;
+
+  const cacheKey = idA < idB ? `${idA}|${idB}` : `${idB}|${idA}`;
+  if (graph.kinshipCache.has(cacheKey)) return graph.kinshipCache.get(cacheKey);
+
+  let kinship;
+  if (idA === idB) {
+    // Self-kinship: (1 + F) / 2, where F is the animal's own inbreeding
+    const node = graph.nodes.get(idA);
+    kinship = (1 + calculateKinship(graph, node.sire, node.dam)) / 2;
+  } else {
+    // Expand the younger animal (higher generation order) - it cannot be an ancestor of the other
+    const orderA = getGenerationOrder(graph, idA);
+    const orderB = getGenerationOrder(graph, idB);
+    const [older, younger] = orderA > orderB ? [idB, idA] : [idA, idB];
+    const node = graph.nodes.get(younger);
+    if (getGenerationOrder(graph, node.sire) >= getGenerationOrder(graph, younger) ||
+        getGenerationOrder(graph, node.dam) >= getGenerationOrder(graph, younger)) {
+      kinship = 0; // Parent link broken by a cycle - treat as unrelated
+    } else {
+      kinship = (calculateKinship(graph, older, node.sire) + calculateKinship(graph, older, node.dam)) / 2;
+    }
+  }
+
+  graph.kinshipCache.set(cacheKey, kinship);
+  return kinship;
+}
+
+/**
+ * Wright's coefficient of inbreeding for a calf from the given sire and dam
+ * @param {Object} graph - Pedigree graph
+ * @param {string} sireId - Sire registration number
+ * @param {string} damId - Dam registration number
+ * @returns {number} Inbreeding coefficient (0..1)
+ */
+function calculateMatingInbreeding(graph, sireId, damId) {
+  if (!graph || !sireId || !damId) return 0;
+  return calculateKinship(graph, sireId, damId);
+}
+
+/**
+ * Wright's coefficient of inbreeding for an existing animal
+ * @param {Object} graph - Pedigree graph
+ * @param {string} animalId - Animal registration number
+ * @returns {number} Inbreeding coefficient (0..1)
+ */
+function calculateAnimalInbreeding(graph, animalId) {
+  const node = graph?.nodes.get(animalId);
+  if (!node) return 0;
+  return calculateKinship(graph, node.sire, node.dam);
+}
+
+module.exports = {
+  normalizeName,
+  parsePedigreeTable,
+  buildPedigreeGraph,
+  calculateKinship,
+  calculateMatingInbreeding,
+  calculateAnimalInbreeding
+};
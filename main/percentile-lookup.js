@@ -1,20 +1,32 @@
 const puppeteer = require('puppeteer');
 const cacheUtil = require('./cache-util');
+const epdHistory = require('./epd-history');
+const percentileSnapshots = require('./percentile-snapshots');
 
 const PERCENTILE_CACHE_KEY = 'percentile-breakdowns';
 const COW_PERCENTILE_CACHE_KEY = 'percentile-breakdowns-cows';
 
 /**
  * Scrapes the percentile breakdowns page and extracts EPD values for each percentile rank
+ * Returns the selected snapshot instead when an evaluation date is pinned (see percentile-snapshots),
+ * and falls back to the newest saved or bundled snapshot when the page can't be fetched.
  * @param {boolean} forceRefresh - If true, bypass cache and fetch fresh data
  * @returns {Object} Structured data: { traitName: [{ percentile: number, epdValue: string }] }
  */
 async function fetchPercentileBreakdowns(forceRefresh = false) {
+  // Score against the selected evaluation's snapshot when one is pinned
+  const pinned = percentileSnapshots.getSelectedSnapshot('bull');
+  if (pinned) {
+    console.log(`[PERCENTILE] Using percentile snapshot as of ${pinned.asOf}`);
+    return pinned.data;
+  }
+
   // Check file-based cache first (unless force refresh)
   if (!forceRefresh) {
     const cached = cacheUtil.loadCache(PERCENTILE_CACHE_KEY);
     if (cached && cached.data) {
       console.log('[PERCENTILE] Using cached percentile data from file');
+      percentileSnapshots.ensureSnapshot('bull', cached.data, cached.asOf || null);
       return cached.data;
     }
   }
@@ -251,10 +263,14 @@ async function fetchPercentileBreakdowns(forceRefresh = false) {
       throw new Error('Failed to extract percentile breakdown data from table');
     }
 
+    // Evaluation date shown on the page (falls back to today)
+    const pageText = await page.evaluate(() => document.body.innerText);
     await browser.close();
 
-    // Save to file cache
-    cacheUtil.saveCache(PERCENTILE_CACHE_KEY, extractedResult);
+    // Save to file cache and keep a dated snapshot
+    const asOf = epdHistory.parseAsOfDate(pageText);
+    cacheUtil.saveCache(PERCENTILE_CACHE_KEY, extractedResult, undefined, { asOf: asOf });
+    percentileSnapshots.saveSnapshot('bull', extractedResult, { asOf: asOf || undefined });
     console.log(`[PERCENTILE] Successfully loaded percentile data for ${Object.keys(extractedResult).length} traits`);
     if (debugInfo.sampleExtractedTraits) {
       console.log(`[PERCENTILE] Sample traits: ${debugInfo.sampleExtractedTraits.join(', ')}`);
@@ -264,21 +280,38 @@ async function fetchPercentileBreakdowns(forceRefresh = false) {
   } catch (error) {
     if (browser) await browser.close();
     console.error('[PERCENTILE] Error fetching percentile breakdowns:', error);
+
+    // Offline or page changed: fall back to the newest saved (or bundled) snapshot
+    const fallback = percentileSnapshots.getLatestSnapshot('bull');
+    if (fallback) {
+      console.warn(`[PERCENTILE] Using ${fallback.source} percentile snapshot as of ${fallback.asOf} instead`);
+      return fallback.data;
+    }
     throw error;
   }
 }
 
 /**
  * Scrapes the cow percentile breakdowns page and extracts EPD values for each percentile rank
+ * Returns the selected snapshot instead when an evaluation date is pinned (see percentile-snapshots),
+ * and falls back to the newest saved or bundled snapshot when the page can't be fetched.
  * @param {boolean} forceRefresh - If true, bypass cache and fetch fresh data
  * @returns {Object} Structured data: { traitName: [{ percentile: number, epdValue: string }] }
  */
 async function fetchCowPercentileBreakdowns(forceRefresh = false) {
+  // Score against the selected evaluation's snapshot when one is pinned
+  const pinned = percentileSnapshots.getSelectedSnapshot('cow');
+  if (pinned) {
+    console.log(`[PERCENTILE] Using cow percentile snapshot as of ${pinned.asOf}`);
+    return pinned.data;
+  }
+
   // Check file-based cache first (unless force refresh)
   if (!forceRefresh) {
     const cached = cacheUtil.loadCache(COW_PERCENTILE_CACHE_KEY);
     if (cached && cached.data) {
       console.log('[PERCENTILE] Using cached cow percentile data from file');
+      percentileSnapshots.ensureSnapshot('cow', cached.data, cached.asOf || null);
       return cached.data;
     }
   }
@@ -515,10 +548,14 @@ async function fetchCowPercentileBreakdowns(forceRefresh = false) {
       throw new Error('Failed to extract cow percentile breakdown data from table');
     }
 
+    // Evaluation date shown on the page (falls back to today)
+    const pageText = await page.evaluate(() => document.body.innerText);
     await browser.close();
 
-    // Save to file cache
-    cacheUtil.saveCache(COW_PERCENTILE_CACHE_KEY, extractedResult);
+    // Save to file cache and keep a dated snapshot
+    const asOf = epdHistory.parseAsOfDate(pageText);
+    cacheUtil.saveCache(COW_PERCENTILE_CACHE_KEY, extractedResult, undefined, { asOf: asOf });
+    percentileSnapshots.saveSnapshot('cow', extractedResult, { asOf: asOf || undefined });
     console.log(`[PERCENTILE] Successfully loaded cow percentile data for ${Object.keys(extractedResult).length} traits`);
     if (debugInfo.sampleExtractedTraits) {
       console.log(`[PERCENTILE] Sample traits: ${debugInfo.sampleExtractedTraits.join(', ')}`);
@@ -528,6 +565,13 @@ async function fetchCowPercentileBreakdowns(forceRefresh = false) {
   } catch (error) {
     if (browser) await browser.close();
     console.error('[PERCENTILE] Error fetching cow percentile breakdowns:', error);
+
+    // Offline or page changed: fall back to the newest saved (or bundled) snapshot
+    const fallback = percentileSnapshots.getLatestSnapshot('cow');
+    if (fallback) {
+      console.warn(`[PERCENTILE] Using ${fallback.source} cow percentile snapshot as of ${fallback.asOf} instead`);
+      return fallback.data;
+    }
     throw error;
   }
 }
@@ -621,10 +665,11 @@ function estimatePercentileRank(traitName, epdValue, percentileData) {
 /**
  * Maps calculated EPDs to percentile ranks
  * @param {Object} calculatedEPDs - Object with trait names as keys and EPD values as values: { "BW": "+1.5", "WW": "+57", ... }
+ * @param {Object} percentileData - Percentile breakdown data to rank against (optional, default: bull breakdowns)
  * @returns {Object} Object with percentile ranks: { "BW": 27, "WW": 65, ... }
  */
-async function mapEPDsToPercentiles(calculatedEPDs) {
-  const percentileData = await fetchPercentileBreakdowns();
+async function mapEPDsToPercentiles(calculatedEPDs, percentileData = null) {
+  percentileData = percentileData || await fetchPercentileBreakdowns();
   const result = {};
   
   // Log available traits in percentile data for debugging
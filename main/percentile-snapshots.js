@@ -0,0 +1,283 @@
+/**
+ * Percentile breakdown snapshots
+ *
+ * Every percentile breakdown fetched from angus.org is kept as a dated snapshot so that
+ * scores can be reproduced against an earlier evaluation, and so that scoring still works
+ * when the fetch fails:
+ * - Saved snapshots: userData/percentile-snapshots/<bull|cow>-<YYYY-MM-DD>.json
+ * - Bundled snapshots: config/percentile-snapshots/ (shipped with the app, used on first launch
+ *   without network; see scripts/bundle-percentile-snapshots.js)
+ *
+ * Snapshot file: { type, asOf, fetchedAt, source, data }
+ *
+ * The selected snapshot ('latest' or an evaluation date) is saved in selection.json in the
+ * snapshot folder. With 'latest', the current breakdown is used (fetched when the cache expires).
+ * With a date, the bull and cow snapshots for that evaluation are used without fetching.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_TYPES = ['bull', 'cow'];
+const LATEST = 'latest';
+const SNAPSHOT_FILE_PATTERN = /^(bull|cow)-(\d{4}-\d{2}-\d{2})\.json$/;
+const SELECTION_FILE_NAME = 'selection.json';
+
+const BUNDLED_SNAPSHOT_DIR = path.join(__dirname, '../config/percentile-snapshots');
+
+let snapshotDirOverride = null;
+let snapshotListCache = null;
+
+/**
+ * Get the folder for saved snapshots
+ * @returns {string} Snapshot folder path
+ */
+function getSnapshotDir() {
+  if (snapshotDirOverride) return snapshotDirOverride;
+  try {
+    // Use userData path - works in both dev and packaged apps
+    const { app } = require('electron');
+    const userDataPath = app.getPath('userData');
+    return path.join(userDataPath, 'percentile-snapshots');
+  } catch (error) {
+    console.error('[PERCENTILE-SNAPSHOTS] Error getting userData path, using fallback:', error);
+    // Fallback to relative path if app.getPath fails (dev mode)
+    return path.join(__dirname, '../config/user-percentile-snapshots');
+  }
+}
+
+/**
+ * Use a different snapshot folder (command-line tool)
+ * @param {string|null} dir - Folder path, or null for the default
+ */
+function setSnapshotDir(dir) {
+  snapshotDirOverride = dir;
+  snapshotListCache = null;
+}
+
+/**
+ * Read the snapshot files in a folder
+ * @param {string} dir - Folder path
+ * @param {string} source - 'saved' or 'bundled'
+ * @returns {Array} Snapshot summaries { id, type, asOf, fetchedAt, source, traitCount, filePath }
+ */
+function readSnapshotDir(dir, source) {
+  if (!fs.existsSync(dir)) return [];
+
+  const snapshots = [];
+  fs.readdirSync(dir).forEach(fileName => {
+    const match = fileName.match(SNAPSHOT_FILE_PATTERN);
+    if (!match) return;
+    const filePath = path.join(dir, fileName);
+    try {
+      const snapshot = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      snapshots.push({
+        id: `${source}:${match[1]}-${match[2]}`,
+        type: match[1],
+        asOf: match[2],
+        fetchedAt: snapshot.fetchedAt || null,
+        source: source,
+        traitCount: Object.keys(snapshot.data || {}).length,
+        filePath: filePath
+      });
+    } catch (error) {
+      console.error(`[PERCENTILE-SNAPSHOTS] Error reading snapshot ${fileName}:`, error.message);
+    }
+  });
+  return snapshots;
+}
+
+/**
+ * List available snapshots, newest evaluation first
+ * Saved snapshots replace bundled ones for the same type and evaluation date.
+ * @param {string} type - 'bull' or 'cow' (optional, default: both)
+ * @returns {Array} Snapshot summaries
+ */
+function listSnapshots(type = null) {
+  if (!snapshotListCache) {
+    const saved = readSnapshotDir(getSnapshotDir(), 'saved');
+    const savedKeys = new Set(saved.map(s => `${s.type}-${s.asOf}`));
+    const bundled = readSnapshotDir(BUNDLED_SNAPSHOT_DIR, 'bundled').filter(s => !savedKeys.has(`${s.type}-${s.asOf}`));
+    snapshotListCache = saved.concat(bundled).sort((a, b) => b.asOf.localeCompare(a.asOf) || a.type.localeCompare(b.type));
+  }
+  return type ? snapshotListCache.filter(s => s.type === type) : snapshotListCache.slice();
+}
+
+/**
+ * Load a snapshot's percentile data
+ * @param {Object} summary - Snapshot summary from listSnapshots()
+ * @returns {Object|null} Snapshot { type, asOf, fetchedAt, source, data }, or null if unreadable
+ */
+function readSnapshot(summary) {
+  if (!summary) return null;
+  try {
+    const snapshot = JSON.parse(fs.readFileSync(summary.filePath, 'utf8'));
+    return { ...snapshot, type: summary.type, asOf: summary.asOf, source: summary.source };
+  } catch (error) {
+    console.error('[PERCENTILE-SNAPSHOTS] Error loading snapshot:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Save a fetched percentile breakdown as a snapshot (replaces a saved snapshot with the same date)
+ * @param {string} type - 'bull' or 'cow'
+ * @param {Object} data - Percentile data ({ TRAIT: [{ percentile, epdValue }] })
+ * @param {Object} options - { asOf (YYYY-MM-DD, default: today), fetchedAt (ISO timestamp, default: now) }
+ * @returns {Object|null} Saved snapshot summary, or null on error
+ */
+function saveSnapshot(type, data, options = {}) {
+  if (!SNAPSHOT_TYPES.includes(type)) throw new Error(`Unknown percentile snapshot type: ${type}`);
+  if (!data || Object.keys(data).length === 0) return null;
+
+  const fetchedAt = options.fetchedAt || new Date().toISOString();
+  const asOf = options.asOf || fetchedAt.substring(0, 10);
+
+  try {
+    const dir = getSnapshotDir();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    const filePath = path.join(dir, `${type}-${asOf}.json`);
+    const snapshot = { type: type, asOf: asOf, fetchedAt: fetchedAt, source: 'angus.org', data: data };
+    fs.writeFileSync(filePath, JSON.stringify(snapshot, null, 2), 'utf8');
+    snapshotListCache = null;
+    console.log(`[PERCENTILE-SNAPSHOTS] Saved ${type} percentile snapshot as of ${asOf}`);
+    return listSnapshots(type).find(s => s.asOf === asOf && s.source === 'saved') || null;
+  } catch (error) {
+    console.error('[PERCENTILE-SNAPSHOTS] Error saving snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Save cached percentile data as a snapshot if no snapshot of that type has been saved yet
+ * (percentile data cached before snapshots were kept)
+ * Cache records from before the evaluation date was stored are skipped: the date they were
+ * cached isn't the evaluation they belong to, and the next fetch saves a dated snapshot.
+ * @param {string} type - 'bull' or 'cow'
+ * @param {Object} data - Cached percentile data
+ * @param {string|null} asOf - Evaluation date of the cached data (YYYY-MM-DD)
+ */
+function ensureSnapshot(type, data, asOf) {
+  if (listSnapshots(type).some(s => s.source === 'saved')) return;
+  if (!asOf) {
+    console.log(`[PERCENTILE-SNAPSHOTS] Cached ${type} percentile data has no evaluation date, not saving a snapshot`);
+    return;
+  }
+  saveSnapshot(type, data, { asOf: asOf });
+}
+
+/**
+ * Get the newest snapshot of a type (saved or bundled)
+ * @param {string} type - 'bull' or 'cow'
+ * @returns {Object|null} Snapshot with data, or null if there is none
+ */
+function getLatestSnapshot(type) {
+  return readSnapshot(listSnapshots(type)[0]);
+}
+
+/**
+ * Get the snapshot of a type for an evaluation date
+ * Uses the snapshot from that date, or the newest one before it (e.g. a cow breakdown that
+ * was last fetched a week before the bull breakdown).
+ * @param {string} type - 'bull' or 'cow'
+ * @param {string} asOf - Evaluation date (YYYY-MM-DD)
+ * @returns {Object|null} Snapshot with data, or null if none is that old
+ */
+function getSnapshotForDate(type, asOf) {
+  return readSnapshot(listSnapshots(type).find(s => s.asOf <= asOf));
+}
+
+/**
+ * Get the selected snapshot date
+ * @returns {string} 'latest' or an evaluation date (YYYY-MM-DD)
+ */
+function getSelection() {
+  try {
+    const selectionPath = path.join(getSnapshotDir(), SELECTION_FILE_NAME);
+    if (fs.existsSync(selectionPath)) {
+      const selection = JSON.parse(fs.readFileSync(selectionPath, 'utf8'));
+      if (selection.asOf && /^\d{4}-\d{2}-\d{2}$/.test(selection.asOf)) return selection.asOf;
+    }
+  } catch (error) {
+    console.error('[PERCENTILE-SNAPSHOTS] Error loading selection:', error);
+  }
+  return LATEST;
+}
+
+/**
+ * Select the snapshot date used for scoring
+ * @param {string} asOf - 'latest' or an evaluation date (YYYY-MM-DD)
+ * @returns {Object} { success, selection, error }
+ */
+function setSelection(asOf) {
+  if (asOf !== LATEST && !/^\d{4}-\d{2}-\d{2}$/.test(asOf || '')) {
+    return { success: false, error: `Invalid evaluation date: ${asOf}` };
+  }
+  if (asOf !== LATEST && !listSnapshots().some(s => s.asOf <= asOf)) {
+    return { success: false, error: `No percentile snapshot on or before ${asOf}` };
+  }
+
+  try {
+    const dir = getSnapshotDir();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    fs.writeFileSync(path.join(dir, SELECTION_FILE_NAME), JSON.stringify({ asOf: asOf === LATEST ? null : asOf }, null, 2), 'utf8');
+    console.log(`[PERCENTILE-SNAPSHOTS] Scoring against ${asOf === LATEST ? 'the latest percentile breakdown' : `the ${asOf} percentile breakdown`}`);
+    return { success: true, selection: asOf };
+  } catch (error) {
+    console.error('[PERCENTILE-SNAPSHOTS] Error saving selection:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Get the pinned snapshot for scoring, if an evaluation date is selected
+ * @param {string} type - 'bull' or 'cow'
+ * @returns {Object|null} Snapshot with data, or null when scoring against the latest breakdown
+ */
+function getSelectedSnapshot(type) {
+  const selection = getSelection();
+  if (selection === LATEST) return null;
+
+  const snapshot = getSnapshotForDate(type, selection);
+  if (!snapshot) {
+    console.log(`[PERCENTILE-SNAPSHOTS] No ${type} snapshot on or before ${selection}, using the latest breakdown`);
+  }
+  return snapshot;
+}
+
+/**
+ * List evaluation dates that can be selected, newest first
+ * @returns {Array} [{ asOf, types: ['bull', 'cow'], source: 'saved'|'bundled' }]
+ */
+function listEvaluations() {
+  const byDate = new Map();
+  listSnapshots().forEach(snapshot => {
+    if (!byDate.has(snapshot.asOf)) {
+      byDate.set(snapshot.asOf, { asOf: snapshot.asOf, types: [], source: snapshot.source });
+    }
+    const evaluation = byDate.get(snapshot.asOf);
+    evaluation.types.push(snapshot.type);
+    if (snapshot.source === 'saved') evaluation.source = 'saved';
+  });
+  return Array.from(byDate.values());
+}
+
+module.exports = {
+  SNAPSHOT_TYPES,
+  LATEST,
+  BUNDLED_SNAPSHOT_DIR,
+  setSnapshotDir,
+  listSnapshots,
+  listEvaluations,
+  saveSnapshot,
+  ensureSnapshot,
+  getLatestSnapshot,
+  getSnapshotForDate,
+  getSelection,
+  setSelection,
+  getSelectedSnapshot
+};
@@ -0,0 +1,322 @@
+/**
+ * Sale catalog parser
+ *
+ * Turns the text of a PDF sale catalog (see pdf-document.js) into a table with one row per
+ * lot, so catalogs go through the same column mapping, validation and conversion as
+ * spreadsheets. A lot block starts at a line beginning with "Lot <number>" and runs to the
+ * next one. In each block the parser looks for:
+ *   - the animal's name: the rest of the lot line, or the first capitalized line after it
+ *   - the registration number: "Reg", "Reg. No.", "Registration" or "AAA" followed by the number
+ *     (or the block's only 8-digit number)
+ *   - tattoo and birth date when labeled ("Tattoo:", "BD:", "DOB", "Calved")
+ *   - EPD tables: a line of trait codes (CED BW WW YW ...) followed by an EPD row and a
+ *     percentile row ("%", "%Rank", "Pctl", ...); accuracy rows are ignored. When a row has
+ *     fewer values than the table has traits, values go to the trait column they sit under.
+ *
+ * Catalogs printed two lots side by side are read line by line across both, so their lots
+ * are not separated; single-column layouts (one or more lots per page, top to bottom) are.
+ */
+
+// Trait codes printed in Angus sale catalogs
+const CATALOG_TRAIT_CODES = [
+  'CED', 'BW', 'WW', 'YW', 'RADG', 'DMI', 'YH', 'SC', 'DOC', 'CLAW', 'ANGLE', 'PAP', 'HS', 'HP', 'CEM',
+  'MILK', 'MW', 'MH', '$EN', 'CW', 'MARB', 'RE', 'FAT', '$M', '$W', '$F', '$G', '$B', '$C'
+];
+
+// EPD table headers and rows have at least this many trait codes / values
+const MIN_TABLE_TRAITS = 3;
+
+// Value rows are looked for this many lines below a trait header
+const MAX_TABLE_ROWS = 6;
+
+const LOT_PATTERN = /^lot\s*(?:no\.?|#)?\s*(\d+[a-z]?)\b[.:\-–—]?\s*(.*)$/i;
+const REGISTRATION_PATTERN = /\b(?:reg(?:istration)?(?:\s*(?:no|num|number))?|aaa)\s*[.:#\s]*[+*]*\s*(\d{5,10})\b/i;
+const TATTOO_PATTERN = /\btattoo\s*[:#]?\s*([a-z0-9-]+)/i;
+const BIRTH_DATE_PATTERN = /\b(?:bd|dob|birth\s*date|calved|born)\s*[:.]?\s*(\d{1,2}[/.-]\d{1,2}[/.-]\d{2,4})/i;
+const VALUE_PATTERN = /^(?:i\s*)?[+-]?(?:\d+\.?\d*|\.\d+)%?$/i;
+const PLACEHOLDER_PATTERN = /^(?:n\/?a|-+|—|\*)$/i;
+
+/**
+ * Normalize a word from a catalog (dashes used as minus signs, trailing colons)
+ * @param {string} text - Word
+ * @returns {string} Normalized word
+ */
+function normalizeWord(text) {
+  return text.replace(/[−–]/g, '-').replace(/:$/, '').trim();
+}
+
+/**
+ * Get the trait code a word stands for
+ * @param {string} text - Word
+ * @returns {string|null} Trait code (e.g. "MARB" for "Marb"), or null
+ */
+function getTraitCode(text) {
+  const code = normalizeWord(text).toUpperCase();
+  return CATALOG_TRAIT_CODES.includes(code) ? code : null;
+}
+
+/**
+ * Check whether a word is a table value (EPD, percentile or a placeholder for a missing value)
+ * @param {string} text - Word
+ * @returns {boolean} True for values
+ */
+function isValueWord(text) {
+  const word = normalizeWord(text);
+  return VALUE_PATTERN.test(word) || PLACEHOLDER_PATTERN.test(word);
+}
+
+/**
+ * Read a line as an EPD table header
+ * @param {Object} line - Line ({ text, words })
+ * @returns {Array|null} Trait columns [{ code, x, width }], or null if the line isn't a trait header
+ */
+function readTraitHeader(line) {
+  const columns = line.words
+    .map(word => ({ code: getTraitCode(word.text), x: word.x, width: word.width }))
+    .filter(column => column.code);
+  // A label cell ("EPD", "Traits") may come first; anything more is prose that mentions traits
+  if (columns.length < MIN_TABLE_TRAITS || columns.length < line.words.length - 1) {
+    return null;
+  }
+  return columns;
+}
+
+/**
+ * Read a line as an EPD table row
+ * @param {Object} line - Line ({ text, words })
+ * @returns {Object|null} { label, values: [{ text, x, width }] }, or null if the line isn't a value row
+ */
+function readValueRow(line) {
+  const firstValue = line.words.findIndex(word => isValueWord(word.text));
+  if (firstValue === -1) return null;
+  const values = line.words.slice(firstValue);
+  if (values.length < MIN_TABLE_TRAITS || values.some(word => !isValueWord(word.text))) return null;
+
+  return {
+    label: line.words.slice(0, firstValue).map(word => word.text).join(' ').replace(/:$/, '').trim(),
+    values: values.map(word => {
+      const text = normalizeWord(word.text);
+      return { text: PLACEHOLDER_PATTERN.test(text) ? '' : text, x: word.x, width: word.width };
+    })
+  };
+}
+
+/**
+ * Classify a value row by its label
+ * @param {string} label - Row label ('' if the row has none)
+ * @returns {string} 'epd', 'percentRank', 'ignore' or 'unlabeled'
+ */
+function classifyRow(label) {
+  if (!label) return 'unlabeled';
+  const normalized = label.toLowerCase().replace(/\s+/g, ' ');
+  if (/^epds?$/.test(normalized)) return 'epd';
+  if (/^(%|% ?rank|% ?rnk|%tile|pctl|pct|percentile|percent ?rank|rank)$/.test(normalized)) return 'percentRank';
+  return 'ignore';
+}
+
+/**
+ * Match a row's values to the trait columns
+ * @param {Array} columns - Trait columns from readTraitHeader()
+ * @param {Array} values - Values from readValueRow()
+ * @returns {Map} Trait code -> value text
+ */
+function alignValues(columns, values) {
+  const result = new Map();
+  if (values.length === columns.length) {
+    columns.forEach((column, index) => result.set(column.code, values[index].text));
+    return result;
+  }
+
+  // Missing cells: each value goes to the column whose centre is closest to its own
+  const distances = new Map();
+  values.forEach(value => {
+    const center = value.x + value.width / 2;
+    let best = null;
+    columns.forEach(column => {
+      const distance = Math.abs(column.x + column.width / 2 - center);
+      if (!best || distance < best.distance) best = { code: column.code, distance };
+    });
+    if (best && (!distances.has(best.code) || best.distance < distances.get(best.code))) {
+      distances.set(best.code, best.distance);
+      result.set(best.code, value.text);
+    }
+  });
+  return result;
+}
+
+/**
+ * Check whether a line could be an animal's name
+ * @param {string} text - Line text
+ * @returns {boolean} True if it looks like a (capitalized) name
+ */
+function looksLikeName(text) {
+  const letters = text.replace(/[^a-z]/gi, '');
+  if (letters.length < 2 || text.length > 60 || text.includes(':') || REGISTRATION_PATTERN.test(text)) {
+    return false;
+  }
+  const upper = letters.replace(/[^A-Z]/g, '').length;
+  return upper / letters.length >= 0.6;
+}
+
+/**
+ * Read one lot block
+ * @param {Object} block - { lot, title, pageNumber, lines }
+ * @returns {Object} { lot, pageNumber, registrationNumber, name, tattoo, birthDate, epds: Map, percentRanks: Map }
+ */
+function readLotBlock(block) {
+  const lot = {
+    lot: block.lot,
+    pageNumber: block.pageNumber,
+    registrationNumber: '',
+    name: '',
+    tattoo: '',
+    birthDate: '',
+    epds: new Map(),
+    percentRanks: new Map()
+  };
+
+  const texts = [block.title, ...block.lines.map(line => line.text)].filter(text => text);
+  const tableLines = new Set();
+
+  // EPD tables
+  block.lines.forEach((line, index) => {
+    const columns = readTraitHeader(line);
+    if (!columns) return;
+    tableLines.add(line);
+
+    let unlabeledRows = 0;
+    for (let i = index + 1; i < block.lines.length && i <= index + MAX_TABLE_ROWS; i++) {
+      const row = readValueRow(block.lines[i]);
+      if (!row) {
+        if (readTraitHeader(block.lines[i])) break;
+        continue;
+      }
+      tableLines.add(block.lines[i]);
+
+      let kind = classifyRow(row.label);
+      if (kind === 'unlabeled') {
+        // Unlabeled rows: the first is the EPDs; a second one is percentiles only if it looks like them
+        unlabeledRows++;
+        if (unlabeledRows === 1) {
+          kind = 'epd';
+        } else {
+          const percentiles = row.values.every(value => !value.text || /^\d{1,3}%?$/.test(value.text));
+          kind = unlabeledRows === 2 && percentiles ? 'percentRank' : 'ignore';
+        }
+      }
+      if (kind === 'ignore') continue;
+
+      const target = kind === 'epd' ? lot.epds : lot.percentRanks;
+      alignValues(columns, row.values).forEach((value, code) => {
+        if (value && !target.has(code)) target.set(code, value);
+      });
+    }
+  });
+
+  // Registration number: labeled, otherwise the only 8-digit number outside the tables
+  const otherTexts = [block.title, ...block.lines.filter(line => !tableLines.has(line)).map(line => line.text)].filter(text => text);
+  for (const text of otherTexts) {
+    const match = text.match(REGISTRATION_PATTERN);
+    if (match) {
+      lot.registrationNumber = match[1];
+      break;
+    }
+  }
+  if (!lot.registrationNumber) {
+    const numbers = new Set();
+    otherTexts.forEach(text => (text.match(/\b\d{8}\b/g) || []).forEach(number => numbers.add(number)));
+    if (numbers.size === 1) {
+      lot.registrationNumber = Array.from(numbers)[0];
+    }
+  }
+
+  // Name: the rest of the lot line, or the first name-like line below it
+  const title = block.title.replace(REGISTRATION_PATTERN, '').replace(/^[\s\-–—:.]+|[\s\-–—:.]+$/g, '');
+  if (title && looksLikeName(title)) {
+    lot.name = title;
+  } else {
+    const nameLine = block.lines.find(line => !tableLines.has(line) && looksLikeName(line.text));
+    lot.name = nameLine ? nameLine.text : '';
+  }
+
+  for (const text of texts) {
+    const tattoo = text.match(TATTOO_PATTERN);
+    if (tattoo && !lot.tattoo) lot.tattoo = tattoo[1];
+    const birthDate = text.match(BIRTH_DATE_PATTERN);
+    if (birthDate && !lot.birthDate) lot.birthDate = birthDate[1];
+  }
+
+  return lot;
+}
+
+/**
+ * Split the catalog's lines into lot blocks
+ * @param {Array} pages - Pages from pdf-document.js
+ * @returns {Array} [{ lot, title, pageNumber, lines }]
+ */
+function findLotBlocks(pages) {
+  const blocks = [];
+  let current = null;
+  pages.forEach(page => {
+    page.lines.forEach(line => {
+      const match = line.text.trim().match(LOT_PATTERN);
+      if (match) {
+        current = { lot: match[1], title: match[2].trim(), pageNumber: page.pageNumber, lines: [] };
+        blocks.push(current);
+      } else if (current) {
+        current.lines.push(line);
+      }
+    });
+  });
+  return blocks;
+}
+
+/**
+ * Parse a sale catalog into a table (one row per lot)
+ * Lots without a registration number or EPDs (e.g. "Lot 12 sells as a pair" notes) are left out.
+ * @param {Array} pages - Pages from pdf-document.js
+ * @returns {Object} { headers, rows, rowNumbers (lot order), pageNumbers, lotCount }
+ */
+function parseSaleCatalog(pages) {
+  const lots = findLotBlocks(pages)
+    .map(readLotBlock)
+    .filter(lot => lot.registrationNumber || lot.epds.size > 0);
+
+  // Trait columns in catalog order, EPD then percentile for each trait
+  const traits = CATALOG_TRAIT_CODES.filter(code => lots.some(lot => lot.epds.has(code) || lot.percentRanks.has(code)));
+  const hasPercentRanks = traits.filter(code => lots.some(lot => lot.percentRanks.has(code)));
+  const hasTattoo = lots.some(lot => lot.tattoo);
+  const hasBirthDate = lots.some(lot => lot.birthDate);
+
+  const headers = ['Lot', 'Registration Number', 'Name'];
+  if (hasTattoo) headers.push('Tattoo');
+  if (hasBirthDate) headers.push('Birth Date');
+  traits.forEach(code => {
+    headers.push(`${code} EPD`);
+    if (hasPercentRanks.includes(code)) headers.push(`${code} %`);
+  });
+
+  const rows = lots.map(lot => {
+    const row = [lot.lot, lot.registrationNumber, lot.name];
+    if (hasTattoo) row.push(lot.tattoo);
+    if (hasBirthDate) row.push(lot.birthDate);
+    traits.forEach(code => {
+      row.push(lot.epds.get(code) || '');
+      if (hasPercentRanks.includes(code)) row.push(lot.percentRanks.get(code) || '');
+    });
+    return row;
+  });
+
+  return {
+    headers,
+    rows,
+    rowNumbers: rows.map((row, index) => index + 1),
+    pageNumbers: lots.map(lot => lot.pageNumber),
+    lotCount: lots.length
+  };
+}
+
+module.exports = {
+  CATALOG_TRAIT_CODES,
+  parseSaleCatalog
+};
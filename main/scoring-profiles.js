@@ -0,0 +1,342 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_PROFILE_ID = 'default';
+
+// Emphasis values by trait (NOT multipliers - used for relative weighting)
+const DEFAULT_EMPHASIS_BY_TRAIT = {
+  CED: 4,
+  BW: 1,
+  WW: 6,
+  YW: 4,
+  RADG: 1,
+  DMI: 2,
+  YH: 0,
+  SC: 0,
+  DOC: 3,
+  CLAW: 4,
+  ANGLE: 0,
+  PAP: 1,
+  HS: 1,
+  HP: 3,
+  CEM: 0,
+  MILK: 0,
+  TEAT: 0,
+  UDDR: 0,
+  FL: 0,
+  MW: 2,
+  MH: 2,
+  $EN: 0,
+  CW: 3,
+  MARB: 6,
+  RE: 3,
+  FAT: 0,
+  $M: 8,
+  $B: 6,
+  $C: 8
+};
+
+// Normalization tuning parameter (0.5-0.8 recommended, default 0.7)
+const DEFAULT_ALPHA = 0.7;
+
+// Points deducted per color rank below Light Green (multiplied by trait weight)
+const DEFAULT_BELOW_LIGHT_GREEN_MULTIPLIER = 0.25;
+
+// Extra points deducted per color rank below Gray for gate traits (multiplied by trait weight)
+const DEFAULT_GATE_PENALTY_MULTIPLIER = 0.60;
+
+/**
+ * Build a full emphasis table starting from the default table with overrides applied
+ * @param {Object} overrides - Trait emphasis overrides
+ * @returns {Object} Emphasis by trait
+ */
+function buildEmphasis(overrides) {
+  return { ...DEFAULT_EMPHASIS_BY_TRAIT, ...overrides };
+}
+
+// Built-in Default profile - mirrors the original hard-coded ranker constants and cannot be edited
+const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Default',
+  builtIn: true,
+  emphasisByTrait: { ...DEFAULT_EMPHASIS_BY_TRAIT },
+  alpha: DEFAULT_ALPHA,
+  belowLightGreenMultiplier: DEFAULT_BELOW_LIGHT_GREEN_MULTIPLIER,
+  gatePenaltyMultiplier: DEFAULT_GATE_PENALTY_MULTIPLIER
+};
+
+// Starter profiles written to userData the first time profiles are loaded (user can edit or delete them)
+const STARTER_PROFILES = [
+  {
+    id: 'maternal',
+    name: 'Maternal',
+    emphasisByTrait: buildEmphasis({
+      CED: 5, BW: 3, WW: 3, YW: 2, DOC: 4, CLAW: 4, ANGLE: 2, HP: 6, CEM: 5,
+      MILK: 3, TEAT: 4, UDDR: 4, MW: 4, MH: 3, $EN: 5,
+      CW: 1, MARB: 2, RE: 1, $M: 8, $B: 2, $C: 5
+    }),
+    alpha: DEFAULT_ALPHA,
+    belowLightGreenMultiplier: DEFAULT_BELOW_LIGHT_GREEN_MULTIPLIER,
+    gatePenaltyMultiplier: DEFAULT_GATE_PENALTY_MULTIPLIER
+  },
+  {
+    id: 'carcass',
+    name: 'Carcass',
+    emphasisByTrait: buildEmphasis({
+      CED: 2, BW: 1, WW: 6, YW: 7, RADG: 4, DMI: 3, DOC: 2, CLAW: 2, HP: 0,
+      MW: 0, MH: 0, CW: 7, MARB: 8, RE: 5, FAT: 2, $M: 2, $B: 8, $C: 6
+    }),
+    alpha: DEFAULT_ALPHA,
+    belowLightGreenMultiplier: DEFAULT_BELOW_LIGHT_GREEN_MULTIPLIER,
+    gatePenaltyMultiplier: DEFAULT_GATE_PENALTY_MULTIPLIER
+  },
+  {
+    id: 'calving-ease-heifer-bulls',
+    name: 'Calving-ease heifer bulls',
+    emphasisByTrait: buildEmphasis({
+      CED: 8, BW: 7, WW: 3, YW: 2, DOC: 3, CLAW: 3, HP: 2, CEM: 4,
+      CW: 1, MARB: 3, RE: 1, $M: 5, $B: 3, $C: 4
+    }),
+    alpha: 0.8,
+    belowLightGreenMultiplier: DEFAULT_BELOW_LIGHT_GREEN_MULTIPLIER,
+    gatePenaltyMultiplier: 0.9
+  }
+];
+
+let profilesPathOverride = null;
+
+/**
+ * Get the path to the scoring profiles file in userData
+ * @returns {string} Path to scoring-profiles.json
+ */
+function getScoringProfilesPath() {
+  if (profilesPathOverride) return profilesPathOverride;
+  try {
+    // Use userData path - works in both dev and packaged apps
+    const { app } = require('electron');
+    const userDataPath = app.getPath('userData');
+    return path.join(userDataPath, 'scoring-profiles.json');
+  } catch (error) {
+    console.error('[SCORING-PROFILES] Error getting userData path, using fallback:', error);
+    // Fallback to relative path if app.getPath fails (dev mode)
+    return path.join(__dirname, '../config/scoring-profiles.json');
+  }
+}
+
+/**
+ * Use a different scoring profiles file (command-line tool)
+ * @param {string|null} filePath - File path, or null for the default
+ */
+function setScoringProfilesPath(filePath) {
+  profilesPathOverride = filePath ? path.resolve(filePath) : null;
+}
+
+/**
+ * Normalize a profile object, filling in defaults for anything missing or invalid
+ * @param {Object} profile - Raw profile object
+ * @returns {Object} Normalized profile
+ */
+function normalizeProfile(profile) {
+  const toNumber = (value, fallback) => {
+    const num = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof num === 'number' && isFinite(num) && num >= 0 ? num : fallback;
+  };
+
+  const emphasisByTrait = {};
+  const rawEmphasis = profile.emphasisByTrait && typeof profile.emphasisByTrait === 'object'
+    ? profile.emphasisByTrait
+    : DEFAULT_EMPHASIS_BY_TRAIT;
+  Object.keys(rawEmphasis).forEach(trait => {
+    emphasisByTrait[trait] = toNumber(rawEmphasis[trait], 0);
+  });
+
+  return {
+    id: profile.id,
+    name: profile.name || profile.id,
+    builtIn: profile.builtIn === true,
+    emphasisByTrait: emphasisByTrait,
+    alpha: toNumber(profile.alpha, DEFAULT_ALPHA),
+    belowLightGreenMultiplier: toNumber(profile.belowLightGreenMultiplier, DEFAULT_BELOW_LIGHT_GREEN_MULTIPLIER),
+    gatePenaltyMultiplier: toNumber(profile.gatePenaltyMultiplier, DEFAULT_GATE_PENALTY_MULTIPLIER)
+  };
+}
+
+/**
+ * Save user-defined scoring profiles
+ * @param {Array} profiles - Array of profile objects (built-in Default is never written)
+ * @returns {Object} Result object with success status
+ */
+function saveScoringProfiles(profiles) {
+  try {
+    const profilesPath = getScoringProfilesPath();
+    const profilesDir = path.dirname(profilesPath);
+
+    // Ensure directory exists
+    if (!fs.existsSync(profilesDir)) {
+      fs.mkdirSync(profilesDir, { recursive: true });
+    }
+
+    const userProfiles = profiles.filter(p => p.id !== DEFAULT_PROFILE_ID);
+    const data = { profiles: userProfiles };
+    fs.writeFileSync(profilesPath, JSON.stringify(data, null, 2), 'utf8');
+    console.log(`[SCORING-PROFILES] Saved ${userProfiles.length} profiles to: ${profilesPath}`);
+    return { success: true };
+  } catch (error) {
+    console.error('[SCORING-PROFILES] Error saving scoring profiles:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Load all scoring profiles (built-in Default first, then user profiles)
+ * @returns {Array} Array of profile objects
+ */
+function loadScoringProfiles() {
+  let userProfiles = [];
+  try {
+    const profilesPath = getScoringProfilesPath();
+
+    if (fs.existsSync(profilesPath)) {
+      const parsed = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+      if (parsed.profiles && Array.isArray(parsed.profiles)) {
+        userProfiles = parsed.profiles
+          .filter(p => p && p.id && p.id !== DEFAULT_PROFILE_ID)
+          .map(p => normalizeProfile({ ...p, builtIn: false }));
+      }
+    } else {
+      // First run - seed the starter profiles so users have something to start from
+      userProfiles = STARTER_PROFILES.map(p => normalizeProfile(p));
+      saveScoringProfiles(userProfiles);
+    }
+  } catch (error) {
+    console.error('[SCORING-PROFILES] Error loading scoring profiles:', error);
+  }
+
+  return [normalizeProfile(DEFAULT_PROFILE), ...userProfiles];
+}
+
+/**
+ * Get a single scoring profile by ID
+ * Unknown or missing IDs fall back to the built-in Default profile
+ * @param {string} profileId - Profile ID
+ * @returns {Object} Profile object
+ */
+function getScoringProfile(profileId) {
+  if (!profileId || profileId === DEFAULT_PROFILE_ID) {
+    return normalizeProfile(DEFAULT_PROFILE);
+  }
+
+  const profile = loadScoringProfiles().find(p => p.id === profileId);
+  if (!profile) {
+    console.warn(`[SCORING-PROFILES] Profile "${profileId}" not found, using Default`);
+    return normalizeProfile(DEFAULT_PROFILE);
+  }
+  return profile;
+}
+
+/**
+ * Create a profile ID from a profile name
+ * @param {string} name - Profile name
+ * @returns {string} Slug ID
+ */
+function profileIdFromName(name) {
+  return name.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Create or update a scoring profile
+ * @param {Object} profile - Profile object ({ id?, name, emphasisByTrait, alpha, belowLightGreenMultiplier, gatePenaltyMultiplier })
+ * @returns {Object} Result object with success status and saved profile
+ */
+function saveScoringProfile(profile) {
+  try {
+    if (!profile || typeof profile !== 'object') {
+      return { success: false, error: 'Invalid profile' };
+    }
+
+    const name = typeof profile.name === 'string' ? profile.name.trim() : '';
+    if (name.length === 0) {
+      return { success: false, error: 'Profile name cannot be empty' };
+    }
+
+    const profiles = loadScoringProfiles().filter(p => !p.builtIn);
+
+    let id = profile.id;
+    if (!id) {
+      // New profile: a name that slugs to an existing ID ("Carcass+" -> "carcass") gets a numbered ID
+      const baseId = profileIdFromName(name);
+      if (!baseId) {
+        return { success: false, error: 'Profile name must contain letters or numbers' };
+      }
+      const takenIds = new Set([DEFAULT_PROFILE_ID, ...profiles.map(p => p.id)]);
+      id = baseId;
+      for (let suffix = 2; takenIds.has(id); suffix++) {
+        id = `${baseId}-${suffix}`;
+      }
+    }
+    if (id === DEFAULT_PROFILE_ID) {
+      return { success: false, error: 'The Default profile cannot be modified' };
+    }
+
+    // Check for duplicate names on other profiles (case-insensitive)
+    const duplicate = profiles.find(p => p.id !== id && p.name.toLowerCase() === name.toLowerCase());
+    if (duplicate || name.toLowerCase() === DEFAULT_PROFILE.name.toLowerCase()) {
+      return { success: false, error: 'A profile with that name already exists' };
+    }
+
+    const normalized = normalizeProfile({ ...profile, id: id, name: name, builtIn: false });
+    const existingIndex = profiles.findIndex(p => p.id === id);
+    if (existingIndex >= 0) {
+      profiles[existingIndex] = normalized;
+    } else {
+      profiles.push(normalized);
+    }
+
+    const result = saveScoringProfiles(profiles);
+    if (!result.success) {
+      return result;
+    }
+    return { success: true, profile: normalized };
+  } catch (error) {
+    console.error('[SCORING-PROFILES] Error saving scoring profile:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Delete a scoring profile
+ * @param {string} profileId - Profile ID
+ * @returns {Object} Result object with success status
+ */
+function deleteScoringProfile(profileId) {
+  try {
+    if (!profileId || profileId === DEFAULT_PROFILE_ID) {
+      return { success: false, error: 'The Default profile cannot be deleted' };
+    }
+
+    const profiles = loadScoringProfiles().filter(p => !p.builtIn);
+    const remaining = profiles.filter(p => p.id !== profileId);
+    if (remaining.length === profiles.length) {
+      return { success: false, error: 'Profile not found' };
+    }
+
+    return saveScoringProfiles(remaining);
+  } catch (error) {
+    console.error('[SCORING-PROFILES] Error deleting scoring profile:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  DEFAULT_PROFILE_ID,
+  DEFAULT_EMPHASIS_BY_TRAIT,
+  DEFAULT_ALPHA,
+  DEFAULT_BELOW_LIGHT_GREEN_MULTIPLIER,
+  DEFAULT_GATE_PENALTY_MULTIPLIER,
+  getScoringProfilesPath,
+  setScoringProfilesPath,
+  loadScoringProfiles,
+  getScoringProfile,
+  saveScoringProfile,
+  deleteScoringProfile
+};
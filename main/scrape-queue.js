@@ -0,0 +1,499 @@
+/**
+ * Scrape job queue
+ *
+ * Batch scrapes run through a persistent job queue so that large batches survive failures
+ * and restarts:
+ * - Jobs are saved in userData (scrape-queue.json) on every change; jobs that were running
+ *   when the app closed are queued again on the next start
+ * - Up to `concurrency` animals are scraped at once, each in its own page of a shared browser
+ * - Timeouts and navigation/network errors are retried with exponential backoff; other errors
+ *   fail the job right away
+ *
+ * There is one job per registration number. Queueing an animal that already has a job reuses it.
+ *
+ * Events (scrapeQueue.events): 'change' (queue or job state changed), 'job' (job reached done
+ * or failed, or was scheduled for a retry), 'idle' (nothing left to run, or paused)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { app } = require('electron');
+
+const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  FAILED: 'failed',
+  DONE: 'done'
+};
+
+const DEFAULT_SETTINGS = {
+  concurrency: 2,
+  maxAttempts: 4, // First try plus three retries
+  backoffBaseMs: 5000, // 5s, 10s, 20s, ...
+  backoffMaxMs: 5 * 60 * 1000
+};
+
+const MAX_CONCURRENCY = 5;
+
+// Pause between requests on each worker (same spacing the one-at-a-time batch used)
+const REQUEST_SPACING_MS = 500;
+
+// Errors worth retrying: the page or network was slow, not the animal missing
+const RETRYABLE_ERROR_PATTERN = /timeout|timed out|navigation|net::|ECONNRESET|ECONNREFUSED|socket hang up|Target closed|Session closed|Protocol error/i;
+
+const events = new EventEmitter();
+
+let queue = null; // { settings, jobs } loaded on first use
+let running = false;
+let paused = false;
+let activeCount = 0;
+let wakeTimer = null;
+let browser = null;
+let browserLaunch = null;
+
+/**
+ * Get the path to the scrape queue file in userData
+ * @returns {string} Path to scrape-queue.json
+ */
+function getQueuePath() {
+  try {
+    // Use userData path - works in both dev and packaged apps
+    const userDataPath = app.getPath('userData');
+    return path.join(userDataPath, 'scrape-queue.json');
+  } catch (error) {
+    console.error('[SCRAPE-QUEUE] Error getting userData path, using fallback:', error);
+    // Fallback to relative path if app.getPath fails (dev mode)
+    return path.join(__dirname, '../config/scrape-queue.json');
+  }
+}
+
+/**
+ * Normalize queue settings
+ * @param {Object} settings - Raw settings
+ * @returns {Object} Settings with defaults and limits applied
+ */
+function normalizeSettings(settings = {}) {
+  const toInt = (value, fallback, min, max) => {
+    const num = parseInt(value, 10);
+    return isNaN(num) ? fallback : Math.min(Math.max(num, min), max);
+  };
+  return {
+    concurrency: toInt(settings.concurrency, DEFAULT_SETTINGS.concurrency, 1, MAX_CONCURRENCY),
+    maxAttempts: toInt(settings.maxAttempts, DEFAULT_SETTINGS.maxAttempts, 1, 10),
+    backoffBaseMs: toInt(settings.backoffBaseMs, DEFAULT_SETTINGS.backoffBaseMs, 1000, 60 * 1000),
+    backoffMaxMs: toInt(settings.backoffMaxMs, DEFAULT_SETTINGS.backoffMaxMs, 1000, 60 * 60 * 1000)
+  };
+}
+
+/**
+ * Load the queue from disk (once)
+ * @returns {Object} Queue { settings, jobs }
+ */
+function getQueue() {
+  if (queue) return queue;
+
+  queue = { settings: normalizeSettings(), jobs: [] };
+  try {
+    const queuePath = getQueuePath();
+    if (fs.existsSync(queuePath)) {
+      const parsed = JSON.parse(fs.readFileSync(queuePath, 'utf8'));
+      queue.settings = normalizeSettings(parsed.settings);
+      queue.jobs = Array.isArray(parsed.jobs) ? parsed.jobs.filter(job => job && job.registrationNumber) : [];
+
+      // Jobs that were running when the app closed start over
+      let interrupted = 0;
+      queue.jobs.forEach(job => {
+        if (job.status === JOB_STATUS.RUNNING) {
+          job.status = JOB_STATUS.QUEUED;
+          job.nextAttemptAt = null;
+          interrupted++;
+        }
+      });
+      console.log(`[SCRAPE-QUEUE] Loaded ${queue.jobs.length} job(s)${interrupted > 0 ? `, ${interrupted} interrupted job(s) re-queued` : ''}`);
+    }
+  } catch (error) {
+    console.error('[SCRAPE-QUEUE] Error loading scrape queue:', error);
+  }
+  return queue;
+}
+
+/**
+ * Save the queue to disk and notify listeners
+ */
+function saveQueue() {
+  try {
+    const queuePath = getQueuePath();
+    const dir = path.dirname(queuePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    // Write to a temp file first so a crash mid-write cannot corrupt the queue
+    const tempPath = `${queuePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(getQueue(), null, 2), 'utf8');
+    fs.renameSync(tempPath, queuePath);
+  } catch (error) {
+    console.error('[SCRAPE-QUEUE] Error saving scrape queue:', error);
+  }
+  events.emit('change');
+}
+
+/**
+ * Backoff before the next attempt of a job
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @param {Object} settings - Queue settings
+ * @returns {number} Delay in ms
+ */
+function getBackoffDelay(attempts, settings) {
+  const delay = settings.backoffBaseMs * Math.pow(2, Math.max(attempts - 1, 0));
+  // Up to 20% jitter so parallel workers do not retry in lockstep
+  return Math.min(delay, settings.backoffMaxMs) * (1 + Math.random() * 0.2);
+}
+
+/**
+ * Whether a scrape error should be retried
+ * @param {string} message - Error message
+ * @returns {boolean} True for timeouts and navigation/network errors
+ */
+function isRetryableError(message) {
+  return RETRYABLE_ERROR_PATTERN.test(message || '');
+}
+
+/**
+ * Add registration numbers to the queue
+ * @param {Array} registrationNumbers - Registration numbers
+ * @param {string} category - Category for scraped animals
+ * @param {Object} options - { forceRefresh }
+ * @returns {Array} Job IDs, in input order
+ */
+function enqueue(registrationNumbers, category = 'My Herd', options = {}) {
+  const { jobs } = getQueue();
+  const now = new Date().toISOString();
+  const jobIds = [];
+
+  registrationNumbers.forEach(registrationNumber => {
+    let job = jobs.find(j => j.registrationNumber === registrationNumber);
+    if (job && (job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING)) {
+      jobIds.push(job.id);
+      return;
+    }
+
+    if (!job) {
+      job = { id: `${Date.now().toString(36)}-${registrationNumber}`, registrationNumber: registrationNumber, addedAt: now };
+      jobs.push(job);
+    }
+    Object.assign(job, {
+      category: category,
+      forceRefresh: options.forceRefresh === true,
+      status: JOB_STATUS.QUEUED,
+      attempts: 0,
+      error: null,
+      nextAttemptAt: null,
+      completedAt: null,
+      updatedAt: now
+    });
+    jobIds.push(job.id);
+  });
+
+  console.log(`[SCRAPE-QUEUE] Queued ${registrationNumbers.length} animal(s) for category "${category}"`);
+  saveQueue();
+  return jobIds;
+}
+
+/**
+ * Get (launching if needed) the shared browser
+ * @returns {Promise<Object>} Puppeteer browser
+ */
+async function getBrowser() {
+  if (browser && browser.isConnected()) return browser;
+  if (!browserLaunch) {
+    const puppeteer = require('puppeteer');
+    const scraper = require('./scraper-puppeteer');
+    console.log('[SCRAPE-QUEUE] Launching browser...');
+    browserLaunch = puppeteer.launch(scraper.getPuppeteerLaunchOptions())
+      .then(launched => {
+        browser = launched;
+        return launched;
+      })
+      .finally(() => {
+        browserLaunch = null;
+      });
+  }
+  return browserLaunch;
+}
+
+/**
+ * Close the shared browser
+ */
+async function closeBrowser() {
+  const toClose = browser;
+  browser = null;
+  if (toClose) {
+    try {
+      console.log('[SCRAPE-QUEUE] Closing browser...');
+      await toClose.close();
+    } catch (error) {
+      console.error('[SCRAPE-QUEUE] Error closing browser:', error.message);
+    }
+  }
+}
+
+/**
+ * Scrape one job
+ * @param {Object} job - Queued job
+ */
+async function runJob(job) {
+  const settings = getQueue().settings;
+  const cacheUtil = require('./cache-util');
+  const scraper = require('./scraper-puppeteer');
+
+  job.status = JOB_STATUS.RUNNING;
+  job.attempts = (job.attempts || 0) + 1;
+  job.nextAttemptAt = null;
+  job.updatedAt = new Date().toISOString();
+  activeCount++;
+  saveQueue();
+
+  try {
+    // Animals cached since they were queued (e.g. before a restart) need no browser
+    const cached = job.forceRefresh ? null : cacheUtil.loadCache(`epd_${job.registrationNumber}`);
+    if (!cached || !cached.data) {
+      const sharedBrowser = await getBrowser();
+      await scraper.scrapeEPD(job.registrationNumber, sharedBrowser, job.forceRefresh, job.category);
+    }
+    job.status = JOB_STATUS.DONE;
+    job.error = null;
+    job.completedAt = new Date().toISOString();
+  } catch (error) {
+    job.error = error.message;
+    if (isRetryableError(error.message) && job.attempts < settings.maxAttempts) {
+      const delay = getBackoffDelay(job.attempts, settings);
+      job.status = JOB_STATUS.QUEUED;
+      job.nextAttemptAt = Date.now() + delay;
+      console.log(`[SCRAPE-QUEUE] ${job.registrationNumber} attempt ${job.attempts} failed (${error.message}), retrying in ${Math.round(delay / 1000)}s`);
+    } else {
+      job.status = JOB_STATUS.FAILED;
+      job.completedAt = new Date().toISOString();
+      console.error(`[SCRAPE-QUEUE] ${job.registrationNumber} failed after ${job.attempts} attempt(s):`, error.message);
+    }
+  }
+
+  job.updatedAt = new Date().toISOString();
+  saveQueue();
+  events.emit('job', job);
+
+  setTimeout(() => {
+    activeCount--;
+    pump();
+  }, REQUEST_SPACING_MS + Math.random() * REQUEST_SPACING_MS);
+}
+
+/**
+ * Start as many ready jobs as concurrency allows, and schedule a wake-up for backed-off jobs
+ */
+function pump() {
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+
+  const { jobs, settings } = getQueue();
+  const now = Date.now();
+
+  if (!paused) {
+    while (activeCount < settings.concurrency) {
+      const job = jobs.find(j => j.status === JOB_STATUS.QUEUED && (!j.nextAttemptAt || j.nextAttemptAt <= now));
+      if (!job) break;
+      runJob(job);
+    }
+  }
+
+  const waiting = jobs.filter(j => j.status === JOB_STATUS.QUEUED);
+  if (activeCount === 0 && (paused || waiting.length === 0)) {
+    finishRun();
+    return;
+  }
+
+  if (!paused && activeCount < settings.concurrency && waiting.length > 0) {
+    const nextAttemptAt = Math.min(...waiting.map(j => j.nextAttemptAt || now));
+    wakeTimer = setTimeout(pump, Math.max(nextAttemptAt - now, 100));
+  }
+}
+
+/**
+ * Stop running once no jobs are active
+ */
+function finishRun() {
+  if (!running) return;
+  running = false;
+  console.log(paused ? '[SCRAPE-QUEUE] Paused' : '[SCRAPE-QUEUE] Queue finished');
+  closeBrowser();
+  events.emit('change');
+  events.emit('idle');
+}
+
+/**
+ * Start (or resume) processing the queue
+ */
+function start() {
+  paused = false;
+  if (running) {
+    pump();
+    return;
+  }
+  running = true;
+  console.log('[SCRAPE-QUEUE] Starting queue');
+  events.emit('change');
+  pump();
+}
+
+/**
+ * Pause the queue; running jobs finish, queued jobs wait
+ */
+function pause() {
+  paused = true;
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+  if (running && activeCount === 0) {
+    finishRun();
+  } else {
+    events.emit('change');
+  }
+}
+
+/**
+ * Stop the queue for app shutdown (running jobs are re-queued on the next start)
+ */
+async function shutdown() {
+  paused = true;
+  if (wakeTimer) {
+    clearTimeout(wakeTimer);
+    wakeTimer = null;
+  }
+  await closeBrowser();
+}
+
+/**
+ * Queue failed jobs again
+ * @returns {number} Number of jobs re-queued
+ */
+function retryFailed() {
+  const { jobs } = getQueue();
+  let count = 0;
+  jobs.forEach(job => {
+    if (job.status !== JOB_STATUS.FAILED) return;
+    job.status = JOB_STATUS.QUEUED;
+    job.attempts = 0;
+    job.error = null;
+    job.nextAttemptAt = null;
+    job.completedAt = null;
+    job.updatedAt = new Date().toISOString();
+    count++;
+  });
+  if (count > 0) saveQueue();
+  return count;
+}
+
+/**
+ * Remove finished (done) jobs from the queue
+ * @returns {number} Number of jobs removed
+ */
+function clearFinished() {
+  const q = getQueue();
+  const before = q.jobs.length;
+  q.jobs = q.jobs.filter(job => job.status !== JOB_STATUS.DONE);
+  const removed = before - q.jobs.length;
+  if (removed > 0) saveQueue();
+  return removed;
+}
+
+/**
+ * Update queue settings
+ * @param {Object} settings - { concurrency, maxAttempts, backoffBaseMs, backoffMaxMs }
+ * @returns {Object} Saved settings
+ */
+function updateSettings(settings) {
+  const q = getQueue();
+  q.settings = normalizeSettings({ ...q.settings, ...settings });
+  saveQueue();
+  if (running) pump();
+  return q.settings;
+}
+
+/**
+ * Whether there are jobs waiting to run
+ * @returns {boolean} True if any job is queued
+ */
+function hasPendingJobs() {
+  return getQueue().jobs.some(job => job.status === JOB_STATUS.QUEUED || job.status === JOB_STATUS.RUNNING);
+}
+
+/**
+ * Get the queue state for display
+ * @returns {Object} { running, paused, settings, counts: { queued, running, failed, done }, jobs }
+ */
+function getStatus() {
+  const { jobs, settings } = getQueue();
+  const counts = { queued: 0, running: 0, failed: 0, done: 0 };
+  jobs.forEach(job => {
+    if (counts[job.status] !== undefined) counts[job.status]++;
+  });
+  return {
+    running: running,
+    paused: paused,
+    settings: settings,
+    counts: counts,
+    jobs: jobs.map(job => ({ ...job }))
+  };
+}
+
+/**
+ * Wait until the given jobs are done or failed, or the queue stops
+ * @param {Array} jobIds - Job IDs from enqueue()
+ * @param {Function} onJobFinished - Called with each job as it reaches done or failed
+ * @returns {Promise<Array>} Jobs in the order of jobIds
+ */
+function waitForJobs(jobIds, onJobFinished = null) {
+  const ids = new Set(jobIds);
+  const getJobs = () => jobIds.map(id => getQueue().jobs.find(job => job.id === id)).filter(job => job);
+  const isFinished = job => job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED;
+
+  return new Promise(resolve => {
+    const finish = () => {
+      events.removeListener('job', onJob);
+      events.removeListener('idle', finish);
+      resolve(getJobs());
+    };
+    const onJob = (job) => {
+      if (!ids.has(job.id) || !isFinished(job)) return;
+      if (onJobFinished) onJobFinished(job);
+      if (getJobs().every(isFinished)) finish();
+    };
+
+    if (getJobs().every(isFinished)) {
+      resolve(getJobs());
+      return;
+    }
+    events.on('job', onJob);
+    events.on('idle', finish);
+  });
+}
+
+module.exports = {
+  JOB_STATUS,
+  DEFAULT_SETTINGS,
+  events,
+  enqueue,
+  start,
+  pause,
+  shutdown,
+  retryFailed,
+  clearFinished,
+  updateSettings,
+  hasPendingJobs,
+  getStatus,
+  waitForJobs,
+  isRetryableError
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+// Service types
+const SERVICE_TYPES = {
+  AI: 'ai', // Limited by semen straws on hand
+  NATURAL: 'natural' // Clean-up / natural-service bull limited by cows per season
+};
+
+let inventoryPathOverride = null;
+
+/**
+ * Get the path to the sire inventory file in userData
+ * @returns {string} Path to sire-inventory.json
+ */
+function getSireInventoryPath() {
+  if (inventoryPathOverride) return inventoryPathOverride;
+  try {
+    // Use userData path - works in both dev and packaged apps
+    const { app } = require('electron');
+    const userDataPath = app.getPath('userData');
+    return path.join(userDataPath, 'sire-inventory.json');
+  } catch (error) {
+    console.error('[SIRE-INVENTORY] Error getting userData path, using fallback:', error);
+    // Fallback to relative path if app.getPath fails (dev mode)
+    return path.join(__dirname, '../config/sire-inventory.json');
+  }
+}
+
+/**
+ * Use a different sire inventory file (command-line tool)
+ * @param {string|null} filePath - File path, or null for the default
+ */
+function setSireInventoryPath(filePath) {
+  inventoryPathOverride = filePath ? path.resolve(filePath) : null;
+}
+
+/**
+ * Normalize an inventory entry, dropping invalid values
+ * @param {Object} entry - Raw entry ({ serviceType, straws, capacity, notes })
+ * @returns {Object|null} Normalized entry, or null if the sire has no limit
+ */
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+
+  const toCount = (value) => {
+    const num = typeof value === 'string' ? parseInt(value, 10) : value;
+    return typeof num === 'number' && isFinite(num) && num >= 0 ? Math.floor(num) : null;
+  };
+
+  if (entry.serviceType === SERVICE_TYPES.AI) {
+    const straws = toCount(entry.straws);
+    if (straws === null) return null;
+    return { serviceType: SERVICE_TYPES.AI, straws: straws, notes: entry.notes || '' };
+  }
+
+  if (entry.serviceType === SERVICE_TYPES.NATURAL) {
+    const capacity = toCount(entry.capacity);
+    if (capacity === null) return null;
+    return { serviceType: SERVICE_TYPES.NATURAL, capacity: capacity, notes: entry.notes || '' };
+  }
+
+  return null;
+}
+
+/**
+ * Read and normalize a sire inventory file ({ "sires": { "<reg>": { serviceType, straws | capacity, notes } } })
+ * @param {string} filePath - Inventory file path
+ * @returns {Object} { inventory (valid entries keyed by registration number), invalid (registration numbers
+ *   whose entries have no valid limit, e.g. a misspelled "straw") }
+ */
+function readSireInventoryFile(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const inventory = {};
+  const invalid = [];
+  Object.keys(parsed.sires || {}).forEach(registrationNumber => {
+    const entry = normalizeEntry(parsed.sires[registrationNumber]);
+    if (entry) {
+      inventory[registrationNumber] = entry;
+    } else {
+      invalid.push(registrationNumber);
+    }
+  });
+  return { inventory, invalid };
+}
+
+/**
+ * Load the sire inventory
+ * @returns {Object} Inventory keyed by sire registration number
+ */
+function loadSireInventory() {
+  try {
+    const inventoryPath = getSireInventoryPath();
+    if (!fs.existsSync(inventoryPath)) {
+      return {};
+    }
+
+    const { inventory, invalid } = readSireInventoryFile(inventoryPath);
+    if (invalid.length > 0) {
+      console.warn(`[SIRE-INVENTORY] Ignoring invalid inventory entries for: ${invalid.join(', ')}`);
+    }
+    return inventory;
+  } catch (error) {
+    console.error('[SIRE-INVENTORY] Error loading sire inventory:', error);
+    return {};
+  }
+}
+
+/**
+ * Save the sire inventory (entries without a valid limit are removed)
+ * @param {Object} inventory - Inventory keyed by sire registration number
+ * @returns {Object} Result object with success status
+ */
+function saveSireInventory(inventory) {
+  try {
+    if (!inventory || typeof inventory !== 'object') {
+      return { success: false, error: 'Invalid inventory' };
+    }
+
+    const inventoryPath = getSireInventoryPath();
+    const inventoryDir = path.dirname(inventoryPath);
+
+    // Ensure directory exists
+    if (!fs.existsSync(inventoryDir)) {
+      fs.mkdirSync(inventoryDir, { recursive: true });
+    }
+
+    const sires = {};
+    Object.keys(inventory).forEach(registrationNumber => {
+      const entry = normalizeEntry(inventory[registrationNumber]);
+      if (entry) sires[registrationNumber] = entry;
+    });
+
+    fs.writeFileSync(inventoryPath, JSON.stringify({ sires: sires }, null, 2), 'utf8');
+    console.log(`[SIRE-INVENTORY] Saved inventory for ${Object.keys(sires).length} sires to: ${inventoryPath}`);
+    return { success: true };
+  } catch (error) {
+    console.error('[SIRE-INVENTORY] Error saving sire inventory:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Number of cows a sire can be assigned
+ * @param {Object|null} entry - Inventory entry (null/undefined = no limit)
+ * @param {number} strawsPerCow - Straws planned per cow for AI sires
+ * @returns {number} Cow capacity (Infinity when unlimited)
+ */
+function getSireCapacity(entry, strawsPerCow = 1) {
+  if (!entry) return Infinity;
+  if (entry.serviceType === SERVICE_TYPES.AI) {
+    const perCow = strawsPerCow > 0 ? strawsPerCow : 1;
+    return Math.floor(entry.straws / perCow);
+  }
+  if (entry.serviceType === SERVICE_TYPES.NATURAL) {
+    return entry.capacity;
+  }
+  return Infinity;
+}
+
+module.exports = {
+  SERVICE_TYPES,
+  getSireInventoryPath,
+  setSireInventoryPath,
+  readSireInventoryFile,
+  loadSireInventory,
+  saveSireInventory,
+  getSireCapacity
+};
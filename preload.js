@@ -6,6 +6,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
   onScrapeProgress: (callback) => {
     ipcRenderer.on('scrape-progress', (event, data) => callback(data));
   },
+  // Scrape queue APIs
+  getScrapeQueue: () => ipcRenderer.invoke('get-scrape-queue'),
+  updateScrapeQueueSettings: (settings) => ipcRenderer.invoke('update-scrape-queue-settings', settings),
+  retryFailedScrapeJobs: () => ipcRenderer.invoke('retry-failed-scrape-jobs'),
+  pauseScrapeQueue: () => ipcRenderer.invoke('pause-scrape-queue'),
+  resumeScrapeQueue: () => ipcRenderer.invoke('resume-scrape-queue'),
+  clearFinishedScrapeJobs: () => ipcRenderer.invoke('clear-finished-scrape-jobs'),
+  onScrapeQueueUpdated: (callback) => {
+    ipcRenderer.on('scrape-queue-updated', (event, data) => callback(data));
+  },
   onMatingProgress: (callback) => {
     ipcRenderer.on('mating-progress', (event, data) => callback(data));
   },
@@ -13,6 +23,8 @@ contextBridge.exposeInMainWorld('electronAPI', {
   exportToExcel: (data) => ipcRenderer.invoke('export-to-excel', data),
   calculateMating: (sireRegNum, damRegNum) => ipcRenderer.invoke('calculate-mating', { sireRegNum, damRegNum }),
   rankAllMatings: (config) => ipcRenderer.invoke('rank-all-matings', config),
+  exportMatingPlan: (plan) => ipcRenderer.invoke('export-mating-plan', plan),
+  exportMatingReport: (report) => ipcRenderer.invoke('export-mating-report', report),
   invalidateCache: () => ipcRenderer.invoke('invalidate-cache'),
   clearCache: () => ipcRenderer.invoke('clear-cache'),
   getLicenseStatus: () => ipcRenderer.invoke('get-license-status'),
@@ -29,14 +41,31 @@ contextBridge.exposeInMainWorld('electronAPI', {
   addCategory: (categoryName) => ipcRenderer.invoke('add-category', categoryName),
   deleteCategory: (categoryName) => ipcRenderer.invoke('delete-category', categoryName),
   getPercentileData: (animalType) => ipcRenderer.invoke('get-percentile-data', animalType),
-  scoreAnimal: (epdValues, animalType, gateTraits) => ipcRenderer.invoke('score-animal', { epdValues, animalType, gateTraits }),
+  scoreAnimal: (epdValues, animalType, gateTraits, profileId, accuracyOptions) => ipcRenderer.invoke('score-animal', { epdValues, animalType, gateTraits, profileId, accuracyOptions }),
   calculatePercentileRanks: (epdValues, animalType, registrationNumber, saveToCache) => ipcRenderer.invoke('calculate-percentile-ranks', { epdValues, animalType, registrationNumber, saveToCache }),
+  // Scoring profile APIs
+  getScoringProfiles: () => ipcRenderer.invoke('get-scoring-profiles'),
+  saveScoringProfile: (profile) => ipcRenderer.invoke('save-scoring-profile', profile),
+  deleteScoringProfile: (profileId) => ipcRenderer.invoke('delete-scoring-profile', profileId),
+  // Percentile snapshot APIs
+  getPercentileSnapshots: () => ipcRenderer.invoke('get-percentile-snapshots'),
+  setPercentileSnapshot: (asOf) => ipcRenderer.invoke('set-percentile-snapshot', asOf),
+  // Sire inventory APIs
+  getSireInventory: () => ipcRenderer.invoke('get-sire-inventory'),
+  saveSireInventory: (inventory) => ipcRenderer.invoke('save-sire-inventory', inventory),
+  // EPD history APIs
+  getEpdHistory: (registrationNumber, traits) => ipcRenderer.invoke('get-epd-history', registrationNumber, traits),
+  getEpdMovers: (options) => ipcRenderer.invoke('get-epd-movers', options),
   // Bulk file APIs
   checkBulkFileUpdates: () => ipcRenderer.invoke('check-bulk-file-updates'),
   getPendingUpdates: () => ipcRenderer.invoke('get-pending-updates'),
   getBulkFileStatus: () => ipcRenderer.invoke('get-bulk-file-status'),
   importBulkFile: (bulkFileId, url, options) => ipcRenderer.invoke('import-bulk-file', bulkFileId, url, options),
+  previewBulkFileImport: (bulkFileId, url, options) => ipcRenderer.invoke('preview-bulk-file-import', bulkFileId, url, options),
+  getBulkImportHistory: () => ipcRenderer.invoke('get-bulk-import-history'),
+  revertBulkImport: (importId) => ipcRenderer.invoke('revert-bulk-import', importId),
   processBulkFile: (filePath, options) => ipcRenderer.invoke('process-bulk-file', filePath, options),
+  importSavedHtmlPages: (category) => ipcRenderer.invoke('import-saved-html-pages', category),
   ignoreBulkFileUpdate: (bulkFileId, version, permanent) => ipcRenderer.invoke('ignore-bulk-file-update', bulkFileId, version, permanent),
   getIgnoredUpdates: () => ipcRenderer.invoke('get-ignored-updates'),
   updateAnimalCategories: (registrationNumber, categories, mode) => ipcRenderer.invoke('update-animal-categories', registrationNumber, categories, mode),
@@ -70,8 +99,16 @@ contextBridge.exposeInMainWorld('electronAPI', {
   exportAnimalsToBulkFile: (animals, options) => ipcRenderer.invoke('export-animals-to-bulk-file', animals, options),
   // External data import APIs
   showExternalFilePicker: () => ipcRenderer.invoke('show-external-file-picker'),
-  parseExternalFile: (filePath) => ipcRenderer.invoke('parse-external-file', filePath),
+  parseExternalFile: (filePath, options) => ipcRenderer.invoke('parse-external-file', filePath, options),
   detectColumnMappings: (headers, sampleRows) => ipcRenderer.invoke('detect-column-mappings', headers, sampleRows),
-  convertExternalDataToBulkFile: (filePath, columnMappings, metadata) => ipcRenderer.invoke('convert-external-data-to-bulk-file', filePath, columnMappings, metadata)
+  getColumnMappingTemplates: () => ipcRenderer.invoke('get-column-mapping-templates'),
+  findColumnMappingTemplate: (headers) => ipcRenderer.invoke('find-column-mapping-template', headers),
+  saveColumnMappingTemplate: (template) => ipcRenderer.invoke('save-column-mapping-template', template),
+  deleteColumnMappingTemplate: (templateId) => ipcRenderer.invoke('delete-column-mapping-template', templateId),
+  exportColumnMappingTemplates: () => ipcRenderer.invoke('export-column-mapping-templates'),
+  importColumnMappingTemplates: () => ipcRenderer.invoke('import-column-mapping-templates'),
+  validateExternalData: (filePath, columnMappings, sheets) => ipcRenderer.invoke('validate-external-data', filePath, columnMappings, sheets),
+  exportExternalDataValidationReport: (filePath, columnMappings, sheets) => ipcRenderer.invoke('export-external-data-validation-report', filePath, columnMappings, sheets),
+  convertExternalDataToBulkFile: (filePath, columnMappings, metadata, sheets) => ipcRenderer.invoke('convert-external-data-to-bulk-file', filePath, columnMappings, metadata, sheets)
 });
 
@@ -415,7 +415,13 @@ if (rankAllMatingsBtn) {
         topN: topN,
         gateTraits: gateTraits, // Empty array if none selected
         sireCategory: sireCategory === 'all' ? null : sireCategory,
-        cowCategory: cowCategory === 'all' ? null : cowCategory
+        cowCategory: cowCategory === 'all' ? null : cowCategory,
+        profileId: getSelectedScoringProfileId(),
+        rankByCalf: getSelectedRankByCalf(),
+        ...getInbreedingSettings(),
+        ...getGeneticConditionSettings(),
+        ...getAccuracySettings(),
+        ...getPlannerSettings()
       };
       
       const result = await window.electronAPI.rankAllMatings(config);
@@ -445,24 +451,843 @@ if (gateFilterCheckbox) {
   });
 }
 
+// Inbreeding settings (All Matings tab)
+const INBREEDING_SETTINGS_STORAGE_KEY = 'inbreeding-settings';
+const inbreedingModeSelect = document.getElementById('inbreeding-mode-select');
+const maxInbreedingInput = document.getElementById('max-inbreeding-input');
+const inbreedingPenaltyInput = document.getElementById('inbreeding-penalty-input');
+
+function loadInbreedingSettings() {
+  try {
+    const saved = localStorage.getItem(INBREEDING_SETTINGS_STORAGE_KEY);
+    if (saved) {
+      return JSON.parse(saved);
+    }
+  } catch (error) {
+    console.error('Error loading inbreeding settings:', error);
+  }
+  return null;
+}
+
+function saveInbreedingSettings() {
+  try {
+    localStorage.setItem(INBREEDING_SETTINGS_STORAGE_KEY, JSON.stringify(getInbreedingSettings()));
+  } catch (error) {
+    console.error('Error saving inbreeding settings:', error);
+  }
+}
+
+// Get current inbreeding settings from the form
+function getInbreedingSettings() {
+  const maxInbreeding = parseFloat(maxInbreedingInput?.value);
+  const inbreedingPenalty = parseFloat(inbreedingPenaltyInput?.value);
+  return {
+    inbreedingMode: inbreedingModeSelect ? inbreedingModeSelect.value : 'off',
+    maxInbreeding: isNaN(maxInbreeding) ? 6.25 : maxInbreeding,
+    inbreedingPenalty: isNaN(inbreedingPenalty) ? 1 : inbreedingPenalty
+  };
+}
+
+// Restore saved inbreeding settings on page load
+(function initInbreedingSettings() {
+  const saved = loadInbreedingSettings();
+  if (saved) {
+    if (inbreedingModeSelect && saved.inbreedingMode) inbreedingModeSelect.value = saved.inbreedingMode;
+    if (maxInbreedingInput && saved.maxInbreeding !== undefined) maxInbreedingInput.value = saved.maxInbreeding;
+    if (inbreedingPenaltyInput && saved.inbreedingPenalty !== undefined) inbreedingPenaltyInput.value = saved.inbreedingPenalty;
+  }
+  [inbreedingModeSelect, maxInbreedingInput, inbreedingPenaltyInput].forEach(el => {
+    if (el) el.addEventListener('change', saveInbreedingSettings);
+  });
+})();
+
+// Genetic condition settings (All Matings tab)
+const GENETIC_CONDITION_SETTINGS_STORAGE_KEY = 'genetic-condition-settings';
+const geneticConditionModeSelect = document.getElementById('genetic-condition-mode-select');
+const maxGeneticRiskInput = document.getElementById('max-genetic-risk-input');
+const includeTraitConditionsCheckbox = document.getElementById('include-trait-conditions-checkbox');
+
+// Get current genetic condition settings from the form
+function getGeneticConditionSettings() {
+  const maxGeneticRisk = parseFloat(maxGeneticRiskInput?.value);
+  return {
+    geneticConditionMode: geneticConditionModeSelect ? geneticConditionModeSelect.value : 'flag',
+    maxGeneticRisk: isNaN(maxGeneticRisk) ? 25 : maxGeneticRisk,
+    includeTraitConditions: includeTraitConditionsCheckbox ? includeTraitConditionsCheckbox.checked : false
+  };
+}
+
+// Restore saved genetic condition settings on page load
+(function initGeneticConditionSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(GENETIC_CONDITION_SETTINGS_STORAGE_KEY) || 'null');
+    if (saved) {
+      if (geneticConditionModeSelect && saved.geneticConditionMode) geneticConditionModeSelect.value = saved.geneticConditionMode;
+      if (maxGeneticRiskInput && saved.maxGeneticRisk !== undefined) maxGeneticRiskInput.value = saved.maxGeneticRisk;
+      if (includeTraitConditionsCheckbox) includeTraitConditionsCheckbox.checked = saved.includeTraitConditions === true;
+    }
+  } catch (error) {
+    console.error('Error loading genetic condition settings:', error);
+  }
+  [geneticConditionModeSelect, maxGeneticRiskInput, includeTraitConditionsCheckbox].forEach(el => {
+    if (el) {
+      el.addEventListener('change', () => {
+        try {
+          localStorage.setItem(GENETIC_CONDITION_SETTINGS_STORAGE_KEY, JSON.stringify(getGeneticConditionSettings()));
+        } catch (error) {
+          console.error('Error saving genetic condition settings:', error);
+        }
+      });
+    }
+  });
+})();
+
+// Accuracy-aware scoring settings (All Matings tab)
+const ACCURACY_SETTINGS_STORAGE_KEY = 'accuracy-settings';
+const accuracyModeCheckbox = document.getElementById('accuracy-mode-checkbox');
+const possibleChangeMultiplierInput = document.getElementById('possible-change-multiplier-input');
+
+// Get current accuracy settings from the form
+function getAccuracySettings() {
+  const possibleChangeMultiplier = parseFloat(possibleChangeMultiplierInput?.value);
+  return {
+    accuracyMode: accuracyModeCheckbox ? accuracyModeCheckbox.checked : false,
+    possibleChangeMultiplier: isNaN(possibleChangeMultiplier) ? 1 : possibleChangeMultiplier
+  };
+}
+
+// Restore saved accuracy settings on page load
+(function initAccuracySettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(ACCURACY_SETTINGS_STORAGE_KEY) || 'null');
+    if (saved) {
+      if (accuracyModeCheckbox) accuracyModeCheckbox.checked = saved.accuracyMode === true;
+      if (possibleChangeMultiplierInput && saved.possibleChangeMultiplier !== undefined) possibleChangeMultiplierInput.value = saved.possibleChangeMultiplier;
+    }
+  } catch (error) {
+    console.error('Error loading accuracy settings:', error);
+  }
+  [accuracyModeCheckbox, possibleChangeMultiplierInput].forEach(el => {
+    if (el) {
+      el.addEventListener('change', () => {
+        try {
+          localStorage.setItem(ACCURACY_SETTINGS_STORAGE_KEY, JSON.stringify(getAccuracySettings()));
+        } catch (error) {
+          console.error('Error saving accuracy settings:', error);
+        }
+      });
+    }
+  });
+})();
+
+/**
+ * Format a genetic condition map as its code string
+ * @param {Object|null} conditions - Condition map, e.g. { AM: 'F', CA: 'C' }
+ * @returns {string} e.g. "AMF-CAC" or "Untested"
+ */
+function formatGeneticConditions(conditions) {
+  if (!conditions || Object.keys(conditions).length === 0) {
+    return 'Untested';
+  }
+  return Object.keys(conditions).map(code => `${code}${conditions[code]}`).join('-');
+}
+
+/**
+ * Get carrier/affected/potential carrier codes from a genetic condition map
+ * @param {Object|null} conditions - Condition map
+ * @returns {Array} Codes such as "AMC", "NHP"
+ */
+function getCarrierConditionCodes(conditions) {
+  if (!conditions) return [];
+  return Object.keys(conditions)
+    .filter(code => ['C', 'A', 'P'].includes(conditions[code]))
+    .map(code => `${code}${conditions[code]}`);
+}
+
+/**
+ * Format an inbreeding coefficient (0..1) as a percentage string
+ * @param {number|null} coefficient - Inbreeding coefficient
+ * @returns {string} e.g. "12.50%" or "N/A"
+ */
+function formatInbreeding(coefficient) {
+  if (coefficient === null || coefficient === undefined || isNaN(coefficient)) {
+    return 'N/A';
+  }
+  return `${(coefficient * 100).toFixed(2)}%`;
+}
+
+// Scoring profiles (picker + editor on the All Matings tab)
+const SCORING_PROFILE_STORAGE_KEY = 'scoring-profile-selection';
+const scoringProfileSelect = document.getElementById('scoring-profile-select');
+const editScoringProfilesBtn = document.getElementById('edit-scoring-profiles-btn');
+const scoringProfileModal = document.getElementById('scoring-profile-modal');
+const closeScoringProfileModalBtn = document.getElementById('close-scoring-profile-modal-btn');
+const scoringProfileEditorSelect = document.getElementById('scoring-profile-editor-select');
+const scoringProfileEditor = document.getElementById('scoring-profile-editor');
+const newScoringProfileBtn = document.getElementById('new-scoring-profile-btn');
+const deleteScoringProfileBtn = document.getElementById('delete-scoring-profile-btn');
+const saveScoringProfileBtn = document.getElementById('save-scoring-profile-btn');
+
+let scoringProfiles = [];
+
+function loadScoringProfilePreference() {
+  try {
+    return localStorage.getItem(SCORING_PROFILE_STORAGE_KEY) || 'default';
+  } catch (error) {
+    console.error('Error loading scoring profile preference:', error);
+    return 'default';
+  }
+}
+
+function saveScoringProfilePreference(profileId) {
+  try {
+    localStorage.setItem(SCORING_PROFILE_STORAGE_KEY, profileId);
+  } catch (error) {
+    console.error('Error saving scoring profile preference:', error);
+  }
+}
+
+// Get the currently selected scoring profile ID
+function getSelectedScoringProfileId() {
+  return scoringProfileSelect ? scoringProfileSelect.value : loadScoringProfilePreference();
+}
+
+// Load scoring profiles from main process and populate the picker
+async function loadScoringProfiles() {
+  try {
+    scoringProfiles = await window.electronAPI.getScoringProfiles();
+  } catch (error) {
+    console.error('Error loading scoring profiles:', error);
+    scoringProfiles = [];
+  }
+  
+  if (!scoringProfileSelect) return;
+  
+  const selectedId = loadScoringProfilePreference();
+  scoringProfileSelect.innerHTML = '';
+  scoringProfiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.name;
+    scoringProfileSelect.appendChild(option);
+  });
+  
+  // Fall back to Default if the saved profile was deleted
+  scoringProfileSelect.value = scoringProfiles.some(p => p.id === selectedId) ? selectedId : 'default';
+}
+
+if (scoringProfileSelect) {
+  scoringProfileSelect.addEventListener('change', () => {
+    saveScoringProfilePreference(scoringProfileSelect.value);
+  });
+}
+
+// Render editor fields for a profile (built-in profiles are shown read-only)
+function renderScoringProfileEditor(profile) {
+  if (!scoringProfileEditor) return;
+  
+  const readOnly = profile.builtIn === true;
+  const disabledAttr = readOnly ? 'disabled' : '';
+  const inputStyle = 'width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;';
+  
+  let html = '';
+  if (readOnly) {
+    html += '<p style="color: #666; margin-top: 0;">The Default profile is built in and cannot be changed. Use "New Profile" to start a copy.</p>';
+  }
+  html += '<div style="display: grid; grid-template-columns: repeat(auto-fill, minmax(200px, 1fr)); gap: 12px;">';
+  html += `<div><label style="display: block; font-weight: bold; margin-bottom: 4px;">Name:</label><input type="text" id="scoring-profile-name" value="${escapeHtml(profile.name || '')}" style="${inputStyle}" ${disabledAttr}></div>`;
+  html += `<div><label style="display: block; font-weight: bold; margin-bottom: 4px;">Alpha (α):</label><input type="number" id="scoring-profile-alpha" min="0" step="0.05" value="${profile.alpha}" style="${inputStyle}" ${disabledAttr}></div>`;
+  html += `<div><label style="display: block; font-weight: bold; margin-bottom: 4px;">Below-Light-Green Penalty:</label><input type="number" id="scoring-profile-below-lg" min="0" step="0.05" value="${profile.belowLightGreenMultiplier}" style="${inputStyle}" ${disabledAttr}></div>`;
+  html += `<div><label style="display: block; font-weight: bold; margin-bottom: 4px;">Gate Penalty:</label><input type="number" id="scoring-profile-gate" min="0" step="0.05" value="${profile.gatePenaltyMultiplier}" style="${inputStyle}" ${disabledAttr}></div>`;
+  html += '</div>';
+  
+  html += '<h3 style="margin-top: 20px; margin-bottom: 10px;">Trait Emphasis</h3>';
+  html += '<div id="scoring-profile-emphasis" style="display: grid; grid-template-columns: repeat(auto-fill, minmax(90px, 1fr)); gap: 8px;">';
+  traitOrder.forEach(trait => {
+    const emphasis = profile.emphasisByTrait?.[trait] ?? 0;
+    html += `<div><label style="display: block; font-weight: bold; font-size: 0.9em;">${trait}</label><input type="number" data-trait="${trait}" min="0" step="1" value="${emphasis}" style="${inputStyle}" ${disabledAttr}></div>`;
+  });
+  html += '</div>';
+  
+  scoringProfileEditor.innerHTML = html;
+  
+  if (deleteScoringProfileBtn) deleteScoringProfileBtn.disabled = readOnly || !profile.id;
+  if (saveScoringProfileBtn) saveScoringProfileBtn.disabled = readOnly;
+}
+
+// Read the editor fields back into a profile object
+function readScoringProfileEditor() {
+  const profile = {
+    id: scoringProfileEditorSelect ? scoringProfileEditorSelect.value || null : null,
+    name: document.getElementById('scoring-profile-name')?.value.trim() || '',
+    alpha: parseFloat(document.getElementById('scoring-profile-alpha')?.value),
+    belowLightGreenMultiplier: parseFloat(document.getElementById('scoring-profile-below-lg')?.value),
+    gatePenaltyMultiplier: parseFloat(document.getElementById('scoring-profile-gate')?.value),
+    emphasisByTrait: {}
+  };
+  
+  scoringProfileEditor.querySelectorAll('#scoring-profile-emphasis input[data-trait]').forEach(input => {
+    const value = parseFloat(input.value);
+    profile.emphasisByTrait[input.dataset.trait] = isNaN(value) ? 0 : value;
+  });
+  
+  return profile;
+}
+
+// Populate the editor's profile list and show the chosen profile
+function populateScoringProfileEditorSelect(selectedId) {
+  if (!scoringProfileEditorSelect) return;
+  
+  scoringProfileEditorSelect.innerHTML = '';
+  scoringProfiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.builtIn ? `${profile.name} (built-in)` : profile.name;
+    scoringProfileEditorSelect.appendChild(option);
+  });
+  
+  const profile = scoringProfiles.find(p => p.id === selectedId) || scoringProfiles[0];
+  if (profile) {
+    scoringProfileEditorSelect.value = profile.id;
+    renderScoringProfileEditor(profile);
+  }
+}
+
+// Show scoring profile editor modal
+async function showScoringProfileModal() {
+  if (!scoringProfileModal) return;
+  
+  await loadScoringProfiles();
+  populateScoringProfileEditorSelect(getSelectedScoringProfileId());
+  scoringProfileModal.style.display = 'block';
+}
+
+if (editScoringProfilesBtn) {
+  editScoringProfilesBtn.addEventListener('click', showScoringProfileModal);
+}
+
+if (scoringProfileEditorSelect) {
+  scoringProfileEditorSelect.addEventListener('change', () => {
+    const profile = scoringProfiles.find(p => p.id === scoringProfileEditorSelect.value);
+    if (profile) {
+      renderScoringProfileEditor(profile);
+    }
+  });
+}
+
+// Start a new profile as a copy of the one currently shown
+if (newScoringProfileBtn) {
+  newScoringProfileBtn.addEventListener('click', () => {
+    const current = scoringProfiles.find(p => p.id === scoringProfileEditorSelect.value) || scoringProfiles[0];
+    if (!current) return;
+    
+    const option = document.createElement('option');
+    option.value = '';
+    option.textContent = '(new profile)';
+    scoringProfileEditorSelect.appendChild(option);
+    scoringProfileEditorSelect.value = '';
+    
+    renderScoringProfileEditor({ ...current, id: null, name: `${current.name} copy`, builtIn: false });
+    document.getElementById('scoring-profile-name')?.focus();
+  });
+}
+
+if (saveScoringProfileBtn) {
+  saveScoringProfileBtn.addEventListener('click', async () => {
+    const profile = readScoringProfileEditor();
+    if (!profile.name) {
+      alert('Please enter a profile name');
+      return;
+    }
+    
+    try {
+      const result = await window.electronAPI.saveScoringProfile(profile);
+      if (result.success) {
+        await loadScoringProfiles();
+        populateScoringProfileEditorSelect(result.profile.id);
+      } else {
+        alert('Error saving profile: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Error saving scoring profile:', error);
+      alert('Error saving profile: ' + error.message);
+    }
+  });
+}
+
+if (deleteScoringProfileBtn) {
+  deleteScoringProfileBtn.addEventListener('click', async () => {
+    const profileId = scoringProfileEditorSelect.value;
+    const profile = scoringProfiles.find(p => p.id === profileId);
+    if (!profile || profile.builtIn) return;
+    
+    if (!confirm(`Delete scoring profile "${profile.name}"?`)) {
+      return;
+    }
+    
+    try {
+      const result = await window.electronAPI.deleteScoringProfile(profileId);
+      if (result.success) {
+        await loadScoringProfiles();
+        populateScoringProfileEditorSelect(getSelectedScoringProfileId());
+      } else {
+        alert('Error deleting profile: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Error deleting scoring profile:', error);
+      alert('Error deleting profile: ' + error.message);
+    }
+  });
+}
+
+// Close scoring profile modal
+if (closeScoringProfileModalBtn) {
+  closeScoringProfileModalBtn.addEventListener('click', () => {
+    scoringProfileModal.style.display = 'none';
+  });
+}
+
+if (scoringProfileModal) {
+  scoringProfileModal.addEventListener('click', (e) => {
+    if (e.target === scoringProfileModal) {
+      scoringProfileModal.style.display = 'none';
+    }
+  });
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && scoringProfileModal && scoringProfileModal.style.display === 'block') {
+    scoringProfileModal.style.display = 'none';
+  }
+});
+
+// Initialize scoring profile picker on page load
+loadScoringProfiles();
+
+// Calf projection that drives the mating rank (All Matings mode); both are always shown
+const RANK_BY_CALF_STORAGE_KEY = 'rank-by-calf';
+const rankByCalfSelect = document.getElementById('rank-by-calf-select');
+
+function getSelectedRankByCalf() {
+  return rankByCalfSelect && rankByCalfSelect.value === 'heifer' ? 'heifer' : 'bull';
+}
+
+if (rankByCalfSelect) {
+  try {
+    rankByCalfSelect.value = localStorage.getItem(RANK_BY_CALF_STORAGE_KEY) === 'heifer' ? 'heifer' : 'bull';
+  } catch (error) {
+    console.error('Error loading rank-by-calf preference:', error);
+  }
+  rankByCalfSelect.addEventListener('change', () => {
+    try {
+      localStorage.setItem(RANK_BY_CALF_STORAGE_KEY, getSelectedRankByCalf());
+    } catch (error) {
+      console.error('Error saving rank-by-calf preference:', error);
+    }
+  });
+}
+
+// Percentile breakdown picker (All Matings mode); the selection is saved in the main process
+// and applies to all scoring, so past rankings can be reproduced against an earlier evaluation
+const percentileSnapshotSelect = document.getElementById('percentile-snapshot-select');
+
+async function loadPercentileSnapshots() {
+  if (!percentileSnapshotSelect) return;
+  
+  let snapshots;
+  try {
+    snapshots = await window.electronAPI.getPercentileSnapshots();
+  } catch (error) {
+    console.error('Error loading percentile snapshots:', error);
+    return;
+  }
+  
+  percentileSnapshotSelect.innerHTML = '<option value="latest">Latest</option>';
+  snapshots.evaluations.forEach(evaluation => {
+    const option = document.createElement('option');
+    option.value = evaluation.asOf;
+    const notes = [];
+    if (evaluation.types.length === 1) notes.push(evaluation.types[0] === 'cow' ? 'cows only' : 'bulls only');
+    if (evaluation.source === 'bundled') notes.push('bundled');
+    option.textContent = `As of ${evaluation.asOf}${notes.length > 0 ? ` (${notes.join(', ')})` : ''}`;
+    percentileSnapshotSelect.appendChild(option);
+  });
+  
+  // A pinned date without an exact snapshot still scores against the nearest older one
+  if (snapshots.selection !== 'latest' && !snapshots.evaluations.some(e => e.asOf === snapshots.selection)) {
+    const option = document.createElement('option');
+    option.value = snapshots.selection;
+    option.textContent = `As of ${snapshots.selection}`;
+    percentileSnapshotSelect.appendChild(option);
+  }
+  percentileSnapshotSelect.value = snapshots.selection;
+}
+
+if (percentileSnapshotSelect) {
+  percentileSnapshotSelect.addEventListener('change', async () => {
+    const result = await window.electronAPI.setPercentileSnapshot(percentileSnapshotSelect.value);
+    if (!result.success) {
+      alert(`Error selecting percentile breakdown: ${result.error}`);
+      await loadPercentileSnapshots();
+    }
+  });
+}
+
+loadPercentileSnapshots();
+
+// Mating planner settings and sire inventory (All Matings tab)
+const PLANNER_SETTINGS_STORAGE_KEY = 'planner-settings';
+const plannerModeSelect = document.getElementById('planner-mode-select');
+const strawsPerCowInput = document.getElementById('straws-per-cow-input');
+const editSireInventoryBtn = document.getElementById('edit-sire-inventory-btn');
+const sireInventoryModal = document.getElementById('sire-inventory-modal');
+const closeSireInventoryModalBtn = document.getElementById('close-sire-inventory-modal-btn');
+const sireInventoryList = document.getElementById('sire-inventory-list');
+const saveSireInventoryBtn = document.getElementById('save-sire-inventory-btn');
+
+// Get current planner settings from the form
+function getPlannerSettings() {
+  const strawsPerCow = parseFloat(strawsPerCowInput?.value);
+  return {
+    plannerMode: plannerModeSelect ? plannerModeSelect.value : 'top-n',
+    strawsPerCow: isNaN(strawsPerCow) || strawsPerCow <= 0 ? 1 : strawsPerCow
+  };
+}
+
+// Restore saved planner settings on page load
+(function initPlannerSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PLANNER_SETTINGS_STORAGE_KEY) || 'null');
+    if (saved) {
+      if (plannerModeSelect && saved.plannerMode) plannerModeSelect.value = saved.plannerMode;
+      if (strawsPerCowInput && saved.strawsPerCow !== undefined) strawsPerCowInput.value = saved.strawsPerCow;
+    }
+  } catch (error) {
+    console.error('Error loading planner settings:', error);
+  }
+  [plannerModeSelect, strawsPerCowInput].forEach(el => {
+    if (el) {
+      el.addEventListener('change', () => {
+        try {
+          localStorage.setItem(PLANNER_SETTINGS_STORAGE_KEY, JSON.stringify(getPlannerSettings()));
+        } catch (error) {
+          console.error('Error saving planner settings:', error);
+        }
+      });
+    }
+  });
+})();
+
+// Show the sire inventory editor for cached bulls (limited to the selected sire category)
+async function showSireInventoryModal() {
+  if (!sireInventoryModal || !sireInventoryList) return;
+  
+  let animals = [];
+  let inventory = {};
+  try {
+    [animals, inventory] = await Promise.all([
+      window.electronAPI.getCachedAnimals(),
+      window.electronAPI.getSireInventory()
+    ]);
+  } catch (error) {
+    console.error('Error loading sire inventory:', error);
+    alert('Error loading sire inventory: ' + error.message);
+    return;
+  }
+  
+  const sireCategorySelect = document.getElementById('sire-category-select');
+  const sireCategory = sireCategorySelect && sireCategorySelect.value !== 'all' ? sireCategorySelect.value : null;
+  const bulls = animals.filter(animal => {
+    const sex = (animal.sex || '').toUpperCase();
+    const isSire = sex === 'BULL' || sex === 'MALE' || sex === 'STEER' || sex.includes('BULL') || sex.includes('MALE');
+    if (!isSire) return false;
+    if (sireCategory !== null) {
+      const animalCategories = animal.categories || (animal.category ? [animal.category] : ['My Herd']);
+      return animalCategories.includes(sireCategory);
+    }
+    return true;
+  });
+  
+  if (bulls.length === 0) {
+    sireInventoryList.innerHTML = '<p style="color: #666;">No cached sires found for the selected sire category.</p>';
+  } else {
+    const cellStyle = 'padding: 8px; border: 1px solid #000;';
+    const inputStyle = 'width: 100%; padding: 6px; border: 1px solid #ccc; border-radius: 4px; box-sizing: border-box;';
+    let html = '<table style="border-collapse: collapse; width: 100%;">';
+    html += `<thead><tr style="background-color: #E0E0E0; font-weight: bold;"><th style="${cellStyle}">Sire</th><th style="${cellStyle}">Service</th><th style="${cellStyle}">Straws / Cows</th></tr></thead><tbody>`;
+    bulls.forEach(bull => {
+      const entry = inventory[bull.registrationNumber] || null;
+      const serviceType = entry ? entry.serviceType : '';
+      const count = entry ? (entry.serviceType === 'ai' ? entry.straws : entry.capacity) : '';
+      html += `<tr data-registration-number="${escapeHtml(bull.registrationNumber)}">`;
+      html += `<td style="${cellStyle}"><strong>${escapeHtml(bull.animalName || bull.registrationNumber)}</strong><br><small style="color: #666;">${escapeHtml(bull.registrationNumber)}</small></td>`;
+      html += `<td style="${cellStyle}"><select class="sire-inventory-service" style="${inputStyle}">`;
+      html += `<option value="" ${serviceType === '' ? 'selected' : ''}>Unlimited</option>`;
+      html += `<option value="ai" ${serviceType === 'ai' ? 'selected' : ''}>AI (straws on hand)</option>`;
+      html += `<option value="natural" ${serviceType === 'natural' ? 'selected' : ''}>Natural service (cows)</option>`;
+      html += '</select></td>';
+      html += `<td style="${cellStyle}"><input type="number" class="sire-inventory-count" min="0" step="1" value="${count}" style="${inputStyle}" ${serviceType === '' ? 'disabled' : ''}></td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table>';
+    sireInventoryList.innerHTML = html;
+    
+    sireInventoryList.querySelectorAll('.sire-inventory-service').forEach(select => {
+      select.addEventListener('change', () => {
+        const countInput = select.closest('tr').querySelector('.sire-inventory-count');
+        countInput.disabled = select.value === '';
+      });
+    });
+  }
+  
+  // Keep entries for sires not shown (other categories) when saving
+  sireInventoryList.dataset.inventory = JSON.stringify(inventory);
+  sireInventoryModal.style.display = 'block';
+}
+
+if (editSireInventoryBtn) {
+  editSireInventoryBtn.addEventListener('click', showSireInventoryModal);
+}
+
+if (saveSireInventoryBtn) {
+  saveSireInventoryBtn.addEventListener('click', async () => {
+    const inventory = JSON.parse(sireInventoryList.dataset.inventory || '{}');
+    sireInventoryList.querySelectorAll('tr[data-registration-number]').forEach(row => {
+      const registrationNumber = row.dataset.registrationNumber;
+      const serviceType = row.querySelector('.sire-inventory-service').value;
+      const count = parseInt(row.querySelector('.sire-inventory-count').value, 10);
+      
+      if (serviceType === '' || isNaN(count)) {
+        delete inventory[registrationNumber];
+      } else if (serviceType === 'ai') {
+        inventory[registrationNumber] = { serviceType: 'ai', straws: count };
+      } else {
+        inventory[registrationNumber] = { serviceType: 'natural', capacity: count };
+      }
+    });
+    
+    try {
+      const result = await window.electronAPI.saveSireInventory(inventory);
+      if (result.success) {
+        sireInventoryModal.style.display = 'none';
+      } else {
+        alert('Error saving sire inventory: ' + (result.error || 'Unknown error'));
+      }
+    } catch (error) {
+      console.error('Error saving sire inventory:', error);
+      alert('Error saving sire inventory: ' + error.message);
+    }
+  });
+}
+
+// Close sire inventory modal
+if (closeSireInventoryModalBtn) {
+  closeSireInventoryModalBtn.addEventListener('click', () => {
+    sireInventoryModal.style.display = 'none';
+  });
+}
+
+if (sireInventoryModal) {
+  sireInventoryModal.addEventListener('click', (e) => {
+    if (e.target === sireInventoryModal) {
+      sireInventoryModal.style.display = 'none';
+    }
+  });
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && sireInventoryModal && sireInventoryModal.style.display === 'block') {
+    sireInventoryModal.style.display = 'none';
+  }
+});
+
+/**
+ * Build the mating plan summary (sire usage and unassigned cows) for optimize mode
+ * @param {Object} matingPlan - Plan details from rank-all-matings ({ sireUsage, unassignedCows, totalScore })
+ * @returns {HTMLElement} Summary element
+ */
+function renderMatingPlanSummary(matingPlan) {
+  const planDiv = document.createElement('div');
+  planDiv.style.marginBottom = '20px';
+  planDiv.style.padding = '15px';
+  planDiv.style.backgroundColor = '#f0f8e8';
+  planDiv.style.borderRadius = '6px';
+  
+  const serviceLabels = { ai: 'AI', natural: 'Natural service' };
+  const cellStyle = 'padding: 8px; border: 1px solid #000; text-align: center;';
+  let html = '<h4 style="margin-top: 0; margin-bottom: 15px;">Mating Plan (One Sire per Cow)</h4>';
+  html += `<p><strong>Total Herd Score:</strong> ${matingPlan.totalScore.toFixed(2)}</p>`;
+  
+  html += '<table style="border-collapse: collapse; width: 100%; margin-top: 10px;">';
+  html += `<thead><tr style="background-color: #d8ecc8; font-weight: bold;"><th style="${cellStyle}">Sire</th><th style="${cellStyle}">Service</th><th style="${cellStyle}">Cows Assigned</th><th style="${cellStyle}">Straws Used</th><th style="${cellStyle}">Limit</th><th style="${cellStyle}">Remaining</th></tr></thead><tbody>`;
+  matingPlan.sireUsage.filter(usage => usage.used > 0 || usage.serviceType).forEach(usage => {
+    const atLimit = usage.remaining === 0;
+    html += '<tr>';
+    html += `<td style="${cellStyle} text-align: left; font-weight: bold;">${escapeHtml(usage.sireName)}</td>`;
+    html += `<td style="${cellStyle}">${serviceLabels[usage.serviceType] || 'Unlimited'}</td>`;
+    html += `<td style="${cellStyle}">${usage.used}</td>`;
+    html += `<td style="${cellStyle}">${usage.strawsUsed ?? ''}</td>`;
+    html += `<td style="${cellStyle}">${usage.capacity ?? 'Unlimited'}</td>`;
+    html += `<td style="${cellStyle}${atLimit ? ' background-color: #fff3cd; font-weight: bold;' : ''}">${usage.remaining ?? ''}</td>`;
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+  
+  if (matingPlan.unassignedCows.length > 0) {
+    html += `<p style="color: #dc3545; margin-top: 15px;"><strong>${matingPlan.unassignedCows.length} cow(s) could not be assigned:</strong></p><ul style="margin-top: 5px;">`;
+    matingPlan.unassignedCows.forEach(cow => {
+      html += `<li>${escapeHtml(cow.cowName)} - ${escapeHtml(cow.reason)}</li>`;
+    });
+    html += '</ul>';
+  }
+  
+  planDiv.innerHTML = html;
+  return planDiv;
+}
+
 function showProgress(completed, total) {
   progressSection.style.display = 'block';
   updateProgress(completed, total);
 }
 
-function updateProgress(completed, total, current) {
-  const percentage = total > 0 ? (completed / total) * 100 : 0;
-  progressFill.style.width = `${percentage}%`;
-  
-  if (current) {
-    progressText.textContent = `Processing: ${current} (${completed} of ${total} completed)`;
-  } else {
-    progressText.textContent = `${completed} of ${total} completed`;
+function updateProgress(completed, total, current) {
+  const percentage = total > 0 ? (completed / total) * 100 : 0;
+  progressFill.style.width = `${percentage}%`;
+  
+  if (current) {
+    progressText.textContent = `Processing: ${current} (${completed} of ${total} completed)`;
+  } else {
+    progressText.textContent = `${completed} of ${total} completed`;
+  }
+}
+
+function hideProgress() {
+  progressSection.style.display = 'none';
+}
+
+// Scrape queue panel
+const scrapeQueuePanel = document.getElementById('scrape-queue-panel');
+const scrapeQueueSummary = document.getElementById('scrape-queue-summary');
+const scrapeQueueJobs = document.getElementById('scrape-queue-jobs');
+const scrapeQueueRetryBtn = document.getElementById('scrape-queue-retry-btn');
+const scrapeQueuePauseBtn = document.getElementById('scrape-queue-pause-btn');
+const scrapeQueueClearBtn = document.getElementById('scrape-queue-clear-btn');
+const scrapeQueueConcurrency = document.getElementById('scrape-queue-concurrency');
+const scrapeQueueMaxAttempts = document.getElementById('scrape-queue-max-attempts');
+
+// Rows listed in the panel (the counts always cover the whole queue)
+const SCRAPE_QUEUE_MAX_ROWS = 200;
+const SCRAPE_QUEUE_STATUS_ORDER = { running: 0, queued: 1, failed: 2, done: 3 };
+const SCRAPE_QUEUE_STATUS_COLORS = { running: '#1565c0', queued: '#666', failed: '#c62828', done: '#2e7d32' };
+
+let scrapeQueueDoneCount = null;
+
+function renderScrapeQueue(status) {
+  if (!scrapeQueuePanel || !status) return;
+
+  const { counts, jobs, settings } = status;
+  if (jobs.length === 0) {
+    scrapeQueuePanel.style.display = 'none';
+    scrapeQueueDoneCount = 0;
+    return;
+  }
+  scrapeQueuePanel.style.display = 'block';
+
+  const state = status.paused ? 'Paused' : status.running ? 'Running' : 'Idle';
+  scrapeQueueSummary.textContent = `${state} - ${counts.running} running, ${counts.queued} queued, ${counts.failed} failed, ${counts.done} done`;
+
+  scrapeQueueRetryBtn.disabled = counts.failed === 0;
+  scrapeQueueClearBtn.disabled = counts.done === 0;
+  const canResume = !status.running && (counts.queued > 0 || counts.running > 0);
+  scrapeQueuePauseBtn.textContent = status.paused || canResume ? 'Resume' : 'Pause';
+  scrapeQueuePauseBtn.disabled = !status.running && !canResume;
+
+  if (document.activeElement !== scrapeQueueConcurrency) scrapeQueueConcurrency.value = String(settings.concurrency);
+  if (document.activeElement !== scrapeQueueMaxAttempts) scrapeQueueMaxAttempts.value = settings.maxAttempts;
+
+  const sortedJobs = jobs.slice().sort((a, b) =>
+    SCRAPE_QUEUE_STATUS_ORDER[a.status] - SCRAPE_QUEUE_STATUS_ORDER[b.status] ||
+    (b.updatedAt || '').localeCompare(a.updatedAt || ''));
+
+  let html = '<table style="width: 100%; border-collapse: collapse; font-size: 13px;">';
+  html += '<thead><tr style="background-color: #E0E0E0;">';
+  ['Registration', 'Category', 'Status', 'Attempts', 'Details'].forEach(header => {
+    html += `<th style="padding: 8px; border: 1px solid #000; text-align: left;">${header}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+  sortedJobs.slice(0, SCRAPE_QUEUE_MAX_ROWS).forEach(job => {
+    let details = job.error || '';
+    if (job.status === 'queued' && job.nextAttemptAt) {
+      details = `Retry at ${new Date(job.nextAttemptAt).toLocaleTimeString()}${job.error ? ` (${job.error})` : ''}`;
+    }
+    html += '<tr>';
+    html += `<td style="padding: 8px; border: 1px solid #000;">${escapeHtml(job.registrationNumber)}</td>`;
+    html += `<td style="padding: 8px; border: 1px solid #000;">${escapeHtml(job.category || '')}</td>`;
+    html += `<td style="padding: 8px; border: 1px solid #000; color: ${SCRAPE_QUEUE_STATUS_COLORS[job.status] || '#000'}; font-weight: bold;">${escapeHtml(job.status)}</td>`;
+    html += `<td style="padding: 8px; border: 1px solid #000;">${job.attempts || 0}</td>`;
+    html += `<td style="padding: 8px; border: 1px solid #000;">${escapeHtml(details)}</td>`;
+    html += '</tr>';
+  });
+  html += '</tbody></table>';
+  if (sortedJobs.length > SCRAPE_QUEUE_MAX_ROWS) {
+    html += `<p style="color: #666; margin: 5px 0 0 0;">...and ${sortedJobs.length - SCRAPE_QUEUE_MAX_ROWS} more</p>`;
+  }
+  scrapeQueueJobs.innerHTML = html;
+
+  // Animals scraped by a resumed queue should show up in the cached animal dropdowns
+  if (scrapeQueueDoneCount !== null && counts.done > scrapeQueueDoneCount && !status.running) {
+    loadCachedAnimals().catch(err => {
+      console.error('Error reloading cached animals:', err);
+    });
+  }
+  scrapeQueueDoneCount = counts.done;
+}
+
+async function loadScrapeQueue() {
+  try {
+    renderScrapeQueue(await window.electronAPI.getScrapeQueue());
+  } catch (error) {
+    console.error('Error loading scrape queue:', error);
   }
 }
 
-function hideProgress() {
-  progressSection.style.display = 'none';
+if (scrapeQueuePanel) {
+  window.electronAPI.onScrapeQueueUpdated(renderScrapeQueue);
+
+  scrapeQueueRetryBtn.addEventListener('click', async () => {
+    const result = await window.electronAPI.retryFailedScrapeJobs();
+    if (!result.success) {
+      alert(`Error retrying failed jobs: ${result.error}`);
+    }
+    await loadScrapeQueue();
+  });
+
+  scrapeQueuePauseBtn.addEventListener('click', async () => {
+    const result = scrapeQueuePauseBtn.textContent === 'Pause'
+      ? await window.electronAPI.pauseScrapeQueue()
+      : await window.electronAPI.resumeScrapeQueue();
+    if (!result.success) {
+      alert(`Error updating scrape queue: ${result.error}`);
+    }
+    await loadScrapeQueue();
+  });
+
+  scrapeQueueClearBtn.addEventListener('click', async () => {
+    await window.electronAPI.clearFinishedScrapeJobs();
+    await loadScrapeQueue();
+  });
+
+  const saveScrapeQueueSettings = async () => {
+    await window.electronAPI.updateScrapeQueueSettings({
+      concurrency: scrapeQueueConcurrency.value,
+      maxAttempts: scrapeQueueMaxAttempts.value
+    });
+    await loadScrapeQueue();
+  };
+  scrapeQueueConcurrency.addEventListener('change', saveScrapeQueueSettings);
+  scrapeQueueMaxAttempts.addEventListener('change', saveScrapeQueueSettings);
+
+  loadScrapeQueue();
 }
 
 // Mating calculator progress
@@ -554,15 +1379,18 @@ function getColorForTrait(traitName, percentRank, epdValue = null, percentileDat
  * @param {Object} animalData - Animal data object with epdValues
  * @param {string} animalType - 'bull' or 'cow'
  * @param {Array} gateTraits - Array of gate trait names (optional, defaults to empty)
+ * @param {string} profileId - Scoring profile ID (optional, defaults to the selected profile)
  * @returns {Promise<number>} Final score
+ * Accuracy-aware scoring follows the All Matings accuracy setting.
  */
-async function scoreAnimal(animalData, animalType, gateTraits = []) {
+async function scoreAnimal(animalData, animalType, gateTraits = [], profileId = getSelectedScoringProfileId()) {
   if (!animalData || !animalData.epdValues) {
     return 0;
   }
   
-  // Extract EPD values from animal data
+  // Extract EPD values (and ACC for accuracy-aware scoring) from animal data
   const epdValues = {};
+  const accuracyByTrait = {};
   for (const trait in animalData.epdValues) {
     const traitData = animalData.epdValues[trait];
     if (!traitData || !traitData.epd) {
@@ -578,12 +1406,18 @@ async function scoreAnimal(animalData, animalType, gateTraits = []) {
     
     if (!isNaN(epdValue)) {
       epdValues[trait] = epdValue;
+      if (traitData.acc) accuracyByTrait[trait] = traitData.acc;
     }
   }
   
+  const accuracySettings = getAccuracySettings();
+  const accuracyOptions = accuracySettings.accuracyMode
+    ? { accuracyByTrait, possibleChangeMultiplier: accuracySettings.possibleChangeMultiplier }
+    : null;
+  
   // Call shared scoring function via IPC
   try {
-    const result = await window.electronAPI.scoreAnimal(epdValues, animalType, gateTraits);
+    const result = await window.electronAPI.scoreAnimal(epdValues, animalType, gateTraits, profileId, accuracyOptions);
     return result.success ? result.score : 0;
   } catch (error) {
     console.error('Error scoring animal:', error);
@@ -1472,7 +2306,9 @@ async function displayMatingResults(data, fromAllMatings = false) {
   headerRow.style.backgroundColor = '#E0E0E0';
   headerRow.style.fontWeight = 'bold';
 
-  const headers = ['Trait', 'Sire EPD', 'Dam EPD', 'Expected EPD', 'Est. % Rank'];
+  // Expected EPD colors follow the calf projection that drives the rank
+  const rankByCalf = data.rankByCalf || getSelectedRankByCalf();
+  const headers = ['Trait', 'Sire EPD', 'Dam EPD', 'Expected EPD', 'Bull Calf % Rank', 'Heifer Calf % Rank'];
   headers.forEach(headerText => {
     const th = document.createElement('th');
     th.textContent = headerText;
@@ -1615,9 +2451,11 @@ async function displayMatingResults(data, fromAllMatings = false) {
     expectedCell.style.border = '1px solid #000';
     expectedCell.style.textAlign = 'center';
 
-    // Apply color coding based on estimated percentile rank (expected calf uses bull data)
+    // Apply color coding based on the ranked calf's percentile (bull calf: bull data, heifer calf: cow data)
     const estimatedRank = calcData.estimatedPercentileRank;
-    if (estimatedRank !== null && estimatedRank !== undefined && estimatedRank !== 'N/A') {
+    const heiferRank = calcData.heiferPercentileRank;
+    const rankedRank = rankByCalf === 'heifer' ? heiferRank : estimatedRank;
+    if (rankedRank !== null && rankedRank !== undefined && rankedRank !== 'N/A') {
       let expectedEPDValue = null;
       if (epdDisplay !== 'N/A') {
         const epdNum = parseFloat(epdDisplay);
@@ -1625,7 +2463,9 @@ async function displayMatingResults(data, fromAllMatings = false) {
           expectedEPDValue = epdNum;
         }
       }
-      const colors = getColorForTrait(trait, estimatedRank.toString(), expectedEPDValue, bullPercentileData, 'bull');
+      const colors = rankByCalf === 'heifer'
+        ? getColorForTrait(trait, rankedRank.toString(), expectedEPDValue, cowPercentileData, 'cow')
+        : getColorForTrait(trait, rankedRank.toString(), expectedEPDValue, bullPercentileData, 'bull');
       expectedCell.style.backgroundColor = colors.bgColor;
       expectedCell.style.color = colors.textColor;
     } else {
@@ -1635,15 +2475,20 @@ async function displayMatingResults(data, fromAllMatings = false) {
     }
     row.appendChild(expectedCell);
 
-    // Estimated % Rank
-    const rankCell = document.createElement('td');
-    rankCell.textContent = estimatedRank !== null && estimatedRank !== undefined ? `${estimatedRank}%` : 'N/A';
-    rankCell.style.padding = '8px';
-    rankCell.style.border = '1px solid #000';
-    rankCell.style.textAlign = 'center';
-    rankCell.style.backgroundColor = '#FFFFFF';
-    rankCell.style.color = '#000000';
-    row.appendChild(rankCell);
+    // Estimated % Rank as a bull calf and as a heifer calf (ranked one in bold)
+    [{ calf: 'bull', rank: estimatedRank }, { calf: 'heifer', rank: heiferRank }].forEach(({ calf, rank }) => {
+      const rankCell = document.createElement('td');
+      rankCell.textContent = rank !== null && rank !== undefined ? `${rank}%` : 'N/A';
+      rankCell.style.padding = '8px';
+      rankCell.style.border = '1px solid #000';
+      rankCell.style.textAlign = 'center';
+      rankCell.style.backgroundColor = '#FFFFFF';
+      rankCell.style.color = '#000000';
+      if (calf === rankByCalf) {
+        rankCell.style.fontWeight = 'bold';
+      }
+      row.appendChild(rankCell);
+    });
 
     tbody.appendChild(row);
   });
@@ -1751,13 +2596,22 @@ function displayAllMatingsResults(data) {
   const gateTraitsDisplay = config.gateTraits && config.gateTraits.length > 0 
     ? config.gateTraits.join(', ') 
     : 'None (all matings pass gate)';
+  const inbreedingModeLabels = { off: 'Shown only', penalize: 'Penalized', exclude: 'Excluded' };
+  const inbreedingDisplay = config.inbreedingMode && config.inbreedingMode !== 'off'
+    ? `${inbreedingModeLabels[config.inbreedingMode]} above ${config.maxInbreeding}%`
+    : inbreedingModeLabels.off;
   
   summaryText.innerHTML = `
     <h3 style="margin-top: 0;">All Matings Ranking Results (Grouped by Cow)</h3>
     <p><strong>Total Matings Evaluated:</strong> ${totalMatings} (${totalCows} cows × ${totalSires} sires)</p>
     <p><strong>Results Shown:</strong> ${filteredMatings.length} of ${rankedMatings.length} ranked matings</p>
     <p><strong>Gate Traits:</strong> ${gateTraitsDisplay}</p>
-    <p><strong>Scoring:</strong> Emphasis-based weighting (all traits contribute)</p>
+    <p><strong>Inbreeding:</strong> ${inbreedingDisplay}</p>
+    <p><strong>Genetic Conditions:</strong> ${config.geneticConditionMode === 'exclude' ? `Matings with ${config.maxGeneticRisk}% or higher affected-calf risk excluded` : 'Carrier matings flagged'} (${filteredMatings.filter(m => m.geneticRisk > 0).length} shown with risk)</p>
+    ${data.matingPlan ? `<p><strong>Planner:</strong> One sire per cow (${rankedMatings.length} of ${totalCows} cows assigned, ${config.strawsPerCow} straw(s) per AI cow)</p>` : ''}
+    <p><strong>Ranked By:</strong> ${config.rankByCalf === 'heifer' ? 'Heifer calf (cow percentile breakdowns)' : 'Bull calf (bull percentile breakdowns)'}${config.heiferProjection ? '' : ' - cow percentile breakdowns unavailable, heifer calves not projected'}</p>
+    <p><strong>Accuracy:</strong> ${config.accuracyMode ? `EPDs discounted by ${config.possibleChangeMultiplier} × possible change` : 'Not used'}</p>
+    <p><strong>Scoring:</strong> Emphasis-based weighting (all traits contribute) using the ${escapeHtml(config.profileName || 'Default')} profile</p>
   `;
   
   // Export button
@@ -1793,6 +2647,8 @@ function displayAllMatingsResults(data) {
             dam: mating.cowName || mating.cowId,
             score: mating.score?.toFixed(2) || '0.00', // Keep as string in additionalInfo for reference
             passedGate: mating.passedGate ? 'Yes' : 'No',
+            inbreeding: formatInbreeding(mating.inbreedingCoefficient),
+            geneticRisk: mating.geneticRisk > 0 ? `${(mating.geneticRisk * 100).toFixed(1)}% (${mating.geneticConditionRisks.map(r => r.condition).join(', ')})` : 'None',
             numBelowLightGreen: mating.numBelowLightGreenAllTraits || 0,
             improvedEmphasisTraits: mating.improvedEmphasisTraitsCount || 0
           }
@@ -1816,10 +2672,82 @@ function displayAllMatingsResults(data) {
     }
   });
   
+  // Printable report (PDF or HTML) of the results shown
+  const exportReportBtn = document.createElement('button');
+  exportReportBtn.className = 'btn btn-primary';
+  exportReportBtn.textContent = 'Export Report (PDF/HTML)';
+  exportReportBtn.style.alignSelf = 'flex-start';
+  exportReportBtn.addEventListener('click', async () => {
+    exportReportBtn.disabled = true;
+    try {
+      // Only the cow's pedigree details are used from the full animal data
+      const reportData = {
+        ...data,
+        rankedMatings: rankedMatings.map(({ cowData, sireData, ...mating }) => ({
+          ...mating,
+          cowData: cowData ? { additionalInfo: cowData.additionalInfo } : null
+        }))
+      };
+      const result = await window.electronAPI.exportMatingReport({
+        data: reportData,
+        options: { gatePassOnly: showOnlyGatePass }
+      });
+      if (result && result.success) {
+        alert(`Mating report saved successfully!\n${result.path}`);
+      } else if (result?.error !== 'Save cancelled') {
+        alert(`Export failed: ${result?.error || 'Unknown error'}`);
+      }
+    } catch (error) {
+      console.error('Error exporting mating report:', error);
+      alert('Error exporting mating report: ' + (error.message || String(error)));
+    } finally {
+      exportReportBtn.disabled = false;
+    }
+  });
+  
   summary.appendChild(summaryText);
   summary.appendChild(exportBtn);
+  summary.appendChild(exportReportBtn);
+  
+  // Optimize mode: export the plan itself and show sire usage
+  if (data.matingPlan) {
+    const exportPlanBtn = document.createElement('button');
+    exportPlanBtn.className = 'btn btn-primary';
+    exportPlanBtn.textContent = 'Export Mating Plan';
+    exportPlanBtn.style.alignSelf = 'flex-start';
+    exportPlanBtn.addEventListener('click', async () => {
+      exportPlanBtn.disabled = true;
+      try {
+        const plan = {
+          ...data.matingPlan,
+          assignments: rankedMatings.map(({ cowData, sireData, traitResults, bullCalf, heiferCalf, ...mating }) => ({
+            ...mating,
+            bullCalfScore: bullCalf ? bullCalf.score : null,
+            heiferCalfScore: heiferCalf ? heiferCalf.score : null
+          }))
+        };
+        const result = await window.electronAPI.exportMatingPlan(plan);
+        if (result && result.success) {
+          alert(`Mating plan saved successfully!\n${result.path}`);
+        } else if (result?.error !== 'Save cancelled') {
+          alert(`Export failed: ${result?.error || 'Unknown error'}`);
+        }
+      } catch (error) {
+        console.error('Error exporting mating plan:', error);
+        alert('Error exporting mating plan: ' + (error.message || String(error)));
+      } finally {
+        exportPlanBtn.disabled = false;
+      }
+    });
+    summary.appendChild(exportPlanBtn);
+  }
+  
   container.appendChild(summary);
   
+  if (data.matingPlan) {
+    container.appendChild(renderMatingPlanSummary(data.matingPlan));
+  }
+  
   // Calculate sire summary (how many times each bull was ranked #1, #2, etc. per cow)
   const sireSummary = {};
   Object.keys(matingsByCow).forEach(cowId => {
@@ -1976,8 +2904,13 @@ function displayAllMatingsResults(data) {
   headerRow.style.backgroundColor = '#E0E0E0';
   headerRow.style.fontWeight = 'bold';
   
-  // Base headers
-  const baseHeaders = ['Cow', 'Sire Rank', 'Score', 'Gate', 'Improved', 'Worsened', 'Sire'];
+  // Base headers (bull and heifer calf scores when both were projected; the ranked one is marked)
+  const showCalfScores = rankedMatings.some(m => m.heiferCalf);
+  const rankedCalf = config.rankByCalf === 'heifer' ? 'heifer' : 'bull';
+  const scoreHeaders = showCalfScores
+    ? [`Bull Calf Score${rankedCalf === 'bull' ? ' ▼' : ''}`, `Heifer Calf Score${rankedCalf === 'heifer' ? ' ▼' : ''}`]
+    : ['Score'];
+  const baseHeaders = ['Cow', 'Sire Rank', ...scoreHeaders, 'Gate', 'Inbreeding', 'Genetic Risk', 'Improved', 'Worsened', 'Sire'];
   
   // Add all trait headers
   const headers = [...baseHeaders, ...sortedTraits];
@@ -2033,13 +2966,24 @@ function displayAllMatingsResults(data) {
       rankCell.style.fontWeight = 'bold';
       row.appendChild(rankCell);
       
-      // Score
-      const scoreCell = document.createElement('td');
-      scoreCell.textContent = mating.score.toFixed(2);
-      scoreCell.style.padding = '8px';
-      scoreCell.style.border = '1px solid #000';
-      scoreCell.style.textAlign = 'center';
-      row.appendChild(scoreCell);
+      // Score (bull and heifer calf, with the one driving the rank in bold)
+      const calfScores = showCalfScores
+        ? [{ calf: 'bull', projection: mating.bullCalf }, { calf: 'heifer', projection: mating.heiferCalf }]
+        : [{ calf: rankedCalf, projection: mating }];
+      calfScores.forEach(({ calf, projection }) => {
+        const scoreCell = document.createElement('td');
+        scoreCell.textContent = projection ? projection.score.toFixed(2) : 'N/A';
+        scoreCell.style.padding = '8px';
+        scoreCell.style.border = '1px solid #000';
+        scoreCell.style.textAlign = 'center';
+        if (showCalfScores && calf === rankedCalf) {
+          scoreCell.style.fontWeight = 'bold';
+        }
+        if (showCalfScores && projection && !projection.passedGate) {
+          scoreCell.title = `Fails gate: ${projection.failedGateTraits.join(', ')}`;
+        }
+        row.appendChild(scoreCell);
+      });
       
       // Gate
       const gateCell = document.createElement('td');
@@ -2051,6 +2995,48 @@ function displayAllMatingsResults(data) {
       gateCell.style.color = mating.passedGate ? '#155724' : '#721c24';
       row.appendChild(gateCell);
       
+      // Inbreeding (highlighted when over the limit)
+      const inbreedingCell = document.createElement('td');
+      inbreedingCell.textContent = formatInbreeding(mating.inbreedingCoefficient);
+      inbreedingCell.style.padding = '8px';
+      inbreedingCell.style.border = '1px solid #000';
+      inbreedingCell.style.textAlign = 'center';
+      if (mating.exceedsInbreedingLimit) {
+        inbreedingCell.style.backgroundColor = '#f8d7da';
+        inbreedingCell.style.color = '#721c24';
+        inbreedingCell.style.fontWeight = 'bold';
+      }
+      row.appendChild(inbreedingCell);
+      
+      // Genetic condition risk (carrier × carrier shown in red, pedigree estimates in yellow,
+      // uncounted trait conditions such as red coat color unhighlighted)
+      const geneticRiskCell = document.createElement('td');
+      geneticRiskCell.style.padding = '8px';
+      geneticRiskCell.style.border = '1px solid #000';
+      geneticRiskCell.style.textAlign = 'center';
+      const conditionRisks = mating.geneticConditionRisks || [];
+      if (conditionRisks.length > 0) {
+        const riskConditions = conditionRisks.map(r => r.condition).join(', ');
+        const shownRisk = mating.geneticRisk > 0 ? mating.geneticRisk : Math.max(...conditionRisks.map(r => r.risk));
+        geneticRiskCell.textContent = `${(shownRisk * 100).toFixed(1)}% ${riskConditions}`;
+        geneticRiskCell.title = conditionRisks
+          .map(r => `${r.name}: sire ${r.sireStatus}, cow ${r.damStatus}${r.estimated ? ' (pedigree estimate)' : ''}${r.counted === false ? ' (not counted)' : ''}`)
+          .join('\n');
+        if (mating.geneticRisk > 0) {
+          geneticRiskCell.style.fontWeight = 'bold';
+          if (mating.carrierByCarrier || mating.exceedsGeneticRiskLimit) {
+            geneticRiskCell.style.backgroundColor = '#f8d7da';
+            geneticRiskCell.style.color = '#721c24';
+          } else {
+            geneticRiskCell.style.backgroundColor = '#fff3cd';
+            geneticRiskCell.style.color = '#856404';
+          }
+        }
+      } else {
+        geneticRiskCell.textContent = '-';
+      }
+      row.appendChild(geneticRiskCell);
+      
       // Improved Traits
       const improvedCell = document.createElement('td');
       improvedCell.textContent = mating.improvedTraitsCount || 0;
@@ -2101,6 +3087,12 @@ function displayAllMatingsResults(data) {
           traitCell.style.backgroundColor = traitResult.bgColor;
           traitCell.style.color = traitResult.textColor;
           traitCell.setAttribute('bgcolor', traitResult.bgColor);
+          
+          // Both calf projections in the tooltip
+          if (mating.heiferCalf) {
+            const formatPercentile = (result) => result && result.calfPercentile !== null ? `${result.calfPercentile}%` : 'N/A';
+            traitCell.title = `Bull calf: ${formatPercentile(mating.bullCalf.traitResults[trait])}\nHeifer calf: ${formatPercentile(mating.heiferCalf.traitResults[trait])}`;
+          }
         } else {
           traitCell.textContent = 'N/A';
           traitCell.style.padding = '8px';
@@ -2150,16 +3142,19 @@ function showMatingDetail(mating) {
       animalName: mating.cowName,
       epdValues: mating.cowData?.epdValues || {}
     },
-    calculatedEPDs: {}
+    calculatedEPDs: {},
+    rankByCalf: mating.rankedByCalf || 'bull'
   };
   
-  // Convert traitResults to calculatedEPDs format
+  // Convert traitResults to calculatedEPDs format (bull calf rank, plus heifer calf rank when projected)
+  const bullCalfResults = mating.bullCalf ? mating.bullCalf.traitResults : mating.traitResults;
   Object.keys(mating.traitResults).forEach(trait => {
     const result = mating.traitResults[trait];
     const decimals = trait === 'FAT' ? 3 : 2;
     displayData.calculatedEPDs[trait] = {
       epd: result.calfEpd >= 0 ? `+${result.calfEpd.toFixed(decimals)}` : result.calfEpd.toFixed(decimals),
-      estimatedPercentileRank: result.calfPercentile,
+      estimatedPercentileRank: bullCalfResults[trait] ? bullCalfResults[trait].calfPercentile : null,
+      heiferPercentileRank: mating.heiferCalf?.traitResults[trait] ? mating.heiferCalf.traitResults[trait].calfPercentile : null,
       sireEPD: mating.sireData?.epdValues?.[trait]?.epd || 'N/A',
       damEPD: mating.cowData?.epdValues?.[trait]?.epd || 'N/A'
     };
@@ -2365,7 +3360,7 @@ function displayInventory() {
   headerRow.style.backgroundColor = '#E0E0E0';
   headerRow.style.fontWeight = 'bold';
   
-  const headers = ['Select', 'Name', 'Registration Number', 'Sex', 'Category', 'Cached At', 'Actions'];
+  const headers = ['Select', 'Name', 'Registration Number', 'Sex', 'Genetic Conditions', 'Category', 'Cached At', 'Actions'];
   headers.forEach((headerText, index) => {
     const th = document.createElement('th');
     if (headerText === 'Select') {
@@ -2463,6 +3458,22 @@ function displayInventory() {
     sexCell.style.border = '1px solid #000';
     row.appendChild(sexCell);
     
+    // Genetic Conditions - highlight carriers
+    const conditionsCell = document.createElement('td');
+    const carrierCodes = getCarrierConditionCodes(animal.geneticConditions);
+    conditionsCell.textContent = carrierCodes.length > 0 ? carrierCodes.join(', ') : formatGeneticConditions(animal.geneticConditions);
+    conditionsCell.title = formatGeneticConditions(animal.geneticConditions);
+    conditionsCell.style.padding = '8px';
+    conditionsCell.style.border = '1px solid #000';
+    if (carrierCodes.length > 0) {
+      conditionsCell.style.backgroundColor = '#f8d7da';
+      conditionsCell.style.color = '#721c24';
+      conditionsCell.style.fontWeight = 'bold';
+    } else if (!animal.geneticConditions) {
+      conditionsCell.style.color = '#666';
+    }
+    row.appendChild(conditionsCell);
+    
     // Category - show all categories
     const categoryCell = document.createElement('td');
     const animalCategories = animal.categories || (animal.category ? [animal.category] : ['My Herd']);
@@ -3011,6 +4022,8 @@ let exportDialogOptions = null;
   const versionInput = document.getElementById('bulk-export-version');
   const typeInput = document.getElementById('bulk-export-type');
   const descriptionInput = document.getElementById('bulk-export-description');
+  const stripPageDataCheckbox = document.getElementById('bulk-export-strip-page-data');
+  const compressCheckbox = document.getElementById('bulk-export-compress');
   const confirmBtn = document.getElementById('confirm-bulk-file-export-btn');
   const cancelBtn = document.getElementById('cancel-bulk-file-export-btn');
   const closeBtn = document.getElementById('close-bulk-file-export-dialog-btn');
@@ -3054,14 +4067,16 @@ let exportDialogOptions = null;
       type,
       category: exportDialogOptions?.category || null,
       description: descriptionInput?.value.trim() || null,
-      filename: `${type}-v${version}.json`
+      stripPageData: stripPageDataCheckbox?.checked === true,
+      filename: `${type}-v${version}.json${compressCheckbox?.checked ? '.gz' : ''}`
     };
 
     try {
       const result = await window.electronAPI.exportAnimalsToBulkFile(exportDialogAnimals, exportOptions);
 
       if (result.success) {
-        alert(`Bulk file exported successfully!\n\nFile: ${result.path}\nAnimals: ${result.animalCount}`);
+        const sizeInfo = result.size ? `\nSize: ${(result.size / 1024).toFixed(1)} KB${result.uncompressedSize > result.size ? ` (${(result.uncompressedSize / 1024).toFixed(1)} KB uncompressed)` : ''}` : '';
+        alert(`Bulk file exported successfully!\n\nFile: ${result.path}\nAnimals: ${result.animalCount}${sizeInfo}`);
       } else {
         alert(`Export failed: ${result.error}`);
       }
@@ -3113,6 +4128,8 @@ async function exportAnimalsToBulkFile(animals, title, options = {}) {
     const versionInput = document.getElementById('bulk-export-version');
     const typeInput = document.getElementById('bulk-export-type');
     const descriptionInput = document.getElementById('bulk-export-description');
+    const stripPageDataCheckbox = document.getElementById('bulk-export-strip-page-data');
+    const compressCheckbox = document.getElementById('bulk-export-compress');
 
     if (!exportDialog || !versionInput || !typeInput) {
       alert('Export dialog elements not found');
@@ -3136,6 +4153,12 @@ async function exportAnimalsToBulkFile(animals, title, options = {}) {
     if (descriptionInput) {
       descriptionInput.value = options.description || '';
     }
+    if (stripPageDataCheckbox) {
+      stripPageDataCheckbox.checked = options.stripPageData === true;
+    }
+    if (compressCheckbox) {
+      compressCheckbox.checked = options.compress === true;
+    }
 
     // Show dialog and focus first input
     exportDialog.style.display = 'block';
@@ -3344,6 +4367,13 @@ async function showAnimalDetailsModal(animal) {
           html += `<p><strong>Birth Date:</strong> ${animalData.additionalInfo.BD}</p>`;
         }
       }
+      const animalConditions = animalData.additionalInfo?.geneticConditions;
+      const carrierCodes = getCarrierConditionCodes(animalConditions);
+      html += `<p><strong>Genetic Conditions:</strong> ${escapeHtml(formatGeneticConditions(animalConditions))}`;
+      if (carrierCodes.length > 0) {
+        html += ` <span style="color: #721c24; background-color: #f8d7da; padding: 2px 6px; border-radius: 4px; font-weight: bold;">Carrier: ${escapeHtml(carrierCodes.join(', '))}</span>`;
+      }
+      html += '</p>';
       html += '</div>';
       
       if (animalData.epdValues && Object.keys(animalData.epdValues).length > 0) {
@@ -3355,6 +4385,8 @@ async function showAnimalDetailsModal(animal) {
         html += '<th style="padding: 8px; border: 1px solid #000; text-align: center;">Trait</th>';
         html += '<th style="padding: 8px; border: 1px solid #000; text-align: center;">EPD</th>';
         html += '<th style="padding: 8px; border: 1px solid #000; text-align: center;">% Rank</th>';
+        html += '<th style="padding: 8px; border: 1px solid #000; text-align: center;">ACC</th>';
+        html += '<th style="padding: 8px; border: 1px solid #000; text-align: center;">Progeny</th>';
         html += '</tr></thead><tbody>';
         
         // Get all traits and sort them
@@ -3404,6 +4436,8 @@ async function showAnimalDetailsModal(animal) {
           html += `<td style="padding: 8px; border: 1px solid #000; text-align: center; font-weight: bold;">${trait}</td>`;
           html += `<td style="padding: 8px; border: 1px solid #000; text-align: center; background-color: ${bgColor}; color: ${textColor};">${epd}</td>`;
           html += `<td style="padding: 8px; border: 1px solid #000; text-align: center; background-color: ${bgColor}; color: ${textColor};">${percentRank}</td>`;
+          html += `<td style="padding: 8px; border: 1px solid #000; text-align: center;">${escapeHtml(epdData?.acc || '')}</td>`;
+          html += `<td style="padding: 8px; border: 1px solid #000; text-align: center;">${escapeHtml(epdData?.progeny || '')}</td>`;
           html += '</tr>';
         });
         
@@ -3413,6 +4447,8 @@ async function showAnimalDetailsModal(animal) {
         html += '<p style="color: #666; margin-top: 20px;">No EPD data available for this animal.</p>';
       }
       
+      html += await buildEpdHistoryHtml(animal.registrationNumber);
+      
       modalAnimalDetails.innerHTML = html;
     } else {
       modalAnimalDetails.innerHTML = '<p style="color: #dc3545;">Error loading animal details: ' + (result.error || 'Unknown error') + '</p>';
@@ -3423,6 +4459,229 @@ async function showAnimalDetailsModal(animal) {
   }
 }
 
+// Number of evaluations shown in the EPD history table
+const EPD_HISTORY_COLUMNS = 8;
+
+/**
+ * Format an EPD number for display (3 decimals for FAT, 2 for others)
+ * @param {string} trait - Trait name
+ * @param {number} value - EPD or change value
+ * @returns {string} Signed, formatted value
+ */
+function formatEpdNumber(trait, value) {
+  const decimals = trait === 'FAT' ? 3 : 2;
+  return (value >= 0 ? '+' : '') + value.toFixed(decimals);
+}
+
+/**
+ * Build the EPD history section of the animal details modal
+ * @param {string} registrationNumber - Registration number
+ * @returns {Promise<string>} HTML (empty if the animal has no history)
+ */
+async function buildEpdHistoryHtml(registrationNumber) {
+  let result = null;
+  try {
+    result = await window.electronAPI.getEpdHistory(registrationNumber);
+  } catch (error) {
+    console.error('Error loading EPD history:', error);
+  }
+  if (!result || !result.success || !result.history || result.history.length === 0) {
+    return '';
+  }
+  
+  const dates = result.trend.dates.slice(-EPD_HISTORY_COLUMNS);
+  const firstIndex = result.trend.dates.length - dates.length;
+  let html = '<h3 style="margin-top: 20px; margin-bottom: 10px;">EPD History</h3>';
+  
+  if (result.history.length === 1) {
+    html += `<p style="color: #666;">Only one evaluation recorded so far (as of ${escapeHtml(dates[0])}). History builds up each time the animal is refreshed after a new evaluation.</p>`;
+    return html;
+  }
+  
+  const cellStyle = 'padding: 6px 8px; border: 1px solid #000; text-align: center;';
+  html += '<div style="overflow-x: auto;">';
+  html += '<table class="epd-table" style="border-collapse: collapse; width: 100%; margin-top: 10px;">';
+  html += `<thead><tr style="background-color: #E0E0E0; font-weight: bold;"><th style="${cellStyle}">Trait</th>`;
+  dates.forEach(date => {
+    html += `<th style="${cellStyle}">${escapeHtml(date)}</th>`;
+  });
+  html += `<th style="${cellStyle}">Change</th></tr></thead><tbody>`;
+  
+  const traits = Object.keys(result.trend.traits).sort((a, b) => {
+    const indexA = traitOrder.indexOf(a);
+    const indexB = traitOrder.indexOf(b);
+    if (indexA !== -1 && indexB !== -1) return indexA - indexB;
+    if (indexA !== -1) return -1;
+    if (indexB !== -1) return 1;
+    return a.localeCompare(b);
+  });
+  
+  traits.forEach(trait => {
+    const points = result.trend.traits[trait].slice(firstIndex);
+    const values = points.filter(p => p.epd !== null);
+    if (values.length === 0) return;
+    
+    html += `<tr><td style="${cellStyle} font-weight: bold;">${escapeHtml(trait)}</td>`;
+    points.forEach(point => {
+      if (point.epd === null) {
+        html += `<td style="${cellStyle} color: #999;">-</td>`;
+        return;
+      }
+      let changeHtml = '';
+      if (point.change !== null && point.change !== 0) {
+        const arrow = point.change > 0 ? '▲' : '▼';
+        changeHtml = `<br><small style="color: #666;">${arrow} ${formatEpdNumber(trait, point.change)}</small>`;
+      }
+      html += `<td style="${cellStyle}">${formatEpdNumber(trait, point.epd)}${changeHtml}</td>`;
+    });
+    const totalChange = values[values.length - 1].epd - values[0].epd;
+    html += `<td style="${cellStyle} font-weight: bold;">${totalChange === 0 ? '0' : formatEpdNumber(trait, totalChange)}</td>`;
+    html += '</tr>';
+  });
+  
+  html += '</tbody></table></div>';
+  return html;
+}
+
+// EPD Movers Modal
+const epdMoversModal = document.getElementById('epd-movers-modal');
+const epdMoversBtn = document.getElementById('epd-movers-btn');
+const closeEpdMoversModalBtn = document.getElementById('close-epd-movers-modal-btn');
+const epdMoversCategorySelect = document.getElementById('epd-movers-category-select');
+const epdMoversTraitsInput = document.getElementById('epd-movers-traits-input');
+const runEpdMoversBtn = document.getElementById('run-epd-movers-btn');
+const epdMoversResults = document.getElementById('epd-movers-results');
+
+// Load and render the EPD movers report
+async function runEpdMoversReport() {
+  if (!epdMoversResults) return;
+  
+  const traits = (epdMoversTraitsInput ? epdMoversTraitsInput.value : '')
+    .split(',')
+    .map(t => t.trim().toUpperCase())
+    .filter(t => t.length > 0);
+  const category = epdMoversCategorySelect && epdMoversCategorySelect.value !== 'all' ? epdMoversCategorySelect.value : null;
+  
+  epdMoversResults.innerHTML = '<p>Comparing evaluations...</p>';
+  
+  let result;
+  try {
+    result = await window.electronAPI.getEpdMovers({ category: category, traits: traits.length > 0 ? traits : undefined });
+  } catch (error) {
+    console.error('Error loading EPD movers:', error);
+    epdMoversResults.innerHTML = `<p style="color: #dc3545;">Error loading EPD movers: ${escapeHtml(error.message)}</p>`;
+    return;
+  }
+  
+  if (!result.success) {
+    epdMoversResults.innerHTML = `<p style="color: #dc3545;">Error loading EPD movers: ${escapeHtml(result.error || 'Unknown error')}</p>`;
+    return;
+  }
+  
+  if (result.movers.length === 0) {
+    epdMoversResults.innerHTML = '<p style="color: #666;">No animals have changed between evaluations yet. History is recorded each time an animal is refreshed after a new evaluation.</p>';
+    return;
+  }
+  
+  const cellStyle = 'padding: 6px 8px; border: 1px solid #000; text-align: center;';
+  let html = '<div style="overflow-x: auto;"><table class="epd-table" style="border-collapse: collapse; width: 100%;">';
+  html += `<thead><tr style="background-color: #E0E0E0; font-weight: bold;"><th style="${cellStyle}">Animal</th><th style="${cellStyle}">Evaluations</th><th style="${cellStyle}">Biggest Move</th>`;
+  result.traits.forEach(trait => {
+    html += `<th style="${cellStyle}">${escapeHtml(trait)}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+  
+  result.movers.forEach(mover => {
+    const changesByTrait = {};
+    mover.changes.forEach(change => {
+      changesByTrait[change.trait] = change;
+    });
+    
+    html += `<tr class="epd-mover-row" data-registration-number="${escapeHtml(mover.registrationNumber)}" data-animal-name="${escapeHtml(mover.animalName)}" style="cursor: pointer;">`;
+    html += `<td style="${cellStyle} text-align: left;"><strong>${escapeHtml(mover.animalName)}</strong><br><small style="color: #666;">${escapeHtml(mover.registrationNumber)}</small></td>`;
+    html += `<td style="${cellStyle}">${escapeHtml(mover.previousAsOf)} → ${escapeHtml(mover.latestAsOf)}</td>`;
+    html += `<td style="${cellStyle} font-weight: bold;">${escapeHtml(mover.topTrait || '')}</td>`;
+    result.traits.forEach(trait => {
+      const change = changesByTrait[trait];
+      if (!change) {
+        html += `<td style="${cellStyle} color: #999;">-</td>`;
+        return;
+      }
+      const highlight = change.trait === mover.topTrait ? ' background-color: #fff3cd;' : '';
+      const sdText = change.standardizedChange !== null ? `<br><small style="color: #666;">${change.standardizedChange >= 0 ? '+' : ''}${change.standardizedChange.toFixed(2)} SD</small>` : '';
+      html += `<td style="${cellStyle}${highlight}">${change.change === 0 ? '0' : formatEpdNumber(trait, change.change)}${sdText}</td>`;
+    });
+    html += '</tr>';
+  });
+  
+  html += '</tbody></table></div>';
+  if (result.standardized === false) {
+    html += '<p style="color: #856404; margin-top: 10px;">Percentile breakdowns could not be loaded, so animals are ranked by raw EPD change.</p>';
+  }
+  html += '<p style="color: #666; margin-top: 10px;">Click an animal to see its full EPD history.</p>';
+  epdMoversResults.innerHTML = html;
+  
+  epdMoversResults.querySelectorAll('.epd-mover-row').forEach(row => {
+    row.addEventListener('click', () => {
+      epdMoversModal.style.display = 'none';
+      showAnimalDetailsModal({ registrationNumber: row.dataset.registrationNumber, animalName: row.dataset.animalName });
+    });
+  });
+}
+
+// Show the EPD movers modal
+async function showEpdMoversModal() {
+  if (!epdMoversModal) return;
+  
+  if (epdMoversCategorySelect) {
+    const currentValue = epdMoversCategorySelect.value;
+    epdMoversCategorySelect.innerHTML = '<option value="all">All Categories</option>';
+    try {
+      const categories = await window.electronAPI.getAvailableCategories();
+      categories.forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        epdMoversCategorySelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('Error loading categories for EPD movers:', error);
+    }
+    epdMoversCategorySelect.value = Array.from(epdMoversCategorySelect.options).some(o => o.value === currentValue) ? currentValue : 'all';
+  }
+  
+  epdMoversModal.style.display = 'block';
+  await runEpdMoversReport();
+}
+
+if (epdMoversBtn) {
+  epdMoversBtn.addEventListener('click', showEpdMoversModal);
+}
+
+if (runEpdMoversBtn) {
+  runEpdMoversBtn.addEventListener('click', runEpdMoversReport);
+}
+
+if (closeEpdMoversModalBtn) {
+  closeEpdMoversModalBtn.addEventListener('click', () => {
+    epdMoversModal.style.display = 'none';
+  });
+}
+
+if (epdMoversModal) {
+  epdMoversModal.addEventListener('click', (e) => {
+    if (e.target === epdMoversModal) {
+      epdMoversModal.style.display = 'none';
+    }
+  });
+}
+
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape' && epdMoversModal && epdMoversModal.style.display === 'block') {
+    epdMoversModal.style.display = 'none';
+  }
+});
+
 // Category Management Modal
 const categoryManagementModal = document.getElementById('category-management-modal');
 const closeCategoryModalBtn = document.getElementById('close-category-modal-btn');
@@ -3658,6 +4917,98 @@ async function loadBulkFileStatus() {
   }
 }
 
+// Load bulk file import history
+async function loadBulkImportHistory() {
+  try {
+    const result = await window.electronAPI.getBulkImportHistory();
+    if (result.success) {
+      displayBulkImportHistory(result.imports);
+    } else {
+      console.error('Error loading bulk import history:', result.error);
+    }
+  } catch (error) {
+    console.error('Error loading bulk import history:', error);
+  }
+}
+
+// Display bulk file import history with Revert Import buttons
+function displayBulkImportHistory(imports) {
+  const container = document.getElementById('bulk-import-history-container');
+  if (!container) return;
+
+  if (!imports || imports.length === 0) {
+    container.innerHTML = '<div class="placeholder"><p>No bulk file imports yet</p></div>';
+    return;
+  }
+
+  const cellStyle = 'padding: 8px; border: 1px solid #000;';
+  const headerStyle = `${cellStyle} background-color: #E0E0E0; text-align: left;`;
+  
+  let html = '<table style="width: 100%; border-collapse: collapse;">';
+  html += `<tr><th style="${headerStyle}">Bulk File</th><th style="${headerStyle}">Version</th><th style="${headerStyle}">Imported</th><th style="${headerStyle}">Changes</th><th style="${headerStyle}"></th></tr>`;
+  
+  imports.forEach(entry => {
+    const version = entry.fromVersion ? `v${entry.fromVersion} → v${entry.version}` : `v${entry.version}`;
+    const changes = [`${entry.createdCount} added`, `${entry.updatedCount} updated`];
+    if (entry.removedCount > 0) {
+      changes.push(`${entry.removedCount} removed`);
+    }
+    
+    let action = '';
+    if (entry.reverted) {
+      action = `<span style="color: #666;">Reverted ${new Date(entry.revertedAt).toLocaleString()}</span>`;
+    } else if (entry.revertible) {
+      action = `<button class="btn btn-secondary bulk-import-revert-btn" data-import-id="${escapeHtml(entry.importId)}">Revert Import</button>`;
+    }
+    
+    html += `
+      <tr>
+        <td style="${cellStyle}">${escapeHtml(entry.bulkFileId)}</td>
+        <td style="${cellStyle}">${escapeHtml(version)}${entry.deltaCount > 0 ? ` (${entry.deltaCount} update files)` : ''}</td>
+        <td style="${cellStyle}">${new Date(entry.importedAt).toLocaleString()}</td>
+        <td style="${cellStyle}">${changes.join(', ')}</td>
+        <td style="${cellStyle}">${action}</td>
+      </tr>
+    `;
+  });
+  html += '</table>';
+  container.innerHTML = html;
+
+  container.querySelectorAll('.bulk-import-revert-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const entry = imports.find(item => item.importId === btn.getAttribute('data-import-id'));
+      if (entry) {
+        revertBulkImport(entry);
+      }
+    });
+  });
+}
+
+// Revert a bulk file import
+async function revertBulkImport(entry) {
+  const message = `Revert the import of ${entry.bulkFileId} v${entry.version}?\n\n` +
+    `${entry.updatedCount + entry.removedCount} animal(s) will be restored to their state before the import and ` +
+    `${entry.createdCount} animal(s) it added will be deleted. Changes made to these animals since the import will be lost.`;
+  if (!confirm(message)) {
+    return;
+  }
+  
+  try {
+    const result = await window.electronAPI.revertBulkImport(entry.importId);
+    if (result.success) {
+      alert(`Import reverted.\n\nRestored: ${result.restoredCount}\nDeleted: ${result.deletedCount}${result.version ? `\n\n${result.bulkFileId} is back at v${result.version}.` : ''}`);
+      await loadBulkImportHistory();
+      await loadBulkFileStatus();
+      await loadInventory();
+    } else {
+      alert(`Error reverting import: ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Error reverting bulk import:', error);
+    alert(`Error reverting import: ${error.message}`);
+  }
+}
+
 // Display bulk file status
 function displayBulkFileStatus(status) {
   const container = document.getElementById('bulk-files-status-container');
@@ -3696,6 +5047,8 @@ function displayBulkFileStatus(status) {
         <div style="margin-top: 10px; font-size: 0.9em; color: #666;">
           <div>Version: ${versionInfo}</div>
           <div>Animals: ${bf.animalCount || 0}</div>
+          ${bf.deltaUpdate ? `<div>Update Download: ${bf.deltaUpdate.count} change file(s), ${(bf.deltaUpdate.size / 1024).toFixed(1)} KB${bf.size ? ` (full file ${(bf.size / 1024).toFixed(1)} KB)` : ''}</div>` : ''}
+          ${!bf.deltaUpdate && bf.size ? `<div>Download: ${(bf.size / 1024).toFixed(1)} KB${bf.uncompressedSize && bf.uncompressedSize > bf.size ? ` (compressed from ${(bf.uncompressedSize / 1024).toFixed(1)} KB)` : ''}</div>` : ''}
           ${bf.lastProcessed ? `<div>Last Imported: ${new Date(bf.lastProcessed).toLocaleString()}</div>` : ''}
         </div>
         <div style="margin-top: 15px;">
@@ -3833,9 +5186,14 @@ async function showBulkFileImportDialog(bulkFileId, url) {
         </select>
       </div>
 
+      <div id="bulk-import-preview" style="margin-top: 20px; max-height: 350px; overflow: auto;">
+        <p style="color: #666; margin: 0;">Preview the changes to check what this import will do before applying it.</p>
+      </div>
+
       <div style="margin-top: 25px; display: flex; gap: 10px; justify-content: flex-end;">
         <button id="bulk-import-cancel-btn" class="btn btn-secondary">Cancel</button>
-        <button id="bulk-import-confirm-btn" class="btn btn-primary">Import</button>
+        <button id="bulk-import-preview-btn" class="btn btn-secondary">Preview Changes</button>
+        <button id="bulk-import-confirm-btn" class="btn btn-primary" disabled title="Preview the changes first">Import</button>
       </div>
     </div>
   `;
@@ -3852,13 +5210,11 @@ async function showBulkFileImportDialog(bulkFileId, url) {
     }
   });
 
-  // Handle cancel
-  content.querySelector('#bulk-import-cancel-btn').addEventListener('click', () => {
-    dialog.style.display = 'none';
-  });
+  const previewContainer = content.querySelector('#bulk-import-preview');
+  const previewBtn = content.querySelector('#bulk-import-preview-btn');
+  const confirmBtn = content.querySelector('#bulk-import-confirm-btn');
 
-  // Handle confirm
-  content.querySelector('#bulk-import-confirm-btn').addEventListener('click', async () => {
+  function getImportOptions() {
     const categoryMode = categoryModeSelect.value;
     const userSelectedCategories = categoryMode === 'user-selected' 
       ? [content.querySelector('#bulk-import-category-select').value]
@@ -3866,12 +5222,53 @@ async function showBulkFileImportDialog(bulkFileId, url) {
     const createCategoryIfMissing = content.querySelector('#bulk-import-create-category').checked;
     const updateStrategy = content.querySelector('#bulk-import-update-strategy').value;
 
-    const options = {
+    return {
       categoryMode,
       userSelectedCategories,
       createCategoryIfMissing,
       updateStrategy
     };
+  }
+
+  // The preview is only valid for the options it was run with
+  ['#bulk-import-category-mode', '#bulk-import-category-select', '#bulk-import-create-category', '#bulk-import-update-strategy'].forEach(selector => {
+    content.querySelector(selector).addEventListener('change', () => {
+      confirmBtn.disabled = true;
+      confirmBtn.title = 'Preview the changes first';
+      previewContainer.innerHTML = '<p style="color: #666; margin: 0;">Options changed. Preview the changes again before importing.</p>';
+    });
+  });
+
+  // Handle preview (dry run)
+  previewBtn.addEventListener('click', async () => {
+    previewBtn.disabled = true;
+    confirmBtn.disabled = true;
+    previewContainer.innerHTML = '<p style="margin: 0;">Downloading and checking bulk file... Please wait.</p>';
+    try {
+      const result = await window.electronAPI.previewBulkFileImport(bulkFileId, url, getImportOptions());
+      if (result.success) {
+        previewContainer.innerHTML = renderBulkImportPreview(result);
+        confirmBtn.disabled = false;
+        confirmBtn.title = '';
+      } else {
+        previewContainer.innerHTML = `<p style="color: #c62828; margin: 0;">Preview failed: ${escapeHtml(result.error || 'Unknown error')}</p>`;
+      }
+    } catch (error) {
+      console.error('Error previewing bulk file import:', error);
+      previewContainer.innerHTML = `<p style="color: #c62828; margin: 0;">Preview failed: ${escapeHtml(error.message)}</p>`;
+    } finally {
+      previewBtn.disabled = false;
+    }
+  });
+
+  // Handle cancel
+  content.querySelector('#bulk-import-cancel-btn').addEventListener('click', () => {
+    dialog.style.display = 'none';
+  });
+
+  // Handle confirm
+  confirmBtn.addEventListener('click', async () => {
+    const options = getImportOptions();
 
     dialog.style.display = 'none';
     await importBulkFile(bulkFileId, url, options);
@@ -3880,6 +5277,76 @@ async function showBulkFileImportDialog(bulkFileId, url) {
   dialog.style.display = 'block';
 }
 
+// Render the dry-run report of a bulk file import
+function renderBulkImportPreview(result) {
+  const report = result.report;
+  const maxRows = 200;
+  const cellStyle = 'padding: 8px; border: 1px solid #000;';
+  const headerStyle = `${cellStyle} background-color: #E0E0E0; text-align: left;`;
+  
+  function animalLabel(entry) {
+    return `${escapeHtml(entry.registrationNumber)}${entry.animalName ? ` - ${escapeHtml(entry.animalName)}` : ''}`;
+  }
+  
+  function section(title, entries, headers, renderRow) {
+    if (entries.length === 0) return '';
+    const rows = entries.slice(0, maxRows).map(renderRow).join('');
+    const more = entries.length > maxRows ? `<p style="margin: 5px 0; color: #666;">...and ${entries.length - maxRows} more</p>` : '';
+    return `
+      <details style="margin-top: 10px;" ${entries.length <= 20 ? 'open' : ''}>
+        <summary style="cursor: pointer;"><strong>${title} (${entries.length})</strong></summary>
+        <table style="width: 100%; border-collapse: collapse; margin-top: 5px; font-size: 0.9em;">
+          <tr>${headers.map(header => `<th style="${headerStyle}">${header}</th>`).join('')}</tr>
+          ${rows}
+        </table>
+        ${more}
+      </details>
+    `;
+  }
+  
+  let html = `<p style="margin: 0 0 5px 0;"><strong>Version ${escapeHtml(result.version || '')}${result.deltasApplied ? ` (${result.deltasApplied.length} update file(s))` : ''}:</strong> `;
+  html += `${report.newAnimals.length} new, ${report.epdChanges.length} with EPD changes, ${report.categoryChanges.length} with category changes, `;
+  html += `${report.skipped.length} skipped, ${report.unchanged.length} unchanged${report.removed.length > 0 ? `, ${report.removed.length} removed` : ''}</p>`;
+  
+  if (report.categoriesToCreate.length > 0) {
+    html += `<p style="margin: 5px 0;">New categories: ${report.categoriesToCreate.map(escapeHtml).join(', ')}</p>`;
+  }
+  
+  html += section('New Animals', report.newAnimals, ['Animal', 'Categories'], entry => `
+    <tr><td style="${cellStyle}">${animalLabel(entry)}</td><td style="${cellStyle}">${escapeHtml(entry.categories.join(', '))}</td></tr>
+  `);
+  
+  html += section('EPD Changes', report.epdChanges, ['Animal', 'Trait', 'Before', 'After'], entry => entry.changes.map((change, index) => `
+    <tr>
+      ${index === 0 ? `<td style="${cellStyle}" rowspan="${entry.changes.length}">${animalLabel(entry)}</td>` : ''}
+      <td style="${cellStyle}">${escapeHtml(change.trait)}</td>
+      <td style="${cellStyle}">${change.before !== null ? escapeHtml(change.before) : '—'}</td>
+      <td style="${cellStyle}">${change.after !== null ? escapeHtml(change.after) : '—'}</td>
+    </tr>
+  `).join(''));
+  
+  html += section('Category Changes', report.categoryChanges, ['Animal', 'Before', 'After'], entry => `
+    <tr>
+      <td style="${cellStyle}">${animalLabel(entry)}</td>
+      <td style="${cellStyle}">${escapeHtml(entry.before.join(', '))}</td>
+      <td style="${cellStyle}">${escapeHtml(entry.after.join(', '))}</td>
+    </tr>
+  `);
+  
+  html += section('Skipped', report.skipped, ['Animal', 'Reason'], entry => `
+    <tr><td style="${cellStyle}">${animalLabel(entry)}</td><td style="${cellStyle}">${escapeHtml(entry.reason)}</td></tr>
+  `);
+  
+  html += section('Removed From Bulk File', report.removed, ['Animal', 'Change'], entry => `
+    <tr>
+      <td style="${cellStyle}">${animalLabel(entry)}</td>
+      <td style="${cellStyle}">${entry.action === 'delete' ? 'Deleted from cache' : `Removed from ${escapeHtml(entry.categories.join(', '))}`}</td>
+    </tr>
+  `);
+  
+  return html;
+}
+
 // Import bulk file
 async function importBulkFile(bulkFileId, url, options) {
   try {
@@ -3896,9 +5363,14 @@ async function importBulkFile(bulkFileId, url, options) {
     const result = await window.electronAPI.importBulkFile(bulkFileId, url, options);
     
     if (result.success) {
-      alert(`Bulk file imported successfully!\n\nImported: ${result.importedCount}\nUpdated: ${result.updatedCount || 0}\nSkipped: ${result.skippedCount || 0}`);
+      let message = `Bulk file imported successfully!\n\nImported: ${result.importedCount}\nUpdated: ${result.updatedCount || 0}\nSkipped: ${result.skippedCount || 0}`;
+      if (result.deltasApplied) {
+        message += `\nRemoved: ${result.removedCount || 0}\n\nApplied changes up to v${result.version} (${result.deltasApplied.length} update file(s))`;
+      }
+      alert(message);
       // Reload status
       await loadBulkFileStatus();
+      await loadBulkImportHistory();
       // Reload categories to show any newly created categories
       await loadCategoriesFromConfig();
       // Refresh herd inventory to show newly imported/updated animals
@@ -3973,7 +5445,12 @@ let externalImportState = {
     epdTraits: {},
     percentRanks: {}
   },
-  autoDetectedMappings: null
+  autoDetectedMappings: null,
+  mappingConfidence: null, // Confidence (0-1) of each auto-detected mapping, same shape as the mappings
+  mappingTemplate: null, // Saved template whose header fingerprint matches the file
+  templateApplied: false,
+  validationReport: null, // Row-level report for the current mappings (step 3)
+  sheets: null // Workbook sheets ({ name, headerRow, headers, rowCount, selected, sex, category }); null for CSV/text
 };
 
 // Open external data import dialog
@@ -3995,9 +5472,20 @@ async function importExternalData() {
       epdTraits: {},
       percentRanks: {}
     },
-    autoDetectedMappings: null
+    autoDetectedMappings: null,
+    mappingConfidence: null,
+    mappingTemplate: null,
+    templateApplied: false,
+    validationReport: null,
+    sheets: null
   };
 
+  const templateNameInput = document.getElementById('column-mapping-template-name');
+  if (templateNameInput) {
+    templateNameInput.value = '';
+  }
+  hideExternalImportSheets();
+
   // Show step 1, hide others
   showExternalImportStep(1);
   
@@ -4084,16 +5572,21 @@ async function selectExternalFile() {
     try {
       const result = await window.electronAPI.parseExternalFile(filePath);
       if (result.success) {
-        externalImportState.headers = result.headers;
-        externalImportState.sampleRows = result.sampleRows;
-        externalImportState.totalRows = result.totalRows;
-
-        // Auto-detect mappings
-        const mappingResult = await window.electronAPI.detectColumnMappings(result.headers, result.sampleRows);
-        if (mappingResult.success) {
-          externalImportState.autoDetectedMappings = mappingResult.mappings;
-          externalImportState.columnMappings = JSON.parse(JSON.stringify(mappingResult.mappings));
+        // Workbooks with several sheets or a title block above the table: let the user pick the
+        // sheets and check the header rows first (Next continues to the mapping)
+        externalImportState.sheets = result.sheets ? result.sheets.map(sheet => ({
+          ...sheet,
+          selected: sheet.rowCount > 0,
+          sex: '',
+          category: ''
+        })) : null;
+        if (externalImportState.sheets && (externalImportState.sheets.length > 1 || result.headerRow !== 1)) {
+          renderExternalImportSheets();
+          return;
         }
+        hideExternalImportSheets();
+
+        await applyParsedExternalFile(result);
 
         // Move to step 2
         showExternalImportStep(2);
@@ -4111,6 +5604,134 @@ async function selectExternalFile() {
   }
 }
 
+// Use a parsed file (or sheet) for the mapping step: detect mappings or apply a saved template
+async function applyParsedExternalFile(result) {
+  externalImportState.headers = result.headers;
+  externalImportState.sampleRows = result.sampleRows;
+  externalImportState.totalRows = result.totalRows;
+
+  // Auto-detect mappings
+  const mappingResult = await window.electronAPI.detectColumnMappings(result.headers, result.sampleRows);
+  if (mappingResult.success) {
+    externalImportState.autoDetectedMappings = mappingResult.mappings;
+    externalImportState.mappingConfidence = mappingResult.confidence || null;
+    externalImportState.columnMappings = JSON.parse(JSON.stringify(mappingResult.mappings));
+  }
+
+  // A saved template for these columns takes precedence over auto-detection
+  const templateResult = await window.electronAPI.findColumnMappingTemplate(result.headers);
+  externalImportState.mappingTemplate = templateResult.success ? templateResult.template : null;
+  externalImportState.templateApplied = !!externalImportState.mappingTemplate;
+  if (externalImportState.templateApplied) {
+    externalImportState.columnMappings = JSON.parse(JSON.stringify(externalImportState.mappingTemplate.columnMappings));
+  }
+}
+
+// Hide the workbook sheet list
+function hideExternalImportSheets() {
+  const sheetsDiv = document.getElementById('external-import-sheets');
+  if (sheetsDiv) {
+    sheetsDiv.style.display = 'none';
+  }
+}
+
+// List the workbook's sheets with their header row, sex and category
+function renderExternalImportSheets() {
+  const sheetsDiv = document.getElementById('external-import-sheets');
+  const tableDiv = document.getElementById('external-import-sheets-table');
+  if (!sheetsDiv || !tableDiv) return;
+
+  const categorySelect = document.getElementById('external-import-category');
+  const categories = categorySelect ? Array.from(categorySelect.options).map(option => option.value) : [];
+  const cellStyle = 'padding: 6px; border: 1px solid #ddd;';
+  const inputStyle = 'padding: 4px; border: 1px solid #ccc; border-radius: 4px;';
+
+  let html = '<table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">';
+  html += '<thead><tr style="background-color: #f5f5f5;">';
+  ['Import', 'Sheet', 'Header Row', 'Columns', 'Rows', 'Sex', 'Category'].forEach(label => {
+    html += `<th style="${cellStyle} text-align: left;">${label}</th>`;
+  });
+  html += '</tr></thead><tbody>';
+
+  externalImportState.sheets.forEach((sheet, index) => {
+    const headerPreview = sheet.headers.filter(header => header).slice(0, 6).join(', ') + (sheet.headers.filter(header => header).length > 6 ? ', ...' : '');
+    html += '<tr>';
+    html += `<td style="${cellStyle} text-align: center;"><input type="checkbox" class="external-sheet-selected" data-index="${index}" ${sheet.selected ? 'checked' : ''}></td>`;
+    html += `<td style="${cellStyle}"><strong>${escapeHtml(sheet.name)}</strong></td>`;
+    html += `<td style="${cellStyle}"><input type="number" min="1" class="external-sheet-header-row" data-index="${index}" value="${sheet.headerRow}" style="${inputStyle} width: 60px;"></td>`;
+    html += `<td style="${cellStyle} color: #666;">${escapeHtml(headerPreview) || '<em>(no columns)</em>'}</td>`;
+    html += `<td style="${cellStyle}">${sheet.rowCount}</td>`;
+    html += `<td style="${cellStyle}"><select class="external-sheet-sex" data-index="${index}" style="${inputStyle}">`;
+    [['', 'From sex column'], ['Bull', 'Bull'], ['Heifer', 'Heifer'], ['Cow', 'Cow']].forEach(([value, label]) => {
+      html += `<option value="${value}" ${sheet.sex === value ? 'selected' : ''}>${label}</option>`;
+    });
+    html += '</select></td>';
+    html += `<td style="${cellStyle}"><select class="external-sheet-category" data-index="${index}" style="${inputStyle}">`;
+    html += `<option value="" ${!sheet.category ? 'selected' : ''}>Bulk file category</option>`;
+    categories.forEach(category => {
+      html += `<option value="${escapeHtml(category)}" ${sheet.category === category ? 'selected' : ''}>${escapeHtml(category)}</option>`;
+    });
+    html += '</select></td>';
+    html += '</tr>';
+  });
+
+  html += '</tbody></table>';
+  tableDiv.innerHTML = html;
+  sheetsDiv.style.display = 'block';
+}
+
+// Re-read a sheet's columns after its header row is changed
+async function changeExternalSheetHeaderRow(index, headerRow) {
+  const sheet = externalImportState.sheets[index];
+  if (!sheet || !(headerRow >= 1)) return;
+
+  try {
+    const result = await window.electronAPI.parseExternalFile(externalImportState.filePath, { sheet: sheet.name, headerRow });
+    if (result.success) {
+      sheet.headerRow = result.headerRow;
+      sheet.headers = result.headers;
+      sheet.rowCount = result.totalRows;
+    } else {
+      alert(`Error reading sheet "${sheet.name}": ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Error reading sheet:', error);
+    alert(`Error: ${error.message}`);
+  }
+  renderExternalImportSheets();
+}
+
+// Get the sheets to import ({ name, headerRow, sex, category }), or null for files without sheets
+function getSelectedExternalSheets() {
+  if (!externalImportState.sheets) return null;
+  return externalImportState.sheets
+    .filter(sheet => sheet.selected)
+    .map(sheet => ({ name: sheet.name, headerRow: sheet.headerRow, sex: sheet.sex || null, category: sheet.category || null }));
+}
+
+// Read the first selected sheet for the mapping step
+async function loadSelectedExternalSheets() {
+  const sheets = getSelectedExternalSheets();
+  if (!sheets || sheets.length === 0) {
+    alert('Please select at least one sheet to import.');
+    return false;
+  }
+
+  try {
+    const result = await window.electronAPI.parseExternalFile(externalImportState.filePath, { sheet: sheets[0].name, headerRow: sheets[0].headerRow });
+    if (!result.success) {
+      alert(`Error reading sheet "${sheets[0].name}": ${result.error}`);
+      return false;
+    }
+    await applyParsedExternalFile(result);
+    return true;
+  } catch (error) {
+    console.error('Error reading sheet:', error);
+    alert(`Error: ${error.message}`);
+    return false;
+  }
+}
+
 // Show column mapping dialog
 function showColumnMappingDialog() {
   const container = document.getElementById('column-mapping-container');
@@ -4140,11 +5761,158 @@ function showColumnMappingDialog() {
 
   html += '</div>';
   container.innerHTML = html;
+  renderColumnMappingTemplateStatus();
+
+  // Several sheets share the mapping made for the first one
+  const sheetNote = document.getElementById('column-mapping-sheet-note');
+  const sheets = getSelectedExternalSheets();
+  if (sheetNote) {
+    if (sheets && sheets.length > 0) {
+      const others = sheets.slice(1).map(sheet => `"${escapeHtml(sheet.name)}"`);
+      sheetNote.innerHTML = `Mapping sheet <strong>"${escapeHtml(sheets[0].name)}"</strong> (header row ${sheets[0].headerRow})` +
+        (others.length > 0 ? `; sheet${others.length > 1 ? 's' : ''} ${others.join(', ')} will use the same mapping by column name.` : '.');
+      sheetNote.style.display = 'block';
+    } else {
+      sheetNote.style.display = 'none';
+    }
+  }
+}
+
+// Show which saved template (if any) matches the file's columns
+function renderColumnMappingTemplateStatus() {
+  const status = document.getElementById('column-mapping-template-status');
+  const nameInput = document.getElementById('column-mapping-template-name');
+  const deleteBtn = document.getElementById('delete-column-mapping-template-btn');
+  const template = externalImportState.mappingTemplate;
+
+  if (status) {
+    if (template && externalImportState.templateApplied) {
+      status.innerHTML = `<strong style="color: #2e7d32;">Template "${escapeHtml(template.name)}" applied</strong> (saved ${new Date(template.updatedAt).toLocaleDateString()}).`;
+    } else if (template) {
+      status.innerHTML = `Showing auto-detected mappings. Template "${escapeHtml(template.name)}" also matches these columns.`;
+    } else {
+      status.textContent = 'No saved template matches these columns. Save this mapping as a template to reuse it.';
+    }
+  }
+  if (nameInput && template && !nameInput.value.trim()) {
+    nameInput.value = template.name;
+  }
+  if (deleteBtn) {
+    deleteBtn.style.display = template ? 'inline-block' : 'none';
+  }
+}
+
+// Save the current mapping as a template for files with the same columns
+async function saveColumnMappingTemplate() {
+  updateColumnMappings();
+  if (externalImportState.columnMappings.registrationNumber === null) {
+    alert('Registration Number must be mapped. Please select a column for Registration Number.');
+    return;
+  }
+
+  const nameInput = document.getElementById('column-mapping-template-name');
+  const name = nameInput ? nameInput.value.trim() : '';
+  if (!name) {
+    alert('Please enter a template name.');
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.saveColumnMappingTemplate({
+      name,
+      headers: externalImportState.headers,
+      columnMappings: externalImportState.columnMappings
+    });
+    if (!result.success) {
+      alert(`Error saving template: ${result.error}`);
+      return;
+    }
+    externalImportState.mappingTemplate = result.template;
+    externalImportState.templateApplied = true;
+    renderColumnMappingTemplateStatus();
+  } catch (error) {
+    console.error('Error saving column-mapping template:', error);
+    alert(`Error: ${error.message}`);
+  }
+}
+
+// Delete the template that matches the file's columns
+async function deleteColumnMappingTemplate() {
+  const template = externalImportState.mappingTemplate;
+  if (!template || !confirm(`Delete column-mapping template "${template.name}"?`)) {
+    return;
+  }
+
+  try {
+    const result = await window.electronAPI.deleteColumnMappingTemplate(template.id);
+    if (!result.success) {
+      alert(`Error deleting template: ${result.error}`);
+      return;
+    }
+    externalImportState.mappingTemplate = null;
+    externalImportState.templateApplied = false;
+    const nameInput = document.getElementById('column-mapping-template-name');
+    if (nameInput) {
+      nameInput.value = '';
+    }
+    renderColumnMappingTemplateStatus();
+  } catch (error) {
+    console.error('Error deleting column-mapping template:', error);
+    alert(`Error: ${error.message}`);
+  }
+}
+
+// Export all saved templates to a file
+async function exportColumnMappingTemplates() {
+  try {
+    const result = await window.electronAPI.exportColumnMappingTemplates();
+    if (result.canceled) return;
+    if (result.success) {
+      alert(`Exported ${result.count} template(s) to:\n${result.path}`);
+    } else {
+      alert(`Error exporting templates: ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Error exporting column-mapping templates:', error);
+    alert(`Error: ${error.message}`);
+  }
+}
+
+// Import templates exported on another machine, applying one that matches the open file
+async function importColumnMappingTemplates() {
+  try {
+    const result = await window.electronAPI.importColumnMappingTemplates();
+    if (result.canceled) return;
+    if (!result.success) {
+      alert(`Error importing templates: ${result.error}`);
+      return;
+    }
+
+    let message = `Imported templates: ${result.addedCount} added, ${result.replacedCount} replaced`;
+    if (result.skippedCount > 0) {
+      message += `, ${result.skippedCount} skipped (invalid)`;
+    }
+
+    if (externalImportState.headers.length > 0 && !externalImportState.templateApplied) {
+      const templateResult = await window.electronAPI.findColumnMappingTemplate(externalImportState.headers);
+      if (templateResult.success && templateResult.template) {
+        externalImportState.mappingTemplate = templateResult.template;
+        externalImportState.templateApplied = true;
+        externalImportState.columnMappings = JSON.parse(JSON.stringify(templateResult.template.columnMappings));
+        showColumnMappingDialog();
+        message += `\n\nApplied template "${templateResult.template.name}" to this file.`;
+      }
+    }
+    alert(message);
+  } catch (error) {
+    console.error('Error importing column-mapping templates:', error);
+    alert(`Error: ${error.message}`);
+  }
 }
 
 // Create a mapping row
 function createMappingRow(label, fieldKey, headers, currentValue) {
-  let html = `<div style="display: grid; grid-template-columns: 200px 1fr; gap: 10px; align-items: center; padding: 8px; border-bottom: 1px solid #eee;">`;
+  let html = `<div style="display: grid; grid-template-columns: 200px 1fr 90px; gap: 10px; align-items: center; padding: 8px; border-bottom: 1px solid #eee;">`;
   html += `<label style="font-weight: 500;">${label}:</label>`;
   html += `<select class="column-mapping-select" data-field="${fieldKey}" style="padding: 6px; border: 1px solid #ccc; border-radius: 4px;">`;
   html += `<option value="">-- Skip --</option>`;
@@ -4154,10 +5922,43 @@ function createMappingRow(label, fieldKey, headers, currentValue) {
     html += `<option value="${index}" ${selected}>${header}</option>`;
   });
   
-  html += `</select></div>`;
+  html += `</select>`;
+  html += `<span class="column-mapping-confidence" data-field="${fieldKey}">${renderMappingConfidence(fieldKey, currentValue)}</span>`;
+  html += `</div>`;
   return html;
 }
 
+// Get the auto-detected column and its confidence for a mapping field ('registrationNumber', 'epd_BW', 'pr_BW', ...)
+function getMappingSuggestion(fieldKey) {
+  const mappings = externalImportState.autoDetectedMappings;
+  const confidence = externalImportState.mappingConfidence;
+  if (!mappings || !confidence || externalImportState.templateApplied) return null;
+
+  let index;
+  let score;
+  if (fieldKey.startsWith('epd_')) {
+    index = mappings.epdTraits[fieldKey.substring(4)];
+    score = confidence.epdTraits[fieldKey.substring(4)];
+  } else if (fieldKey.startsWith('pr_')) {
+    index = mappings.percentRanks[fieldKey.substring(3)];
+    score = confidence.percentRanks[fieldKey.substring(3)];
+  } else {
+    index = mappings[fieldKey];
+    score = confidence[fieldKey];
+  }
+  return index === null || index === undefined || typeof score !== 'number' ? null : { index, confidence: score };
+}
+
+// Confidence of an auto-detected mapping (empty once another column is picked)
+function renderMappingConfidence(fieldKey, currentValue) {
+  const suggestion = getMappingSuggestion(fieldKey);
+  if (!suggestion || suggestion.index !== currentValue) return '';
+
+  const percent = Math.round(suggestion.confidence * 100);
+  const color = percent >= 80 ? '#2e7d32' : (percent >= 50 ? '#e65100' : '#c62828');
+  return `<span style="color: ${color}; font-size: 0.85em; font-weight: bold;" title="Auto-detected from the column header and sample values">${percent}% match</span>`;
+}
+
 // Update column mappings from UI
 function updateColumnMappings() {
   const selects = document.querySelectorAll('.column-mapping-select');
@@ -4206,6 +6007,8 @@ async function autoDetectMappings() {
     if (result.success) {
       externalImportState.columnMappings = JSON.parse(JSON.stringify(result.mappings));
       externalImportState.autoDetectedMappings = JSON.parse(JSON.stringify(result.mappings));
+      externalImportState.mappingConfidence = result.confidence || null;
+      externalImportState.templateApplied = false;
       showColumnMappingDialog();
     } else {
       alert(`Error detecting mappings: ${result.error}`);
@@ -4273,9 +6076,105 @@ async function previewConvertedData() {
   });
 
   html += '</tbody></table>';
-  html += `<p style="margin-top: 10px; color: #666; font-size: 0.9em;">Showing preview of first 10 rows. Total rows: ${externalImportState.totalRows}</p>`;
+  const sheets = getSelectedExternalSheets();
+  const totalRows = sheets && sheets.length > 1
+    ? `${externalImportState.sheets.filter(sheet => sheet.selected).reduce((sum, sheet) => sum + sheet.rowCount, 0)} in ${sheets.length} sheets`
+    : externalImportState.totalRows;
+  html += `<p style="margin-top: 10px; color: #666; font-size: 0.9em;">Showing preview of first 10 rows. Total rows: ${totalRows}</p>`;
   
   container.innerHTML = html;
+
+  await loadValidationReport();
+}
+
+// Check every row against the mappings and show the problems found
+async function loadValidationReport() {
+  const container = document.getElementById('validation-report-container');
+  if (!container) return;
+
+  externalImportState.validationReport = null;
+  container.innerHTML = '<p style="color: #666;">Checking all rows...</p>';
+
+  try {
+    const result = await window.electronAPI.validateExternalData(
+      externalImportState.filePath,
+      externalImportState.columnMappings,
+      getSelectedExternalSheets()
+    );
+    if (!result.success) {
+      container.innerHTML = `<p style="color: #c62828;">Error checking rows: ${escapeHtml(result.error)}</p>`;
+      return;
+    }
+
+    const report = result.report;
+    externalImportState.validationReport = report;
+    const summary = report.summary;
+
+    if (report.rows.length === 0) {
+      container.innerHTML = `<p style="color: #2e7d32;"><strong>No problems found in ${summary.totalRows} rows.</strong></p>`;
+      return;
+    }
+
+    let html = `<p style="margin-bottom: 10px;">${summary.totalRows} rows: <strong>${summary.convertedRows} will be converted</strong>, ${summary.skippedRows} skipped. `;
+    html += `<span style="color: #c62828;">${summary.errorCount} error(s)</span> in ${summary.errorRows} row(s), `;
+    html += `<span style="color: #e65100;">${summary.warningCount} warning(s)</span>.</p>`;
+    html += '<p style="margin-bottom: 10px; color: #666; font-size: 0.9em;">Errors are values left out of the bulk file or rows skipped; warnings are kept but worth checking.</p>';
+
+    const maxIssues = 200;
+    const issues = report.rows.flatMap(row => row.issues.map(issue => ({ row, issue })));
+    html += '<div style="overflow-x: auto; max-height: 300px; border: 1px solid #ddd; border-radius: 4px;">';
+    html += '<table style="width: 100%; border-collapse: collapse; font-size: 0.9em;">';
+    html += '<thead><tr style="background-color: #f5f5f5; position: sticky; top: 0;">';
+    const showSheets = report.rows.some(row => row.sheetName);
+    [...(showSheets ? ['Sheet'] : []), 'Row', 'Registration Number', 'Severity', 'Field', 'Value', 'Problem'].forEach(label => {
+      html += `<th style="padding: 8px; border: 1px solid #ddd; text-align: left;">${label}</th>`;
+    });
+    html += '</tr></thead><tbody>';
+    issues.slice(0, maxIssues).forEach(({ row, issue }) => {
+      const color = issue.severity === 'error' ? '#c62828' : '#e65100';
+      html += '<tr>';
+      if (showSheets) {
+        html += `<td style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(row.sheetName || '')}</td>`;
+      }
+      html += `<td style="padding: 8px; border: 1px solid #ddd;">${row.rowNumber}</td>`;
+      html += `<td style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(row.registrationNumber || '')}</td>`;
+      html += `<td style="padding: 8px; border: 1px solid #ddd; color: ${color}; font-weight: bold;">${issue.severity === 'error' ? 'Error' : 'Warning'}</td>`;
+      html += `<td style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(issue.field)}</td>`;
+      html += `<td style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(issue.value || '')}</td>`;
+      html += `<td style="padding: 8px; border: 1px solid #ddd;">${escapeHtml(issue.message)}</td>`;
+      html += '</tr>';
+    });
+    html += '</tbody></table></div>';
+    if (issues.length > maxIssues) {
+      html += `<p style="margin-top: 10px; color: #666; font-size: 0.9em;">Showing the first ${maxIssues} of ${issues.length} problems. Export the report to see them all.</p>`;
+    }
+
+    container.innerHTML = html;
+  } catch (error) {
+    console.error('Error validating external data:', error);
+    container.innerHTML = `<p style="color: #c62828;">Error checking rows: ${escapeHtml(error.message)}</p>`;
+  }
+}
+
+// Save the validation report as CSV
+async function exportValidationReport() {
+  updateColumnMappings();
+  try {
+    const result = await window.electronAPI.exportExternalDataValidationReport(
+      externalImportState.filePath,
+      externalImportState.columnMappings,
+      getSelectedExternalSheets()
+    );
+    if (result.canceled) return;
+    if (result.success) {
+      alert(`Validation report saved (${result.issueCount} problem(s)):\n${result.path}`);
+    } else {
+      alert(`Error saving validation report: ${result.error}`);
+    }
+  } catch (error) {
+    console.error('Error exporting validation report:', error);
+    alert(`Error: ${error.message}`);
+  }
 }
 
 // Convert and save
@@ -4304,6 +6203,14 @@ async function convertExternalDataToBulkFile() {
     return;
   }
 
+  const report = externalImportState.validationReport;
+  if (report && report.summary.errorCount > 0) {
+    const message = `${report.summary.errorRows} row(s) have errors: ${report.summary.skippedRows} row(s) will be skipped and unusable values left out.\n\nConvert anyway?`;
+    if (!confirm(message)) {
+      return;
+    }
+  }
+
   const metadata = {
     version: versionInput.value.trim(),
     type: typeInput.value.trim(),
@@ -4321,7 +6228,8 @@ async function convertExternalDataToBulkFile() {
     const result = await window.electronAPI.convertExternalDataToBulkFile(
       externalImportState.filePath,
       externalImportState.columnMappings,
-      metadata
+      metadata,
+      getSelectedExternalSheets()
     );
 
     if (result.success) {
@@ -4352,6 +6260,122 @@ async function convertExternalDataToBulkFile() {
   }
 }
 
+// Show the saved HTML pages import dialog
+async function showHtmlPagesImportDialog() {
+  const dialog = document.getElementById('html-pages-import-dialog');
+  const categorySelect = document.getElementById('html-pages-import-category');
+  if (!dialog) return;
+
+  if (categorySelect) {
+    const currentValue = categorySelect.value;
+    categorySelect.innerHTML = '';
+    try {
+      const categories = await window.electronAPI.getAvailableCategories();
+      (categories.length > 0 ? categories : ['My Herd']).forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        categorySelect.appendChild(option);
+      });
+    } catch (error) {
+      console.error('Error loading categories for HTML import:', error);
+    }
+    if (Array.from(categorySelect.options).some(o => o.value === currentValue)) {
+      categorySelect.value = currentValue;
+    }
+  }
+
+  document.getElementById('html-pages-import-results').innerHTML = '';
+  dialog.style.display = 'block';
+}
+
+// Pick a folder of saved EPD detail pages and import them into the cache
+async function importSavedHtmlPages() {
+  const categorySelect = document.getElementById('html-pages-import-category');
+  const resultsDiv = document.getElementById('html-pages-import-results');
+  const selectBtn = document.getElementById('select-html-pages-folder-btn');
+  const category = categorySelect && categorySelect.value ? categorySelect.value : 'My Herd';
+
+  try {
+    selectBtn.disabled = true;
+    resultsDiv.innerHTML = '<div class="placeholder"><p>Importing saved pages... Please wait.</p></div>';
+
+    // Listen for progress updates
+    window.electronAPI.onBulkFileProgress((data) => {
+      resultsDiv.innerHTML = `<div class="placeholder"><p>${escapeHtml(data.message || 'Processing...')} (${data.progress || 0}%)</p></div>`;
+    });
+
+    const result = await window.electronAPI.importSavedHtmlPages(category);
+
+    if (result.canceled) {
+      resultsDiv.innerHTML = '';
+      return;
+    }
+
+    let html = '';
+    if (result.importedCount !== undefined) {
+      html += `<p><strong>Imported ${result.importedCount} of ${result.totalFiles} page(s) into "${escapeHtml(category)}".</strong></p>`;
+    }
+    if (result.failed && result.failed.length > 0) {
+      html += '<p style="color: #c62828; margin-bottom: 5px;">Pages that could not be imported:</p><ul style="margin-top: 0;">';
+      result.failed.forEach(f => {
+        html += `<li>${escapeHtml(f.file)}: ${escapeHtml(f.error)}</li>`;
+      });
+      html += '</ul>';
+    }
+    if (!result.success && result.error && (!result.failed || result.failed.length === 0)) {
+      html += `<p style="color: #c62828;">Error: ${escapeHtml(result.error)}</p>`;
+    }
+    resultsDiv.innerHTML = html;
+
+    if (result.importedCount > 0) {
+      // Refresh herd inventory to show the imported animals
+      await loadInventory();
+    }
+  } catch (error) {
+    console.error('Error importing saved HTML pages:', error);
+    resultsDiv.innerHTML = `<p style="color: #c62828;">Error: ${escapeHtml(error.message)}</p>`;
+  } finally {
+    selectBtn.disabled = false;
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const importHtmlBtn = document.getElementById('import-html-pages-btn');
+  const dialog = document.getElementById('html-pages-import-dialog');
+  const closeBtn = document.getElementById('close-html-pages-import-dialog-btn');
+  const selectFolderBtn = document.getElementById('select-html-pages-folder-btn');
+
+  if (importHtmlBtn) {
+    importHtmlBtn.addEventListener('click', showHtmlPagesImportDialog);
+  }
+
+  if (selectFolderBtn) {
+    selectFolderBtn.addEventListener('click', importSavedHtmlPages);
+  }
+
+  if (closeBtn && dialog) {
+    closeBtn.addEventListener('click', () => {
+      dialog.style.display = 'none';
+    });
+  }
+
+  if (dialog) {
+    dialog.addEventListener('click', (e) => {
+      if (e.target === dialog) {
+        dialog.style.display = 'none';
+      }
+    });
+
+    // Close on Escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && dialog.style.display === 'block') {
+        dialog.style.display = 'none';
+      }
+    });
+  }
+});
+
 // Event listeners for external data import
 document.addEventListener('DOMContentLoaded', () => {
   // Import external data button
@@ -4372,6 +6396,27 @@ document.addEventListener('DOMContentLoaded', () => {
     autoDetectBtn.addEventListener('click', autoDetectMappings);
   }
 
+  // Column-mapping templates
+  const saveTemplateBtn = document.getElementById('save-column-mapping-template-btn');
+  if (saveTemplateBtn) {
+    saveTemplateBtn.addEventListener('click', saveColumnMappingTemplate);
+  }
+
+  const deleteTemplateBtn = document.getElementById('delete-column-mapping-template-btn');
+  if (deleteTemplateBtn) {
+    deleteTemplateBtn.addEventListener('click', deleteColumnMappingTemplate);
+  }
+
+  const exportTemplatesBtn = document.getElementById('export-column-mapping-templates-btn');
+  if (exportTemplatesBtn) {
+    exportTemplatesBtn.addEventListener('click', exportColumnMappingTemplates);
+  }
+
+  const importTemplatesBtn = document.getElementById('import-column-mapping-templates-btn');
+  if (importTemplatesBtn) {
+    importTemplatesBtn.addEventListener('click', importColumnMappingTemplates);
+  }
+
   // Navigation buttons
   const prevBtn = document.getElementById('external-import-prev-btn');
   if (prevBtn) {
@@ -4384,8 +6429,24 @@ document.addEventListener('DOMContentLoaded', () => {
 
   const nextBtn = document.getElementById('external-import-next-btn');
   if (nextBtn) {
-    nextBtn.addEventListener('click', () => {
-      if (externalImportState.currentStep === 2) {
+    nextBtn.addEventListener('click', async () => {
+      if (externalImportState.currentStep === 1) {
+        if (!externalImportState.filePath) {
+          alert('Please select a file to import.');
+          return;
+        }
+        if (externalImportState.sheets && document.getElementById('external-import-sheets')?.style.display === 'block') {
+          if (!(await loadSelectedExternalSheets())) {
+            return;
+          }
+        }
+        if (externalImportState.headers.length === 0) {
+          alert('The file could not be read. Please select another file.');
+          return;
+        }
+        showExternalImportStep(2);
+        showColumnMappingDialog();
+      } else if (externalImportState.currentStep === 2) {
         // Validate mappings before moving to preview
         updateColumnMappings();
         if (externalImportState.columnMappings.registrationNumber === null) {
@@ -4400,6 +6461,12 @@ document.addEventListener('DOMContentLoaded', () => {
     });
   }
 
+  // Validation report export
+  const exportReportBtn = document.getElementById('export-validation-report-btn');
+  if (exportReportBtn) {
+    exportReportBtn.addEventListener('click', exportValidationReport);
+  }
+
   // Convert button
   const convertBtn = document.getElementById('external-import-convert-btn');
   if (convertBtn) {
@@ -4431,6 +6498,23 @@ document.addEventListener('DOMContentLoaded', () => {
   document.addEventListener('change', (e) => {
     if (e.target.classList.contains('column-mapping-select')) {
       updateColumnMappings();
+      const confidence = document.querySelector(`.column-mapping-confidence[data-field="${e.target.dataset.field}"]`);
+      if (confidence) {
+        confidence.innerHTML = renderMappingConfidence(e.target.dataset.field, e.target.value ? parseInt(e.target.value) : null);
+      }
+    }
+
+    // Workbook sheet list
+    const sheet = externalImportState.sheets ? externalImportState.sheets[parseInt(e.target.dataset.index)] : null;
+    if (!sheet) return;
+    if (e.target.classList.contains('external-sheet-selected')) {
+      sheet.selected = e.target.checked;
+    } else if (e.target.classList.contains('external-sheet-sex')) {
+      sheet.sex = e.target.value;
+    } else if (e.target.classList.contains('external-sheet-category')) {
+      sheet.category = e.target.value;
+    } else if (e.target.classList.contains('external-sheet-header-row')) {
+      changeExternalSheetHeaderRow(parseInt(e.target.dataset.index), parseInt(e.target.value));
     }
   });
 });
@@ -4499,8 +6583,9 @@ document.addEventListener('DOMContentLoaded', () => {
   });
 });
 
-// Load bulk file status on page load
+// Load bulk file status and import history on page load
 loadBulkFileStatus();
+loadBulkImportHistory();
 
 // Tab Navigation Functionality
 const tabButtons = document.querySelectorAll('.tab-button');
@@ -4520,6 +6605,11 @@ tabButtons.forEach(button => {
     if (targetContent) {
       targetContent.classList.add('active');
     }
+    
+    // Pick up percentile breakdowns fetched since the picker was filled
+    if (targetTab === 'mating-calculator') {
+      loadPercentileSnapshots();
+    }
   });
 });
 
@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Percentile Snapshot Bundling Tool
+ *
+ * Copies the newest bull and cow percentile snapshots into config/percentile-snapshots so they
+ * ship with the app. Bundled snapshots are used for scoring on first launch without network
+ * (and whenever the percentile breakdowns page can't be fetched). Run before each release.
+ *
+ * Usage:
+ *   node scripts/bundle-percentile-snapshots.js --source <percentile-snapshots folder> [--as-of 2025-04-14]
+ *   node scripts/bundle-percentile-snapshots.js --check
+ *
+ * The source is the percentile-snapshots folder in the app's user data folder
+ * (e.g. ~/Library/Application Support/<app>/percentile-snapshots on macOS).
+ * --check loads the bundled bull and cow snapshots the way a fresh install without network
+ * does, and fails if either is missing or empty.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SNAPSHOT_FILE_PATTERN = /^(bull|cow)-(\d{4}-\d{2}-\d{2})\.json$/;
+const BUNDLED_SNAPSHOT_DIR = path.join(__dirname, '../config/percentile-snapshots');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+
+if (args.includes('--check')) {
+  checkBundledSnapshots();
+  process.exit(0);
+}
+const options = {};
+
+for (let i = 0; i < args.length; i += 2) {
+  const key = args[i]?.replace(/^--/, '');
+  const value = args[i + 1];
+  if (key && value) {
+    options[key] = value;
+  }
+}
+
+const source = options.source || options.s;
+const asOf = options['as-of'];
+
+if (!source) {
+  console.error('Usage: node bundle-percentile-snapshots.js --source <path> [--as-of YYYY-MM-DD]');
+  console.error('       node bundle-percentile-snapshots.js --check');
+  console.error('');
+  console.error('Required:');
+  console.error('  --source, -s    Percentile snapshot folder (percentile-snapshots in the app\'s user data folder)');
+  console.error('');
+  console.error('Optional:');
+  console.error('  --as-of         Bundle the snapshots for this evaluation (default: newest)');
+  process.exit(1);
+}
+
+if (!fs.existsSync(source)) {
+  console.error(`Error: Source folder not found: ${source}`);
+  process.exit(1);
+}
+
+// Newest snapshot of each type (on or before --as-of)
+const newest = {};
+fs.readdirSync(source).forEach(fileName => {
+  const match = fileName.match(SNAPSHOT_FILE_PATTERN);
+  if (!match) return;
+  const [, type, snapshotAsOf] = match;
+  if (asOf && snapshotAsOf > asOf) return;
+  if (!newest[type] || snapshotAsOf > newest[type].asOf) {
+    newest[type] = { asOf: snapshotAsOf, fileName: fileName };
+  }
+});
+
+['bull', 'cow'].forEach(type => {
+  if (!newest[type]) {
+    console.error(`Error: No ${type} percentile snapshot found in ${source}${asOf ? ` on or before ${asOf}` : ''}`);
+    process.exit(1);
+  }
+});
+
+if (!fs.existsSync(BUNDLED_SNAPSHOT_DIR)) {
+  fs.mkdirSync(BUNDLED_SNAPSHOT_DIR, { recursive: true });
+}
+
+// Replace previously bundled snapshots
+fs.readdirSync(BUNDLED_SNAPSHOT_DIR).forEach(fileName => {
+  if (SNAPSHOT_FILE_PATTERN.test(fileName)) {
+    fs.unlinkSync(path.join(BUNDLED_SNAPSHOT_DIR, fileName));
+  }
+});
+
+Object.keys(newest).forEach(type => {
+  const { fileName } = newest[type];
+  const snapshot = JSON.parse(fs.readFileSync(path.join(source, fileName), 'utf8'));
+  if (!snapshot.data || Object.keys(snapshot.data).length === 0) {
+    console.error(`Error: ${fileName} has no percentile data`);
+    process.exit(1);
+  }
+  fs.writeFileSync(path.join(BUNDLED_SNAPSHOT_DIR, fileName), JSON.stringify(snapshot, null, 2), 'utf8');
+  console.log(`✓ Bundled ${type} percentile snapshot as of ${newest[type].asOf} (${Object.keys(snapshot.data).length} traits)`);
+});
+
+checkBundledSnapshots();
+
+/**
+ * Check that the bundled snapshots load with no saved snapshots (first launch without network)
+ * Exits with an error if the bull or cow snapshot is missing or has no percentile data.
+ */
+function checkBundledSnapshots() {
+  const os = require('os');
+  const percentileSnapshots = require('../main/percentile-snapshots');
+
+  // An empty saved-snapshot folder, so only the bundled snapshots are found
+  const emptyDir = fs.mkdtempSync(path.join(os.tmpdir(), 'percentile-snapshots-'));
+  percentileSnapshots.setSnapshotDir(emptyDir);
+
+  const problems = [];
+  percentileSnapshots.SNAPSHOT_TYPES.forEach(type => {
+    const snapshot = percentileSnapshots.getLatestSnapshot(type);
+    if (!snapshot || snapshot.source !== 'bundled') {
+      problems.push(`No bundled ${type} percentile snapshot in ${BUNDLED_SNAPSHOT_DIR}`);
+    } else if (!snapshot.data || Object.keys(snapshot.data).length === 0) {
+      problems.push(`Bundled ${type} percentile snapshot as of ${snapshot.asOf} has no percentile data`);
+    } else {
+      console.log(`✓ Bundled ${type} percentile snapshot as of ${snapshot.asOf} loads (${Object.keys(snapshot.data).length} traits)`);
+    }
+  });
+  fs.rmSync(emptyDir, { recursive: true, force: true });
+
+  if (problems.length > 0) {
+    problems.forEach(problem => console.error(`Error: ${problem}`));
+    console.error('Run: npm run bundle-percentiles -- --source "<user data folder>/percentile-snapshots"');
+    process.exit(1);
+  }
+}
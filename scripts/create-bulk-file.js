@@ -7,10 +7,25 @@
  * 
  * Usage:
  *   node scripts/create-bulk-file.js --source cache/ --output recommended-sires-v1.0.0.json --version 1.0.0 --type recommended-sires --category "Recommended Sires" --filter "sex=BULL"
+ *
+ * With --base, a delta file with only the animals added, changed or removed since the base
+ * version is written next to the full file (e.g. recommended-sires-v1.1.0-delta-from-v1.0.0.json):
+ *   node scripts/create-bulk-file.js --source cache/ --output recommended-sires-v1.1.0.json --version 1.1.0 --type recommended-sires --base recommended-sires-v1.0.0.json
+ *
+ * An output name ending in .json.gz or .json.br writes a gzip- or brotli-compressed bulk file
+ * (the delta file is compressed the same way).
+ *
+ * With --strip-page-data true, the page text (pageStructure) and raw EPD tables (rawTables, except
+ * the pedigree table) scraped with each animal are left out, which makes large sire directories
+ * several times smaller.
  */
 
 const fs = require('fs');
 const path = require('path');
+const cacheStore = require('../main/cache-store');
+const bulkFileDelta = require('../main/bulk-file-delta');
+const epdPageParser = require('../main/epd-page-parser');
+const bulkFileCompression = require('../main/bulk-file-compression');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -31,45 +46,82 @@ const version = options.version || options.v || '1.0.0';
 const type = options.type || options.t || 'bulk-file';
 const category = options.category || options.c;
 const filter = options.filter || options.f;
+const base = options.base || options.b;
+const deltaOutput = options['delta-output'];
+const stripPageData = options['strip-page-data'] === 'true';
 
 if (!source || !output) {
   console.error('Usage: node create-bulk-file.js --source <path> --output <file> [options]');
   console.error('');
   console.error('Required:');
-  console.error('  --source, -s    Source directory containing cache files (epd_*.json)');
-  console.error('  --output, -o    Output file path');
+  console.error('  --source, -s    Source cache directory (epd-cache.store, or older epd_*.json files)');
+  console.error('  --output, -o    Output file path (.json.gz or .json.br to compress)');
   console.error('');
   console.error('Optional:');
   console.error('  --version, -v         Version number (default: 1.0.0)');
   console.error('  --type, -t           Bulk file type (default: bulk-file)');
   console.error('  --category, -c       Category name for animals');
   console.error('  --filter, -f         Filter criteria (e.g., "sex=BULL", "category=My Herd")');
+  console.error('  --base, -b           Previous full bulk file; also writes a delta file against it');
+  console.error('  --delta-output       Delta file path (default: <type>-v<version>-delta-from-v<base version>.json next to --output)');
+  console.error('  --strip-page-data    true to leave out the page text and raw tables (much smaller files)');
   process.exit(1);
 }
 
 /**
- * Load cache files from source directory
+ * Read cache records from the source directory
+ * Uses the cache store when present, otherwise older per-animal epd_*.json files
+ * @returns {Array} Array of { name, registrationNumber, cached }
  */
-function loadCacheFiles(sourceDir) {
+function readCacheRecords(sourceDir) {
+  if (fs.existsSync(path.join(sourceDir, cacheStore.STORE_FILE_NAME))) {
+    const store = cacheStore.openStore(sourceDir);
+    try {
+      return cacheStore.listKeys(store, 'epd_').map(key => ({
+        name: key,
+        registrationNumber: key.replace(/^epd_/, ''),
+        cached: cacheStore.readRecord(store, key)
+      }));
+    } finally {
+      cacheStore.closeStore(store);
+    }
+  }
+  
   const files = fs.readdirSync(sourceDir);
   const cacheFiles = files.filter(f => f.startsWith('epd_') && f.endsWith('.json'));
-  
-  const animals = [];
+  const records = [];
   
   for (const file of cacheFiles) {
     try {
       const filePath = path.join(sourceDir, file);
       const content = fs.readFileSync(filePath, 'utf8');
-      const cached = JSON.parse(content);
-      
+      records.push({
+        name: file,
+        // Extract registration number from filename
+        registrationNumber: file.replace(/^epd_/, '').replace(/\.json$/, ''),
+        cached: JSON.parse(content)
+      });
+    } catch (error) {
+      console.error(`Error loading ${file}:`, error.message);
+    }
+  }
+  
+  return records;
+}
+
+/**
+ * Load cached animals from source directory
+ */
+function loadCacheFiles(sourceDir) {
+  const animals = [];
+  
+  for (const { name: file, registrationNumber, cached } of readCacheRecords(sourceDir)) {
+    try {
       if (!cached.data) {
         console.warn(`Skipping ${file}: missing data field`);
         continue;
       }
       
-      // Extract registration number from filename
-      const registrationNumber = file.replace(/^epd_/, '').replace(/\.json$/, '');
-      
       // Get categories (support both old and new format)
       let categories = cached.categories;
       if (!categories && cached.category) {
@@ -141,7 +193,7 @@ function createBulkFile(animals, options) {
     },
     animals: animals.map(animal => ({
       registrationNumber: animal.registrationNumber,
-      data: animal.data,
+      data: options.stripPageData ? epdPageParser.stripPageData(animal.data) : animal.data,
       cachedAt: animal.cachedAt,
       category: animal.category || options.category || 'My Herd'
     }))
@@ -149,66 +201,94 @@ function createBulkFile(animals, options) {
 }
 
 // Main execution
-try {
-  console.log(`Reading cache files from: ${source}`);
-  
-  if (!fs.existsSync(source)) {
-    console.error(`Error: Source directory does not exist: ${source}`);
-    process.exit(1);
-  }
-  
-  const stats = fs.statSync(source);
-  if (!stats.isDirectory()) {
-    console.error(`Error: Source path is not a directory: ${source}`);
-    process.exit(1);
-  }
-  
-  // Load animals
-  let animals = loadCacheFiles(source);
-  console.log(`Loaded ${animals.length} animals from cache files`);
-  
-  // Apply filter
-  if (filter) {
-    const beforeCount = animals.length;
-    animals = applyFilter(animals, filter);
-    console.log(`Filtered to ${animals.length} animals (${beforeCount - animals.length} removed)`);
-  }
-  
-  if (animals.length === 0) {
-    console.error('Error: No animals to include in bulk file');
+(async () => {
+  try {
+    console.log(`Reading cache files from: ${source}`);
+    
+    if (!fs.existsSync(source)) {
+      console.error(`Error: Source directory does not exist: ${source}`);
+      process.exit(1);
+    }
+    
+    const stats = fs.statSync(source);
+    if (!stats.isDirectory()) {
+      console.error(`Error: Source path is not a directory: ${source}`);
+      process.exit(1);
+    }
+    
+    // Load animals
+    let animals = loadCacheFiles(source);
+    console.log(`Loaded ${animals.length} animals from cache files`);
+    
+    // Apply filter
+    if (filter) {
+      const beforeCount = animals.length;
+      animals = applyFilter(animals, filter);
+      console.log(`Filtered to ${animals.length} animals (${beforeCount - animals.length} removed)`);
+    }
+    
+    if (animals.length === 0) {
+      console.error('Error: No animals to include in bulk file');
+      process.exit(1);
+    }
+    
+    // Create bulk file structure
+    const bulkFile = createBulkFile(animals, {
+      version,
+      type,
+      category,
+      stripPageData
+    });
+    
+    // Ensure output directory exists
+    const outputDir = path.dirname(output);
+    if (!fs.existsSync(outputDir)) {
+      fs.mkdirSync(outputDir, { recursive: true });
+    }
+    
+    // Write output file (compressed when the name ends in .gz or .br)
+    const written = await bulkFileCompression.writeBulkFile(output, bulkFile);
+    
+    console.log(`\nBulk file created successfully!`);
+    console.log(`  Output: ${output}`);
+    console.log(`  Version: ${version}`);
+    console.log(`  Animals: ${animals.length}`);
+    if (written.compression) {
+      console.log(`  Compression: ${written.compression} (${(written.size / 1024).toFixed(2)} KB, ${(written.uncompressedSize / 1024).toFixed(2)} KB uncompressed)`);
+    }
+    console.log(`  Type: ${type}`);
+    if (category) {
+      console.log(`  Category: ${category}`);
+    }
+    if (filter) {
+      console.log(`  Filter: ${filter}`);
+    }
+    if (stripPageData) {
+      console.log(`  Page data: stripped`);
+    }
+    
+    // Delta against the previous version
+    if (base) {
+      const baseData = bulkFileCompression.readBulkFileJson(base);
+      if (baseData.metadata?.type && baseData.metadata.type !== type) {
+        console.warn(`Warning: Base file type "${baseData.metadata.type}" differs from "${type}"; the manifest will not chain them`);
+      }
+      
+      const delta = bulkFileDelta.createDelta(baseData, bulkFile);
+      const extension = output.match(/\.json(\.gz|\.br)?$/i)?.[0] || '.json';
+      const deltaPath = deltaOutput || path.join(outputDir, bulkFileDelta.getDeltaFileName(type, version, baseData.version, extension));
+      await bulkFileCompression.writeBulkFile(deltaPath, delta);
+      
+      console.log(`\nDelta file created successfully!`);
+      console.log(`  Output: ${deltaPath}`);
+      console.log(`  Base Version: ${baseData.version}`);
+      console.log(`  Added: ${delta.delta.addedCount}, Changed: ${delta.delta.changedCount}, Removed: ${delta.delta.removedCount}`);
+      console.log(`  Size: ${(fs.statSync(deltaPath).size / 1024).toFixed(2)} KB (full file ${(fs.statSync(output).size / 1024).toFixed(2)} KB)`);
+    }
+    
+  } catch (error) {
+    console.error('Error creating bulk file:', error);
     process.exit(1);
   }
-  
-  // Create bulk file structure
-  const bulkFile = createBulkFile(animals, {
-    version,
-    type,
-    category
-  });
-  
-  // Ensure output directory exists
-  const outputDir = path.dirname(output);
-  if (!fs.existsSync(outputDir)) {
-    fs.mkdirSync(outputDir, { recursive: true });
-  }
-  
-  // Write output file
-  fs.writeFileSync(output, JSON.stringify(bulkFile, null, 2), 'utf8');
-  
-  console.log(`\nBulk file created successfully!`);
-  console.log(`  Output: ${output}`);
-  console.log(`  Version: ${version}`);
-  console.log(`  Animals: ${animals.length}`);
-  console.log(`  Type: ${type}`);
-  if (category) {
-    console.log(`  Category: ${category}`);
-  }
-  if (filter) {
-    console.log(`  Filter: ${filter}`);
-  }
-  
-} catch (error) {
-  console.error('Error creating bulk file:', error);
-  process.exit(1);
-}
+})();
 
@@ -11,13 +11,27 @@
  * 
  * Usage (Server):
  *   node scripts/generate-manifest.js --server-url https://scoring.westernsports.video/angus/bulk-files --output manifest.json
+ *
+ * Each entry gets the file's SHA-256. Add --sign-key <private-key.pem> to sign the manifest with the
+ * publisher key (create one with scripts/generate-publisher-key.js); the app rejects unsigned or
+ * modified manifests once a publisher key is configured.
+ *
+ * Compressed bulk files (.json.gz, .json.br) are listed like plain ones; size is the download size
+ * and uncompressedSize the size of the JSON inside.
+ *
+ * Delta files (scripts/create-bulk-file.js --base) are listed under the deltas of the newest full
+ * file with the same type, so clients on an older version only download the changes.
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const bulkFileSignature = require('../main/bulk-file-signature');
+const bulkFileDelta = require('../main/bulk-file-delta');
+const bulkFileCompression = require('../main/bulk-file-compression');
 
 // Parse command line arguments
 const args = process.argv.slice(2);
@@ -37,6 +51,7 @@ const serverUrl = options['server-url'] || options.server || options.url;
 const baseUrl = options['base-url'] || options.baseurl || serverUrl || 'https://scoring.westernsports.video/angus/bulk-files';
 const output = options.output || options.o || 'manifest.json';
 const fileList = options['file-list'] || options.files; // Optional: comma-separated list of filenames
+const signKey = options['sign-key'] || process.env.BULK_FILE_SIGNING_KEY; // Optional: publisher private key (PEM file)
 
 if (!directory && !serverUrl) {
   console.error('Usage: node generate-manifest.js [options]');
@@ -49,6 +64,7 @@ if (!directory && !serverUrl) {
   console.error('  --base-url, --url        Base URL for bulk files (defaults to server-url if provided)');
   console.error('  --file-list, --files     Comma-separated list of filenames to include (if server doesn\'t support directory listing)');
   console.error('  --output, -o            Output manifest file path (default: manifest.json)');
+  console.error('  --sign-key              Publisher private key (PEM) to sign the manifest with (or BULK_FILE_SIGNING_KEY)');
   console.error('');
   console.error('Examples:');
   console.error('  # Local directory:');
@@ -65,7 +81,7 @@ if (!directory && !serverUrl) {
 /**
  * Extract metadata from bulk file data
  */
-function extractBulkFileMetadata(data, filename, size) {
+function extractBulkFileMetadata(data, filename, size, sha256, uncompressedSize, compression) {
   try {
     // Extract metadata from bulk file
     const metadata = data.metadata || {};
@@ -92,23 +108,43 @@ function extractBulkFileMetadata(data, filename, size) {
     // Generate URL
     const url = `${baseUrl.replace(/\/$/, '')}/${filename}`;
     
-    return {
+    const entry = {
       id,
       name,
       version,
       filename,
       url,
       size,
+      uncompressedSize,
       animalCount,
       category,
-      description
+      description,
+      sha256
     };
+    if (compression) {
+      entry.compression = compression;
+    }
+    
+    // Delta files are attached to their full file by attachDeltas()
+    if (bulkFileDelta.isDeltaBulkFile(data)) {
+      entry.delta = { ...data.delta };
+    }
+    
+    return entry;
   } catch (error) {
     console.error(`Error extracting metadata from ${filename}:`, error.message);
     return null;
   }
 }
 
+/**
+ * Describe an entry's download size (and uncompressed size for compressed files)
+ */
+function formatSizes(entry) {
+  const size = `${(entry.size / 1024).toFixed(2)} KB`;
+  return entry.compression ? `${size}, ${(entry.uncompressedSize / 1024).toFixed(2)} KB uncompressed` : size;
+}
+
 /**
  * Download file from URL
  */
@@ -119,12 +155,14 @@ function downloadFile(url) {
     
     const request = client.get(url, (response) => {
       if (response.statusCode === 200) {
-        let data = '';
+        const chunks = [];
         response.on('data', (chunk) => {
-          data += chunk;
+          chunks.push(chunk);
         });
         response.on('end', () => {
-          resolve({ success: true, data, size: parseInt(response.headers['content-length'] || '0', 10) });
+          // Keep the raw bytes so the SHA-256 matches what the app downloads
+          const buffer = Buffer.concat(chunks);
+          resolve({ success: true, data: buffer.toString('utf8'), buffer, size: buffer.length });
         });
       } else if (response.statusCode === 404) {
         resolve({ success: false, error: 'File not found' });
@@ -185,9 +223,9 @@ function scanLocalDirectory(dir) {
   
   const files = fs.readdirSync(dir);
   const bulkFiles = files.filter(file => {
-    // Look for JSON files that might be bulk files
+    // Look for JSON files (plain or compressed) that might be bulk files
     // Exclude manifest.json itself
-    return file.endsWith('.json') && 
+    return /\.json(\.gz|\.br)?$/.test(file) && 
            file !== 'manifest.json' && 
            file !== path.basename(output);
   });
@@ -201,15 +239,16 @@ function scanLocalDirectory(dir) {
     console.log(`Processing: ${file}...`);
     
     try {
-      const content = fs.readFileSync(filePath, 'utf8');
-      const data = JSON.parse(content);
+      const compression = bulkFileCompression.detectCompression(filePath);
+      const content = bulkFileCompression.decompressBuffer(fs.readFileSync(filePath), compression);
+      const data = JSON.parse(content.toString('utf8'));
       const stats = fs.statSync(filePath);
       const size = stats.size;
       
-      const metadata = extractBulkFileMetadata(data, file, size);
+      const metadata = extractBulkFileMetadata(data, file, size, bulkFileSignature.sha256File(filePath), content.length, compression);
       if (metadata) {
         manifestEntries.push(metadata);
-        console.log(`  ✓ ${metadata.name} v${metadata.version} (${metadata.animalCount} animals, ${(metadata.size / 1024).toFixed(2)} KB)`);
+        console.log(`  ✓ ${metadata.name} v${metadata.version} (${metadata.animalCount} animals, ${formatSizes(metadata)})`);
       } else {
         console.log(`  ✗ Skipped (not a valid bulk file)`);
       }
@@ -257,13 +296,16 @@ async function scanServer(serverUrl) {
       
       if (result.success) {
         try {
-          const data = JSON.parse(result.data);
-          const size = result.size || result.data.length;
+          const compression = bulkFileCompression.getCompression(filename);
+          const content = bulkFileCompression.decompressBuffer(result.buffer, compression);
+          const data = JSON.parse(content.toString('utf8'));
+          const size = result.size;
+          const sha256 = crypto.createHash('sha256').update(result.buffer).digest('hex');
           
-          const metadata = extractBulkFileMetadata(data, filename, size);
+          const metadata = extractBulkFileMetadata(data, filename, size, sha256, content.length, compression);
           if (metadata) {
             manifestEntries.push(metadata);
-            console.log(`  ✓ ${metadata.name} v${metadata.version} (${metadata.animalCount} animals, ${(metadata.size / 1024).toFixed(2)} KB)`);
+            console.log(`  ✓ ${metadata.name} v${metadata.version} (${metadata.animalCount} animals, ${formatSizes(metadata)})`);
           } else {
             console.log(`  ✗ Skipped (not a valid bulk file)`);
           }
@@ -281,6 +323,55 @@ async function scanServer(serverUrl) {
   return manifestEntries;
 }
 
+/**
+ * Move delta files under the newest full file with the same ID
+ * @param {Array} entries - Scanned entries (full and delta files)
+ * @returns {Array} Full file entries, each with a deltas array when it has any
+ */
+function attachDeltas(entries) {
+  const fullFiles = entries.filter(entry => !entry.delta);
+  const newestById = {};
+  fullFiles.forEach(entry => {
+    if (!newestById[entry.id] || bulkFileDelta.compareVersions(entry.version, newestById[entry.id].version) > 0) {
+      newestById[entry.id] = entry;
+    }
+  });
+  
+  entries.filter(entry => entry.delta).forEach(entry => {
+    const target = newestById[entry.id];
+    if (!target) {
+      console.log(`  ✗ Skipped delta ${entry.filename}: no full ${entry.id} file to fall back to`);
+      return;
+    }
+    if (bulkFileDelta.compareVersions(entry.version, target.version) > 0) {
+      console.log(`  ✗ Skipped delta ${entry.filename}: v${entry.version} is newer than the full file (v${target.version})`);
+      return;
+    }
+    target.deltas = target.deltas || [];
+    target.deltas.push({
+      baseVersion: entry.delta.baseVersion,
+      version: entry.version,
+      filename: entry.filename,
+      url: entry.url,
+      size: entry.size,
+      uncompressedSize: entry.uncompressedSize,
+      ...(entry.compression ? { compression: entry.compression } : {}),
+      sha256: entry.sha256,
+      addedCount: entry.delta.addedCount || 0,
+      changedCount: entry.delta.changedCount || 0,
+      removedCount: entry.delta.removedCount || 0
+    });
+  });
+  
+  fullFiles.forEach(entry => {
+    if (entry.deltas) {
+      entry.deltas.sort((a, b) => bulkFileDelta.compareVersions(a.baseVersion, b.baseVersion) || bulkFileDelta.compareVersions(a.version, b.version));
+    }
+  });
+  
+  return fullFiles;
+}
+
 /**
  * Generate manifest
  */
@@ -329,10 +420,19 @@ function generateManifest(bulkFiles) {
       process.exit(1);
     }
     
+    bulkFiles = attachDeltas(bulkFiles);
+    
     console.log('');
     console.log(`Generating manifest with ${bulkFiles.length} bulk file(s)...`);
     
-    const manifest = generateManifest(bulkFiles);
+    let manifest = generateManifest(bulkFiles);
+    
+    // Sign with the publisher key
+    if (signKey) {
+      manifest = bulkFileSignature.signManifest(manifest, fs.readFileSync(signKey, 'utf8'));
+    } else {
+      console.log('Note: Manifest is not signed (use --sign-key <private-key.pem>)');
+    }
     
     // Determine output path
     const outputPath = path.isAbsolute(output) ? output : path.join(process.cwd(), output);
@@ -351,10 +451,14 @@ function generateManifest(bulkFiles) {
     console.log(`  Output: ${outputPath}`);
     console.log(`  Files: ${bulkFiles.length}`);
     console.log(`  Last Updated: ${manifest.lastUpdated}`);
+    console.log(`  Signed: ${manifest.signature ? `yes (key ${manifest.signature.keyId})` : 'no'}`);
     console.log('');
     console.log('Bulk files in manifest:');
     bulkFiles.forEach(bf => {
       console.log(`  - ${bf.name} (${bf.id}) v${bf.version} - ${bf.animalCount} animals`);
+      (bf.deltas || []).forEach(delta => {
+        console.log(`      delta v${delta.baseVersion} → v${delta.version} (${delta.addedCount} added, ${delta.changedCount} changed, ${delta.removedCount} removed)`);
+      });
     });
     
   } catch (error) {
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+/**
+ * Publisher Key Generation Tool
+ *
+ * Creates the Ed25519 key pair used to sign the bulk file manifest. The private key is written
+ * to --output (keep it off the server and out of git); the public key is added to
+ * config/bulk-file-publisher-keys.json so the next app build only accepts manifests signed with it.
+ *
+ * Usage:
+ *   node scripts/generate-publisher-key.js --output ~/keys/bulk-file-publisher.pem [--name "Bulk file publisher 2026"]
+ *
+ * Then sign manifests with:
+ *   node scripts/generate-manifest.js --directory ./bulk-files --sign-key ~/keys/bulk-file-publisher.pem
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const bulkFileSignature = require('../main/bulk-file-signature');
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const options = {};
+
+for (let i = 0; i < args.length; i += 2) {
+  const key = args[i]?.replace(/^--/, '');
+  const value = args[i + 1];
+  if (key && value) {
+    options[key] = value;
+  }
+}
+
+const output = options.output || options.o;
+const name = options.name || `Bulk file publisher ${new Date().toISOString().substring(0, 10)}`;
+
+if (!output) {
+  console.error('Usage: node generate-publisher-key.js --output <private-key.pem> [--name <label>]');
+  process.exit(1);
+}
+
+if (fs.existsSync(output)) {
+  console.error(`Error: ${output} already exists. Refusing to overwrite a private key.`);
+  process.exit(1);
+}
+
+const { publicKey, privateKey } = crypto.generateKeyPairSync('ed25519');
+const publicKeyPem = publicKey.export({ type: 'spki', format: 'pem' });
+const keyId = bulkFileSignature.getKeyId(publicKey);
+
+fs.mkdirSync(path.dirname(path.resolve(output)), { recursive: true });
+fs.writeFileSync(output, privateKey.export({ type: 'pkcs8', format: 'pem' }), { mode: 0o600 });
+
+// Trust the new public key in the app
+const keysPath = bulkFileSignature.PUBLISHER_KEYS_PATH;
+const keysConfig = fs.existsSync(keysPath) ? JSON.parse(fs.readFileSync(keysPath, 'utf8')) : { publicKeys: [] };
+keysConfig.publicKeys = keysConfig.publicKeys || [];
+keysConfig.publicKeys.push({ keyId, name, publicKey: publicKeyPem, createdAt: new Date().toISOString() });
+fs.writeFileSync(keysPath, JSON.stringify(keysConfig, null, 2) + '\n', 'utf8');
+
+console.log('✓ Publisher key created');
+console.log(`  Key ID: ${keyId}`);
+console.log(`  Private key: ${output} (keep it secret - anyone with it can publish bulk files)`);
+console.log(`  Public key added to: ${path.relative(process.cwd(), keysPath)}`);
+console.log('');
+console.log('Once an app build with this key is released, only manifests signed with it are accepted.');
@@ -0,0 +1,162 @@
+/**
+ * EPD parser regression tests
+ *
+ * Runs the EPD extraction code against stored fixtures and compares the output with golden JSON:
+ * - test/fixtures/pages/*.html: saved EPD detail pages, parsed with epd-page-parser (the same
+ *   code the live scraper runs in the browser)
+ * - test/fixtures/raw-tables/*.json: cached records with only the raw table text, filled in
+ *   with epd-accuracy.fillAccuracyFromRawTables
+ *
+ * Each fixture has a golden file next to it (<name>.expected.json). After an intended parser
+ * change, regenerate them with:
+ *   UPDATE_GOLDEN=1 npm test
+ * and review the golden diff before committing.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const epdPageParser = require('../main/epd-page-parser');
+const epdAccuracy = require('../main/epd-accuracy');
+const pedigree = require('../main/pedigree');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * List fixture files in a fixture folder (golden files excluded)
+ * @param {string} folder - Folder name under test/fixtures
+ * @param {string} extension - Fixture file extension
+ * @returns {Array} Fixture file paths
+ */
+function listFixtures(folder, extension) {
+  const folderPath = path.join(FIXTURES_DIR, folder);
+  return fs.readdirSync(folderPath)
+    .filter(name => name.endsWith(extension) && !name.endsWith('.expected.json'))
+    .sort()
+    .map(name => path.join(folderPath, name));
+}
+
+/**
+ * Compare output with a fixture's golden file (or write it when UPDATE_GOLDEN=1)
+ * @param {string} fixturePath - Fixture file path
+ * @param {Object} actual - Parser output
+ */
+function assertMatchesGolden(fixturePath, actual) {
+  const goldenPath = fixturePath.replace(/\.(html|json)$/, '.expected.json');
+  // Round-trip through JSON so undefined fields compare the same way they are stored
+  const normalized = JSON.parse(JSON.stringify(actual));
+
+  if (UPDATE_GOLDEN) {
+    fs.writeFileSync(goldenPath, JSON.stringify(normalized, null, 2) + '\n');
+    return;
+  }
+
+  assert.ok(fs.existsSync(goldenPath), `Golden file missing: ${path.relative(FIXTURES_DIR, goldenPath)} (run with UPDATE_GOLDEN=1)`);
+  const expected = JSON.parse(fs.readFileSync(goldenPath, 'utf8'));
+  assert.deepStrictEqual(normalized, expected);
+}
+
+/**
+ * Run a function with the parser's console logging silenced
+ * @param {Function} fn - Function to run
+ * @returns {*} Function result
+ */
+function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+test('saved EPD detail pages', async (t) => {
+  for (const fixturePath of listFixtures('pages', '.html')) {
+    await t.test(path.basename(fixturePath), () => {
+      const html = fs.readFileSync(fixturePath, 'utf8');
+      const data = quietly(() => epdPageParser.parseEpdHtml(html));
+
+      // extractedAt and url change from run to run; pageStructure is debugging output
+      const { extractedAt, url, pageStructure, ...parsed } = data;
+      assertMatchesGolden(fixturePath, parsed);
+    });
+  }
+});
+
+test('cached records with raw table text', async (t) => {
+  for (const fixturePath of listFixtures('raw-tables', '.json')) {
+    await t.test(path.basename(fixturePath), () => {
+      const record = JSON.parse(fs.readFileSync(fixturePath, 'utf8'));
+      epdAccuracy.fillAccuracyFromRawTables(record);
+      assertMatchesGolden(fixturePath, record.epdValues);
+    });
+  }
+});
+
+test('trait cells', async (t) => {
+  await t.test('signed decimals keep their sign and leading decimal point', () => {
+    const data = quietly(() => epdPageParser.parseEpdHtml(fs.readFileSync(path.join(FIXTURES_DIR, 'pages', 'bull-interim-signed.html'), 'utf8')));
+    assert.strictEqual(data.epdValues.HS.epd, '-.016');
+    assert.strictEqual(data.epdValues.PAP.epd, '-1.12');
+    assert.strictEqual(data.epdValues.FAT.epd, '+.031');
+  });
+
+  await t.test('interim "I" prefix is stripped', () => {
+    const data = quietly(() => epdPageParser.parseEpdHtml(fs.readFileSync(path.join(FIXTURES_DIR, 'pages', 'heifer-missing-percentiles.html'), 'utf8')));
+    assert.strictEqual(data.epdValues.CED.epd, '+8');
+    assert.strictEqual(data.epdValues.BW.epd, '-1.2');
+    assert.strictEqual(data.epdValues.CED.acc, 'P');
+  });
+
+  await t.test('traits without a percentile have no % rank', () => {
+    const data = quietly(() => epdPageParser.parseEpdHtml(fs.readFileSync(path.join(FIXTURES_DIR, 'pages', 'bull-interim-signed.html'), 'utf8')));
+    assert.strictEqual(data.epdValues.MKH.epd, '618');
+    assert.strictEqual(data.epdValues.MKH.percentRank, undefined);
+  });
+
+  await t.test('concatenated raw cell "+.57.49 85%26"', () => {
+    assert.deepStrictEqual(epdAccuracy.parseRawEpdCell('+.57.49 85%26', '+.57', true), { acc: '.49', progeny: '26' });
+    assert.deepStrictEqual(epdAccuracy.parseRawEpdCell('I+12.9315%3987', '+12', true), { acc: '.93', progeny: '3987' });
+    assert.deepStrictEqual(epdAccuracy.parseRawEpdCell('-.016.822%142', '-.016', true), { acc: '.82', progeny: '142' });
+  });
+});
+
+test('stripped page data', async (t) => {
+  await t.test('keeps the pedigree table, so inbreeding through grandparents is unchanged', () => {
+    const row = (level, name, registrationNumber) => {
+      const cells = ['', '', '', '', ''];
+      cells[level] = name;
+      cells[level + 1] = `AAA #${registrationNumber}`;
+      return cells;
+    };
+    // Sire and dam halves of a pedigree table; the two animals share only a paternal grandsire
+    const animal = (registrationNumber, sire, paternalGranddam, dam) => ({
+      registrationNumber,
+      animalName: `ANIMAL ${registrationNumber}`,
+      additionalInfo: {},
+      pageStructure: { allText: '' },
+      rawTables: {
+        table_0: [
+          row(1, 'SHARED GRANDSIRE', '900'), row(0, `SIRE ${sire}`, sire), row(1, `GRANDDAM ${paternalGranddam}`, paternalGranddam),
+          ['', '', '', '', ''],
+          row(0, `DAM ${dam}`, dam)
+        ],
+        table_7: [['EPD table']]
+      }
+    });
+    const bull = animal('100', '201', '301', '202');
+    const cow = animal('101', '211', '311', '212');
+    const inbreeding = animals => quietly(() => pedigree.calculateMatingInbreeding(pedigree.buildPedigreeGraph(animals), '100', '101'));
+
+    const stripped = [bull, cow].map(epdPageParser.stripPageData);
+    assert.strictEqual(stripped[0].pageStructure, undefined);
+    assert.deepStrictEqual(Object.keys(stripped[0].rawTables), ['table_0']);
+    assert.strictEqual(inbreeding([bull, cow]), 0.03125);
+    assert.strictEqual(inbreeding(stripped), 0.03125);
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * External data import tests (column detection and cell parsing)
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const externalDataParser = require('../main/external-data-parser');
+
+const SAMPLE_ROWS = [
+  ['20401234', 'RIVERBEND PROSPECT 2104', '+1.2', '40'],
+  ['20401299', 'RIVERBEND ANCHOR 2117', '-.3', '55']
+];
+
+test('column mappings', async (t) => {
+  for (const header of ['SC', 'Scrotal', 'Scrotal Circ', 'Scrotal Circ.', 'Scrotal Circumference EPD']) {
+    await t.test(`"${header}" maps to SC`, () => {
+      const mappings = externalDataParser.autoDetectColumnMappings(['Reg', 'Name', header, 'BW %'], SAMPLE_ROWS);
+      assert.strictEqual(mappings.epdTraits.SC, 2);
+    });
+  }
+
+  await t.test('"Scrotal %" maps to the SC percent rank', () => {
+    const mappings = externalDataParser.autoDetectColumnMappings(['Reg', 'Name', 'Scrotal', 'Scrotal %'], SAMPLE_ROWS);
+    assert.strictEqual(mappings.epdTraits.SC, 2);
+    assert.strictEqual(mappings.percentRanks.SC, 3);
+  });
+});
+
+test('interim EPD values', async (t) => {
+  const headers = ['Reg', 'Name', 'BW'];
+  const mappings = { registrationNumber: 0, animalName: 1, sex: null, epdTraits: { BW: 2 }, percentRanks: {} };
+  const validate = (bw) => externalDataParser.validateExternalData({ headers, rows: [['20401234', 'RIVERBEND PROSPECT 2104', bw]] }, mappings);
+
+  for (const value of ['I+2.1', 'i-.4', 'I 1.5']) {
+    await t.test(`"${value}" is accepted`, () => {
+      assert.strictEqual(validate(value).summary.errorCount, 0);
+    });
+  }
+
+  for (const value of ['I', 'I abc', 'I+', 'I+2.1x']) {
+    await t.test(`"${value}" is rejected like a plain non-number`, () => {
+      const report = validate(value);
+      assert.strictEqual(report.summary.errorCount, 1);
+      assert.match(report.rows[0].issues[0].message, /is not a number/);
+    });
+  }
+});
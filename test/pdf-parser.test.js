@@ -0,0 +1,139 @@
+/**
+ * PDF text reader and sale catalog parser regression tests
+ *
+ * test/fixtures/pdfs/*.pdf are small PDFs built to cover the reader's code paths:
+ * - simple-text.pdf: uncompressed content stream, standard font, Tj / TJ / T* / ' operators
+ * - compressed-stream.pdf: Flate content streams, pages and fonts in an object stream, xref stream
+ * - tounicode-font.pdf: Type0 (Identity-H) font whose glyph IDs only decode through its ToUnicode
+ *   map (bfchar, bfrange with an offset and with an array, a ligature mapped to two characters)
+ * - sale-catalog.pdf: a two-page catalog with a title block, lots with EPD and %Rank tables
+ *   (one with a missing value, one with interim values) and a lot note that isn't a lot
+ *
+ * Each fixture has a golden file next to it (<name>.expected.json): the extracted pages, and for
+ * sale-catalog.pdf the table and column mappings the import wizard starts from. After an intended
+ * change, regenerate them with:
+ *   UPDATE_GOLDEN=1 npm test
+ * and review the golden diff before committing.
+ *
+ * Run: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const pdfDocument = require('../main/pdf-document');
+const externalDataParser = require('../main/external-data-parser');
+
+const PDF_FIXTURES_DIR = path.join(__dirname, 'fixtures', 'pdfs');
+const UPDATE_GOLDEN = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Compare output with a fixture's golden file (or write it when UPDATE_GOLDEN=1)
+ * @param {string} fixturePath - Fixture file path
+ * @param {Object} actual - Parser output
+ */
+function assertMatchesGolden(fixturePath, actual) {
+  const goldenPath = fixturePath.replace(/\.pdf$/, '.expected.json');
+  const normalized = JSON.parse(JSON.stringify(actual));
+
+  if (UPDATE_GOLDEN) {
+    fs.writeFileSync(goldenPath, JSON.stringify(normalized, null, 2) + '\n');
+    return;
+  }
+
+  assert.ok(fs.existsSync(goldenPath), `Golden file missing: ${path.basename(goldenPath)} (run with UPDATE_GOLDEN=1)`);
+  assert.deepStrictEqual(normalized, JSON.parse(fs.readFileSync(goldenPath, 'utf8')));
+}
+
+/**
+ * Run an async function with the parsers' console logging silenced
+ * @param {Function} fn - Function to run
+ * @returns {Promise<*>} Function result
+ */
+async function quietly(fn) {
+  const originalLog = console.log;
+  console.log = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+/**
+ * Read a PDF fixture's lines as text
+ * @param {string} name - Fixture file name
+ * @returns {Array} Line texts of each page
+ */
+function readLineTexts(name) {
+  const pages = pdfDocument.extractPdfText(fs.readFileSync(path.join(PDF_FIXTURES_DIR, name)));
+  return pages.map(page => page.lines.map(line => line.text));
+}
+
+test('PDF text', async (t) => {
+  for (const name of ['simple-text.pdf', 'compressed-stream.pdf', 'tounicode-font.pdf']) {
+    await t.test(name, async () => {
+      const fixturePath = path.join(PDF_FIXTURES_DIR, name);
+      assertMatchesGolden(fixturePath, await pdfDocument.readPdfText(fixturePath));
+    });
+  }
+
+  await t.test('kerned TJ pieces join into one word and WinAnsi text decodes', () => {
+    assert.deepStrictEqual(readLineTexts('simple-text.pdf'), [[
+      'Spring Bull Sale', 'Selling 60 bulls', 'Saturday, March 1, 2025', 'Café opens at 10:00 a.m.'
+    ]]);
+  });
+
+  await t.test('objects in an object stream and Flate content are read', () => {
+    assert.deepStrictEqual(readLineTexts('compressed-stream.pdf'), [
+      ['Compressed page one', 'Second line right column'],
+      ['Compressed page two']
+    ]);
+  });
+
+  await t.test('glyph IDs decode through the ToUnicode map', () => {
+    assert.deepStrictEqual(readLineTexts('tounicode-font.pdf'), [['Registered', 'fine hi']]);
+  });
+
+  await t.test('a file cut off before its cross-reference table is still read', () => {
+    const buffer = fs.readFileSync(path.join(PDF_FIXTURES_DIR, 'simple-text.pdf'));
+    const truncated = buffer.subarray(0, buffer.indexOf('xref'));
+    const pages = pdfDocument.extractPdfText(truncated);
+    assert.strictEqual(pages[0].lines[0].text, 'Spring Bull Sale');
+  });
+});
+
+test('PDF sale catalog', async (t) => {
+  const fixturePath = path.join(PDF_FIXTURES_DIR, 'sale-catalog.pdf');
+  const table = await quietly(() => externalDataParser.parseExternalFile(fixturePath));
+  const mappings = externalDataParser.autoDetectColumnMappings(table.headers, table.rows);
+
+  await t.test('lot rows and column mappings', () => {
+    assertMatchesGolden(fixturePath, { table, mappings });
+  });
+
+  await t.test('one row per lot, without the title block or the pair note', () => {
+    assert.deepStrictEqual(table.rows.map(row => row.slice(0, 3)), [
+      ['1', '20401234', 'RIVERBEND PROSPECT 2104'],
+      ['2', '20401299', 'RIVERBEND ANCHOR 2117'],
+      ['3', '20401311', 'RIVERBEND BALANCE 2130']
+    ]);
+    assert.deepStrictEqual(table.pageNumbers, [1, 1, 2]);
+  });
+
+  await t.test('values stay under their trait when a value is missing', () => {
+    const lot2 = table.rows[1];
+    assert.strictEqual(lot2[table.headers.indexOf('YW EPD')], '');
+    assert.strictEqual(lot2[table.headers.indexOf('YW %')], '');
+    assert.strictEqual(lot2[table.headers.indexOf('MARB EPD')], '+.51');
+    assert.strictEqual(lot2[table.headers.indexOf('$B %')], '15');
+  });
+
+  await t.test('EPD and % rank columns map to their traits', () => {
+    assert.strictEqual(mappings.registrationNumber, table.headers.indexOf('Registration Number'));
+    assert.strictEqual(mappings.animalName, table.headers.indexOf('Name'));
+    assert.strictEqual(mappings.epdTraits.MARB, table.headers.indexOf('MARB EPD'));
+    assert.strictEqual(mappings.percentRanks.$B, table.headers.indexOf('$B %'));
+  });
+});